@@ -0,0 +1,764 @@
+// Command-line arguments - commands, options, defaults and help
+// Commands and options are declared once in the tables below; parsing, validation, the
+// generated help and the shell completion scripts all read them. Option defaults come from a
+// `.twaprc` file (or --config) and TWAP_* environment variables; the command line overrides
+// both, and the environment overrides the file.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYaml } = require('./simple_yaml');
+const { parseDurationSeconds } = require('./duration');
+const { OUTPUT_FORMATS, RISK_LEVELS, SCENARIOS, ConfigError } = require('../lib');
+
+const CLI_NAME = 'twap-cli';
+const CONFIG_FILE_NAME = '.twaprc';
+const ENV_PREFIX = 'TWAP_';
+
+const DEFAULT_COMMAND = 'analyze';
+
+// Invalid or incomplete command lines; `command` names the command whose help applies
+class UsageError extends ConfigError {}
+UsageError.code = 'USAGE_ERROR';
+
+// Every option by its long name. `key` is the property on the parsed options and `type` says
+// how the value is read: flag, string, path, duration, time, integer, number, level or choice.
+// `value` is the placeholder shown in the help. `multiple` options collect repeated values in
+// an array. `input` options select the pool data source. `cliOnly` options cannot come from
+// the config file or the environment.
+const OPTIONS = {
+    'pool-file': { key: 'poolFile', type: 'path', value: 'file', input: true, description: 'PoolState account file (JSON, base64 or binary)' },
+    'obs-file': { key: 'obsFile', type: 'path', value: 'file', input: true, description: 'ObservationState account file' },
+    'pool-json': { key: 'poolJson', type: 'string', value: 'json', input: true, cliOnly: true, description: 'PoolState as inline JSON' },
+    'obs-json': { key: 'obsJson', type: 'string', value: 'json', input: true, cliOnly: true, description: 'ObservationState as inline JSON' },
+    'rpc': { key: 'rpc', type: 'string', value: 'url', description: 'Solana JSON-RPC endpoint' },
+    'pool': { key: 'pool', type: 'string', value: 'address', input: true, description: 'Pool address to fetch from --rpc' },
+    'interactive': { key: 'interactive', type: 'flag', alias: 'i', input: true, cliOnly: true, description: 'Prompt for both accounts (file path or pasted JSON)' },
+    'window': { key: 'windows', type: 'duration', value: 'duration', multiple: true, description: 'Lookback window TWAP, e.g. 5m or 1h (repeatable)' },
+    'end-time': { key: 'endTime', type: 'time', value: 'time', description: 'End of the windows: now, unix seconds or ISO date (default: newest observation)' },
+    'ago': { key: 'secondsAgos', type: 'duration', value: 'duration', allowZero: true, multiple: true, description: 'Seconds before the end time to observe (repeatable, default 0, 5m, 15m, 1h)' },
+    'invert': { key: 'invert', type: 'flag', description: 'Show prices as token1 in token0' },
+    'quote': { key: 'quote', type: 'string', value: 'token', description: 'Quote token (symbol or mint) prices are shown in' },
+    'tokens': { key: 'tokensFile', type: 'path', value: 'file', description: 'Token registry JSON added to ~/.twap-cli/tokens.json' },
+    'strict': { key: 'strict', type: 'flag', description: 'Refuse observation data with error-level findings' },
+    'precision': { key: 'precision', type: 'integer', value: 'digits', min: 1, description: 'Significant digits of decimal prices' },
+    'format': { key: 'format', type: 'choice', value: 'format', choices: OUTPUT_FORMATS, description: `Output format: ${OUTPUT_FORMATS.join(', ')} (default text)` },
+    'fail-on': { key: 'failOn', type: 'level', value: 'level', description: 'Exit with code 2 when the risk level reaches LEVEL' },
+    'cost-deviation': { key: 'costDeviation', type: 'number', value: 'percent', min: 0, max: 100, exclusive: true, description: 'Estimate the cost to move a TWAP by this percentage' },
+    'cost-window': { key: 'costWindow', type: 'duration', value: 'duration', description: 'TWAP window of the cost estimate (default 5m)' },
+    'previous-pool': { key: 'previousPoolFile', type: 'path', value: 'file', cliOnly: true, description: 'Earlier PoolState of the pool: volume, fee APR and the wash-trading rule since then' },
+    'elapsed': { key: 'elapsedSeconds', type: 'duration', value: 'duration', cliOnly: true, description: 'Time between the two PoolState snapshots' },
+    'rules': { key: 'rulesFile', type: 'path', value: 'file', description: 'Risk rule config (JSON)' },
+    'profile': { key: 'profile', type: 'string', value: 'name', description: 'Risk rule profile, e.g. stable' },
+    'use-archive': { key: 'useArchive', type: 'flag', description: 'Compute over the archived history merged with the snapshot' },
+    'archive-dir': { key: 'archiveDir', type: 'path', value: 'dir', description: 'Observation archive directory (default ~/.twap-cli/archive)' },
+    'report': { key: 'report', type: 'path', value: 'file', cliOnly: true, description: 'Also write an HTML report to this file' },
+    'interval': { key: 'intervalSeconds', type: 'duration', value: 'duration', allowZero: true, description: 'Time between polls' },
+    'iterations': { key: 'iterations', type: 'integer', value: 'count', min: 1, description: 'Stop after this many polls' },
+    'debounce': { key: 'debounceSeconds', type: 'duration', value: 'duration', allowZero: true, description: 'How long a new risk level must hold before it is reported' },
+    'max-deviation': { key: 'maxDeviation', type: 'number', value: 'percent', description: 'Alert when the TWAP/spot deviation crosses this percentage' },
+    'history': { key: 'historySize', type: 'integer', value: 'samples', min: 1, description: 'Samples kept in the rolling history (default 120)' },
+    'alert-log': { key: 'alertLog', type: 'path', value: 'file', description: 'Append alerts to this NDJSON file' },
+    'webhook': { key: 'webhook', type: 'string', value: 'url', description: 'POST alerts to this URL' },
+    'on-alert': { key: 'onAlert', type: 'string', value: 'command', description: 'Run this shell command per alert (alert JSON on stdin and in $TWAP_ALERT)' },
+    'concurrency': { key: 'concurrency', type: 'integer', value: 'count', min: 1, description: 'RPC pools fetched at the same time (default 4)' },
+    'port': { key: 'port', type: 'integer', value: 'port', min: 0, max: 65535, description: 'Port to listen on (default 8080, 0 picks a free one)' },
+    'host': { key: 'host', type: 'string', value: 'host', description: 'Address to bind (default 127.0.0.1)' },
+    'seed': { key: 'seed', type: 'integer', value: 'seed', description: 'Random seed; the same seed gives the same report' },
+    'runs': { key: 'runs', type: 'integer', value: 'count', min: 1, description: 'Simulated runs per scenario' },
+    'scenario': { key: 'scenarios', type: 'choice', value: 'id', multiple: true, choices: SCENARIOS.map(scenario => scenario.id), description: 'Only run this scenario (repeatable)' },
+    'detect-level': { key: 'detectLevel', type: 'level', value: 'level', description: 'Risk level that counts as a detection (default MEDIUM)' },
+    'volatility': { key: 'volatility', type: 'number', value: 'percent', min: 0, description: 'Annualized volatility of the simulated price (default 80)' },
+    'config': { key: 'config', type: 'path', value: 'file', cliOnly: true, description: `Read defaults from this file instead of ./${CONFIG_FILE_NAME} or ~/${CONFIG_FILE_NAME}` },
+    'help': { key: 'help', type: 'flag', alias: 'h', cliOnly: true, description: 'Show this help' },
+    'version': { key: 'version', type: 'flag', cliOnly: true, description: 'Show the version' }
+};
+
+const GENERAL_OPTIONS = ['config', 'help', 'version'];
+
+const DATA_OPTIONS = ['pool-file', 'obs-file', 'pool-json', 'obs-json', 'rpc', 'pool', 'interactive'];
+const PRICE_OPTIONS = ['invert', 'quote', 'tokens', 'precision'];
+const ARCHIVE_OPTIONS = ['use-archive', 'archive-dir'];
+const RULE_OPTIONS = ['rules', 'profile'];
+
+// Account pairs the single-pool commands read
+const PAIR_INPUTS = [['pool-file', 'obs-file'], ['pool-json', 'obs-json'], ['rpc', 'pool'], ['interactive']];
+
+// Commands in help order. `sections` group the options in the help. `positionals` are the
+// arguments after the command. `inputs` lists the accepted data source combinations, one of
+// which must be complete; `inputsText` describes them when the list is long. `check` returns a
+// message for option combinations the tables cannot express. `descriptions` override option
+// descriptions for the command.
+const COMMANDS = {
+    analyze: {
+        summary: 'TWAP, window TWAPs and manipulation risk of one pool (default command)',
+        sections: {
+            Input: DATA_OPTIONS,
+            Analysis: ['window', 'end-time', 'strict'].concat(PRICE_OPTIONS, ARCHIVE_OPTIONS),
+            Risk: RULE_OPTIONS.concat(['fail-on', 'cost-deviation', 'cost-window', 'previous-pool', 'elapsed']),
+            Output: ['format', 'report']
+        },
+        inputs: PAIR_INPUTS,
+        check: (options) => {
+            if (options.previousPoolFile && !options.elapsedSeconds) return '--previous-pool needs --elapsed';
+            if (options.elapsedSeconds && !options.previousPoolFile) return '--elapsed needs --previous-pool';
+            return null;
+        },
+        examples: [
+            '--pool-file pool.json --obs-file obs.json --window 5m --window 1h',
+            '--pool-file pool.json --obs-file obs.json --previous-pool pool-1h-ago.json --elapsed 1h',
+            '--rpc https://api.mainnet-beta.solana.com --pool <pool address> --format json --fail-on HIGH'
+        ]
+    },
+    observe: {
+        summary: 'Tick cumulatives some seconds ago, like the on-chain observe()',
+        sections: {
+            Input: DATA_OPTIONS,
+            Observe: ['ago', 'end-time', 'strict'].concat(PRICE_OPTIONS, ARCHIVE_OPTIONS),
+            Output: ['format']
+        },
+        inputs: PAIR_INPUTS,
+        descriptions: {
+            'end-time': 'Time the offsets count back from: now, unix seconds or ISO date (default: newest observation)'
+        },
+        examples: ['--pool-file pool.json --obs-file obs.json --ago 0 --ago 10m --ago 1h']
+    },
+    inspect: {
+        summary: 'Decoded account fields, pool volume, fees and rewards, and the observation buffer',
+        positionals: [{ name: 'file', key: 'files', multiple: true, description: 'Account files, PoolState or ObservationState (detected)' }],
+        sections: {
+            Input: ['pool-file', 'obs-file', 'pool-json', 'obs-json', 'rpc', 'pool'],
+            Snapshots: ['elapsed'].concat(RULE_OPTIONS),
+            Output: ['strict', 'tokens', 'format']
+        },
+        descriptions: {
+            elapsed: 'Time between the earliest and latest PoolState (default: from their ObservationStates)'
+        },
+        inputs: [['file'], ['pool-file'], ['obs-file'], ['pool-file', 'obs-file'], ['pool-json'], ['obs-json'], ['pool-json', 'obs-json'], ['rpc', 'pool']],
+        inputsText: '<file>..., --pool-file and/or --obs-file, --pool-json and/or --obs-json or --rpc + --pool',
+        examples: [
+            'fixtures/sol_usdc.pool.json fixtures/sol_usdc.obs.json',
+            'pool-1h-ago.json pool.json obs.json --elapsed 1h',
+            '--rpc http://127.0.0.1:8899 --pool <pool address> --format json'
+        ]
+    },
+    dashboard: {
+        summary: 'Full-screen terminal dashboard to explore TWAP windows',
+        sections: {
+            Input: DATA_OPTIONS,
+            Analysis: ['strict', 'invert', 'quote', 'tokens'].concat(ARCHIVE_OPTIONS),
+            Risk: RULE_OPTIONS
+        },
+        inputs: PAIR_INPUTS,
+        examples: ['--pool-file pool.json --obs-file obs.json']
+    },
+    watch: {
+        summary: 'Poll a pool and alert on risk level and deviation changes',
+        sections: {
+            Input: ['pool-file', 'obs-file', 'rpc', 'pool'],
+            Watch: ['window', 'interval', 'iterations', 'debounce', 'max-deviation', 'history', 'strict'].concat(PRICE_OPTIONS, ARCHIVE_OPTIONS),
+            Alerts: ['alert-log', 'webhook', 'on-alert'],
+            Risk: RULE_OPTIONS,
+            Output: ['format']
+        },
+        inputs: [['pool-file', 'obs-file'], ['rpc', 'pool']],
+        descriptions: {
+            window: 'Window to monitor (repeatable, default 5m, 15m, 1h)',
+            interval: 'Time between polls (default 30s)'
+        },
+        examples: ['--rpc http://127.0.0.1:8899 --pool <pool address> --interval 30s --max-deviation 5 --alert-log alerts.ndjson']
+    },
+    archive: {
+        summary: 'Merge ObservationState snapshots into the local archive',
+        sections: {
+            Input: ['pool-file', 'obs-file', 'rpc', 'pool'],
+            Archive: ['archive-dir', 'interval', 'iterations', 'strict'],
+            Output: ['format']
+        },
+        inputs: [['obs-file'], ['pool-file', 'obs-file'], ['rpc', 'pool']],
+        descriptions: {
+            interval: 'Archive again every DURATION until Ctrl+C (default: once)',
+            iterations: 'Stop after this many snapshots'
+        },
+        examples: ['--obs-file observationstate_example.json', '--rpc http://127.0.0.1:8899 --pool <pool address> --interval 10m']
+    },
+    batch: {
+        summary: 'Analyze every pool of a manifest and rank them by risk',
+        positionals: [{ name: 'manifest', key: 'manifest', required: true, description: 'Manifest (YAML or JSON) or a directory of paired account files' }],
+        sections: {
+            Batch: ['concurrency', 'window', 'end-time', 'strict'].concat(PRICE_OPTIONS),
+            Risk: RULE_OPTIONS.concat(['fail-on']),
+            Output: ['format']
+        },
+        descriptions: {
+            'fail-on': 'Exit with code 2 when the highest risk level reaches LEVEL'
+        },
+        examples: ['pools.yaml --concurrency 8', 'fixtures/ --format csv']
+    },
+    serve: {
+        summary: 'HTTP service with TWAP, risk and analyze endpoints',
+        positionals: [{ name: 'manifest', key: 'manifest', description: 'Manifest (YAML or JSON) or a directory of paired account files' }],
+        sections: {
+            Service: ['port', 'host', 'rpc', 'interval'],
+            Analysis: ['window', 'strict'].concat(PRICE_OPTIONS, ARCHIVE_OPTIONS),
+            Risk: RULE_OPTIONS,
+            Output: ['format']
+        },
+        descriptions: {
+            rpc: 'Also serve any pool address, fetched from this endpoint',
+            interval: 'Re-read data sources at most every DURATION (default 15s, 0: on every request)'
+        },
+        check: (options) => !options.manifest && !options.rpc ? 'serve needs a manifest file or directory and/or --rpc' : null,
+        examples: ['pools.yaml --port 8080', 'fixtures/ --rpc http://127.0.0.1:8899 --use-archive']
+    },
+    backtest: {
+        summary: 'Score the risk rules against simulated attack scenarios',
+        sections: {
+            Input: ['pool-file', 'obs-file', 'rpc', 'pool'],
+            Backtest: ['seed', 'runs', 'scenario', 'detect-level', 'volatility'],
+            Risk: RULE_OPTIONS,
+            Output: ['format']
+        },
+        inputs: [['pool-file'], ['pool-file', 'obs-file'], ['rpc', 'pool']],
+        examples: ['--pool-file fixtures/sol_usdc.pool.json', '--pool-file pool.json --profile stable --runs 50 --seed 7 --format csv']
+    },
+    completion: {
+        summary: 'Print a shell completion script (bash, zsh or fish)',
+        positionals: [{ name: 'shell', key: 'shell', required: true, choices: ['bash', 'zsh', 'fish'], description: 'bash, zsh or fish' }],
+        sections: {},
+        examples: ['bash > /etc/bash_completion.d/twap-cli', 'fish > ~/.config/fish/completions/twap-cli.fish']
+    },
+    help: {
+        summary: 'Show the help of a command',
+        positionals: [{ name: 'command', key: 'helpCommand', description: 'Command to describe' }],
+        sections: {}
+    }
+};
+
+// Long option names a command accepts
+function getCommandOptions(commandName) {
+    const sections = COMMANDS[commandName].sections;
+    const names = [].concat(...Object.values(sections), GENERAL_OPTIONS);
+    return Array.from(new Set(names));
+}
+
+function getEnvName(optionName) {
+    return ENV_PREFIX + optionName.toUpperCase().replace(/-/g, '_');
+}
+
+// Closest candidate within two edits, for "did you mean" hints
+function suggest(input, candidates) {
+    const distance = (a, b) => {
+        const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    };
+    let best = null;
+    let bestDistance = 3;
+    candidates.forEach(candidate => {
+        const current = distance(input, candidate);
+        if (current < bestDistance) {
+            best = candidate;
+            bestDistance = current;
+        }
+    });
+    return best;
+}
+
+// Accepts plain seconds ("300") or a number with an s/m/h/d suffix ("5m", "1h"); see duration.js
+function parseDuration(value, label = 'duration', options = {}) {
+    const seconds = parseDurationSeconds(value, options);
+    if (seconds === null) {
+        const expected = options.allowZero ? 'e.g. 0, 300, 5m, 1h' : 'a positive duration, e.g. 300, 5m, 1h';
+        throw new UsageError(`Invalid ${label}: ${value} (expected ${expected})`);
+    }
+    return seconds;
+}
+
+// Accepts "now", a unix timestamp in seconds or an ISO 8601 date
+function parseEndTime(value, label = 'end time') {
+    if (value === 'now') {
+        return Math.floor(Date.now() / 1000);
+    }
+    if (/^\d+$/.test(value || '')) {
+        return parseInt(value);
+    }
+
+    const parsed = Date.parse(value);
+    if (isNaN(parsed)) {
+        throw new UsageError(`Invalid ${label}: ${value} (expected "now", unix seconds or ISO date)`);
+    }
+    return Math.floor(parsed / 1000);
+}
+
+function parseFlagValue(value, label) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(text)) return true;
+    if (['0', 'false', 'no', 'off'].includes(text)) return false;
+    throw new UsageError(`Invalid value for ${label}: ${value} (expected true or false)`);
+}
+
+// One option value from its text; `label` names where it came from in error messages.
+// `baseDir` resolves relative paths (config files), `~/` expands to `home`.
+function parseOptionValue(spec, value, label, context = {}) {
+    const text = String(value);
+    switch (spec.type) {
+        case 'flag':
+            return parseFlagValue(value, label);
+        case 'duration':
+            return parseDuration(text, `duration for ${label}`, { allowZero: spec.allowZero });
+        case 'time':
+            return parseEndTime(text, `time for ${label}`);
+        case 'integer':
+        case 'number': {
+            const number = spec.type === 'integer'
+                ? (/^-?\d+$/.test(text) ? parseInt(text) : NaN)
+                : (/^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN);
+            const belowMin = spec.min !== undefined && (spec.exclusive ? number <= spec.min : number < spec.min);
+            const aboveMax = spec.max !== undefined && (spec.exclusive ? number >= spec.max : number > spec.max);
+            if (isNaN(number) || belowMin || aboveMax) {
+                const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+                const range = spec.min !== undefined && spec.max !== undefined
+                    ? ` between ${spec.min} and ${spec.max}`
+                    : spec.min !== undefined ? (spec.min === 0 && !spec.exclusive ? ' of 0 or more' : ` of at least ${spec.min}`) : '';
+                throw new UsageError(`Invalid value for ${label}: ${text} (expected ${kind}${range})`);
+            }
+            return number;
+        }
+        case 'level': {
+            const level = text.toUpperCase();
+            if (!RISK_LEVELS.includes(level)) {
+                throw new UsageError(`Unknown risk level for ${label}: ${text} (expected ${RISK_LEVELS.join(', ')})`);
+            }
+            return level;
+        }
+        case 'choice':
+            if (!spec.choices.includes(text)) {
+                throw new UsageError(`Invalid value for ${label}: ${text} (expected ${spec.choices.join(', ')})`);
+            }
+            return text;
+        case 'path': {
+            if (!text) throw new UsageError(`${label} needs a path`);
+            const home = context.home || os.homedir();
+            if (text === '~' || text.startsWith('~/')) return path.join(home, text.slice(1));
+            return context.baseDir ? path.resolve(context.baseDir, text) : text;
+        }
+        default:
+            return text;
+    }
+}
+
+// A value for the option: a single value, or an array for `multiple` options
+function parseLayerValue(spec, value, label, context) {
+    if (!spec.multiple) {
+        if (Array.isArray(value)) throw new UsageError(`${label} takes a single value`);
+        return parseOptionValue(spec, value, label, context);
+    }
+    const values = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.map(item => parseOptionValue(spec, item, label, context));
+}
+
+// Options and positionals from the command line: { values: Map(name → value), positionals }
+function readCommandLine(args, commandName) {
+    const allowed = getCommandOptions(commandName);
+    const aliases = new Map(Object.entries(OPTIONS).filter(([, spec]) => spec.alias).map(([name, spec]) => [`-${spec.alias}`, name]));
+    const values = new Map();
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('-') || arg === '-' || /^-\d/.test(arg)) {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name;
+        let inlineValue;
+        let negated = false;
+        if (aliases.has(arg)) {
+            name = aliases.get(arg);
+        } else if (arg.startsWith('--')) {
+            const separator = arg.indexOf('=');
+            name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+            inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+            if (!OPTIONS[name] && name.startsWith('no-') && OPTIONS[name.slice(3)]?.type === 'flag') {
+                name = name.slice(3);
+                negated = true;
+            }
+        }
+
+        const spec = OPTIONS[name];
+        if (!spec) {
+            const hint = suggest(arg.replace(/=.*$/, ''), Object.keys(OPTIONS).map(option => `--${option}`));
+            throw new UsageError(`Unknown option: ${arg}${hint ? ` (did you mean ${hint}?)` : ''}`, { command: commandName });
+        }
+        if (!allowed.includes(name)) {
+            const owners = Object.keys(COMMANDS).filter(command => getCommandOptions(command).includes(name));
+            throw new UsageError(`--${name} is not an option of ${commandName}${owners.length ? ` (used by ${owners.join(', ')})` : ''}`, { command: commandName });
+        }
+
+        const label = `--${name}`;
+        let value;
+        if (spec.type === 'flag') {
+            value = inlineValue !== undefined ? parseFlagValue(inlineValue, label) : !negated;
+        } else {
+            if (negated) throw new UsageError(`Unknown option: ${arg}`, { command: commandName });
+            let text = inlineValue;
+            if (text === undefined) {
+                const next = args[i + 1];
+                // A following option is a forgotten value, not the value ("--pool-file --obs-file obs.json")
+                if (next === undefined || (next.startsWith('-') && next !== '-' && !/^-\d/.test(next))) {
+                    throw new UsageError(`${label} needs a value (<${spec.value}>)`, { command: commandName });
+                }
+                text = next;
+                i++;
+            }
+            try {
+                value = parseOptionValue(spec, text, label);
+            } catch (error) {
+                error.command = commandName;
+                throw error;
+            }
+            if (spec.multiple) value = (values.get(name) || []).concat([value]);
+        }
+        values.set(name, value);
+    }
+
+    return { values: values, positionals: positionals };
+}
+
+// Path of the config file to read: --config, $TWAP_CONFIG, ./.twaprc, ~/.twaprc or none
+function findConfigFile(args, context) {
+    let explicit;
+    args.forEach((arg, index) => {
+        if (arg === '--config') explicit = args[index + 1];
+        else if (arg.startsWith('--config=')) explicit = arg.slice('--config='.length);
+    });
+    if (explicit === undefined && context.env[getEnvName('config')]) {
+        explicit = context.env[getEnvName('config')];
+    }
+    if (explicit !== undefined) {
+        const filePath = parseOptionValue(OPTIONS.config, explicit, '--config', { home: context.home });
+        if (!fs.existsSync(filePath)) {
+            throw new UsageError(`Config file not found: ${filePath}`);
+        }
+        return path.resolve(context.cwd, filePath);
+    }
+
+    return [path.join(context.cwd, CONFIG_FILE_NAME), path.join(context.home, CONFIG_FILE_NAME)]
+        .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+// Config file contents: JSON when it starts with `{`, YAML otherwise
+function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let config;
+    try {
+        config = text.trim().startsWith('{') ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+        throw new ConfigError(`Invalid config file ${filePath}: ${error.message}`, { cause: error });
+    }
+    if (config === null || config === undefined) return {};
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new ConfigError(`Invalid config file ${filePath}: expected option names as keys`);
+    }
+    return config;
+}
+
+// Option values for `commandName` from the config file: top-level keys apply to every command
+// that has the option, a section named after a command (e.g. `serve:`) to that command only
+function readConfigLayer(filePath, commandName, context) {
+    const config = readConfigFile(filePath);
+    const allowed = getCommandOptions(commandName);
+    const baseDir = path.dirname(filePath);
+    const values = new Map();
+
+    const apply = (entries, prefix) => {
+        Object.entries(entries).forEach(([name, value]) => {
+            const label = `${prefix}${name} in ${filePath}`;
+            const spec = OPTIONS[name];
+            if (!spec) {
+                const hint = suggest(name, Object.keys(OPTIONS));
+                throw new ConfigError(`Unknown option ${label}${hint ? ` (did you mean ${hint}?)` : ''}`);
+            }
+            if (spec.cliOnly) {
+                throw new ConfigError(`${label}: --${name} can only be given on the command line`);
+            }
+            if (!allowed.includes(name) || value === null) return;
+            values.set(name, parseLayerValue(spec, value, label, { baseDir: baseDir, home: context.home }));
+        });
+    };
+
+    const shared = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (COMMANDS[key]) {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                throw new ConfigError(`${key} in ${filePath} must be a section of options for the ${key} command`);
+            }
+        } else {
+            shared[key] = value;
+        }
+    });
+    apply(shared, '');
+    if (config[commandName]) apply(config[commandName], `${commandName}.`);
+    return values;
+}
+
+// Option values for `commandName` from TWAP_<OPTION> variables; lists are comma-separated.
+// Variables of other commands' options and unrelated TWAP_* variables are ignored.
+function readEnvLayer(commandName, context) {
+    const values = new Map();
+    getCommandOptions(commandName).forEach(name => {
+        const spec = OPTIONS[name];
+        const envName = getEnvName(name);
+        const value = context.env[envName];
+        if (spec.cliOnly || value === undefined || value === '') return;
+        values.set(name, parseLayerValue(spec, value, envName, { home: context.home }));
+    });
+    return values;
+}
+
+// Where an option value came from, for error messages
+function describeOrigin(name, origin, configFile) {
+    if (origin === 'env') return getEnvName(name);
+    if (origin === 'config') return `${name} in ${configFile}`;
+    return `--${name}`;
+}
+
+// "--pool-file + --obs-file, --rpc + --pool or --interactive"
+function describeInputs(inputs) {
+    const alternatives = inputs.map(combination => combination.map(name => OPTIONS[name] ? `--${name}` : `<${name}>`).join(' + '));
+    return alternatives.length > 1
+        ? `${alternatives.slice(0, -1).join(', ')} or ${alternatives[alternatives.length - 1]}`
+        : alternatives[0];
+}
+
+// Checks the data source options against the command's input combinations. `rpc` only counts
+// as a choice of input when given on the command line; from the config file or the
+// environment it is the endpoint for --pool.
+function checkInputs(commandName, options, origins, configFile) {
+    const command = COMMANDS[commandName];
+    const isSet = (name) => {
+        const key = OPTIONS[name] ? OPTIONS[name].key : command.positionals.find(item => item.name === name).key;
+        return options[key] !== undefined && options[key] !== false;
+    };
+    const inputNames = Array.from(new Set([].concat(...command.inputs)));
+    const present = inputNames.filter(name => isSet(name) && (name !== 'rpc' || origins.get('rpc') === 'cli'));
+    const label = (name) => OPTIONS[name] ? describeOrigin(name, origins.get(name), configFile) : `<${name}>`;
+
+    if (present.length === 0) {
+        throw new UsageError(`${commandName} needs pool data: ${command.inputsText || describeInputs(command.inputs)}`, { command: commandName });
+    }
+
+    const candidates = command.inputs.filter(combination => present.every(name => combination.includes(name)));
+    if (candidates.length === 0) {
+        const compatible = (first, second) => command.inputs.some(combination => combination.includes(first) && combination.includes(second));
+        const first = present.find(name => present.some(other => !compatible(name, other)));
+        const conflict = first ? [first, present.find(other => !compatible(first, other))] : present.slice(0, 2);
+        throw new UsageError(`${label(conflict[0])} and ${label(conflict[1])} cannot be used together`, { command: commandName });
+    }
+    if (!candidates.some(combination => combination.every(isSet))) {
+        const missing = candidates[0].filter(name => !isSet(name));
+        throw new UsageError(`${label(present[0])} needs ${missing.map(name => `--${name}`).join(' and ')}`, { command: commandName });
+    }
+}
+
+// `--help` or `--version` when given in option position, else null. The argument after a
+// value option such as --report is that option's value and is skipped, so `--report --help`
+// is not a help request; readCommandLine then rejects it as --report missing its value
+// (`--report=--help` names a report file).
+function findGeneralFlag(args) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') return 'help';
+        if (arg === '--version') return 'version';
+        const spec = arg.startsWith('--') && !arg.includes('=') ? OPTIONS[arg.slice(2)] : undefined;
+        if (spec && spec.type !== 'flag') i++;
+    }
+    return null;
+}
+
+// Parses `argv` (without node and script) into { command, ...options by key }.
+// `context` gives env, cwd and home (defaults: this process). `--help` and `--version`
+// return { command, help | version } without validating anything else.
+function parseArguments(argv, context = {}) {
+    context = {
+        env: context.env || process.env,
+        cwd: context.cwd || process.cwd(),
+        home: context.home || os.homedir()
+    };
+
+    const args = argv.slice();
+    let commandName = DEFAULT_COMMAND;
+    let explicit = false;
+    if (args.length > 0 && !args[0].startsWith('-')) {
+        if (!COMMANDS[args[0]]) {
+            const hint = suggest(args[0], Object.keys(COMMANDS));
+            throw new UsageError(`Unknown command: ${args[0]}${hint ? ` (did you mean ${hint}?)` : ''}`);
+        }
+        commandName = args.shift();
+        explicit = true;
+    }
+    const generalFlag = findGeneralFlag(args);
+    if (generalFlag === 'help') {
+        return { command: commandName, help: true, helpCommand: explicit ? commandName : undefined };
+    }
+    if (generalFlag === 'version') {
+        return { command: commandName, version: true };
+    }
+
+    const command = COMMANDS[commandName];
+    const cli = readCommandLine(args, commandName);
+    const configFile = findConfigFile(args, context);
+    const layers = [
+        { origin: 'cli', values: cli.values },
+        { origin: 'env', values: readEnvLayer(commandName, context) },
+        { origin: 'config', values: configFile ? readConfigLayer(configFile, commandName, context) : new Map() }
+    ];
+
+    // Higher layers win option by option, except that a data source chosen on a higher layer
+    // replaces the whole data source of the lower ones
+    const options = { command: commandName };
+    const origins = new Map();
+    let inputChosen = false;
+    layers.forEach(layer => {
+        let layerHasInput = false;
+        layer.values.forEach((value, name) => {
+            const spec = OPTIONS[name];
+            if (spec.input) {
+                if (inputChosen) return;
+                layerHasInput = true;
+            }
+            if (origins.has(name)) return;
+            origins.set(name, layer.origin);
+            options[spec.key] = value;
+        });
+        inputChosen = inputChosen || layerHasInput;
+    });
+    delete options.config;
+    if (configFile) options.configFile = configFile;
+
+    const positionals = command.positionals || [];
+    cli.positionals.forEach((value, index) => {
+        const positional = positionals[Math.min(index, positionals.length - 1)];
+        if (!positional || (index >= positionals.length && !positional.multiple)) {
+            throw new UsageError(`Unexpected argument: ${value}`, { command: commandName });
+        }
+        if (positional.choices && !positional.choices.includes(value)) {
+            throw new UsageError(`Invalid ${positional.name}: ${value} (expected ${positional.choices.join(', ')})`, { command: commandName });
+        }
+        options[positional.key] = positional.multiple ? (options[positional.key] || []).concat([value]) : value;
+    });
+    positionals.forEach(positional => {
+        if (positional.required && options[positional.key] === undefined) {
+            throw new UsageError(`${commandName} needs <${positional.name}>: ${positional.description}`, { command: commandName });
+        }
+    });
+
+    if (commandName === 'help') {
+        if (options.helpCommand && !COMMANDS[options.helpCommand]) {
+            const hint = suggest(options.helpCommand, Object.keys(COMMANDS));
+            throw new UsageError(`Unknown command: ${options.helpCommand}${hint ? ` (did you mean ${hint}?)` : ''}`);
+        }
+        return { command: commandName, help: true, helpCommand: options.helpCommand };
+    }
+
+    if (command.inputs) checkInputs(commandName, options, origins, configFile);
+    const problem = command.check ? command.check(options) : null;
+    if (problem) throw new UsageError(problem, { command: commandName });
+
+    return options;
+}
+
+function formatOptionName(name) {
+    const spec = OPTIONS[name];
+    const flag = spec.alias ? `-${spec.alias}, --${name}` : `--${name}`;
+    return spec.type === 'flag' ? flag : `${flag} <${spec.value}>`;
+}
+
+function formatRows(rows, width = Math.max(...rows.map(row => row[0].length))) {
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`).join('\n');
+}
+
+// Help text of one command, or the overview without `commandName`
+function formatHelp(commandName) {
+    const lines = [];
+    if (!commandName) {
+        lines.push(`${CLI_NAME} - TWAP and manipulation risk analysis for Raydium CLMM pools`);
+        lines.push('');
+        lines.push(`Usage: ${CLI_NAME} [command] [options]`);
+        lines.push('');
+        lines.push('Commands:');
+        lines.push(formatRows(Object.entries(COMMANDS).map(([name, command]) => [name, command.summary])));
+        lines.push('');
+        lines.push('General options:');
+        lines.push(formatRows(['config', 'help', 'version'].map(name => [formatOptionName(name), OPTIONS[name].description])));
+        lines.push('');
+        lines.push(`Run "${CLI_NAME} <command> --help" for the options of a command. Without a command, the`);
+        lines.push(`options are those of ${DEFAULT_COMMAND}.`);
+    } else {
+        const command = COMMANDS[commandName];
+        const positionals = (command.positionals || []).map(item => {
+            const name = `<${item.name}>${item.multiple ? '...' : ''}`;
+            return item.required ? name : `[${name}]`;
+        });
+        const hasOptions = Object.keys(command.sections).length > 0;
+        lines.push(`Usage: ${CLI_NAME} ${[commandName].concat(positionals, hasOptions ? ['[options]'] : []).join(' ')}`);
+        if (commandName === DEFAULT_COMMAND) lines.push(`       ${CLI_NAME} [options]`);
+        lines.push('');
+        lines.push(command.summary);
+        if (command.positionals) {
+            lines.push('');
+            lines.push('Arguments:');
+            lines.push(formatRows(command.positionals.map(item => [`<${item.name}>`, item.description])));
+        }
+        const descriptions = command.descriptions || {};
+        const sections = Object.entries(command.sections).concat([['General', GENERAL_OPTIONS]]);
+        const width = Math.max(...getCommandOptions(commandName).map(name => formatOptionName(name).length));
+        sections.forEach(([title, names]) => {
+            lines.push('');
+            lines.push(`${title}:`);
+            lines.push(formatRows(names.map(name => [formatOptionName(name), descriptions[name] || OPTIONS[name].description]), width));
+        });
+        if (command.inputs) {
+            lines.push('');
+            lines.push(`Pool data: ${command.inputsText || describeInputs(command.inputs)}.`);
+        }
+        if (command.examples) {
+            lines.push('');
+            lines.push('Examples:');
+            command.examples.forEach(example => lines.push(`  ${CLI_NAME}${commandName === DEFAULT_COMMAND ? '' : ` ${commandName}`} ${example}`));
+        }
+        if (hasOptions) {
+            lines.push('');
+            lines.push(`Defaults: ${CONFIG_FILE_NAME} (or --config) holds option names as keys, e.g. "window: [5m, 1h]", with`);
+            lines.push(`per-command sections such as "${commandName}:". ${ENV_PREFIX}<OPTION> variables (${getEnvName('archive-dir')}=...) override`);
+            lines.push('the file, the command line overrides both; --no-<flag> turns a default flag off.');
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    CLI_NAME,
+    CONFIG_FILE_NAME,
+    DEFAULT_COMMAND,
+    OPTIONS,
+    COMMANDS,
+    UsageError,
+    getCommandOptions,
+    getEnvName,
+    parseDuration,
+    parseEndTime,
+    parseArguments,
+    formatHelp
+};
@@ -0,0 +1,332 @@
+// Batch analysis - many pools per run
+// A manifest (JSON or YAML) lists pools as PoolState/ObservationState file pairs, RPC pool
+// addresses, or directories whose account files are paired by name. Entries are analyzed and
+// ranked by risk; an entry that fails is recorded in the report instead of aborting the whole
+// batch. RPC entries are fetched in parallel, file entries are read and computed one at a time.
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./simple_yaml');
+const { parseDurationSeconds } = require('./duration');
+const { RISK_LEVELS, getWorstSeverity, RESULT_SCHEMA_VERSION, bigIntReplacer, csvEscape, ConfigError } = require('../lib');
+
+const DEFAULT_CONCURRENCY = 4;
+
+const SEVERITIES = [null, 'info', 'warning', 'error'];
+
+// Settings a manifest may give per entry or under `defaults`
+const ENTRY_SETTINGS = ['windows', 'profile', 'rules', 'invert', 'quote', 'strict'];
+
+// Role and pair key from a file name (extension removed): <key>.pool / <key>_obs /
+// poolstate_<key> / observationstate_<key>, ...
+const FILE_ROLE_PATTERNS = [
+    { role: 'pool', pattern: /^(.+?)[._-]+pool(?:state)?$/i },
+    { role: 'observation', pattern: /^(.+?)[._-]+(?:obs|observation)(?:state)?$/i },
+    { role: 'pool', pattern: /^pool(?:state)?[._-]+(.+)$/i },
+    { role: 'observation', pattern: /^(?:obs|observation)(?:state)?[._-]+(.+)$/i }
+];
+
+function getFileRole(fileName) {
+    const baseName = path.parse(fileName).name;
+    for (const { role, pattern } of FILE_ROLE_PATTERNS) {
+        const match = baseName.match(pattern);
+        if (match) return { role: role, key: match[1] };
+    }
+    return null;
+}
+
+// Seconds from a manifest duration: a number of seconds or "300", "5m", "1h", "2d"
+function parseManifestDuration(value) {
+    const seconds = parseDurationSeconds(value);
+    if (seconds === null) {
+        throw new ConfigError(`Invalid duration in manifest: ${value} (expected a positive duration, e.g. 300, 5m, 1h)`);
+    }
+    return seconds;
+}
+
+// Entry settings merged over the defaults, with paths resolved against the manifest directory
+function resolveSettings(defaults, entry, baseDir) {
+    const settings = {};
+    for (const source of [defaults, entry]) {
+        ENTRY_SETTINGS.forEach(key => {
+            if (source[key] !== undefined) settings[key] = source[key];
+        });
+    }
+
+    if (settings.windows !== undefined) {
+        const windows = Array.isArray(settings.windows) ? settings.windows : [settings.windows];
+        settings.windows = windows.map(parseManifestDuration);
+    }
+    if (settings.rules) {
+        settings.rulesFile = path.resolve(baseDir, settings.rules);
+        delete settings.rules;
+    }
+    return settings;
+}
+
+// Pairs the account files of a directory. Returns { entries, failures }; files that name only
+// one side of a pair become failures, files without a recognizable role are ignored.
+function pairDirectory(directory, settings) {
+    const groups = new Map();
+    for (const fileName of fs.readdirSync(directory).sort()) {
+        const filePath = path.join(directory, fileName);
+        if (!fs.statSync(filePath).isFile()) continue;
+
+        const role = getFileRole(fileName);
+        if (!role) continue;
+        const group = groups.get(role.key) || {};
+        if (group[role.role]) {
+            group.duplicate = `${group[role.role]} and ${filePath}`;
+        }
+        group[role.role] = filePath;
+        groups.set(role.key, group);
+    }
+
+    const entries = [];
+    const failures = [];
+    for (const [key, group] of groups) {
+        const source = group.pool || group.observation;
+        if (group.duplicate) {
+            failures.push({ name: key, source: directory, error: `Ambiguous files for ${key}: ${group.duplicate}` });
+        } else if (!group.pool) {
+            failures.push({ name: key, source: source, error: 'No matching PoolState file' });
+        } else if (!group.observation) {
+            failures.push({ name: key, source: source, error: 'No matching ObservationState file' });
+        } else {
+            entries.push({ name: key, source: `${group.pool} + ${group.observation}`, poolFile: group.pool, obsFile: group.observation, settings: settings });
+        }
+    }
+    return { entries, failures };
+}
+
+// Reads a manifest: a list of pool entries, or { defaults, pools, directories }. A directory
+// path can be given instead of a manifest file. Returns { entries, failures }.
+function loadManifest(manifestPath) {
+    if (fs.existsSync(manifestPath) && fs.statSync(manifestPath).isDirectory()) {
+        return pairDirectory(manifestPath, {});
+    }
+
+    let manifest;
+    try {
+        const text = fs.readFileSync(manifestPath, 'utf8');
+        manifest = /\.ya?ml$/i.test(manifestPath) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError(`Error loading manifest ${manifestPath}: ${error.message}`, { cause: error });
+    }
+
+    if (Array.isArray(manifest)) {
+        manifest = { pools: manifest };
+    }
+    if (!manifest || typeof manifest !== 'object') {
+        throw new ConfigError(`Manifest ${manifestPath} must be a list of pools or an object with pools/directories`);
+    }
+
+    for (const key of ['pools', 'directories']) {
+        if (manifest[key] !== undefined && !Array.isArray(manifest[key])) {
+            throw new ConfigError(`Manifest ${manifestPath}: ${key} must be a list`);
+        }
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const defaults = manifest.defaults || {};
+    const entries = [];
+    const failures = [];
+
+    (manifest.pools || []).forEach((item, index) => {
+        let name = `pool #${index + 1}`;
+        try {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                throw new ConfigError('Entry must be an object');
+            }
+            name = item.name || item.address || (item.pool ? path.parse(item.pool).name : name);
+            const settings = resolveSettings(defaults, item, baseDir);
+            if (item.rpc || item.address) {
+                if (!item.rpc || !item.address) {
+                    throw new ConfigError('rpc and address must be used together');
+                }
+                entries.push({ name: name, source: `${item.rpc} ${item.address}`, rpc: item.rpc, address: item.address, settings: settings });
+            } else if (item.pool && item.observation) {
+                const poolFile = path.resolve(baseDir, item.pool);
+                const obsFile = path.resolve(baseDir, item.observation);
+                entries.push({ name: name, source: `${poolFile} + ${obsFile}`, poolFile: poolFile, obsFile: obsFile, settings: settings });
+            } else {
+                throw new ConfigError('Entry needs pool + observation files or rpc + address');
+            }
+        } catch (error) {
+            failures.push({ name: name, source: manifestPath, error: error.message });
+        }
+    });
+
+    (manifest.directories || []).forEach((item, index) => {
+        let directory = `directory #${index + 1}`;
+        try {
+            if (typeof item !== 'string' && typeof item?.path !== 'string') {
+                throw new ConfigError('Directory entry must be a path or an object with a path');
+            }
+            directory = path.resolve(baseDir, typeof item === 'string' ? item : item.path);
+            const paired = pairDirectory(directory, resolveSettings(defaults, typeof item === 'string' ? {} : item, baseDir));
+            entries.push(...paired.entries);
+            failures.push(...paired.failures);
+        } catch (error) {
+            failures.push({ name: directory, source: manifestPath, error: error.message });
+        }
+    });
+
+    return { entries, failures };
+}
+
+// Row of the ranked report for one analyzed pool
+function summarizeResult(entry, result) {
+    const findings = result.dataQuality.findings;
+    return {
+        name: entry.name,
+        source: entry.source,
+        pair: result.pair.label,
+        level: result.manipulationAnalysis.level,
+        factors: result.manipulationAnalysis.factors,
+        confidence: result.manipulationAnalysis.confidence,
+        profile: result.manipulationAnalysis.profile,
+        twapPrice: result.twapPrice,
+        currentPrice: result.currentPrice,
+        priceDifferencePercent: result.priceDifferencePercent,
+        observationCount: result.observationCount,
+        timePeriodHours: result.timePeriodHours,
+        dataQuality: {
+            worstSeverity: getWorstSeverity(findings),
+            errors: findings.filter(item => item.severity === 'error').length,
+            warnings: findings.filter(item => item.severity === 'warning').length
+        },
+        windows: (result.windows || []).map(window => ({
+            windowSeconds: window.windowSeconds,
+            twapPrice: window.twapPrice,
+            error: window.error
+        }))
+    };
+}
+
+// Most severe risk first, then the largest TWAP/spot deviation, then the worst data quality
+function rankPools(pools) {
+    const ranked = pools.slice().sort((a, b) => {
+        return RISK_LEVELS.indexOf(b.level) - RISK_LEVELS.indexOf(a.level)
+            || b.priceDifferencePercent - a.priceDifferencePercent
+            || SEVERITIES.indexOf(b.dataQuality.worstSeverity) - SEVERITIES.indexOf(a.dataQuality.worstSeverity)
+            || a.name.localeCompare(b.name);
+    });
+    return ranked.map((pool, index) => Object.assign({ rank: index + 1 }, pool));
+}
+
+// Analyzes every manifest entry with `analyze(entry) -> Promise<result>`, at most
+// `options.concurrency` at a time. Only the asynchronous part of `analyze` (RPC requests)
+// overlaps; the TWAP computation itself runs on the one thread. Returns the report: { summary, pools (ranked), failures }.
+async function runBatch(manifest, analyze, options = {}) {
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+    const pools = [];
+    const failures = manifest.failures.slice();
+    let next = 0;
+
+    const worker = async () => {
+        while (next < manifest.entries.length) {
+            const entry = manifest.entries[next++];
+            try {
+                pools.push(summarizeResult(entry, await analyze(entry)));
+            } catch (error) {
+                failures.push({ name: entry.name, source: entry.source, error: error.message });
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, manifest.entries.length) }, worker));
+
+    const byLevel = {};
+    RISK_LEVELS.forEach(level => {
+        byLevel[level] = pools.filter(pool => pool.level === level).length;
+    });
+
+    return {
+        summary: {
+            total: pools.length + failures.length,
+            analyzed: pools.length,
+            failed: failures.length,
+            byLevel: byLevel,
+            highestLevel: pools.reduce((worst, pool) => RISK_LEVELS.indexOf(pool.level) > RISK_LEVELS.indexOf(worst) ? pool.level : worst, null)
+        },
+        pools: rankPools(pools),
+        failures: failures
+    };
+}
+
+const BATCH_CSV_COLUMNS = [
+    'rank', 'name', 'pair', 'level', 'price_difference_percent', 'twap_price', 'current_price',
+    'confidence', 'factors', 'observation_count', 'hours', 'data_quality', 'source', 'error'
+];
+
+function formatBatchText(report) {
+    const { summary } = report;
+    const lines = [
+        `🏁 BATCH REPORT: ${summary.total} pool(s), ${summary.analyzed} analyzed, ${summary.failed} failed`,
+        `Risk levels: ${RISK_LEVELS.slice().reverse().map(level => `${level} ${summary.byLevel[level]}`).join(', ')}`,
+        ''
+    ];
+
+    if (report.pools.length > 0) {
+        lines.push(`${'#'.padEnd(4)}${'Risk'.padEnd(10)}${'Deviation'.padStart(12)}  ${'Data quality'.padEnd(14)}Pool`);
+        report.pools.forEach(pool => {
+            const quality = pool.dataQuality.worstSeverity
+                ? `${pool.dataQuality.worstSeverity}${pool.dataQuality.errors + pool.dataQuality.warnings > 0 ? ` (${pool.dataQuality.errors}E/${pool.dataQuality.warnings}W)` : ''}`
+                : 'ok';
+            lines.push(`${String(pool.rank).padEnd(4)}${pool.level.padEnd(10)}${(pool.priceDifferencePercent.toFixed(2) + '%').padStart(12)}  ${quality.padEnd(14)}${pool.name} (${pool.pair}) ${pool.factors.join(', ')}`);
+        });
+    }
+
+    if (report.failures.length > 0) {
+        lines.push('', '❌ Failures:');
+        report.failures.forEach(failure => lines.push(`  ${failure.name}: ${failure.error}`));
+    }
+    return lines.join('\n');
+}
+
+function formatBatchReport(report, format) {
+    const document = Object.assign({ schemaVersion: RESULT_SCHEMA_VERSION, generatedAt: new Date().toISOString() }, report);
+
+    switch (format) {
+        case 'text':
+            return formatBatchText(report);
+        case 'json':
+            return JSON.stringify(document, bigIntReplacer, 2);
+        case 'ndjson':
+            return report.pools.map(pool => JSON.stringify(Object.assign({ type: 'pool' }, pool), bigIntReplacer))
+                .concat(report.failures.map(failure => JSON.stringify(Object.assign({ type: 'failure' }, failure))))
+                .join('\n');
+        case 'csv': {
+            const rows = report.pools.map(pool => ({
+                rank: pool.rank,
+                name: pool.name,
+                pair: pool.pair,
+                level: pool.level,
+                price_difference_percent: pool.priceDifferencePercent,
+                twap_price: pool.twapPrice,
+                current_price: pool.currentPrice,
+                confidence: pool.confidence,
+                factors: pool.factors.join(';'),
+                observation_count: pool.observationCount,
+                hours: pool.timePeriodHours,
+                data_quality: pool.dataQuality.worstSeverity,
+                source: pool.source
+            })).concat(report.failures.map(failure => ({ name: failure.name, source: failure.source, error: failure.error })));
+            return [BATCH_CSV_COLUMNS.join(',')]
+                .concat(rows.map(row => BATCH_CSV_COLUMNS.map(column => csvEscape(row[column])).join(',')))
+                .join('\n');
+        }
+        default:
+            throw new ConfigError(`Unsupported output format: ${format}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    getFileRole,
+    pairDirectory,
+    loadManifest,
+    rankPools,
+    runBatch,
+    formatBatchReport
+};
@@ -0,0 +1,162 @@
+// Shell completion scripts for bash, zsh and fish
+// Generated from the command and option tables in args.js, so new commands and options
+// complete without touching this file. Commands are only recognized as the first argument,
+// as in the parser.
+
+const { CLI_NAME, DEFAULT_COMMAND, OPTIONS, COMMANDS, getCommandOptions } = require('./args');
+const { RISK_LEVELS, ConfigError } = require('../lib');
+
+const SHELLS = ['bash', 'zsh', 'fish'];
+
+// Words an option value completes to, or null for free text
+function getValueWords(spec) {
+    if (spec.type === 'choice') return spec.choices;
+    if (spec.type === 'level') return RISK_LEVELS;
+    return null;
+}
+
+function getPositionalWords(positional) {
+    if (positional.choices) return positional.choices;
+    if (positional.key === 'helpCommand') return Object.keys(COMMANDS);
+    return null;
+}
+
+function optionFlags(commandName) {
+    return getCommandOptions(commandName).map(name => `--${name}`).join(' ');
+}
+
+function bashScript(functionName) {
+    const commands = Object.keys(COMMANDS);
+    const valueCases = [];
+    const byKind = { file: [], dir: [], free: [] };
+    Object.entries(OPTIONS).forEach(([name, spec]) => {
+        if (spec.type === 'flag') return;
+        const words = getValueWords(spec);
+        if (words) {
+            valueCases.push(`        --${name}) COMPREPLY=($(compgen -W "${words.join(' ')}" -- "$cur")); return ;;`);
+        } else if (spec.type === 'path') {
+            byKind[spec.value === 'dir' ? 'dir' : 'file'].push(`--${name}`);
+        } else {
+            byKind.free.push(`--${name}`);
+        }
+    });
+    const positionalCases = commands.map(name => {
+        const positional = (COMMANDS[name].positionals || [])[0];
+        if (!positional) return null;
+        const words = getPositionalWords(positional);
+        return words
+            ? `            ${name}) COMPREPLY=($(compgen -W "${words.join(' ')}" -- "$cur")) ;;`
+            : `            ${name}) COMPREPLY=($(compgen -f -- "$cur")) ;;`;
+    }).filter(Boolean);
+
+    return [
+        `${functionName}() {`,
+        '    local cur="${COMP_WORDS[COMP_CWORD]}" prev="${COMP_WORDS[COMP_CWORD-1]}"',
+        `    local command=${DEFAULT_COMMAND}`,
+        '    if [[ ${COMP_CWORD} -gt 1 ]]; then',
+        '        case "${COMP_WORDS[1]}" in',
+        `            ${commands.join('|')}) command="\${COMP_WORDS[1]}" ;;`,
+        '        esac',
+        '    fi',
+        '',
+        '    case "$prev" in',
+        `        ${byKind.file.join('|')}) COMPREPLY=($(compgen -f -- "$cur")); return ;;`,
+        `        ${byKind.dir.join('|')}) COMPREPLY=($(compgen -d -- "$cur")); return ;;`,
+        ...valueCases,
+        `        ${byKind.free.join('|')}) return ;;`,
+        '    esac',
+        '',
+        '    if [[ "$cur" == -* ]]; then',
+        '        local options',
+        '        case "$command" in',
+        ...commands.map(name => `            ${name}) options="${optionFlags(name)}" ;;`),
+        '        esac',
+        '        COMPREPLY=($(compgen -W "$options" -- "$cur"))',
+        '    elif [[ ${COMP_CWORD} -eq 1 ]]; then',
+        `        COMPREPLY=($(compgen -W "${commands.join(' ')}" -- "$cur"))`,
+        '    else',
+        '        case "$command" in',
+        ...positionalCases,
+        '        esac',
+        '    fi',
+        '}',
+        `complete -o filenames -F ${functionName} ${CLI_NAME}`
+    ].join('\n');
+}
+
+function fishQuote(text) {
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function fishScript() {
+    const commands = Object.keys(COMMANDS);
+    const lines = [
+        `# fish completion for ${CLI_NAME}`,
+        `# Save as ~/.config/fish/completions/${CLI_NAME}.fish`,
+        `complete -c ${CLI_NAME} -f`
+    ];
+    commands.forEach(name => {
+        lines.push(`complete -c ${CLI_NAME} -n __fish_use_subcommand -a ${name} -d ${fishQuote(COMMANDS[name].summary)}`);
+    });
+
+    // Options of the default command also apply before any command is typed
+    const condition = (users) => {
+        if (!users.includes(DEFAULT_COMMAND)) return `__fish_seen_subcommand_from ${users.join(' ')}`;
+        const others = commands.filter(name => !users.includes(name));
+        return others.length > 0 ? `not __fish_seen_subcommand_from ${others.join(' ')}` : null;
+    };
+    Object.entries(OPTIONS).forEach(([name, spec]) => {
+        const users = commands.filter(command => getCommandOptions(command).includes(name));
+        if (users.length === 0) return;
+        const parts = [`complete -c ${CLI_NAME}`];
+        const when = condition(users);
+        if (when) parts.push(`-n ${fishQuote(when)}`);
+        if (spec.alias) parts.push(`-s ${spec.alias}`);
+        parts.push(`-l ${name}`);
+        const words = getValueWords(spec);
+        if (words) parts.push(`-x -a ${fishQuote(words.join(' '))}`);
+        else if (spec.type === 'path') parts.push('-r -F');
+        else if (spec.type !== 'flag') parts.push('-x');
+        parts.push(`-d ${fishQuote(spec.description)}`);
+        lines.push(parts.join(' '));
+    });
+
+    commands.forEach(name => {
+        const positional = (COMMANDS[name].positionals || [])[0];
+        if (!positional) return;
+        const words = getPositionalWords(positional);
+        lines.push(`complete -c ${CLI_NAME} -n ${fishQuote(`__fish_seen_subcommand_from ${name}`)} ${words ? `-a ${fishQuote(words.join(' '))}` : '-F'}`);
+    });
+    return lines.join('\n');
+}
+
+// Completion script for `shell`
+function generateCompletionScript(shell) {
+    const functionName = `_${CLI_NAME.replace(/-/g, '_')}`;
+    switch (shell) {
+        case 'bash':
+            return [
+                `# bash completion for ${CLI_NAME}`,
+                `# Load with: source <(${CLI_NAME} completion bash)`,
+                bashScript(functionName)
+            ].join('\n');
+        case 'zsh':
+            // zsh runs the bash function through its bash completion emulation
+            return [
+                `#compdef ${CLI_NAME}`,
+                `# zsh completion for ${CLI_NAME}`,
+                `# Load with: source <(${CLI_NAME} completion zsh)`,
+                'autoload -U +X bashcompinit && bashcompinit',
+                bashScript(functionName)
+            ].join('\n');
+        case 'fish':
+            return fishScript();
+        default:
+            throw new ConfigError(`Unknown shell: ${shell} (expected ${SHELLS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    SHELLS,
+    generateCompletionScript
+};
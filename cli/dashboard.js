@@ -0,0 +1,447 @@
+// Terminal dashboard - full-screen, keyboard-driven view of one pool
+// The model (selection, inversion, panels) and rendering are plain functions over a state
+// object; runDashboard() only wires them to a raw-mode TTY. Moving the window edges
+// recomputes the TWAP and the risk rules over the selected observations right away.
+
+const readline = require('readline');
+const {
+    analyzeRisk,
+    checkSqrtPriceConsistency,
+    tickToPriceFloat,
+    sqrtPriceX64ToPriceFloat,
+    resolvePricePair,
+    readObservationRing,
+    getIntervalTicks,
+    computeTickStats,
+    resolveRules,
+    InsufficientDataError,
+    ConfigError
+} = require('../lib');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const MIN_COLUMNS = 60;
+const MIN_ROWS = 20;
+const PAGE_STEP = 10;
+const DETAIL_LINES = 4;
+
+const ANSI = {
+    enterScreen: '\x1b[?1049h\x1b[?25l',
+    leaveScreen: '\x1b[?25h\x1b[?1049l',
+    home: '\x1b[H\x1b[2J',
+    bold: (text) => `\x1b[1m${text}\x1b[22m`,
+    dim: (text) => `\x1b[2m${text}\x1b[22m`,
+    inverse: (text) => `\x1b[7m${text}\x1b[27m`
+};
+
+const LEVEL_STYLES = {
+    LOW: (text) => `\x1b[32m${text}\x1b[39m`,
+    MEDIUM: (text) => `\x1b[33m${text}\x1b[39m`,
+    HIGH: (text) => `\x1b[35m${text}\x1b[39m`,
+    CRITICAL: (text) => `\x1b[31m${text}\x1b[39m`
+};
+
+function formatTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatSpan(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const rest = seconds % 60;
+    return [hours ? `${hours}h` : '', minutes ? `${minutes}m` : '', rest || seconds === 0 ? `${rest}s` : ''].join('');
+}
+
+function formatPrice(value) {
+    return Number.isFinite(value) ? value.toPrecision(8) : String(value);
+}
+
+// Pads or cuts plain text (no escape codes) to exactly `width` characters
+function fit(text, width) {
+    const chars = Array.from(text);
+    return chars.length > width ? chars.slice(0, width - 1).join('') + '…' : text + ' '.repeat(width - chars.length);
+}
+
+// Same for a line made of [text, style] segments; styles wrap the visible part of each segment
+function fitSegments(segments, width) {
+    let remaining = width;
+    const parts = segments.map(([text, style]) => {
+        const chars = Array.from(text);
+        const visible = chars.length > remaining ? chars.slice(0, Math.max(remaining - 1, 0)).join('') + (remaining > 0 ? '…' : '') : text;
+        remaining -= Math.min(chars.length, remaining);
+        return visible && style ? style(visible) : visible;
+    });
+    return parts.join('') + ' '.repeat(remaining);
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Initial state: the whole history selected, the end edge active, the observation list open.
+// Options: invert, quote, tokenRegistry, rules (resolved rule set), strict, poolId.
+function createDashboard(poolState, obsState, options = {}) {
+    const observations = readObservationRing(obsState, { strict: options.strict }).observations;
+    if (observations.length < 2) {
+        throw new InsufficientDataError('Need at least 2 valid observations for the dashboard');
+    }
+
+    const decimals0 = parseInt(poolState.mint_decimals_0.data);
+    const decimals1 = parseInt(poolState.mint_decimals_1.data);
+    const pair = resolvePricePair(poolState, options);
+
+    // Spot price in pool orientation, from sqrt_price_x64 unless it disagrees with tick_current
+    const sqrtPriceX64 = poolState.sqrt_price_x64?.data;
+    const useSqrtPrice = sqrtPriceX64 !== undefined && sqrtPriceX64 !== null &&
+        checkSqrtPriceConsistency(poolState.tick_current.data, sqrtPriceX64).consistent;
+    const spotPoolPrice = useSqrtPrice
+        ? sqrtPriceX64ToPriceFloat(sqrtPriceX64, decimals0, decimals1)
+        : tickToPriceFloat(parseInt(poolState.tick_current.data), decimals0, decimals1);
+
+    const model = {
+        poolId: options.poolId || obsState.pool_id?.data || null,
+        observations: observations,
+        intervals: getIntervalTicks(observations),
+        decimals0: decimals0,
+        decimals1: decimals1,
+        pair: pair,
+        baseLabel: pair.label,
+        flippedLabel: `${pair.quoteSymbol}/${pair.baseSymbol}`,
+        inverted: pair.inverted,
+        rules: options.rules || resolveRules(),
+        spotPoolPrice: spotPoolPrice,
+        start: 0,
+        end: observations.length - 1,
+        activeEdge: 'end',
+        panel: 'observations',
+        cursor: { observations: observations.length - 1, factors: 0 },
+        selection: null
+    };
+    recompute(model);
+    return model;
+}
+
+// TWAP, spot deviation, tick statistics and risk rules over observations[start..end]
+function recompute(model) {
+    const selected = model.observations.slice(model.start, model.end + 1);
+    const first = selected[0];
+    const last = selected[selected.length - 1];
+    const seconds = last.block_timestamp - first.block_timestamp;
+    const twapTick = Number(BigInt(last.tick_cumulative) - BigInt(first.tick_cumulative)) / seconds;
+    const twapPoolPrice = tickToPriceFloat(twapTick, model.decimals0, model.decimals1);
+    const priceDiffPercent = Math.abs((twapPoolPrice - model.spotPoolPrice) / model.spotPoolPrice * 100);
+
+    const stats = computeTickStats(selected, { inverted: model.inverted });
+    model.selection = {
+        startTime: first.block_timestamp,
+        endTime: last.block_timestamp,
+        seconds: seconds,
+        observationCount: selected.length,
+        twapTick: twapTick,
+        twapPrice: model.inverted ? 1 / twapPoolPrice : twapPoolPrice,
+        spotPrice: model.inverted ? 1 / model.spotPoolPrice : model.spotPoolPrice,
+        priceDiffPercent: priceDiffPercent,
+        stats: stats,
+        analysis: analyzeRisk({
+            priceDiffPercent: priceDiffPercent,
+            timePeriodHours: seconds / 3600,
+            observations: selected,
+            stats: stats
+        }, model.rules)
+    };
+    model.cursor.factors = clamp(model.cursor.factors, 0, model.selection.analysis.rules.length - 1);
+    return model.selection;
+}
+
+// Moves the active edge by `step` observations, keeping at least one interval selected
+function moveEdge(model, step) {
+    if (model.activeEdge === 'start') {
+        model.start = clamp(model.start + step, 0, model.end - 1);
+    } else {
+        model.end = clamp(model.end + step, model.start + 1, model.observations.length - 1);
+    }
+    recompute(model);
+}
+
+function setEdge(model, index) {
+    if (model.activeEdge === 'start') {
+        model.start = clamp(index, 0, model.end - 1);
+    } else {
+        model.end = clamp(index, model.start + 1, model.observations.length - 1);
+    }
+    recompute(model);
+}
+
+function listLength(model) {
+    return model.panel === 'observations' ? model.observations.length : model.selection.analysis.rules.length;
+}
+
+// Applies one keypress (readline's { name, ctrl, sequence } shape). Returns false to quit.
+function handleKey(model, key) {
+    if (!key) return true;
+    if ((key.ctrl && key.name === 'c') || key.name === 'q' || key.name === 'escape') return false;
+
+    const name = key.name || key.sequence;
+    switch (name) {
+        case 'left':
+            moveEdge(model, -1);
+            break;
+        case 'right':
+            moveEdge(model, 1);
+            break;
+        case '[':
+            moveEdge(model, -PAGE_STEP);
+            break;
+        case ']':
+            moveEdge(model, PAGE_STEP);
+            break;
+        case 'tab':
+            model.activeEdge = model.activeEdge === 'start' ? 'end' : 'start';
+            break;
+        case 's':
+            model.activeEdge = 'start';
+            break;
+        case 'e':
+            model.activeEdge = 'end';
+            break;
+        case 'r':
+            model.start = 0;
+            model.end = model.observations.length - 1;
+            recompute(model);
+            break;
+        case 'i':
+            model.inverted = !model.inverted;
+            recompute(model);
+            break;
+        case 'o':
+            model.panel = 'observations';
+            break;
+        case 'f':
+            model.panel = 'factors';
+            break;
+        case 'up':
+        case 'down':
+        case 'pageup':
+        case 'pagedown':
+        case 'home':
+        case 'end': {
+            const steps = { up: -1, down: 1, pageup: -PAGE_STEP, pagedown: PAGE_STEP, home: -Infinity, end: Infinity };
+            const cursor = model.cursor[model.panel] + steps[name];
+            model.cursor[model.panel] = clamp(cursor, 0, listLength(model) - 1);
+            break;
+        }
+        case 'return':
+        case 'enter':
+            // Moves the active edge onto the highlighted observation
+            if (model.panel === 'observations') setEdge(model, model.cursor.observations);
+            break;
+    }
+    return true;
+}
+
+function priceLabel(model) {
+    return model.inverted === model.pair.inverted ? model.baseLabel : model.flippedLabel;
+}
+
+// One character per column: the interval price at that column's time, scaled between min and max
+function renderSparkline(model, width) {
+    const first = model.observations[0].block_timestamp;
+    const span = model.observations[model.observations.length - 1].block_timestamp - first;
+    const prices = model.intervals.map(interval => tickToPriceFloat(interval.tick, model.decimals0, model.decimals1, model.inverted));
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const column = (time) => clamp(Math.floor((time - first) / span * width), 0, width - 1);
+
+    let index = 0;
+    const chars = [];
+    for (let c = 0; c < width; c++) {
+        const time = first + (c + 0.5) / width * span;
+        while (index < model.intervals.length - 1 && model.intervals[index].endTime < time) index++;
+        const level = max > min ? Math.round((prices[index] - min) / (max - min) * (SPARK_CHARS.length - 1)) : 3;
+        chars.push(SPARK_CHARS[level]);
+    }
+
+    const startColumn = column(model.selection.startTime);
+    const endColumn = column(model.selection.endTime);
+    const line = fitSegments([
+        [chars.slice(0, startColumn).join(''), ANSI.dim],
+        [chars.slice(startColumn, endColumn + 1).join(''), ANSI.bold],
+        [chars.slice(endColumn + 1).join(''), ANSI.dim]
+    ], width);
+
+    const markers = Array.from({ length: width }, (_, c) => c > startColumn && c < endColumn ? '─' : ' ');
+    const edge = (edgeName) => model.activeEdge === edgeName ? ANSI.inverse('▲') : '▲';
+    const markerLine = markers.slice(0, startColumn).join('') + edge('start') +
+        (endColumn > startColumn ? markers.slice(startColumn + 1, endColumn).join('') + edge('end') : '') +
+        markers.slice(endColumn + 1).join('');
+
+    return { line, markerLine, min, max };
+}
+
+function observationRow(model, index, width) {
+    const observation = model.observations[index];
+    const interval = index > 0 ? model.intervals.find(item => item.endTime === observation.block_timestamp) : null;
+    const inSelection = index >= model.start && index <= model.end;
+    const outlier = interval && model.selection.stats.outliers.intervals.some(item => item.endTime === observation.block_timestamp);
+
+    const price = interval ? formatPrice(tickToPriceFloat(interval.tick, model.decimals0, model.decimals1, model.inverted)) : '';
+    const text = `${inSelection ? '│' : ' '} ${String(index).padStart(3)}  ${formatTime(observation.block_timestamp)}  ` +
+        `${String(observation.tick_cumulative).padStart(16)}  ${interval ? interval.tick.toFixed(2).padStart(10) : ''.padStart(10)}  ` +
+        `${price.padStart(14)}${outlier ? '  ⚠ outlier' : ''}`;
+    return fit(text, width);
+}
+
+function factorRow(model, index, width) {
+    const rule = model.selection.analysis.rules[index];
+    const mark = rule.triggered ? (rule.superseded ? '➖' : '🚩') : '✅';
+    return fit(`${mark} ${rule.id.padEnd(22)} ${rule.severity.padEnd(8)} ${rule.explanation}`, width);
+}
+
+function observationDetail(model, index) {
+    const observation = model.observations[index];
+    const lines = [`Observation ${index}: ${formatTime(observation.block_timestamp)} (${observation.block_timestamp}), tick_cumulative ${observation.tick_cumulative}`];
+    const interval = index > 0 ? model.intervals.find(item => item.endTime === observation.block_timestamp) : null;
+    if (interval) {
+        const price = tickToPriceFloat(interval.tick, model.decimals0, model.decimals1, model.inverted);
+        lines.push(`Interval from ${formatTime(interval.startTime)}: ${interval.seconds}s at average tick ${interval.tick.toFixed(4)}, price ${formatPrice(price)} ${priceLabel(model)}`);
+    } else {
+        lines.push('Oldest observation, no interval before it');
+    }
+    const outlier = model.selection.stats.outliers.intervals.find(item => item.endTime === observation.block_timestamp);
+    if (outlier) {
+        lines.push(`Outlier: tick change ${outlier.change.toFixed(2)}, modified z-score ${outlier.zScore.toFixed(2)}`);
+    }
+    lines.push(index >= model.start && index <= model.end ? 'Inside the selected window' : 'Outside the selected window (enter moves the active edge here)');
+    return lines;
+}
+
+function factorDetail(model, index) {
+    const rule = model.selection.analysis.rules[index];
+    const status = rule.triggered ? (rule.superseded ? 'triggered, superseded by a more specific rule' : 'triggered') : 'not triggered';
+    const lines = [
+        `${rule.id} [${rule.severity}], ${status}`,
+        rule.explanation,
+        `Value ${rule.value === null || rule.value === undefined ? 'n/a' : Number(rule.value).toFixed(4)} ${rule.operator} threshold ${rule.threshold} (${model.selection.analysis.profile} profile)`
+    ];
+    const definition = model.rules.rules.find(item => item.id === rule.id);
+    if (rule.triggered && definition && definition.warning) {
+        lines.push(`⚠️  ${definition.warning}`);
+    }
+    return lines;
+}
+
+// Screen lines for a terminal of `columns` × `rows`
+function renderDashboard(model, { columns, rows }) {
+    if (columns < MIN_COLUMNS || rows < MIN_ROWS) {
+        return [`Terminal too small (${columns}×${rows}), need at least ${MIN_COLUMNS}×${MIN_ROWS}. Press q to quit.`];
+    }
+
+    const width = columns - 1;
+    const selection = model.selection;
+    const analysis = selection.analysis;
+    const sparkline = renderSparkline(model, width);
+    const firstTime = model.observations[0].block_timestamp;
+    const lastTime = model.observations[model.observations.length - 1].block_timestamp;
+    const edgeStyle = (edgeName) => model.activeEdge === edgeName ? ANSI.inverse : null;
+    const panelStyle = (panel) => model.panel === panel ? ANSI.inverse : null;
+    const levelStyle = LEVEL_STYLES[analysis.level] || ((text) => text);
+
+    const lines = [
+        ANSI.bold(fit(`📊 TWAP dashboard · ${priceLabel(model)}${model.poolId ? ` · pool ${model.poolId}` : ''}`, width)),
+        fit(`max ${formatPrice(sparkline.max)}`, width),
+        sparkline.line,
+        sparkline.markerLine,
+        fit(`min ${formatPrice(sparkline.min)}`, width),
+        fit(`${formatTime(firstTime)}${' '.repeat(Math.max(width - 40, 1))}${formatTime(lastTime)}`, width),
+        '',
+        fitSegments([
+            ['Window '],
+            [formatTime(selection.startTime), edgeStyle('start')],
+            [' → '],
+            [formatTime(selection.endTime), edgeStyle('end')],
+            [` (${formatSpan(selection.seconds)}, ${selection.observationCount} observations)`]
+        ], width),
+        fit(`TWAP ${formatPrice(selection.twapPrice)} ${priceLabel(model)} (tick ${selection.twapTick.toFixed(4)}) · spot ${formatPrice(selection.spotPrice)} · Δ ${selection.priceDiffPercent.toFixed(4)}%`, width),
+        fitSegments([
+            ['Risk '],
+            [analysis.level, (text) => levelStyle(ANSI.bold(text))],
+            [` (${analysis.confidence}% confidence) · ${analysis.factors.join(', ')}`]
+        ], width),
+        fit(`Volatility ${selection.stats.volatility.annualizedPercent.toFixed(2)}% annualized · outliers ${selection.stats.outliers.count} · max drawdown ${selection.stats.priceSwings.maxDrawdownPercent.toFixed(2)}% · run-up ${selection.stats.priceSwings.maxRunupPercent.toFixed(2)}%`, width),
+        '',
+        fitSegments([[' [o] Observations ', panelStyle('observations')], [' '], [' [f] Risk factors ', panelStyle('factors')]], width)
+    ];
+
+    if (model.panel === 'observations') {
+        lines.push(ANSI.dim(fit(`    #  ${'time (UTC)'.padEnd(19)}  ${'tick_cumulative'.padStart(16)}  ${'avg tick'.padStart(10)}  ${'price'.padStart(14)}`, width)));
+    }
+
+    // The list takes whatever height is left above the detail pane and the key help
+    const listHeight = rows - lines.length - DETAIL_LINES - 3;
+    const length = listLength(model);
+    const cursor = model.cursor[model.panel];
+    const top = clamp(cursor - Math.floor(listHeight / 2), 0, Math.max(length - listHeight, 0));
+    const row = model.panel === 'observations' ? observationRow : factorRow;
+    for (let index = top; index < top + listHeight; index++) {
+        if (index >= length) {
+            lines.push('');
+            continue;
+        }
+        const text = row(model, index, width);
+        lines.push(index === cursor ? ANSI.inverse(text) : text);
+    }
+
+    lines.push(ANSI.dim('─'.repeat(width)));
+    const detail = model.panel === 'observations' ? observationDetail(model, cursor) : factorDetail(model, cursor);
+    for (let i = 0; i < DETAIL_LINES; i++) {
+        lines.push(fit(detail[i] || '', width));
+    }
+    lines.push('');
+    lines.push(ANSI.dim(fit('←/→ move edge  [ ] ×10  tab/s/e pick edge  r reset  i invert  ↑/↓ select  enter set edge  o/f panel  q quit', width)));
+    return lines;
+}
+
+// Runs the dashboard on a TTY until q / Esc / Ctrl+C. Streams default to process.stdin/stdout.
+function runDashboard(poolState, obsState, options = {}, streams = {}) {
+    const input = streams.input || process.stdin;
+    const output = streams.output || process.stdout;
+    if (!input.isTTY || !output.isTTY) {
+        return Promise.reject(new ConfigError('The dashboard needs an interactive terminal'));
+    }
+
+    const model = createDashboard(poolState, obsState, options);
+    const draw = () => {
+        const lines = renderDashboard(model, { columns: output.columns || 80, rows: output.rows || 24 });
+        output.write(ANSI.home + lines.join('\n'));
+    };
+
+    return new Promise((resolve) => {
+        const onKeypress = (str, key) => {
+            if (handleKey(model, key || { name: str, sequence: str })) {
+                draw();
+                return;
+            }
+            input.removeListener('keypress', onKeypress);
+            output.removeListener('resize', draw);
+            input.setRawMode(false);
+            input.pause();
+            output.write(ANSI.leaveScreen);
+            resolve(model);
+        };
+
+        readline.emitKeypressEvents(input);
+        input.setRawMode(true);
+        input.resume();
+        input.on('keypress', onKeypress);
+        output.on('resize', draw);
+        output.write(ANSI.enterScreen);
+        draw();
+    });
+}
+
+module.exports = {
+    createDashboard,
+    recompute,
+    handleKey,
+    renderDashboard,
+    runDashboard
+};
@@ -0,0 +1,167 @@
+// Data providers - where PoolState / ObservationState come from
+// Every provider has the same shape: { label, load() } where load() resolves to
+// { poolState, obsState, warnings }. The CLI picks one from its options instead of
+// branching on every input method itself.
+
+const fs = require('fs');
+const { parseAccount, decodeAccount, ConfigError, withContext } = require('../lib');
+const { createRpcClient } = require('./rpc_client');
+
+// Reads an account file in any format parseAccount understands
+function readAccountFile(filePath, accountName) {
+    try {
+        if (!fs.existsSync(filePath)) {
+            throw new ConfigError(`File not found: ${filePath}`);
+        }
+        return parseAccount(fs.readFileSync(filePath), accountName);
+    } catch (error) {
+        throw withContext(error, `Error loading file ${filePath}`);
+    }
+}
+
+// Reads a file holding either account: the discriminator tells them apart in binary and base64
+// data, the ring buffer in JSON (which has no discriminator). Returns { accountName, account }.
+function readAnyAccountFile(filePath) {
+    let lastError;
+    for (const accountName of ['ObservationState', 'PoolState']) {
+        try {
+            const account = readAccountFile(filePath, accountName);
+            if (accountName === 'ObservationState' && !account.observations) continue;
+            return { accountName: accountName, account: account };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+function createFileProvider({ poolFile, obsFile }) {
+    return {
+        label: '📁 Loading data from files...',
+        async load() {
+            return {
+                poolState: readAccountFile(poolFile, 'PoolState'),
+                obsState: readAccountFile(obsFile, 'ObservationState'),
+                warnings: []
+            };
+        }
+    };
+}
+
+function createInlineProvider({ poolJson, obsJson }) {
+    return {
+        label: '📝 Parsing JSON data...',
+        async load() {
+            try {
+                return {
+                    poolState: parseAccount(poolJson, 'PoolState'),
+                    obsState: parseAccount(obsJson, 'ObservationState'),
+                    warnings: []
+                };
+            } catch (error) {
+                throw withContext(error, 'Error parsing JSON');
+            }
+        }
+    };
+}
+
+// Prompts for both accounts; each answer may be a file path or inline data. Marked
+// `interactive` so the CLI can open the dashboard on the answers.
+function createInteractiveProvider(streams = {}) {
+    return {
+        label: null,
+        interactive: true,
+        load() {
+            const readline = require('readline');
+            const output = streams.output || process.stdout;
+            const rl = readline.createInterface({
+                input: streams.input || process.stdin,
+                output: output
+            });
+
+            const readInput = (answer, accountName) => {
+                const trimmed = answer.trim();
+                return fs.existsSync(trimmed) ? readAccountFile(trimmed, accountName) : parseAccount(answer, accountName);
+            };
+
+            return new Promise((resolve, reject) => {
+                output.write('📝 Interactive mode - please provide data:\n');
+                output.write('You can paste JSON data or provide file paths\n');
+
+                rl.question('🏊 PoolState (JSON or file path): ', (poolInput) => {
+                    rl.question('📊 ObservationState (JSON or file path): ', (obsInput) => {
+                        rl.close();
+
+                        try {
+                            resolve({
+                                poolState: readInput(poolInput, 'PoolState'),
+                                obsState: readInput(obsInput, 'ObservationState'),
+                                warnings: []
+                            });
+                        } catch (error) {
+                            reject(withContext(error, 'Error parsing input'));
+                        }
+                    });
+                });
+            });
+        }
+    };
+}
+
+// Fetches the pool account, then the ObservationState its observation_key points at
+function createRpcProvider({ url, pool, timeoutMs }) {
+    const client = createRpcClient(url, { timeoutMs: timeoutMs });
+
+    return {
+        label: `🌐 Fetching pool ${pool} from ${url}...`,
+        async load() {
+            const poolState = decodeAccount(await client.getAccountData(pool), 'PoolState');
+            const observationKey = poolState.observation_key.data;
+            const obsState = decodeAccount(await client.getAccountData(observationKey), 'ObservationState');
+
+            const warnings = [];
+            if (obsState.pool_id.data !== pool) {
+                warnings.push(`ObservationState ${observationKey} belongs to pool ${obsState.pool_id.data}, not ${pool}`);
+            }
+
+            return { poolState, obsState, warnings };
+        }
+    };
+}
+
+// Picks the provider matching the CLI options. A lone `rpc` is only the endpoint for `pool`
+// (e.g. from the config file), so it does not select the RPC provider by itself.
+function createProviderFromOptions(options) {
+    if (options.pool) {
+        if (!options.rpc) {
+            throw new ConfigError('--pool needs --rpc');
+        }
+        return createRpcProvider({ url: options.rpc, pool: options.pool });
+    }
+
+    if (options.poolFile && options.obsFile) {
+        return createFileProvider(options);
+    }
+    if (options.poolJson && options.obsJson) {
+        return createInlineProvider(options);
+    }
+
+    if (options.interactive) {
+        return createInteractiveProvider();
+    }
+
+    const hasDataOption = ['poolFile', 'obsFile', 'poolJson', 'obsJson'].some(key => options[key]);
+    throw new ConfigError(hasDataOption
+        ? 'Please provide both pool and observation data'
+        : 'No pool data: use --pool-file/--obs-file, --pool-json/--obs-json, --rpc/--pool or --interactive');
+}
+
+module.exports = {
+    readAccountFile,
+    readAnyAccountFile,
+    createFileProvider,
+    createInlineProvider,
+    createInteractiveProvider,
+    createRpcProvider,
+    createProviderFromOptions
+};
@@ -0,0 +1,18 @@
+// Durations as written in options, config files, manifests and query strings: plain seconds
+// ("300") or a number with an s/m/h/d suffix ("5m", "1h", "2d"). Callers report invalid values
+// with their own error type.
+
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)([smhd]?)$/;
+const MULTIPLIERS = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+
+// Whole seconds, or null when `value` is not a duration or rounds to less than one second.
+// `allowZero` accepts 0 for offsets and intervals where it has a meaning (--ago 0).
+function parseDurationSeconds(value, options = {}) {
+    const match = DURATION_PATTERN.exec(String(value ?? ''));
+    if (!match) return null;
+
+    const seconds = Math.round(parseFloat(match[1]) * MULTIPLIERS[match[2]]);
+    return seconds > 0 || (options.allowZero && seconds === 0) ? seconds : null;
+}
+
+module.exports = { parseDurationSeconds };
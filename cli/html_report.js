@@ -0,0 +1,256 @@
+// HTML report - one self-contained file per analysis
+// Inline CSS and SVG only (no scripts, fonts or CDN assets) so the file renders offline
+// and can be archived with incident tickets as is.
+
+const { getIntervalTicks, tickToPriceFloat, getTokenSymbol, formatDuration } = require('../lib');
+
+const CHART_WIDTH = 960;
+const CHART_HEIGHT = 380;
+const MARGIN = { top: 20, right: 150, bottom: 40, left: 90 };
+const LABEL_SPACING = 14;
+const WINDOW_COLORS = ['#7c3aed', '#0891b2', '#ca8a04', '#db2777', '#4b5563'];
+
+const LEVEL_COLORS = {
+    LOW: '#16a34a',
+    MEDIUM: '#ca8a04',
+    HIGH: '#ea580c',
+    CRITICAL: '#dc2626'
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatPrice(value) {
+    return Number.isFinite(value) ? Number(value.toPrecision(6)).toString() : String(value);
+}
+
+function formatTime(timestamp, spanSeconds) {
+    const iso = new Date(timestamp * 1000).toISOString();
+    return spanSeconds > 86400 ? `${iso.slice(5, 10)} ${iso.slice(11, 16)}` : iso.slice(11, 19);
+}
+
+// Intervals of the series the analysis flagged: outlying tick changes and the largest price swing
+function getFlaggedIntervals(result) {
+    const flagged = (result.stats?.outliers.intervals || []).map(item => ({
+        startTime: item.startTime,
+        endTime: item.endTime,
+        label: `Outlier (z ${item.zScore.toFixed(1)})`
+    }));
+
+    const swingRule = (result.manipulationAnalysis.rules || []).find(rule => rule.id === 'LARGE_PRICE_SWING');
+    if (swingRule && swingRule.triggered) {
+        const swings = result.stats.priceSwings;
+        const swing = swings.maxDrawdownPercent >= swings.maxRunupPercent ? swings.drawdown : swings.runup;
+        if (swing) flagged.push({ startTime: swing.fromTime, endTime: swing.toTime, label: 'Largest price swing' });
+    }
+    return flagged;
+}
+
+// Step chart of the per-interval average price with TWAP, window TWAP and spot price lines
+function renderPriceChart(result, intervals, decimals0, decimals1) {
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const inverted = result.pair.inverted;
+
+    const series = intervals.map(interval => ({
+        startTime: interval.startTime,
+        endTime: interval.endTime,
+        price: tickToPriceFloat(interval.tick, decimals0, decimals1, inverted)
+    }));
+    const windows = (result.windows || []).filter(window => !window.error);
+
+    const startTime = result.startTime;
+    const endTime = Math.max(result.endTime, ...windows.map(window => window.endTime));
+    const span = Math.max(endTime - startTime, 1);
+    const prices = series.map(point => point.price)
+        .concat([result.twapPrice, result.currentPrice], windows.map(window => window.twapPrice))
+        .filter(Number.isFinite);
+    let minPrice = Math.min(...prices);
+    let maxPrice = Math.max(...prices);
+    const padding = (maxPrice - minPrice) * 0.05 || Math.abs(maxPrice) * 0.01 || 1;
+    minPrice -= padding;
+    maxPrice += padding;
+
+    const x = (time) => MARGIN.left + (time - startTime) / span * plotWidth;
+    const y = (price) => MARGIN.top + (maxPrice - price) / (maxPrice - minPrice) * plotHeight;
+    const parts = [];
+
+    getFlaggedIntervals(result).forEach(item => {
+        const left = x(item.startTime);
+        parts.push(`<rect class="flagged" x="${left.toFixed(1)}" y="${MARGIN.top}" width="${Math.max(x(item.endTime) - left, 2).toFixed(1)}" height="${plotHeight}"><title>${escapeHtml(item.label)}: ${item.startTime} → ${item.endTime}</title></rect>`);
+    });
+
+    for (let i = 0; i <= 5; i++) {
+        const price = minPrice + (maxPrice - minPrice) * i / 5;
+        const top = y(price).toFixed(1);
+        parts.push(`<line class="grid" x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${top}" y2="${top}"/>`);
+        parts.push(`<text class="axis" x="${MARGIN.left - 8}" y="${top}" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatPrice(price))}</text>`);
+    }
+    for (let i = 0; i <= 5; i++) {
+        const time = Math.round(startTime + span * i / 5);
+        parts.push(`<text class="axis" x="${x(time).toFixed(1)}" y="${CHART_HEIGHT - MARGIN.bottom + 18}" text-anchor="middle">${escapeHtml(formatTime(time, span))}</text>`);
+    }
+    parts.push(`<rect class="frame" x="${MARGIN.left}" y="${MARGIN.top}" width="${plotWidth}" height="${plotHeight}"/>`);
+
+    if (series.length > 0) {
+        const path = series.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.startTime).toFixed(1)},${y(point.price).toFixed(1)} L${x(point.endTime).toFixed(1)},${y(point.price).toFixed(1)}`).join(' ');
+        parts.push(`<path class="series" d="${path}"/>`);
+    }
+
+    const labels = [];
+    const horizontal = (price, fromTime, toTime, color, label, dashed) => {
+        const top = y(price).toFixed(1);
+        parts.push(`<line x1="${x(fromTime).toFixed(1)}" x2="${x(toTime).toFixed(1)}" y1="${top}" y2="${top}" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="6 4"' : ''}><title>${escapeHtml(label)}: ${escapeHtml(formatPrice(price))}</title></line>`);
+        labels.push({ top: y(price), color: color, text: label });
+    };
+    horizontal(result.twapPrice, result.startTime, result.endTime, '#16a34a', 'TWAP (full range)');
+    windows.forEach((window, index) => {
+        horizontal(window.twapPrice, window.startTime, window.endTime, WINDOW_COLORS[index % WINDOW_COLORS.length], `TWAP ${formatDuration(window.windowSeconds)}`);
+    });
+    horizontal(result.currentPrice, startTime, endTime, '#dc2626', 'Spot', true);
+
+    // Legend labels right of the plot, pushed apart where lines are close together
+    let previous = -Infinity;
+    labels.sort((a, b) => a.top - b.top).forEach(label => {
+        const top = Math.max(label.top, previous + LABEL_SPACING);
+        parts.push(`<text x="${MARGIN.left + plotWidth + 6}" y="${top.toFixed(1)}" fill="${label.color}" class="label" dominant-baseline="middle">${escapeHtml(label.text)}</text>`);
+        previous = top;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Per-interval price and TWAP lines">${parts.join('')}</svg>`;
+}
+
+// Time-weighted tick histogram as horizontal bars
+function renderHistogram(histogram) {
+    const rowHeight = 18;
+    const labelWidth = 150;
+    const barWidth = CHART_WIDTH - labelWidth - 80;
+    const maxShare = Math.max(...histogram.buckets.map(bucket => bucket.share), 0.0001);
+
+    const rows = histogram.buckets.map((bucket, index) => {
+        const top = index * rowHeight;
+        const width = bucket.share / maxShare * barWidth;
+        return `<text class="axis" x="${labelWidth - 8}" y="${top + 13}" text-anchor="end">[${bucket.tickLower}, ${bucket.tickUpper})</text>`
+            + `<rect class="bar" x="${labelWidth}" y="${top + 3}" width="${width.toFixed(1)}" height="${rowHeight - 6}"><title>${bucket.seconds}s</title></rect>`
+            + `<text class="axis" x="${(labelWidth + width + 6).toFixed(1)}" y="${top + 13}">${(bucket.share * 100).toFixed(1)}%</text>`;
+    });
+    const height = Math.max(histogram.buckets.length * rowHeight, rowHeight);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="Time-weighted tick histogram">${rows.join('')}</svg>`;
+}
+
+// Swap sizes needed to move a window TWAP, from estimateManipulationCost()
+function renderManipulationCost(cost) {
+    const rows = cost.scenarios.map(scenario => {
+        const hold = `${scenario.direction} · hold ${(scenario.holdFraction * 100).toFixed(0)}% (${formatDuration(scenario.holdSeconds)})`;
+        if (!scenario.reachable) {
+            return `<tr><th>${escapeHtml(hold)}</th><td colspan="3">target tick ${scenario.targetTick} is outside the tick range</td></tr>`;
+        }
+        return `<tr><th>${escapeHtml(hold)}</th><td>tick ${scenario.targetTick} (price ${escapeHtml(scenario.targetPrice)})</td>`
+            + `<td>pay ${escapeHtml(scenario.tokenIn.amount)} ${escapeHtml(scenario.tokenIn.symbol)}</td>`
+            + `<td>lose ${escapeHtml(scenario.lossIfReverted.amount)} ${escapeHtml(scenario.lossIfReverted.symbol)} if reverted</td></tr>`;
+    });
+    return `<h2>Manipulation cost</h2>
+<p class="meta">Moving the ${formatDuration(cost.windowSeconds)} TWAP by ${cost.deviationPercent}% with in-range liquidity ${escapeHtml(cost.liquidity)}, assumed constant; fees and arbitrage not included.</p>
+<table>${rows.join('')}</table>`;
+}
+
+function renderTable(rows) {
+    return `<table>${rows.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+}
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1000px; color: #111827; }
+h1 { font-size: 1.5em; margin-bottom: 0.2em; }
+h2 { font-size: 1.15em; margin-top: 1.8em; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.3em; }
+.meta { color: #6b7280; font-size: 0.9em; }
+.level { display: inline-block; padding: 0.2em 0.7em; border-radius: 4px; color: #fff; font-weight: bold; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { text-align: left; padding: 0.35em 0.6em; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+th { color: #374151; white-space: nowrap; }
+td { font-family: Menlo, Consolas, monospace; word-break: break-all; }
+.triggered td { color: #b91c1c; }
+svg { width: 100%; height: auto; }
+svg .grid { stroke: #f3f4f6; }
+svg .frame { fill: none; stroke: #d1d5db; }
+svg .series { fill: none; stroke: #2563eb; stroke-width: 1.5; }
+svg .flagged { fill: #f97316; fill-opacity: 0.2; }
+svg .bar { fill: #2563eb; fill-opacity: 0.7; }
+svg .axis { font-size: 11px; fill: #6b7280; }
+svg .label { font-size: 12px; }
+`;
+
+// Complete HTML document for a computeTwap() result. `observations` are the observations
+// the result was computed from (oldest first); options: tokenRegistry, poolId, generatedAt.
+function renderHtmlReport(result, poolState, observations, options = {}) {
+    const decimals0 = parseInt(poolState.mint_decimals_0.data);
+    const decimals1 = parseInt(poolState.mint_decimals_1.data);
+    const analysis = result.manipulationAnalysis;
+    const generatedAt = options.generatedAt || new Date().toISOString();
+    const symbol = (mint) => mint ? `${getTokenSymbol(options.tokenRegistry, mint)} (${mint})` : 'N/A';
+
+    const poolRows = [
+        ['Pair', result.pair.label],
+        ['Pool', options.poolId || 'N/A'],
+        ['Token 0', symbol(poolState.token_mint_0?.data)],
+        ['Token 1', symbol(poolState.token_mint_1?.data)],
+        ['Decimals', `${decimals0} / ${decimals1}`],
+        ['Current tick', poolState.tick_current?.data],
+        ['Sqrt price X64', poolState.sqrt_price_x64?.data ?? 'N/A'],
+        ['Liquidity', poolState.liquidity?.data ?? 'N/A'],
+        ['Observations', `${result.observationCount} from ${new Date(result.startTime * 1000).toISOString()} to ${new Date(result.endTime * 1000).toISOString()} (${result.timePeriodHours.toFixed(2)} h)`]
+    ];
+    const priceRows = [
+        ['TWAP (full range)', `${result.twapPriceDecimal} (tick ${result.twapTick.toFixed(4)})`],
+        ...(result.windows || []).map(window => [
+            `TWAP ${formatDuration(window.windowSeconds)}`,
+            window.error ? window.error : `${window.twapPriceDecimal} (tick ${window.twapTick.toFixed(4)})`
+        ]),
+        ['Spot', `${result.currentPriceDecimal} (from ${result.currentPriceSource})`],
+        ['TWAP/spot difference', `${result.priceDifferencePercent.toFixed(4)}%`]
+    ];
+    if (result.stats) {
+        priceRows.push(
+            ['Realized volatility', `${result.stats.volatility.annualizedPercent.toFixed(2)}% annualized`],
+            ['Max drawdown / run-up', `${result.stats.priceSwings.maxDrawdownPercent.toFixed(4)}% / ${result.stats.priceSwings.maxRunupPercent.toFixed(4)}%`]
+        );
+    }
+
+    const ruleRows = (analysis.rules || []).map(rule => `<tr class="${rule.triggered && !rule.superseded ? 'triggered' : ''}"><th>${escapeHtml(rule.id)}</th><td>${escapeHtml(rule.severity)}</td><td>${rule.triggered ? (rule.superseded ? 'superseded' : 'triggered') : 'ok'}</td><td>${escapeHtml(rule.explanation)}</td></tr>`).join('');
+    const findings = result.dataQuality.findings.map(item => `<tr><th>${escapeHtml(item.code)}</th><td>${escapeHtml(item.severity)}</td><td>${escapeHtml(item.message)}</td></tr>`).join('');
+    const intervals = getIntervalTicks(observations);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>TWAP report ${escapeHtml(result.pair.label)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>TWAP report: ${escapeHtml(result.pair.label)}</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt)}</p>
+<p><span class="level" style="background:${LEVEL_COLORS[analysis.level]}">${escapeHtml(analysis.level)}</span> confidence ${escapeHtml(analysis.confidence)}% · ${escapeHtml(analysis.factors.join(', '))}${analysis.warning ? ` · ${escapeHtml(analysis.warning)}` : ''}</p>
+<h2>Price per interval</h2>
+<p class="meta">Average price of each interval between observations (${escapeHtml(result.pair.label)}), TWAP lines over their windows, spot price dashed, flagged intervals shaded.</p>
+${renderPriceChart(result, intervals, decimals0, decimals1)}
+<h2>Prices</h2>
+${renderTable(priceRows)}
+<h2>Pool</h2>
+${renderTable(poolRows)}
+<h2>Manipulation analysis (${escapeHtml(analysis.profile || 'default')} profile)</h2>
+<table>${ruleRows}</table>
+<ul>${analysis.recommendations.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+${result.manipulationCost ? renderManipulationCost(result.manipulationCost) : ''}
+${result.stats ? `<h2>Time-weighted tick histogram</h2>\n${renderHistogram(result.stats.histogram)}` : ''}
+${findings ? `<h2>Data quality</h2>\n<table>${findings}</table>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport };
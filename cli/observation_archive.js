@@ -0,0 +1,221 @@
+// Observation archive - history beyond the 100-slot ring buffer
+// Every pool gets one append-only JSON-lines file (<archive dir>/<pool_id>.jsonl) of
+// { block_timestamp, tick_cumulative } records. Repeated ObservationState snapshots are
+// merged into it by timestamp, and the archive can be presented as an ObservationState
+// so the regular TWAP code computes windows longer than a single snapshot covers.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIN_TICK, MAX_TICK, readObservationRing, DecodeError, ValidationError, DataQualityError } = require('../lib');
+
+const DEFAULT_ARCHIVE_DIR = path.join(os.homedir(), '.twap-cli', 'archive');
+
+// Pool ids are base58 pubkeys; anything else must not become a file name
+const POOL_ID_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+function finding(severity, code, message) {
+    return { severity: severity, code: code, message: message };
+}
+
+function getArchivePath(archiveDir, poolId) {
+    if (!POOL_ID_PATTERN.test(poolId || '')) {
+        throw new ValidationError(`Invalid pool id for archive: ${poolId}`);
+    }
+    return path.join(archiveDir, `${poolId}.jsonl`);
+}
+
+function getPoolId(observationState) {
+    const poolId = observationState.pool_id?.data ?? observationState.pool_id;
+    if (!poolId) {
+        throw new ValidationError('ObservationState has no pool_id, cannot archive it', { field: 'pool_id' });
+    }
+    return poolId;
+}
+
+// Average tick implied between two observations is outside the valid tick range
+function isDiscontinuous(older, newer) {
+    const impliedTick = Number(newer.tick_cumulative - older.tick_cumulative) / (newer.block_timestamp - older.block_timestamp);
+    return impliedTick < MIN_TICK || impliedTick > MAX_TICK;
+}
+
+// Index of the first observation with block_timestamp >= timestamp
+function lowerBound(observations, timestamp) {
+    let low = 0;
+    let high = observations.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (observations[mid].block_timestamp < timestamp) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+// Reads a pool's archive. Returns { path, observations (oldest first), findings }; a missing
+// archive is simply empty.
+function loadArchive(archiveDir, poolId) {
+    const filePath = getArchivePath(archiveDir, poolId);
+    const findings = [];
+    const byTimestamp = new Map();
+
+    if (fs.existsSync(filePath)) {
+        fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+
+            let observation;
+            try {
+                const record = JSON.parse(line);
+                observation = { block_timestamp: Number(record.block_timestamp), tick_cumulative: BigInt(record.tick_cumulative) };
+                if (!Number.isInteger(observation.block_timestamp) || observation.block_timestamp <= 0) {
+                    throw new DecodeError(`invalid block_timestamp ${JSON.stringify(record.block_timestamp)}`);
+                }
+            } catch (error) {
+                findings.push(finding('error', 'MALFORMED_ENTRY', `archive line ${index + 1} is unreadable: ${error.message}`));
+                return;
+            }
+
+            const existing = byTimestamp.get(observation.block_timestamp);
+            if (!existing) {
+                byTimestamp.set(observation.block_timestamp, observation);
+            } else if (existing.tick_cumulative !== observation.tick_cumulative) {
+                findings.push(finding('error', 'ARCHIVE_CONFLICT', `archive line ${index + 1} repeats timestamp ${observation.block_timestamp} with a different tick_cumulative (kept the first)`));
+            }
+        });
+    }
+
+    const observations = Array.from(byTimestamp.values()).sort((a, b) => a.block_timestamp - b.block_timestamp);
+    return { path: filePath, observations: observations, findings: findings };
+}
+
+// Changes whenever the pool's archive file is written: its mtime and size, or 'none' while
+// there is no archive. Cheap enough to check on every request.
+function getArchiveVersion(archiveDir, observationState) {
+    const filePath = getArchivePath(archiveDir, getPoolId(observationState));
+    try {
+        const stat = fs.statSync(filePath);
+        return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 'none';
+        throw error;
+    }
+}
+
+// Merges snapshot observations into archived ones without touching either array.
+// Returns { observations (merged, oldest first), added, duplicates, findings }: observations
+// already archived are counted as duplicates, ones that conflict with the archive or break
+// cumulative continuity against their archived neighbours are rejected and reported.
+function mergeObservations(archived, incoming) {
+    const merged = archived.slice();
+    const added = [];
+    const findings = [];
+    let duplicates = 0;
+
+    for (const item of incoming) {
+        const observation = { block_timestamp: item.block_timestamp, tick_cumulative: item.tick_cumulative };
+        const index = lowerBound(merged, observation.block_timestamp);
+        const existing = merged[index];
+
+        if (existing && existing.block_timestamp === observation.block_timestamp) {
+            if (existing.tick_cumulative === observation.tick_cumulative) {
+                duplicates++;
+            } else {
+                findings.push(finding('error', 'ARCHIVE_CONFLICT', `timestamp ${observation.block_timestamp} is archived with tick_cumulative ${existing.tick_cumulative}, snapshot has ${observation.tick_cumulative}`));
+            }
+            continue;
+        }
+
+        const older = merged[index - 1];
+        if ((older && isDiscontinuous(older, observation)) || (existing && isDiscontinuous(observation, existing))) {
+            findings.push(finding('error', 'CUMULATIVE_DISCONTINUITY', `observation at ${observation.block_timestamp} does not continue the archived tick_cumulative and was not archived`));
+            continue;
+        }
+
+        merged.splice(index, 0, observation);
+        added.push(observation);
+    }
+
+    return { observations: merged, added: added, duplicates: duplicates, findings: findings };
+}
+
+// Appends the new observations of a snapshot to its pool's archive.
+// Returns { poolId, path, added, duplicates, total, oldest, newest, findings }; with
+// `options.strict` nothing is written when any error-level finding comes up.
+function archiveSnapshot(archiveDir, observationState, options = {}) {
+    const poolId = getPoolId(observationState);
+    const ring = readObservationRing(observationState);
+    const archive = loadArchive(archiveDir, poolId);
+    const merge = mergeObservations(archive.observations, ring.observations);
+    const findings = ring.findings.concat(archive.findings, merge.findings);
+
+    if (options.strict) {
+        const errors = findings.filter(item => item.severity === 'error');
+        if (errors.length > 0) {
+            throw new DataQualityError(`Snapshot not archived (${errors.length} error${errors.length === 1 ? '' : 's'}): ${errors.map(item => item.message).join('; ')}`, { findings: findings });
+        }
+    }
+
+    if (merge.added.length > 0) {
+        const lines = merge.added
+            .map(observation => JSON.stringify({ block_timestamp: observation.block_timestamp, tick_cumulative: observation.tick_cumulative.toString() }) + '\n')
+            .join('');
+        fs.mkdirSync(archiveDir, { recursive: true });
+        fs.appendFileSync(archive.path, lines);
+    }
+
+    const observations = merge.observations;
+    return {
+        poolId: poolId,
+        path: archive.path,
+        added: merge.added.length,
+        duplicates: merge.duplicates,
+        total: observations.length,
+        oldest: observations.length > 0 ? observations[0].block_timestamp : null,
+        newest: observations.length > 0 ? observations[observations.length - 1].block_timestamp : null,
+        findings: findings
+    };
+}
+
+// ObservationState-shaped view of a list of observations (oldest first), readable by
+// readObservationRing like an on-chain account
+function toObservationState(poolId, observations) {
+    return {
+        source: 'archive',
+        pool_id: { type: 'pubkey', data: poolId },
+        observation_index: { type: 'u32', data: observations.length - 1 },
+        observations: {
+            type: { array: [{ defined: { name: 'Observation' } }, observations.length] },
+            data: observations.map(observation => ({
+                block_timestamp: observation.block_timestamp,
+                tick_cumulative: observation.tick_cumulative.toString()
+            }))
+        }
+    };
+}
+
+// Archive of the snapshot's pool with the live snapshot merged in (in memory only).
+// Returns { obsState, archivedCount, findings }.
+function loadArchivedObservationState(archiveDir, observationState) {
+    const poolId = getPoolId(observationState);
+    const archive = loadArchive(archiveDir, poolId);
+    const merge = mergeObservations(archive.observations, readObservationRing(observationState).observations);
+
+    return {
+        obsState: toObservationState(poolId, merge.observations),
+        archivedCount: archive.observations.length,
+        findings: archive.findings.concat(merge.findings)
+    };
+}
+
+module.exports = {
+    DEFAULT_ARCHIVE_DIR,
+    getArchivePath,
+    loadArchive,
+    getArchiveVersion,
+    mergeObservations,
+    archiveSnapshot,
+    toObservationState,
+    loadArchivedObservationState
+};
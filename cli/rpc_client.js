@@ -0,0 +1,76 @@
+// Minimal Solana JSON-RPC client
+// Only what the analysis needs (account reads), on top of Node's http/https so the
+// CLI keeps running without third-party packages.
+
+const http = require('http');
+const https = require('https');
+const { ConfigError, RpcError } = require('../lib/errors');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function createRpcClient(url, options = {}) {
+    const endpoint = new URL(url);
+    const transport = endpoint.protocol === 'https:' ? https : endpoint.protocol === 'http:' ? http : null;
+    if (!transport) {
+        throw new ConfigError(`Unsupported RPC URL protocol: ${endpoint.protocol}`);
+    }
+
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    let nextId = 1;
+
+    function call(method, params = []) {
+        const body = JSON.stringify({ jsonrpc: '2.0', id: nextId++, method: method, params: params });
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                timeout: timeoutMs
+            }, response => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        reject(new RpcError(`RPC ${method} failed with HTTP ${response.statusCode}: ${text.slice(0, 200)}`, { statusCode: response.statusCode }));
+                        return;
+                    }
+
+                    let payload;
+                    try {
+                        payload = JSON.parse(text);
+                    } catch (error) {
+                        reject(new RpcError(`RPC ${method} returned invalid JSON: ${error.message}`, { cause: error }));
+                        return;
+                    }
+
+                    if (payload.error) {
+                        reject(new RpcError(`RPC ${method} error ${payload.error.code}: ${payload.error.message}`, { rpcCode: payload.error.code }));
+                        return;
+                    }
+                    resolve(payload.result);
+                });
+            });
+
+            request.on('timeout', () => request.destroy(new RpcError(`RPC ${method} timed out after ${timeoutMs} ms`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    // Raw account data as a Buffer (throws when the account does not exist)
+    async function getAccountData(address) {
+        const result = await call('getAccountInfo', [address, { encoding: 'base64' }]);
+        if (!result || !result.value) {
+            throw new RpcError(`Account not found: ${address}`, { address: address });
+        }
+        return Buffer.from(result.value.data[0], 'base64');
+    }
+
+    return { url: url, call, getAccountData };
+}
+
+module.exports = { createRpcClient };
@@ -0,0 +1,385 @@
+// HTTP oracle service - TWAP and risk over a small local JSON API
+// Pools come from a manifest (see batch.js) or, with an RPC URL, any pool address. Each pool's
+// data source is re-read at most every `refreshMs`, and analyses are cached until the pool's
+// newest observation (or its spot price) or its observation archive changes, so repeated
+// queries cost nothing between observation updates. Built on Node's http module only.
+//
+//   GET  /health                         liveness, pool count, cache counters
+//   GET  /pools                          configured pools
+//   GET  /pools/:id/twap?window=5m&...   TWAP, spot price and window TWAPs
+//   GET  /pools/:id/risk                 manipulation analysis, tick statistics, data quality
+//   POST /analyze                        full result document for posted accounts
+
+const http = require('http');
+const { parseDurationSeconds } = require('./duration');
+const {
+    parseAccount,
+    readObservationRing,
+    buildResultDocument,
+    bigIntReplacer,
+    RESULT_SCHEMA_VERSION,
+    TwapError,
+    DecodeError,
+    ValidationError,
+    InsufficientDataError,
+    DataQualityError,
+    TickRangeError,
+    ConfigError,
+    RpcError
+} = require('../lib');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+// Raydium writes an observation at most every 15 seconds
+const DEFAULT_REFRESH_MS = 15000;
+const DEFAULT_CACHE_SIZE = 500;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Query parameters that change the analysis (and so the cache key)
+const QUERY_SETTINGS = ['window', 'invert', 'quote', 'profile'];
+
+// Error class -> HTTP status; anything else is a 500
+const ERROR_STATUS = [
+    [ConfigError, 400],
+    [DecodeError, 422],
+    [ValidationError, 422],
+    [InsufficientDataError, 422],
+    [DataQualityError, 422],
+    [TickRangeError, 422],
+    [RpcError, 502]
+];
+
+// Thrown inside request handlers for a specific status (404, 405, 413, ...)
+class HttpError extends TwapError {}
+HttpError.code = 'HTTP_ERROR';
+
+// Seconds from a `window` query value or body number: "300", "5m", "1h", "2d", 300
+function parseWindow(value) {
+    const seconds = parseDurationSeconds(value);
+    if (seconds === null) {
+        throw new ConfigError(`Invalid window: ${value} (expected a positive duration, e.g. 300, 5m, 1h)`);
+    }
+    return seconds;
+}
+
+function parseFlag(value) {
+    return value === '' || value === '1' || value === 'true';
+}
+
+// Analysis settings from the query string (or a POST body with the same keys)
+function readSettings(get, getAll) {
+    const settings = {};
+    const windows = getAll('window').concat(getAll('windows'));
+    if (windows.length > 0) settings.windows = windows.map(parseWindow);
+    if (get('invert') !== undefined) settings.invert = typeof get('invert') === 'boolean' ? get('invert') : parseFlag(String(get('invert')));
+    if (get('quote')) settings.quote = String(get('quote'));
+    if (get('profile')) settings.profile = String(get('profile'));
+    return settings;
+}
+
+function settingsFromQuery(searchParams) {
+    for (const key of searchParams.keys()) {
+        if (!QUERY_SETTINGS.includes(key)) {
+            throw new ConfigError(`Unknown query parameter: ${key} (expected ${QUERY_SETTINGS.join(', ')})`);
+        }
+    }
+    return readSettings(key => searchParams.has(key) ? searchParams.get(key) : undefined, key => searchParams.getAll(key));
+}
+
+function settingsFromBody(body) {
+    const toList = value => value === undefined ? [] : (Array.isArray(value) ? value : [value]);
+    return readSettings(key => body[key], key => toList(body[key]));
+}
+
+// Identifies a snapshot: the newest observation plus the spot price, which swaps move
+// between two observation writes
+function getSnapshotFingerprint(poolState, obsState) {
+    const ring = readObservationRing(obsState);
+    const newest = ring.observations[ring.observations.length - 1];
+    const spot = poolState.sqrt_price_x64?.data ?? poolState.tick_current?.data;
+    return newest ? `${newest.block_timestamp}:${newest.tick_cumulative}:${spot}` : `empty:${spot}`;
+}
+
+// Wraps a provider so it is re-read at most every `refreshMs`; concurrent requests share one load.
+// Options: source (description listed by /pools), settings (analysis settings of the pool), refreshMs.
+function createPoolSource(id, provider, options = {}) {
+    const refreshMs = options.refreshMs ?? DEFAULT_REFRESH_MS;
+    let snapshot = null;
+    let loadedAt = 0;
+    let pending = null;
+
+    return {
+        id: id,
+        source: options.source,
+        settings: options.settings || {},
+        load() {
+            if (snapshot && Date.now() - loadedAt < refreshMs) return Promise.resolve(snapshot);
+            if (!pending) {
+                pending = provider.load()
+                    .then(loaded => {
+                        snapshot = Object.assign({}, loaded, { fingerprint: getSnapshotFingerprint(loaded.poolState, loaded.obsState) });
+                        loadedAt = Date.now();
+                        return snapshot;
+                    })
+                    .finally(() => {
+                        pending = null;
+                    });
+            }
+            return pending;
+        }
+    };
+}
+
+// Results keyed by pool and settings, valid while the snapshot fingerprint is unchanged.
+// Oldest entries are evicted beyond `maxEntries`.
+function createResultCache(maxEntries = DEFAULT_CACHE_SIZE) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0 };
+
+    return {
+        stats: stats,
+        get size() {
+            return entries.size;
+        },
+        get(key, fingerprint) {
+            const entry = entries.get(key);
+            if (entry && entry.fingerprint === fingerprint) {
+                stats.hits++;
+                return entry.result;
+            }
+            stats.misses++;
+            return undefined;
+        },
+        set(key, fingerprint, result) {
+            entries.delete(key);
+            entries.set(key, { fingerprint: fingerprint, result: result });
+            if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        }
+    };
+}
+
+function twapDocument(poolId, document) {
+    return {
+        schemaVersion: RESULT_SCHEMA_VERSION,
+        poolId: poolId,
+        generatedAt: document.generatedAt,
+        observationTime: document.window.endTime,
+        pair: document.pair,
+        twap: document.twap,
+        currentPrice: document.currentPrice,
+        currentPriceDecimal: document.currentPriceDecimal,
+        currentPriceSource: document.currentPriceSource,
+        priceDifferencePercent: document.priceDifferencePercent,
+        window: document.window,
+        windows: document.windows
+    };
+}
+
+function riskDocument(poolId, document) {
+    return {
+        schemaVersion: RESULT_SCHEMA_VERSION,
+        poolId: poolId,
+        generatedAt: document.generatedAt,
+        observationTime: document.window.endTime,
+        pair: document.pair,
+        priceDifferencePercent: document.priceDifferencePercent,
+        manipulationAnalysis: document.manipulationAnalysis,
+        stats: document.stats,
+        dataQuality: document.dataQuality
+    };
+}
+
+function sendJson(response, status, body, headers = {}) {
+    const text = JSON.stringify(body, bigIntReplacer);
+    response.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text),
+        'Cache-Control': 'no-store'
+    }, headers));
+    response.end(text);
+}
+
+function getErrorStatus(error) {
+    if (error instanceof HttpError) return error.statusCode;
+    // The RPC client names the address when the account does not exist
+    if (error instanceof RpcError && error.address) return 404;
+    const match = ERROR_STATUS.find(([ErrorClass]) => error instanceof ErrorClass);
+    return match ? match[1] : 500;
+}
+
+// An oversized body is rejected without destroying the socket, so the 413 response still
+// reaches the client; the rest of the body is drained and discarded.
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                request.removeListener('data', onData);
+                request.resume();
+                chunks.length = 0;
+                reject(new HttpError(`Request body exceeds ${MAX_BODY_BYTES} bytes`, { statusCode: 413, closeConnection: true }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        request.on('data', onData);
+        request.on('end', () => {
+            if (size > MAX_BODY_BYTES) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(`Request body is not valid JSON: ${error.message}`, { statusCode: 400, cause: error }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+// Account from a POST body field: any form parseAccount understands, as an object or a string
+function readBodyAccount(body, keys, accountName) {
+    const key = keys.find(name => body[name] !== undefined && body[name] !== null);
+    if (!key) {
+        throw new ConfigError(`Request body needs ${keys[0]} (${accountName})`);
+    }
+    const value = body[key];
+    return parseAccount(typeof value === 'string' ? value : JSON.stringify(value), accountName);
+}
+
+// config: { listPools() -> [source], findPool(id) -> source | null, analyze(poolState, obsState,
+//           settings) -> result, dataVersion(obsState, settings) -> string, cacheSize,
+//           onRequest({ method, path, status, ms, cache }) }
+// Sources are createPoolSource() objects; `settings` passed to analyze are the pool's settings
+// with the query's settings on top (POST /analyze: the body's settings only). `dataVersion`
+// (optional) names data analyze reads besides the snapshot, such as the observation archive;
+// cached results are dropped when it changes.
+function createOracleServer(config) {
+    const cache = createResultCache(config.cacheSize);
+    const startedAt = Date.now();
+
+    async function analyzePool(poolId, settings) {
+        const source = config.findPool(poolId);
+        if (!source) {
+            throw new HttpError(`Unknown pool: ${poolId}`, { statusCode: 404 });
+        }
+
+        const snapshot = await source.load();
+        const poolSettings = Object.assign({}, source.settings, settings);
+        const key = JSON.stringify([source.id, settings]);
+        const fingerprint = config.dataVersion
+            ? `${snapshot.fingerprint}:${config.dataVersion(snapshot.obsState, poolSettings)}`
+            : snapshot.fingerprint;
+        const cached = cache.get(key, fingerprint);
+        if (cached) return { document: cached, cache: 'HIT' };
+
+        const result = config.analyze(snapshot.poolState, snapshot.obsState, poolSettings);
+        const document = buildResultDocument(result);
+        cache.set(key, fingerprint, document);
+        return { document: document, cache: 'MISS' };
+    }
+
+    async function route(request, url) {
+        const poolRoute = /^\/pools\/([^/]+)\/(twap|risk)\/?$/.exec(url.pathname);
+        const allow = (methods) => {
+            if (!methods.includes(request.method)) {
+                throw new HttpError(`Method ${request.method} not allowed on ${url.pathname}`, { statusCode: 405, allow: methods.join(', ') });
+            }
+        };
+
+        if (url.pathname === '/health') {
+            allow(['GET', 'HEAD']);
+            return {
+                status: 200,
+                body: {
+                    status: 'ok',
+                    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+                    pools: config.listPools().length,
+                    cache: { entries: cache.size, hits: cache.stats.hits, misses: cache.stats.misses }
+                }
+            };
+        }
+
+        if (url.pathname === '/pools' || url.pathname === '/pools/') {
+            allow(['GET', 'HEAD']);
+            return { status: 200, body: { pools: config.listPools().map(pool => ({ id: pool.id, source: pool.source })) } };
+        }
+
+        if (poolRoute) {
+            allow(['GET', 'HEAD']);
+            let poolId;
+            try {
+                poolId = decodeURIComponent(poolRoute[1]);
+            } catch (error) {
+                throw new HttpError(`Malformed pool id in path: ${poolRoute[1]}`, { statusCode: 400, cause: error });
+            }
+            const { document, cache: cacheState } = await analyzePool(poolId, settingsFromQuery(url.searchParams));
+            const body = poolRoute[2] === 'twap' ? twapDocument(poolId, document) : riskDocument(poolId, document);
+            return { status: 200, body: body, headers: { 'X-Cache': cacheState }, cache: cacheState };
+        }
+
+        if (url.pathname === '/analyze') {
+            allow(['POST']);
+            const body = await readJsonBody(request);
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                throw new ConfigError('Request body must be a JSON object with poolState and observationState');
+            }
+            const poolState = readBodyAccount(body, ['poolState', 'pool'], 'PoolState');
+            const obsState = readBodyAccount(body, ['observationState', 'obsState', 'observation'], 'ObservationState');
+            const settings = Object.assign(settingsFromBody(body), { useArchive: false });
+            if (body.strict !== undefined) settings.strict = Boolean(body.strict);
+            const result = config.analyze(poolState, obsState, settings);
+            return { status: 200, body: buildResultDocument(result) };
+        }
+
+        throw new HttpError(`Not found: ${url.pathname}`, { statusCode: 404 });
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const started = Date.now();
+        let url;
+        let outcome;
+
+        try {
+            try {
+                url = new URL(request.url, 'http://localhost');
+            } catch (error) {
+                throw new HttpError(`Invalid request target: ${request.url}`, { statusCode: 400, cause: error });
+            }
+            outcome = await route(request, url);
+        } catch (error) {
+            const status = getErrorStatus(error);
+            outcome = {
+                status: status,
+                body: { error: { code: error.code || 'INTERNAL_ERROR', message: error.message } },
+                headers: error.allow ? { Allow: error.allow } : {}
+            };
+            // The unread rest of an oversized body must not be taken for the next request
+            if (error.closeConnection) outcome.headers.Connection = 'close';
+            if (error.findings) outcome.body.error.findings = error.findings;
+        }
+
+        if (request.method === 'HEAD') {
+            response.writeHead(outcome.status, outcome.headers);
+            response.end();
+        } else {
+            sendJson(response, outcome.status, outcome.body, outcome.headers);
+        }
+        if (config.onRequest) {
+            config.onRequest({ method: request.method, path: url ? url.pathname : request.url, status: outcome.status, ms: Date.now() - started, cache: outcome.cache });
+        }
+    });
+    server.cache = cache;
+    return server;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    DEFAULT_REFRESH_MS,
+    DEFAULT_CACHE_SIZE,
+    getSnapshotFingerprint,
+    createPoolSource,
+    createResultCache,
+    createOracleServer
+};
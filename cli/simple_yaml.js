@@ -0,0 +1,199 @@
+// Minimal YAML reader for manifests and config files
+// Covers the block subset these files need: nested maps and lists by indentation,
+// `- key: value` list items, inline `[a, b]` lists, quoted strings, numbers, booleans,
+// null and `#` comments. Anchors, multi-line strings and flow maps are not supported.
+
+const { ConfigError } = require('../lib/errors');
+
+function yamlError(line, message) {
+    return new ConfigError(`YAML line ${line.number}: ${message}`, { line: line.number });
+}
+
+// Drops a trailing `# comment` that is not inside quotes
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+function tokenize(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const number = index + 1;
+        const content = stripComment(raw).trimEnd();
+        if (!content.trim() || content.trim() === '---') return;
+
+        const indentText = content.match(/^[ \t]*/)[0];
+        if (indentText.includes('\t')) {
+            throw yamlError({ number }, 'tabs are not allowed for indentation');
+        }
+        lines.push({ number: number, indent: indentText.length, content: content.slice(indentText.length) });
+    });
+    return lines;
+}
+
+function isListItem(line) {
+    return line.content === '-' || line.content.startsWith('- ');
+}
+
+const KEY_PATTERN = /^([^\s'"[{#-][^:]*?|"[^"]*"|'[^']*'):(?:\s+(.*))?$/;
+
+function splitInlineList(text, line) {
+    const inner = text.slice(1, -1).trim();
+    if (!inner) return [];
+
+    const items = [];
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        const char = inner[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            throw yamlError(line, 'nested inline collections are not supported');
+        } else if (char === ',') {
+            items.push(inner.slice(start, i));
+            start = i + 1;
+        }
+    }
+    items.push(inner.slice(start));
+    return items.map(item => parseScalar(item.trim(), line));
+}
+
+// Double-quoted strings use JSON escapes
+function parseQuoted(text, line) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw yamlError(line, `invalid string ${text}`);
+    }
+}
+
+function parseScalar(text, line) {
+    if (text.startsWith('"')) {
+        if (!text.endsWith('"') || text.length < 2) throw yamlError(line, `unterminated string ${text}`);
+        return parseQuoted(text, line);
+    }
+    if (text.startsWith("'")) {
+        if (!text.endsWith("'") || text.length < 2) throw yamlError(line, `unterminated string ${text}`);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) throw yamlError(line, `unterminated list ${text}`);
+        return splitInlineList(text, line);
+    }
+    if (text.startsWith('{')) {
+        if (text === '{}') return {};
+        throw yamlError(line, 'inline maps are not supported');
+    }
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null' || text === '~') return null;
+    if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+function parseKey(text, line) {
+    return text.startsWith('"') ? parseQuoted(text, line) : text.startsWith("'") ? text.slice(1, -1) : text;
+}
+
+// Value of a `key:` or `-` line without inline value: the indented block below it (or null)
+function parseNested(lines, index, parentIndent) {
+    const next = lines[index];
+    if (next && next.indent > parentIndent) {
+        return parseBlock(lines, index, next.indent);
+    }
+    return [null, index];
+}
+
+function parseBlock(lines, index, indent) {
+    return isListItem(lines[index]) ? parseList(lines, index, indent) : parseMap(lines, index, indent);
+}
+
+function parseMap(lines, index, indent) {
+    const map = {};
+    while (index < lines.length && lines[index].indent === indent && !isListItem(lines[index])) {
+        const line = lines[index];
+        const match = line.content.match(KEY_PATTERN);
+        if (!match) {
+            throw yamlError(line, `expected "key: value", got ${line.content}`);
+        }
+
+        const key = parseKey(match[1].trim(), line);
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+            throw yamlError(line, `duplicate key ${key}`);
+        }
+
+        index++;
+        let value;
+        if (match[2] !== undefined && match[2] !== '') {
+            value = parseScalar(match[2], line);
+        } else if (lines[index] && lines[index].indent === indent && isListItem(lines[index])) {
+            // A list may sit at the same indentation as its key
+            [value, index] = parseList(lines, index, indent);
+        } else {
+            [value, index] = parseNested(lines, index, indent);
+        }
+        map[key] = value;
+    }
+
+    if (index < lines.length && lines[index].indent > indent) {
+        throw yamlError(lines[index], 'unexpected indentation');
+    }
+    return [map, index];
+}
+
+function parseList(lines, index, indent) {
+    const list = [];
+    while (index < lines.length && lines[index].indent === indent && isListItem(lines[index])) {
+        const line = lines[index];
+        const rest = line.content.slice(1).trimStart();
+
+        if (rest === '') {
+            const [value, next] = parseNested(lines, index + 1, indent);
+            list.push(value);
+            index = next;
+        } else if (KEY_PATTERN.test(rest)) {
+            // "- key: value" opens a map whose further keys line up with the first one.
+            // The dash line is rewritten in place as that first key; it is not read again.
+            const itemIndent = indent + line.content.length - rest.length;
+            lines[index] = { number: line.number, indent: itemIndent, content: rest };
+            const [value, next] = parseMap(lines, index, itemIndent);
+            list.push(value);
+            index = next;
+        } else {
+            list.push(parseScalar(rest, line));
+            index++;
+        }
+    }
+    return [list, index];
+}
+
+function parseYaml(text) {
+    const lines = tokenize(text);
+    if (lines.length === 0) return null;
+
+    if (lines.length === 1 && !isListItem(lines[0]) && !KEY_PATTERN.test(lines[0].content)) {
+        return parseScalar(lines[0].content, lines[0]);
+    }
+
+    const [value, index] = parseBlock(lines, 0, lines[0].indent);
+    if (index < lines.length) {
+        throw yamlError(lines[index], 'unexpected content');
+    }
+    return value;
+}
+
+module.exports = { parseYaml };
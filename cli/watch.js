@@ -0,0 +1,216 @@
+// Watch mode - continuous TWAP monitoring
+// Re-reads the data source on an interval, recomputes the TWAPs and raises alerts only
+// when the risk level or a deviation threshold changes state. Level changes are
+// debounced: a new level must persist for `debounceMs` before it is confirmed.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { exec } = require('child_process');
+const { RISK_LEVELS, bigIntReplacer, TwapError, withContext } = require('../lib');
+
+const DEFAULT_HISTORY_SIZE = 120;
+// Samples attached to each alert so receivers can see how the deviation evolved
+const ALERT_HISTORY_SAMPLES = 20;
+
+function percentDiff(value, reference) {
+    return (value - reference) / reference * 100;
+}
+
+// Compact per-poll record kept in the rolling history
+function buildSample(result) {
+    return {
+        time: new Date().toISOString(),
+        observationTime: result.endTime,
+        level: result.manipulationAnalysis.level,
+        factors: result.manipulationAnalysis.factors,
+        twapPrice: result.twapPrice,
+        currentPrice: result.currentPrice,
+        deviationPercent: percentDiff(result.twapPrice, result.currentPrice),
+        windows: (result.windows || []).filter(window => !window.error).map(window => ({
+            windowSeconds: window.windowSeconds,
+            twapPrice: window.twapPrice,
+            deviationPercent: percentDiff(window.twapPrice, result.currentPrice)
+        }))
+    };
+}
+
+// Largest absolute TWAP/spot deviation of a sample across the full range and all windows
+function getMaxDeviation(sample) {
+    return sample.windows.reduce((max, window) => Math.max(max, Math.abs(window.deviationPercent)), Math.abs(sample.deviationPercent));
+}
+
+// config: { provider, analyze(poolState, obsState) -> result, intervalMs, debounceMs,
+//           maxDeviationPercent, historySize, sinks: [async fn(alert)], onSample(sample), onError(error) }
+function createWatcher(config) {
+    const history = [];
+    const historySize = config.historySize || DEFAULT_HISTORY_SIZE;
+    const debounceMs = config.debounceMs || 0;
+    const state = {
+        confirmedLevel: 'LOW',
+        pendingLevel: null,
+        pendingSince: null,
+        deviationBreached: false,
+        polls: 0
+    };
+    let timer = null;
+    let stopped = false;
+    let stopWaiter = null;
+
+    async function emit(alert) {
+        alert.history = history.slice(-ALERT_HISTORY_SAMPLES);
+        for (const sink of config.sinks || []) {
+            try {
+                await sink(alert);
+            } catch (error) {
+                if (config.onError) config.onError(withContext(error, 'Alert sink failed'));
+            }
+        }
+    }
+
+    // Returns the alerts raised by this sample (level transitions, deviation threshold crossings)
+    function evaluate(sample, now) {
+        const alerts = [];
+
+        if (sample.level === state.confirmedLevel) {
+            state.pendingLevel = null;
+            state.pendingSince = null;
+        } else {
+            if (state.pendingLevel !== sample.level) {
+                state.pendingLevel = sample.level;
+                state.pendingSince = now;
+            }
+            if (now - state.pendingSince >= debounceMs) {
+                const escalated = RISK_LEVELS.indexOf(sample.level) > RISK_LEVELS.indexOf(state.confirmedLevel);
+                alerts.push({
+                    type: escalated ? 'RISK_ESCALATED' : 'RISK_RECOVERED',
+                    from: state.confirmedLevel,
+                    to: sample.level,
+                    sample: sample
+                });
+                state.confirmedLevel = sample.level;
+                state.pendingLevel = null;
+                state.pendingSince = null;
+            }
+        }
+
+        if (config.maxDeviationPercent !== undefined) {
+            const deviation = getMaxDeviation(sample);
+            const breached = deviation > config.maxDeviationPercent;
+            if (breached !== state.deviationBreached) {
+                alerts.push({
+                    type: breached ? 'DEVIATION_THRESHOLD_CROSSED' : 'DEVIATION_BACK_IN_RANGE',
+                    deviationPercent: deviation,
+                    thresholdPercent: config.maxDeviationPercent,
+                    sample: sample
+                });
+                state.deviationBreached = breached;
+            }
+        }
+
+        return alerts;
+    }
+
+    async function poll() {
+        state.polls++;
+        try {
+            const { poolState, obsState } = await config.provider.load();
+            const sample = buildSample(config.analyze(poolState, obsState));
+
+            history.push(sample);
+            if (history.length > historySize) history.shift();
+            if (config.onSample) config.onSample(sample);
+
+            for (const alert of evaluate(sample, Date.now())) {
+                await emit(alert);
+            }
+            return sample;
+        } catch (error) {
+            if (config.onError) config.onError(error);
+            return null;
+        }
+    }
+
+    // Polls until stop() is called or `iterations` polls have run; resolves when done
+    function start(iterations) {
+        return new Promise(resolve => {
+            const tick = async () => {
+                await poll();
+                if (stopped || (iterations && state.polls >= iterations)) {
+                    resolve();
+                    return;
+                }
+                timer = setTimeout(tick, config.intervalMs);
+            };
+            stopWaiter = resolve;
+            tick();
+        });
+    }
+
+    function stop() {
+        stopped = true;
+        if (timer) clearTimeout(timer);
+        if (stopWaiter) stopWaiter();
+    }
+
+    return { poll, start, stop, evaluate, history, state };
+}
+
+// Appends each alert as one JSON line
+function createNdjsonLogSink(filePath) {
+    return async (alert) => {
+        fs.appendFileSync(filePath, JSON.stringify(alert, bigIntReplacer) + '\n');
+    };
+}
+
+// POSTs each alert as JSON
+function createWebhookSink(url, timeoutMs = 10000) {
+    const endpoint = new URL(url);
+    const transport = endpoint.protocol === 'https:' ? https : http;
+
+    return (alert) => new Promise((resolve, reject) => {
+        const body = JSON.stringify(alert, bigIntReplacer);
+        const request = transport.request(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            timeout: timeoutMs
+        }, response => {
+            response.resume();
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new TwapError(`webhook returned HTTP ${response.statusCode}`, { statusCode: response.statusCode }));
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new TwapError(`webhook timed out after ${timeoutMs} ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Runs a shell command per alert; the alert JSON is on stdin and in $TWAP_ALERT
+function createCommandSink(command) {
+    return (alert) => new Promise((resolve, reject) => {
+        const payload = JSON.stringify(alert, bigIntReplacer);
+        const child = exec(command, { env: Object.assign({}, process.env, { TWAP_ALERT: payload }) }, error => {
+            if (error) {
+                reject(withContext(error, 'alert command failed'));
+            } else {
+                resolve();
+            }
+        });
+        child.stdin.on('error', () => {});
+        child.stdin.end(payload);
+    });
+}
+
+module.exports = {
+    DEFAULT_HISTORY_SIZE,
+    buildSample,
+    createWatcher,
+    createNdjsonLogSink,
+    createWebhookSink,
+    createCommandSink
+};
@@ -0,0 +1,356 @@
+// Raydium CLMM account decoder
+// Decodes raw PoolState / ObservationState account data (Anchor zero-copy, packed Borsh
+// layout behind an 8-byte discriminator) into the same {type, data} JSON shape the
+// Anchor IDL exporters produce, and normalizes the JSON forms the CLI accepts.
+
+const crypto = require('crypto');
+const { encodeBase58, decodeBase58 } = require('./base58');
+const { DecodeError } = require('./errors');
+
+const REWARD_INFO_LAYOUT = [
+    ['reward_state', 'u8'],
+    ['open_time', 'u64'],
+    ['end_time', 'u64'],
+    ['last_update_time', 'u64'],
+    ['emissions_per_second_x64', 'u128'],
+    ['reward_total_emissioned', 'u64'],
+    ['reward_claimed', 'u64'],
+    ['token_mint', 'pubkey'],
+    ['token_vault', 'pubkey'],
+    ['authority', 'pubkey'],
+    ['reward_growth_global_x64', 'u128']
+];
+
+const OBSERVATION_LAYOUT = [
+    ['block_timestamp', 'u32'],
+    ['tick_cumulative', 'i64'],
+    ['padding', { array: ['u64', 4] }]
+];
+
+const DEFINED_TYPES = {
+    RewardInfo: REWARD_INFO_LAYOUT,
+    Observation: OBSERVATION_LAYOUT
+};
+
+const ACCOUNT_LAYOUTS = {
+    PoolState: [
+        ['bump', { array: ['u8', 1] }],
+        ['amm_config', 'pubkey'],
+        ['owner', 'pubkey'],
+        ['token_mint_0', 'pubkey'],
+        ['token_mint_1', 'pubkey'],
+        ['token_vault_0', 'pubkey'],
+        ['token_vault_1', 'pubkey'],
+        ['observation_key', 'pubkey'],
+        ['mint_decimals_0', 'u8'],
+        ['mint_decimals_1', 'u8'],
+        ['tick_spacing', 'u16'],
+        ['liquidity', 'u128'],
+        ['sqrt_price_x64', 'u128'],
+        ['tick_current', 'i32'],
+        ['padding3', 'u16'],
+        ['padding4', 'u16'],
+        ['fee_growth_global_0_x64', 'u128'],
+        ['fee_growth_global_1_x64', 'u128'],
+        ['protocol_fees_token_0', 'u64'],
+        ['protocol_fees_token_1', 'u64'],
+        ['swap_in_amount_token_0', 'u128'],
+        ['swap_out_amount_token_1', 'u128'],
+        ['swap_in_amount_token_1', 'u128'],
+        ['swap_out_amount_token_0', 'u128'],
+        ['status', 'u8'],
+        ['padding', { array: ['u8', 7] }],
+        ['reward_infos', { array: [{ defined: { name: 'RewardInfo' } }, 3] }],
+        ['tick_array_bitmap', { array: ['u64', 16] }],
+        ['total_fees_token_0', 'u64'],
+        ['total_fees_claimed_token_0', 'u64'],
+        ['total_fees_token_1', 'u64'],
+        ['total_fees_claimed_token_1', 'u64'],
+        ['fund_fees_token_0', 'u64'],
+        ['fund_fees_token_1', 'u64'],
+        ['open_time', 'u64'],
+        ['recent_epoch', 'u64'],
+        ['padding1', { array: ['u64', 24] }],
+        ['padding2', { array: ['u64', 32] }]
+    ],
+    ObservationState: [
+        ['initialized', 'bool'],
+        ['recent_epoch', 'u64'],
+        ['observation_index', 'u16'],
+        ['pool_id', 'pubkey'],
+        ['observations', { array: [{ defined: { name: 'Observation' } }, 100] }],
+        ['padding', { array: ['u64', 4] }]
+    ]
+};
+
+const PRIMITIVE_SIZES = { bool: 1, u8: 1, u16: 2, u32: 4, i32: 4, u64: 8, i64: 8, u128: 16, pubkey: 32 };
+
+// Anchor account discriminator: first 8 bytes of sha256("account:<Name>")
+function getDiscriminator(accountName) {
+    return crypto.createHash('sha256').update(`account:${accountName}`).digest().subarray(0, 8);
+}
+
+function getTypeSize(type) {
+    if (typeof type === 'string') return PRIMITIVE_SIZES[type];
+    if (type.array) return getTypeSize(type.array[0]) * type.array[1];
+    if (type.defined) return getLayoutSize(DEFINED_TYPES[type.defined.name]);
+    throw new DecodeError(`Unknown type: ${JSON.stringify(type)}`);
+}
+
+function getLayoutSize(layout) {
+    return layout.reduce((size, [, type]) => size + getTypeSize(type), 0);
+}
+
+// Account size including the discriminator
+function getAccountSize(accountName) {
+    return 8 + getLayoutSize(ACCOUNT_LAYOUTS[accountName]);
+}
+
+function readUnsigned(buffer, offset, size) {
+    let value = 0n;
+    for (let i = size - 1; i >= 0; i--) {
+        value = (value << 8n) | BigInt(buffer[offset + i]);
+    }
+    return value;
+}
+
+// Values follow the IDL JSON conventions: u8/u32 and bool as JSON primitives, wider
+// integers (and u16/i32, as the exporters emit them) as decimal strings
+function readValue(buffer, cursor, type) {
+    if (typeof type === 'string') {
+        const offset = cursor.offset;
+        cursor.offset += PRIMITIVE_SIZES[type];
+        switch (type) {
+            case 'bool': return buffer[offset] !== 0;
+            case 'u8': return buffer.readUInt8(offset);
+            case 'u32': return buffer.readUInt32LE(offset);
+            case 'u16': return String(buffer.readUInt16LE(offset));
+            case 'i32': return String(buffer.readInt32LE(offset));
+            case 'u64': return buffer.readBigUInt64LE(offset).toString();
+            case 'i64': return buffer.readBigInt64LE(offset).toString();
+            case 'u128': return readUnsigned(buffer, offset, 16).toString();
+            case 'pubkey': return encodeBase58(buffer.subarray(offset, offset + 32));
+        }
+    }
+    if (type.array) {
+        const values = [];
+        for (let i = 0; i < type.array[1]; i++) {
+            values.push(readValue(buffer, cursor, type.array[0]));
+        }
+        return values;
+    }
+    if (type.defined) {
+        const struct = {};
+        for (const [name, fieldType] of DEFINED_TYPES[type.defined.name]) {
+            struct[name] = readValue(buffer, cursor, fieldType);
+        }
+        return struct;
+    }
+    throw new DecodeError(`Unknown type: ${JSON.stringify(type)}`);
+}
+
+function writeUnsigned(buffer, offset, size, value) {
+    let remaining = BigInt(value);
+    for (let i = 0; i < size; i++) {
+        buffer[offset + i] = Number(remaining & 0xffn);
+        remaining >>= 8n;
+    }
+}
+
+function writeValue(buffer, cursor, type, value) {
+    if (typeof type === 'string') {
+        const offset = cursor.offset;
+        cursor.offset += PRIMITIVE_SIZES[type];
+        switch (type) {
+            case 'bool': buffer[offset] = value === true || value === 'true' ? 1 : 0; return;
+            case 'u8': buffer.writeUInt8(Number(value), offset); return;
+            case 'u16': buffer.writeUInt16LE(Number(value), offset); return;
+            case 'u32': buffer.writeUInt32LE(Number(value), offset); return;
+            case 'i32': buffer.writeInt32LE(Number(value), offset); return;
+            case 'u64': buffer.writeBigUInt64LE(BigInt(value), offset); return;
+            case 'i64': buffer.writeBigInt64LE(BigInt(value), offset); return;
+            case 'u128': writeUnsigned(buffer, offset, 16, value); return;
+            case 'pubkey': {
+                const key = decodeBase58(value);
+                if (key.length > 32) throw new DecodeError(`Public key too long: ${value}`);
+                key.copy(buffer, offset + 32 - key.length);
+                return;
+            }
+        }
+    }
+    if (type.array) {
+        for (let i = 0; i < type.array[1]; i++) {
+            writeValue(buffer, cursor, type.array[0], value[i]);
+        }
+        return;
+    }
+    if (type.defined) {
+        for (const [name, fieldType] of DEFINED_TYPES[type.defined.name]) {
+            writeValue(buffer, cursor, fieldType, value[name]);
+        }
+        return;
+    }
+    throw new DecodeError(`Unknown type: ${JSON.stringify(type)}`);
+}
+
+// Name of the account whose discriminator the data starts with, or null
+function identifyAccount(data) {
+    for (const accountName of Object.keys(ACCOUNT_LAYOUTS)) {
+        if (data.length >= 8 && getDiscriminator(accountName).equals(data.subarray(0, 8))) {
+            return accountName;
+        }
+    }
+    return null;
+}
+
+// Decodes raw account bytes into {field: {type, data}} form
+function decodeAccount(data, accountName) {
+    const layout = ACCOUNT_LAYOUTS[accountName];
+    if (!layout) {
+        throw new DecodeError(`Unknown account type: ${accountName}`);
+    }
+
+    const actual = identifyAccount(data);
+    if (actual !== accountName) {
+        throw new DecodeError(actual
+            ? `Account data is ${actual}, expected ${accountName}`
+            : `Account data does not start with the ${accountName} discriminator`);
+    }
+
+    const size = getAccountSize(accountName);
+    if (data.length < size) {
+        throw new DecodeError(`${accountName} account data is ${data.length} bytes, expected ${size}`);
+    }
+
+    const cursor = { offset: 8 };
+    const account = {};
+    for (const [name, type] of layout) {
+        account[name] = { type: type, data: readValue(data, cursor, type) };
+    }
+    return account;
+}
+
+// Inverse of decodeAccount; accepts wrapped or flattened JSON
+function encodeAccount(account, accountName) {
+    const layout = ACCOUNT_LAYOUTS[accountName];
+    if (!layout) {
+        throw new DecodeError(`Unknown account type: ${accountName}`);
+    }
+
+    const normalized = normalizeAccountJson(account, accountName);
+    const data = Buffer.alloc(getAccountSize(accountName));
+    getDiscriminator(accountName).copy(data, 0);
+
+    const cursor = { offset: 8 };
+    for (const [name, type] of layout) {
+        if (!normalized[name]) {
+            throw new DecodeError(`Cannot encode ${accountName}: missing field ${name}`);
+        }
+        writeValue(data, cursor, type, normalized[name].data);
+    }
+    return data;
+}
+
+function isWrapped(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && 'data' in value;
+}
+
+const INTEGER_TYPES = new Set(['u8', 'u16', 'u32', 'i32', 'u64', 'i64', 'u128']);
+
+// JSON number or numeric string, as the exporters write integers. Anything else would only
+// fail later, as a SyntaxError or TypeError from BigInt().
+function isIntegerValue(value) {
+    if (typeof value === 'number') return Number.isInteger(value);
+    if (typeof value !== 'string' || !value.trim()) return false;
+    try {
+        BigInt(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Brings IDL-style ({field: {type, data}}) and flattened ({field: value}) JSON to the
+// IDL-style shape used throughout the calculator. Integer fields of the layout must hold
+// integers; null and missing fields are left to the calculation's own checks.
+function normalizeAccountJson(json, accountName) {
+    if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+        throw new DecodeError(`Expected a JSON object for ${accountName}`);
+    }
+
+    const types = Object.fromEntries(ACCOUNT_LAYOUTS[accountName] || []);
+    const normalized = {};
+    for (const [name, value] of Object.entries(json)) {
+        normalized[name] = isWrapped(value) ? value : { type: types[name], data: value };
+
+        const data = normalized[name].data;
+        if (INTEGER_TYPES.has(types[name]) && data !== null && data !== undefined && !isIntegerValue(data)) {
+            throw new DecodeError(`${accountName}.${name} must be an integer, got ${JSON.stringify(data)}`, { field: name });
+        }
+    }
+    return normalized;
+}
+
+// getAccountInfo / getMultipleAccounts style payloads: ["<base64>", "base64"]
+function extractEncodedData(json) {
+    if (Array.isArray(json) && json.length === 2 && typeof json[0] === 'string' && json[1] === 'base64') {
+        return json[0];
+    }
+    if (json && typeof json === 'object' && !Array.isArray(json)) {
+        const value = json.result?.value ?? json.value ?? json;
+        if (value && Array.isArray(value.data) && value.data[1] === 'base64') {
+            return value.data[0];
+        }
+    }
+    return null;
+}
+
+function looksBinary(buffer) {
+    return buffer.subarray(0, 512).some(byte => byte === 0) || identifyAccount(buffer) !== null;
+}
+
+// Auto-detects the input form: raw account bytes, base64 text, a JSON-encoded base64
+// string, a getAccountInfo response, or IDL-style / flattened JSON
+function parseAccountData(input, accountName) {
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+
+    if (looksBinary(buffer)) {
+        return decodeAccount(buffer, accountName);
+    }
+
+    const text = buffer.toString('utf8').trim();
+    if (/^[[{"]/.test(text)) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new DecodeError(`Invalid JSON: ${error.message}`);
+        }
+
+        if (typeof json === 'string') {
+            return decodeAccount(Buffer.from(json, 'base64'), accountName);
+        }
+        const encoded = extractEncodedData(json);
+        if (encoded !== null) {
+            return decodeAccount(Buffer.from(encoded, 'base64'), accountName);
+        }
+        return normalizeAccountJson(json, accountName);
+    }
+
+    if (/^[A-Za-z0-9+/=\s]+$/.test(text)) {
+        return decodeAccount(Buffer.from(text.replace(/\s+/g, ''), 'base64'), accountName);
+    }
+
+    throw new DecodeError(`Unrecognized ${accountName} input: expected JSON, base64 or raw account data`);
+}
+
+module.exports = {
+    ACCOUNT_LAYOUTS,
+    getDiscriminator,
+    getAccountSize,
+    identifyAccount,
+    decodeAccount,
+    encodeAccount,
+    normalizeAccountJson,
+    parseAccountData
+};
@@ -0,0 +1,414 @@
+// Backtesting of the manipulation heuristics on synthetic attack scenarios
+// Each run generates a per-second tick path for a pool (random-walk noise plus the scenario's
+// overlay), writes observations the way the program does (on swaps, at least 15 s apart) and
+// analyzes ObservationState snapshots with computeTwap() as a poller would. All randomness
+// comes from a seeded PRNG, so the same seed, pool and rules always give the same report.
+
+const { MIN_TICK, MAX_TICK, getSqrtPriceAtTick } = require('./tick_math');
+const { OBSERVATION_NUM } = require('./observation_buffer');
+const { computeTwap } = require('./twap');
+const { RISK_LEVELS, resolveRules } = require('./risk_rules');
+const { RESULT_SCHEMA_VERSION, bigIntReplacer, csvEscape } = require('./output_formats');
+const { ConfigError } = require('./errors');
+
+const DEFAULT_BACKTEST_SEED = 1;
+const DEFAULT_BACKTEST_RUNS = 20;
+// Lowest risk level that counts as a detection
+const DEFAULT_DETECT_LEVEL = 'MEDIUM';
+// Annualized volatility of the background random walk
+const DEFAULT_VOLATILITY_PERCENT = 80;
+
+// Swaps write an observation at most every 15 s; here one arrives every 15-25 s
+const MIN_OBSERVATION_INTERVAL = 15;
+const OBSERVATION_JITTER = 10;
+// After the ring buffer is full, snapshots are analyzed every SAMPLE_SECONDS for
+// EVALUATION_SECONDS. Attacks start halfway (plus a random phase), so the first half of
+// an attack run measures false alarms too.
+const SAMPLE_SECONDS = 15;
+const EVALUATION_SECONDS = 1800;
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+const BASE_TIMESTAMP = 1700000000;
+
+function percentToTicks(percent) {
+    return Math.log(1 + percent / 100) / Math.log(1.0001);
+}
+
+// Whether `t` lies in the `seconds` after the attack start
+function isActive(t, context, seconds) {
+    return t >= context.attackStart && t < context.attackStart + seconds;
+}
+
+// Scenarios: `overlay(t, context, params)` is the tick offset at second t on top of the noise;
+// `writes` (optional) returns false while no swaps happen, which also freezes the noise.
+// Benign scenarios (`attack: false`) count every detection as a false alarm.
+const SCENARIOS = [
+    {
+        id: 'baseline',
+        attack: false,
+        description: 'Random-walk noise only',
+        params: {},
+        overlay: () => 0
+    },
+    {
+        id: 'drift',
+        attack: false,
+        description: 'Steady organic drift of the price',
+        params: { percentPerHour: 10 },
+        overlay: (t, context, params) => percentToTicks(params.percentPerHour) * t / 3600
+    },
+    {
+        id: 'spike',
+        attack: true,
+        description: 'Single-block spike, reverted in the next block',
+        params: { percent: 30, seconds: 1 },
+        overlay: (t, context, params) => isActive(t, context, params.seconds) ? percentToTicks(params.percent) : 0
+    },
+    {
+        id: 'push',
+        attack: true,
+        description: 'Sustained multi-block push, ramped up and held, then released',
+        params: { percent: 10, rampSeconds: 60, seconds: 600 },
+        overlay: (t, context, params) => {
+            if (!isActive(t, context, params.seconds)) return 0;
+            return percentToTicks(params.percent) * Math.min(1, (t - context.attackStart + 1) / params.rampSeconds);
+        }
+    },
+    {
+        id: 'wash',
+        attack: true,
+        description: 'Wash-trading oscillation around the price',
+        params: { percent: 3, periodSeconds: 30, seconds: 600 },
+        overlay: (t, context, params) => {
+            if (!isActive(t, context, params.seconds)) return 0;
+            const phase = Math.floor((t - context.attackStart) / (params.periodSeconds / 2)) % 2;
+            return percentToTicks(params.percent) * (phase === 0 ? 1 : -1);
+        }
+    },
+    {
+        id: 'stale_gap',
+        attack: false,
+        description: 'No swaps (and no observations) for a while, then trading resumes at a moved price',
+        params: { percent: 5, seconds: 600 },
+        overlay: (t, context, params) => t >= context.attackStart + params.seconds ? percentToTicks(params.percent) : 0,
+        writes: (t, context, params) => !isActive(t, context, params.seconds)
+    }
+];
+
+const SCENARIOS_BY_ID = new Map(SCENARIOS.map(scenario => [scenario.id, scenario]));
+
+// mulberry32 - small, fast and good enough for simulations; `normal()` uses Box-Muller
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+    const normal = () => {
+        const u = 1 - next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+    };
+    return { next, normal };
+}
+
+// Seed of one run, derived from the backtest seed so runs and scenarios are independent
+function deriveSeed(seed, scenarioIndex, run) {
+    let value = (seed ^ Math.imul(scenarioIndex + 1, 0x9E3779B1) ^ Math.imul(run + 1, 0x85EBCA77)) >>> 0;
+    value = Math.imul(value ^ (value >>> 16), 0x45D9F3B) >>> 0;
+    return (value ^ (value >>> 16)) >>> 0;
+}
+
+// One synthetic history: per-second ticks and the observations written on them.
+// Returns { ticks, observations, writeTimes, evaluationStart, attackStart, end } with times
+// in seconds since the start of the run.
+function simulateRun(baseTick, scenario, params, random, options = {}) {
+    const tickSigma = (options.volatilityPercent ?? DEFAULT_VOLATILITY_PERCENT) / 100 / Math.sqrt(SECONDS_PER_YEAR) / Math.log(1.0001);
+
+    // Swap times; the buffer is full after OBSERVATION_NUM writes at regular activity
+    const swapTimes = [0];
+    while (swapTimes.length < OBSERVATION_NUM) {
+        swapTimes.push(swapTimes[swapTimes.length - 1] + MIN_OBSERVATION_INTERVAL + Math.floor(random.next() * (OBSERVATION_JITTER + 1)));
+    }
+    const evaluationStart = swapTimes[OBSERVATION_NUM - 1];
+    const end = evaluationStart + EVALUATION_SECONDS;
+    while (swapTimes[swapTimes.length - 1] < end) {
+        swapTimes.push(swapTimes[swapTimes.length - 1] + MIN_OBSERVATION_INTERVAL + Math.floor(random.next() * (OBSERVATION_JITTER + 1)));
+    }
+
+    const context = {
+        evaluationStart: evaluationStart,
+        attackStart: evaluationStart + EVALUATION_SECONDS / 2 + Math.floor(random.next() * SAMPLE_SECONDS)
+    };
+    const writes = (t) => !scenario.writes || scenario.writes(t, context, params);
+
+    const ticks = new Array(end + 1);
+    let noise = 0;
+    for (let t = 0; t <= end; t++) {
+        if (t > 0 && writes(t)) noise += random.normal() * tickSigma;
+        const tick = Math.round(baseTick + noise + scenario.overlay(t, context, params));
+        ticks[t] = Math.min(Math.max(tick, MIN_TICK), MAX_TICK);
+    }
+
+    // An observation at time w carries the cumulative of the ticks in effect before w
+    const observations = [];
+    const writeTimes = [];
+    let cumulative = 0n;
+    let nextSwap = 0;
+    for (let t = 0; t <= end; t++) {
+        if (t > 0) cumulative += BigInt(ticks[t - 1]);
+        if (t === swapTimes[nextSwap]) {
+            nextSwap++;
+            if (writes(t)) {
+                observations.push({ block_timestamp: BASE_TIMESTAMP + t, tick_cumulative: cumulative });
+                writeTimes.push(t);
+            }
+        }
+    }
+
+    return {
+        ticks: ticks,
+        observations: observations,
+        writeTimes: writeTimes,
+        evaluationStart: evaluationStart,
+        attackStart: context.attackStart,
+        end: end
+    };
+}
+
+// Accounts as a poller would read them at second t: the ring buffer holds the last
+// OBSERVATION_NUM observations, the pool the tick in effect at t
+function buildSnapshot(poolState, simulation, t) {
+    let count = 0;
+    while (count < simulation.writeTimes.length && simulation.writeTimes[count] <= t) count++;
+
+    const slots = new Array(OBSERVATION_NUM);
+    for (let slot = 0; slot < OBSERVATION_NUM; slot++) {
+        slots[slot] = { block_timestamp: 0, tick_cumulative: '0' };
+    }
+    for (let index = Math.max(0, count - OBSERVATION_NUM); index < count; index++) {
+        const observation = simulation.observations[index];
+        slots[index % OBSERVATION_NUM] = {
+            block_timestamp: observation.block_timestamp,
+            tick_cumulative: observation.tick_cumulative.toString()
+        };
+    }
+
+    const tick = simulation.ticks[t];
+    return {
+        poolState: Object.assign({}, poolState, {
+            tick_current: { type: 'i32', data: tick },
+            sqrt_price_x64: { type: 'u128', data: getSqrtPriceAtTick(tick).toString() }
+        }),
+        obsState: {
+            observation_index: { type: 'u16', data: (count - 1) % OBSERVATION_NUM },
+            observations: { type: { array: [{ defined: { name: 'Observation' } }, OBSERVATION_NUM] }, data: slots }
+        }
+    };
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function rate(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+// Runs every scenario `runs` times against the detector. Options: seed, runs, scenarios (ids),
+// params ({ scenarioId: { param: value } }), detectLevel, rules (resolved rule set),
+// volatilityPercent, onRun({ scenario, run }).
+// Per scenario the report gives the detection rate and time-to-detect (attack scenarios), and
+// the false-alarm rate: runs flagged before the attack started, or at all for benign scenarios.
+function runBacktest(poolState, options = {}) {
+    const seed = options.seed ?? DEFAULT_BACKTEST_SEED;
+    const runs = options.runs ?? DEFAULT_BACKTEST_RUNS;
+    const detectLevel = options.detectLevel || DEFAULT_DETECT_LEVEL;
+    const rules = options.rules || resolveRules();
+    const scenarioIds = options.scenarios && options.scenarios.length > 0 ? options.scenarios : SCENARIOS.map(scenario => scenario.id);
+
+    if (!Number.isInteger(runs) || runs < 1) {
+        throw new ConfigError(`Backtest runs must be a positive integer, got ${runs}`);
+    }
+    if (!RISK_LEVELS.includes(detectLevel)) {
+        throw new ConfigError(`Unknown detection level: ${detectLevel} (expected ${RISK_LEVELS.join(', ')})`);
+    }
+    scenarioIds.forEach(id => {
+        if (!SCENARIOS_BY_ID.has(id)) {
+            throw new ConfigError(`Unknown scenario: ${id} (expected ${SCENARIOS.map(scenario => scenario.id).join(', ')})`);
+        }
+    });
+
+    const baseTick = parseInt(poolState.tick_current.data);
+    const detectIndex = RISK_LEVELS.indexOf(detectLevel);
+
+    const scenarios = scenarioIds.map(id => {
+        const scenario = SCENARIOS_BY_ID.get(id);
+        const scenarioIndex = SCENARIOS.indexOf(scenario);
+        const params = Object.assign({}, scenario.params, options.params?.[id]);
+        const levels = Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+        const factors = {};
+        const detectionTimes = [];
+        let snapshots = 0;
+        let detectedRuns = 0;
+        let falseAlarmRuns = 0;
+        let falseAlarmSnapshots = 0;
+        let cleanSnapshots = 0;
+
+        for (let run = 0; run < runs; run++) {
+            const random = createRandom(deriveSeed(seed, scenarioIndex, run));
+            const simulation = simulateRun(baseTick, scenario, params, random, options);
+            let firstDetection = null;
+            let falseAlarm = false;
+
+            for (let t = simulation.evaluationStart; t <= simulation.end; t += SAMPLE_SECONDS) {
+                const { poolState: pool, obsState } = buildSnapshot(poolState, simulation, t);
+                const analysis = computeTwap(pool, obsState, { rules: rules }).manipulationAnalysis;
+                const flagged = RISK_LEVELS.indexOf(analysis.level) >= detectIndex;
+                // Before the attack (and throughout benign scenarios) every flag is a false alarm
+                const clean = !scenario.attack || t < simulation.attackStart;
+
+                snapshots++;
+                levels[analysis.level]++;
+                if (flagged) {
+                    analysis.factors.forEach(factor => {
+                        factors[factor] = (factors[factor] || 0) + 1;
+                    });
+                }
+                if (clean) {
+                    cleanSnapshots++;
+                    if (flagged) {
+                        falseAlarmSnapshots++;
+                        falseAlarm = true;
+                    }
+                } else if (flagged && firstDetection === null) {
+                    firstDetection = t - simulation.attackStart;
+                }
+            }
+
+            if (falseAlarm) falseAlarmRuns++;
+            if (firstDetection !== null) {
+                detectedRuns++;
+                detectionTimes.push(firstDetection);
+            }
+            if (options.onRun) options.onRun({ scenario: id, run: run });
+        }
+
+        return {
+            id: id,
+            description: scenario.description,
+            attack: scenario.attack,
+            params: params,
+            runs: runs,
+            snapshots: snapshots,
+            detectedRuns: scenario.attack ? detectedRuns : null,
+            detectionRate: scenario.attack ? rate(detectedRuns, runs) : null,
+            timeToDetect: detectionTimes.length > 0 ? {
+                meanSeconds: detectionTimes.reduce((sum, value) => sum + value, 0) / detectionTimes.length,
+                medianSeconds: median(detectionTimes),
+                maxSeconds: Math.max(...detectionTimes)
+            } : null,
+            falseAlarmRuns: falseAlarmRuns,
+            falseAlarmRate: rate(falseAlarmRuns, runs),
+            falseAlarmSnapshotRate: rate(falseAlarmSnapshots, cleanSnapshots),
+            levels: levels,
+            factors: factors
+        };
+    });
+
+    const attacks = scenarios.filter(scenario => scenario.attack);
+    return {
+        seed: seed,
+        runs: runs,
+        detectLevel: detectLevel,
+        profile: rules.profile,
+        volatilityPercent: options.volatilityPercent ?? DEFAULT_VOLATILITY_PERCENT,
+        sampleSeconds: SAMPLE_SECONDS,
+        scenarios: scenarios,
+        summary: {
+            detectionRate: rate(attacks.reduce((sum, scenario) => sum + scenario.detectedRuns, 0), attacks.length * runs),
+            falseAlarmRate: rate(scenarios.reduce((sum, scenario) => sum + scenario.falseAlarmRuns, 0), scenarios.length * runs)
+        }
+    };
+}
+
+function formatRate(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatBacktestText(report) {
+    const lines = [
+        `🧪 BACKTEST: ${report.runs} run(s) per scenario, seed ${report.seed}, ${report.profile} profile, detection at ${report.detectLevel}+`,
+        `Background volatility ${report.volatilityPercent}% annualized, snapshots every ${report.sampleSeconds}s`,
+        '',
+        `${'Scenario'.padEnd(12)}${'Type'.padEnd(8)}${'Detected'.padStart(10)}${'TTD median'.padStart(12)}${'False alarms'.padStart(14)}  Top factors`
+    ];
+
+    report.scenarios.forEach(scenario => {
+        const factors = Object.entries(scenario.factors)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([factor, count]) => `${factor} ×${count}`)
+            .join(', ');
+        const ttd = scenario.timeToDetect ? `${scenario.timeToDetect.medianSeconds}s` : '-';
+        lines.push(`${scenario.id.padEnd(12)}${(scenario.attack ? 'attack' : 'benign').padEnd(8)}${formatRate(scenario.detectionRate).padStart(10)}${ttd.padStart(12)}${formatRate(scenario.falseAlarmRate).padStart(14)}  ${factors || '-'}`);
+    });
+
+    lines.push('');
+    lines.push(`Attack runs detected: ${formatRate(report.summary.detectionRate)}, runs with false alarms: ${formatRate(report.summary.falseAlarmRate)}`);
+    return lines.join('\n');
+}
+
+const BACKTEST_CSV_COLUMNS = [
+    'scenario', 'attack', 'runs', 'snapshots', 'detected_runs', 'detection_rate', 'ttd_mean_seconds',
+    'ttd_median_seconds', 'ttd_max_seconds', 'false_alarm_runs', 'false_alarm_rate', 'false_alarm_snapshot_rate', 'factors'
+];
+
+function formatBacktestReport(report, format) {
+    const document = Object.assign({ schemaVersion: RESULT_SCHEMA_VERSION, generatedAt: new Date().toISOString() }, report);
+
+    switch (format) {
+        case 'text':
+            return formatBacktestText(report);
+        case 'json':
+            return JSON.stringify(document, bigIntReplacer, 2);
+        case 'ndjson':
+            return report.scenarios.map(scenario => JSON.stringify(Object.assign({ type: 'scenario', seed: report.seed, detectLevel: report.detectLevel }, scenario))).join('\n');
+        case 'csv':
+            return [BACKTEST_CSV_COLUMNS.join(',')]
+                .concat(report.scenarios.map(scenario => [
+                    scenario.id,
+                    scenario.attack,
+                    scenario.runs,
+                    scenario.snapshots,
+                    scenario.detectedRuns,
+                    scenario.detectionRate,
+                    scenario.timeToDetect?.meanSeconds,
+                    scenario.timeToDetect?.medianSeconds,
+                    scenario.timeToDetect?.maxSeconds,
+                    scenario.falseAlarmRuns,
+                    scenario.falseAlarmRate,
+                    scenario.falseAlarmSnapshotRate,
+                    Object.entries(scenario.factors).map(([factor, count]) => `${factor}:${count}`).join(';')
+                ].map(csvEscape).join(',')))
+                .join('\n');
+        default:
+            throw new ConfigError(`Unsupported output format: ${format}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_BACKTEST_SEED,
+    DEFAULT_BACKTEST_RUNS,
+    DEFAULT_DETECT_LEVEL,
+    DEFAULT_VOLATILITY_PERCENT,
+    SCENARIOS,
+    createRandom,
+    simulateRun,
+    buildSnapshot,
+    runBacktest,
+    formatBacktestReport
+};
@@ -0,0 +1,52 @@
+// Base58 (Bitcoin alphabet) encoding used for Solana public keys
+
+const { DecodeError } = require('./errors');
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE = 58n;
+
+function encodeBase58(bytes) {
+    let value = 0n;
+    for (const byte of bytes) {
+        value = (value << 8n) | BigInt(byte);
+    }
+
+    let encoded = '';
+    while (value > 0n) {
+        encoded = ALPHABET[Number(value % BASE)] + encoded;
+        value /= BASE;
+    }
+
+    // Each leading zero byte is written as '1'
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+
+    return encoded;
+}
+
+function decodeBase58(text) {
+    let value = 0n;
+    for (const char of text) {
+        const digit = ALPHABET.indexOf(char);
+        if (digit === -1) {
+            throw new DecodeError(`Invalid base58 character "${char}" in ${text}`);
+        }
+        value = value * BASE + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value & 0xffn));
+        value >>= 8n;
+    }
+    for (const char of text) {
+        if (char !== '1') break;
+        bytes.unshift(0);
+    }
+
+    return Buffer.from(bytes);
+}
+
+module.exports = { encodeBase58, decodeBase58 };
@@ -0,0 +1,64 @@
+// Error classes thrown by the library and the CLI
+// Every error is a TwapError with a stable `code`, so callers can branch on the class or the
+// code instead of matching message text. The second constructor argument carries `cause`
+// and any extra fields of the subclass (e.g. DataQualityError#findings).
+
+class TwapError extends Error {
+    constructor(message, details = {}) {
+        const { cause, ...fields } = details;
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = this.constructor.code;
+        Object.assign(this, fields);
+    }
+}
+TwapError.code = 'TWAP_ERROR';
+
+// Account data that cannot be parsed or decoded (bad JSON, wrong discriminator or size, ...)
+class DecodeError extends TwapError {}
+DecodeError.code = 'DECODE_ERROR';
+
+// Decoded accounts missing fields the calculation needs
+class ValidationError extends TwapError {}
+ValidationError.code = 'VALIDATION_ERROR';
+
+// Not enough observation history for the requested calculation
+class InsufficientDataError extends TwapError {}
+InsufficientDataError.code = 'INSUFFICIENT_DATA';
+
+// Observation data refused by strict quality checks; `findings` lists the problems
+class DataQualityError extends TwapError {}
+DataQualityError.code = 'DATA_QUALITY';
+
+// Ticks and sqrt prices outside the range the AMM supports
+class TickRangeError extends TwapError {}
+TickRangeError.code = 'TICK_RANGE';
+
+// Invalid options, rule files, token registries, manifests, ...
+class ConfigError extends TwapError {}
+ConfigError.code = 'CONFIG_ERROR';
+
+// JSON-RPC transport and protocol failures; `rpcCode` / `statusCode` when the node sent one
+class RpcError extends TwapError {}
+RpcError.code = 'RPC_ERROR';
+
+// Same class as `error` (TwapError for foreign errors) with `context: ` prefixed to the message
+function withContext(error, context) {
+    const ErrorClass = error instanceof TwapError ? error.constructor : TwapError;
+    const fields = error instanceof TwapError ? { ...error } : {};
+    delete fields.name;
+    delete fields.code;
+    return new ErrorClass(`${context}: ${error.message}`, { ...fields, cause: error });
+}
+
+module.exports = {
+    TwapError,
+    DecodeError,
+    ValidationError,
+    InsufficientDataError,
+    DataQualityError,
+    TickRangeError,
+    ConfigError,
+    RpcError,
+    withContext
+};
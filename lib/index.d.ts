@@ -0,0 +1,736 @@
+// Type declarations for the library entry point (lib/index.js)
+// Accounts use the IDL-style {field: {type, data}} shape that parseAccount() returns;
+// i64/u64/u128 values are carried as decimal strings or BigInts.
+
+/// <reference types="node" />
+
+// ---------------------------------------------------------------------------
+// Accounts
+// ---------------------------------------------------------------------------
+
+export type AccountName = 'PoolState' | 'ObservationState';
+
+export interface AccountField<T = unknown> {
+    type: unknown;
+    data: T;
+}
+
+export type IntegerLike = bigint | string | number;
+
+export interface ObservationSlot {
+    block_timestamp: number | string;
+    tick_cumulative: IntegerLike;
+    padding?: unknown;
+}
+
+export interface PoolState {
+    tick_current: AccountField<number | string>;
+    mint_decimals_0: AccountField<number | string>;
+    mint_decimals_1: AccountField<number | string>;
+    sqrt_price_x64?: AccountField<IntegerLike>;
+    liquidity?: AccountField<IntegerLike>;
+    token_mint_0?: AccountField<string>;
+    token_mint_1?: AccountField<string>;
+    observation_key?: AccountField<string>;
+    [field: string]: AccountField | undefined;
+}
+
+export interface ObservationState {
+    observation_index?: AccountField<number | string>;
+    observations: AccountField<ObservationSlot[]>;
+    /** 'archive' for histories assembled from the observation archive */
+    source?: string;
+    [field: string]: AccountField | string | undefined;
+}
+
+export type Account = PoolState | ObservationState;
+
+export type AccountInput = Buffer | string;
+
+export type LayoutType = string | { array: [LayoutType, number] };
+
+export const ACCOUNT_LAYOUTS: Record<AccountName, Array<[string, LayoutType]>>;
+
+/** Any supported input form (raw bytes, base64, getAccountInfo JSON, IDL-style or flattened JSON) */
+export function parseAccount(input: AccountInput, accountName: 'PoolState'): PoolState;
+export function parseAccount(input: AccountInput, accountName: 'ObservationState'): ObservationState;
+export function parseAccount(input: AccountInput, accountName: AccountName): Account;
+
+/** An already parsed JSON object (IDL-style or flattened) to the IDL-style shape */
+export function normalizeAccount(json: object, accountName: 'PoolState'): PoolState;
+export function normalizeAccount(json: object, accountName: 'ObservationState'): ObservationState;
+export function normalizeAccount(json: object, accountName: AccountName): Account;
+
+export function decodeAccount(data: Buffer, accountName: AccountName): Account;
+export function encodeAccount(account: Account, accountName: AccountName): Buffer;
+export function identifyAccount(data: Buffer): AccountName | null;
+export function getDiscriminator(accountName: AccountName): Buffer;
+export function getAccountSize(accountName: AccountName): number;
+
+export function validatePoolState(poolState: PoolState): void;
+export function validateObservationState(observationState: ObservationState): void;
+
+// ---------------------------------------------------------------------------
+// Observation ring buffer
+// ---------------------------------------------------------------------------
+
+export const OBSERVATION_NUM: number;
+
+export type Severity = 'info' | 'warning' | 'error';
+
+export interface Finding {
+    severity: Severity;
+    code: string;
+    message: string;
+    slot?: number;
+}
+
+export interface Observation {
+    slot: number;
+    block_timestamp: number;
+    tick_cumulative: bigint;
+}
+
+/** Minimal shape observe() and the statistics need */
+export interface ObservationPoint {
+    block_timestamp: number;
+    tick_cumulative: IntegerLike;
+}
+
+export interface ObservationRing {
+    /** Valid observations, oldest first */
+    observations: Observation[];
+    findings: Finding[];
+    newestSlot: number;
+}
+
+export function readObservationRing(observationState: ObservationState, options?: { strict?: boolean }): ObservationRing;
+export function getWorstSeverity(findings: Finding[]): Severity | null;
+
+// ---------------------------------------------------------------------------
+// observe()
+// ---------------------------------------------------------------------------
+
+export interface ObserveOptions {
+    /** Reference timestamp, defaults to the newest observation */
+    time?: number;
+    /** Tick used to extrapolate past the newest observation */
+    currentTick?: number;
+}
+
+export function getTickCumulativeAt(observations: ObservationPoint[], targetTime: number, currentTick?: number | null): bigint;
+export function observe(observations: ObservationPoint[], secondsAgos: number[], options?: ObserveOptions): {
+    time: number;
+    tickCumulatives: bigint[];
+};
+
+export interface WindowTwap {
+    windowSeconds: number;
+    startTime: number;
+    endTime: number;
+    startTickCumulative?: bigint;
+    endTickCumulative?: bigint;
+    twapTick?: number;
+    twapTickFloor?: number;
+    /** Set by computeTwap() in the displayed orientation */
+    twapPrice?: number;
+    twapPriceDecimal?: string;
+    /** Why the window could not be served from the available history */
+    error?: string;
+}
+
+export function calculateWindowTWAPs(observations: ObservationPoint[], windows: number[], options?: ObserveOptions): WindowTwap[];
+
+// ---------------------------------------------------------------------------
+// Tick statistics
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_OUTLIER_Z_SCORE: number;
+
+export interface IntervalTick {
+    startTime: number;
+    endTime: number;
+    seconds: number;
+    tick: number;
+}
+
+export interface TickOutlier {
+    startTime: number;
+    endTime: number;
+    tick: number;
+    change: number;
+    zScore: number;
+}
+
+export interface TickStats {
+    intervalCount: number;
+    totalSeconds: number;
+    meanTick: number | null;
+    minTick: number | null;
+    maxTick: number | null;
+    volatility: { sampleCount: number; annualizedPercent: number };
+    outliers: {
+        zThreshold: number;
+        medianChange: number;
+        mad: number;
+        maxZScore: number;
+        count: number;
+        share: number;
+        intervals: TickOutlier[];
+    };
+    priceSwings: {
+        maxDrawdownPercent: number;
+        maxRunupPercent: number;
+        drawdown: { fromTime: number; toTime: number } | null;
+        runup: { fromTime: number; toTime: number } | null;
+    };
+    histogram: {
+        bucketWidth: number;
+        buckets: Array<{ tickLower: number; tickUpper: number; seconds: number; share: number }>;
+    };
+    distinctStepShare: number;
+}
+
+export interface TickStatsOptions {
+    inverted?: boolean;
+    outlierZScore?: number;
+    bucketWidth?: number;
+}
+
+export function getIntervalTicks(observations: ObservationPoint[]): IntervalTick[];
+export function computeTickStats(observations: ObservationPoint[], options?: TickStatsOptions): TickStats;
+export function formatTickStats(stats: TickStats, pairLabel: string): string[];
+
+// ---------------------------------------------------------------------------
+// Risk rules
+// ---------------------------------------------------------------------------
+
+export type RiskLevel = 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
+
+export const RISK_LEVELS: RiskLevel[];
+
+export interface RiskContext {
+    priceDiffPercent: number;
+    timePeriodHours: number;
+    observations: ObservationPoint[];
+    /** computeTickStats() output; computed from the observations when missing */
+    stats?: TickStats;
+    /** compareSnapshots() result; the WASH_TRADING rule is only evaluated with it */
+    volume?: SnapshotComparison;
+}
+
+export interface RuleDefinition {
+    id: string;
+    severity: RiskLevel;
+    description: string;
+    unit: string;
+    operator: '>' | '<';
+    params: { threshold: number; [param: string]: number };
+    supersedes?: string[];
+    /** Levels (of the other triggered rules) this rule raises the risk level from */
+    raisesFrom?: RiskLevel[];
+    /** Optional context field the rule is only evaluated with */
+    requires?: keyof RiskContext;
+    warning?: string;
+    measure(context: Required<RiskContext>, params: RuleDefinition['params']): number;
+    applies?(context: Required<RiskContext>, params: RuleDefinition['params']): boolean;
+    condition?(params: RuleDefinition['params']): string;
+}
+
+export interface ResolvedRule extends RuleDefinition {
+    enabled: boolean;
+}
+
+export interface ConfidenceTable {
+    base: number;
+    hours: Array<{ overHours: number; add: number }>;
+    factors: Record<string, number>;
+}
+
+export interface RecommendationTable {
+    levels: Record<string, string[]>;
+    factors: Record<string, string[]>;
+}
+
+export interface ResolvedRules {
+    profile: string;
+    rules: ResolvedRule[];
+    confidence: ConfidenceTable;
+    recommendations: RecommendationTable;
+}
+
+export type RuleOverride = { enabled?: boolean; severity?: RiskLevel; [param: string]: unknown };
+
+export interface RiskProfile {
+    description?: string;
+    /** Custom profiles only: the profile this one builds on, 'default' when omitted */
+    extends?: string;
+    rules?: Record<string, RuleOverride>;
+}
+
+export interface RuleConfig {
+    profile?: string;
+    rules?: Record<string, RuleOverride>;
+    profiles?: Record<string, RiskProfile>;
+    pools?: Record<string, string | { profile?: string; rules?: Record<string, RuleOverride> }>;
+    confidence?: Partial<ConfidenceTable>;
+    recommendations?: Partial<RecommendationTable>;
+}
+
+export interface RuleEvaluation {
+    id: string;
+    severity: RiskLevel;
+    triggered: boolean;
+    superseded: boolean;
+    value: number;
+    operator: '>' | '<';
+    threshold: number;
+    explanation: string;
+}
+
+export interface RiskAnalysis {
+    level: RiskLevel;
+    factors: string[];
+    warning: string | null;
+    confidence: number;
+    recommendations: string[];
+    profile: string;
+    rules: RuleEvaluation[];
+}
+
+export const RULES: RuleDefinition[];
+export const PROFILES: Record<string, RiskProfile>;
+export const DEFAULT_CONFIDENCE: ConfidenceTable;
+export const DEFAULT_RECOMMENDATIONS: RecommendationTable;
+
+export function loadRuleConfig(filePath: string): RuleConfig;
+export function resolveRules(config?: RuleConfig, options?: { profile?: string; poolId?: string }): ResolvedRules;
+export function evaluateRules(resolved: ResolvedRules, context: RiskContext): RuleEvaluation[];
+export function analyzeRisk(input: RiskContext, rules?: ResolvedRules): RiskAnalysis;
+export function calculateConfidence(factors: string[], timePeriodHours: number, table?: ConfidenceTable): number;
+export function getRecommendations(riskLevel: RiskLevel, factors: string[], table?: RecommendationTable): string[];
+
+// ---------------------------------------------------------------------------
+// Tokens
+// ---------------------------------------------------------------------------
+
+/** Mint address to symbol */
+export type TokenRegistry = Record<string, string>;
+
+export const BUILTIN_TOKENS: TokenRegistry;
+
+export interface PairOptions {
+    invert?: boolean;
+    /** Mint or symbol of the token prices are expressed in */
+    quote?: string;
+    tokenRegistry?: TokenRegistry;
+}
+
+export interface PricePair {
+    inverted: boolean;
+    baseMint: string | undefined;
+    quoteMint: string | undefined;
+    baseSymbol: string;
+    quoteSymbol: string;
+    label: string;
+}
+
+export function loadTokenRegistry(extraFile?: string): TokenRegistry;
+export function getTokenSymbol(registry: TokenRegistry | undefined, mint: string): string;
+export function resolveMint(registry: TokenRegistry | undefined, mintOrSymbol: string): string;
+export function resolvePricePair(poolState: PoolState, options?: PairOptions): PricePair;
+
+export function encodeBase58(bytes: Uint8Array): string;
+export function decodeBase58(text: string): Buffer;
+
+// ---------------------------------------------------------------------------
+// TWAP
+// ---------------------------------------------------------------------------
+
+export interface Logger {
+    log(...args: unknown[]): void;
+}
+
+export const silentLogger: Logger;
+
+export interface ComputeTwapOptions extends PairOptions {
+    /** Lookback windows in seconds */
+    windows?: number[];
+    /** End of the lookback windows, defaults to the newest observation */
+    endTime?: number;
+    /** Significant digits of the exact decimal prices */
+    precision?: number;
+    /** Throw DataQualityError on error-severity findings */
+    strict?: boolean;
+    rules?: ResolvedRules;
+    /** compareSnapshots() against an earlier PoolState, for the WASH_TRADING rule */
+    volume?: SnapshotComparison;
+    /** Receives the step-by-step log; silent by default */
+    logger?: Logger;
+}
+
+export interface SqrtPriceConsistency {
+    tickCurrent: number;
+    tickFromSqrtPrice: number;
+    consistent: boolean;
+}
+
+export interface TwapResult {
+    twapTick: number;
+    twapTickFloor: number;
+    twapPrice: number;
+    twapPriceDecimal: string;
+    currentPrice: number;
+    currentPriceDecimal: string;
+    currentPriceSource: 'sqrt_price_x64' | 'tick_current';
+    priceConsistency: SqrtPriceConsistency | null;
+    pair: PricePair;
+    startTime: number;
+    endTime: number;
+    startTickCumulative: bigint;
+    endTickCumulative: bigint;
+    timePeriodHours: number;
+    observationCount: number;
+    priceDifferencePercent: number;
+    dataQuality: { newestSlot: number; findings: Finding[] };
+    stats: TickStats;
+    windows: WindowTwap[];
+    volume?: SnapshotComparison;
+    manipulationAnalysis: RiskAnalysis;
+}
+
+export function computeTwap(poolState: PoolState, observationState: ObservationState, options?: ComputeTwapOptions): TwapResult;
+export function checkSqrtPriceConsistency(tickCurrent: number | string, sqrtPriceX64: IntegerLike): SqrtPriceConsistency;
+
+// ---------------------------------------------------------------------------
+// Manipulation cost
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_COST_DEVIATION_PERCENT: number;
+export const DEFAULT_COST_WINDOW_SECONDS: number;
+export const DEFAULT_HOLD_FRACTIONS: number[];
+
+export interface TokenAmount {
+    mint: string | undefined;
+    symbol: string;
+    amountRaw: bigint;
+    amount: string;
+}
+
+export interface ManipulationScenario {
+    direction: 'up' | 'down';
+    holdFraction: number;
+    holdSeconds: number;
+    targetTick: number;
+    reachable: boolean;
+    targetPrice?: string;
+    tokenIn?: TokenAmount;
+    tokenOut?: TokenAmount;
+    lossIfReverted?: TokenAmount;
+}
+
+export interface ManipulationCost {
+    deviationPercent: number;
+    windowSeconds: number;
+    currentTick: number;
+    liquidity: bigint;
+    pair: PricePair;
+    scenarios: ManipulationScenario[];
+}
+
+export interface ManipulationCostOptions extends PairOptions {
+    deviationPercent?: number;
+    windowSeconds?: number;
+    holdFractions?: number[];
+    precision?: number;
+}
+
+export function estimateManipulationCost(poolState: PoolState, options?: ManipulationCostOptions): ManipulationCost;
+
+// ---------------------------------------------------------------------------
+// Pool metrics (swap, fee and reward counters)
+// ---------------------------------------------------------------------------
+
+export type RewardState = 'uninitialized' | 'initialized' | 'opening' | 'ended';
+
+export const REWARD_STATES: RewardState[];
+
+export interface SwapVolume {
+    /** token0 sold for token1 */
+    zeroForOne: { amountIn: TokenAmount; amountOut: TokenAmount };
+    /** token1 sold for token0 */
+    oneForZero: { amountIn: TokenAmount; amountOut: TokenAmount };
+}
+
+export interface FeeSummary {
+    /** Fees credited to liquidity providers */
+    total: TokenAmount;
+    claimed: TokenAmount;
+    /** Single snapshots only */
+    unclaimed?: TokenAmount;
+    /** null when the fees were collected between two snapshots */
+    protocol: TokenAmount | null;
+    fund: TokenAmount | null;
+    protocolSharePercent: number | null;
+    fundSharePercent: number | null;
+}
+
+export interface RewardAmount {
+    amountRaw: bigint;
+    /** Whole tokens when `decimals` is known, else base units */
+    amount: string;
+}
+
+export interface RewardSummary {
+    index: number;
+    state: RewardState | string;
+    mint: string;
+    symbol: string;
+    /** Known when the reward mint is one of the pool's tokens */
+    decimals: number | null;
+    openTime: number;
+    endTime: number;
+    lastUpdateTime: number;
+    active: boolean;
+    emissionsPerDay: RewardAmount;
+    totalEmitted: RewardAmount;
+    claimed: RewardAmount;
+}
+
+export interface PoolMetrics {
+    tokens: Array<{ mint: string | undefined; symbol: string; decimals: number }>;
+    /** Time active rewards are judged at, null when unknown */
+    time: number | null;
+    volume: SwapVolume;
+    fees: [FeeSummary, FeeSummary];
+    rewards: RewardSummary[];
+}
+
+export interface PoolMetricsOptions {
+    /** Snapshot time, defaults to the latest reward update */
+    time?: number;
+    precision?: number;
+    tokenRegistry?: TokenRegistry;
+}
+
+export interface PriceChange {
+    /** Half-period TWAPs from the observations, or the spot prices of the snapshots */
+    source: 'twap' | 'spot';
+    /** Pool orientation (token0 in token1); null when the earlier snapshot has no spot price */
+    percent: number | null;
+    /** Why the TWAP could not be used */
+    reason?: string;
+    startTime?: number;
+    endTime?: number;
+    twapTick?: number;
+    firstHalfTwapTick?: number;
+    secondHalfTwapTick?: number;
+}
+
+export interface SnapshotComparison {
+    elapsedSeconds: number;
+    pair: PricePair;
+    liquidity: bigint;
+    volume: SwapVolume & { total: TokenAmount; perDay: TokenAmount };
+    fees: [FeeSummary, FeeSummary];
+    /** In-range liquidity as full-range reserves, in the quote token */
+    reserveValue: TokenAmount;
+    turnoverPerDay: number;
+    feeAprPercent: number;
+    priceChange: PriceChange;
+}
+
+export interface CompareSnapshotsOptions extends PairOptions {
+    elapsedSeconds: number;
+    /** Valid observations of the later snapshot, for the TWAP change */
+    observations?: ObservationPoint[];
+    /** End of the period, defaults to the newest observation */
+    time?: number;
+    currentTick?: number;
+    precision?: number;
+}
+
+export function computePoolMetrics(poolState: PoolState, options?: PoolMetricsOptions): PoolMetrics;
+export function compareSnapshots(earlier: PoolState, later: PoolState, options: CompareSnapshotsOptions): SnapshotComparison;
+
+// ---------------------------------------------------------------------------
+// Backtest
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_BACKTEST_SEED: number;
+export const DEFAULT_BACKTEST_RUNS: number;
+export const DEFAULT_DETECT_LEVEL: RiskLevel;
+export const DEFAULT_VOLATILITY_PERCENT: number;
+
+export type ScenarioId = 'baseline' | 'drift' | 'spike' | 'push' | 'wash' | 'stale_gap';
+
+export interface ScenarioContext {
+    evaluationStart: number;
+    attackStart: number;
+}
+
+export interface Scenario {
+    id: ScenarioId;
+    /** Benign scenarios count every detection as a false alarm */
+    attack: boolean;
+    description: string;
+    params: Record<string, number>;
+    overlay(t: number, context: ScenarioContext, params: Record<string, number>): number;
+    writes?(t: number, context: ScenarioContext, params: Record<string, number>): boolean;
+}
+
+export const SCENARIOS: Scenario[];
+
+export interface Random {
+    /** Uniform in [0, 1) */
+    next(): number;
+    /** Standard normal */
+    normal(): number;
+}
+
+export interface Simulation {
+    /** Tick in effect at each second of the run */
+    ticks: number[];
+    observations: Array<{ block_timestamp: number; tick_cumulative: bigint }>;
+    /** Seconds since the start of the run at which each observation was written */
+    writeTimes: number[];
+    evaluationStart: number;
+    attackStart: number;
+    end: number;
+}
+
+export interface BacktestOptions {
+    seed?: number;
+    runs?: number;
+    scenarios?: ScenarioId[];
+    /** Parameter overrides per scenario, e.g. { spike: { percent: 10 } } */
+    params?: Partial<Record<ScenarioId, Record<string, number>>>;
+    /** Lowest risk level counted as a detection */
+    detectLevel?: RiskLevel;
+    rules?: ResolvedRules;
+    /** Annualized volatility of the background random walk */
+    volatilityPercent?: number;
+    onRun?(progress: { scenario: ScenarioId; run: number }): void;
+}
+
+export interface ScenarioReport {
+    id: ScenarioId;
+    description: string;
+    attack: boolean;
+    params: Record<string, number>;
+    runs: number;
+    snapshots: number;
+    detectedRuns: number | null;
+    detectionRate: number | null;
+    timeToDetect: { meanSeconds: number; medianSeconds: number; maxSeconds: number } | null;
+    /** Runs flagged before the attack started (benign scenarios: at all) */
+    falseAlarmRuns: number;
+    falseAlarmRate: number;
+    falseAlarmSnapshotRate: number | null;
+    /** Snapshots per risk level */
+    levels: Record<RiskLevel, number>;
+    /** Factors of flagged snapshots */
+    factors: Record<string, number>;
+}
+
+export interface BacktestReport {
+    seed: number;
+    runs: number;
+    detectLevel: RiskLevel;
+    profile: string;
+    volatilityPercent: number;
+    sampleSeconds: number;
+    scenarios: ScenarioReport[];
+    summary: { detectionRate: number | null; falseAlarmRate: number | null };
+}
+
+export function createRandom(seed: number): Random;
+export function simulateRun(baseTick: number, scenario: Scenario, params: Record<string, number>, random: Random, options?: { volatilityPercent?: number }): Simulation;
+export function buildSnapshot(poolState: PoolState, simulation: Simulation, t: number): { poolState: PoolState; obsState: ObservationState };
+export function runBacktest(poolState: PoolState, options?: BacktestOptions): BacktestReport;
+export function formatBacktestReport(report: BacktestReport, format: OutputFormat): string;
+
+// ---------------------------------------------------------------------------
+// Tick math (Q64.64 sqrt prices)
+// ---------------------------------------------------------------------------
+
+export const MIN_TICK: number;
+export const MAX_TICK: number;
+export const MIN_SQRT_PRICE_X64: bigint;
+export const MAX_SQRT_PRICE_X64: bigint;
+export const Q64: bigint;
+export const DEFAULT_PRICE_PRECISION: number;
+
+export function getSqrtPriceAtTick(tick: number): bigint;
+export function getTickAtSqrtPrice(sqrtPriceX64: IntegerLike): number;
+export function floorDiv(numerator: bigint, denominator: bigint): bigint;
+export function formatRatio(numerator: bigint, denominator: bigint, significantDigits?: number): string;
+export function sqrtPriceX64ToPrice(sqrtPriceX64: IntegerLike, decimals0: number, decimals1: number, precision?: number, inverted?: boolean): string;
+export function sqrtPriceX64ToPriceFloat(sqrtPriceX64: IntegerLike, decimals0: number, decimals1: number, inverted?: boolean): number;
+export function tickToPrice(tick: number, decimals0: number, decimals1: number, precision?: number, inverted?: boolean): string;
+export function tickToPriceFloat(tick: number, decimals0: number, decimals1: number, inverted?: boolean): number;
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+export type OutputFormat = 'text' | 'json' | 'ndjson' | 'csv';
+
+export const RESULT_SCHEMA_VERSION: number;
+export const OUTPUT_FORMATS: OutputFormat[];
+
+/** Versioned, JSON-safe document of a TwapResult (BigInts as decimal strings) */
+export interface ResultDocument {
+    schemaVersion: number;
+    generatedAt: string;
+    [field: string]: unknown;
+}
+
+export function buildResultDocument(result: TwapResult): ResultDocument;
+export function formatResult(result: TwapResult, format: Exclude<OutputFormat, 'text'>): string;
+export function bigIntReplacer(key: string, value: unknown): unknown;
+export function csvEscape(value: unknown): string;
+export function formatDuration(seconds: number): string;
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export interface ErrorDetails {
+    cause?: unknown;
+    [field: string]: unknown;
+}
+
+export class TwapError extends Error {
+    static code: string;
+    constructor(message: string, details?: ErrorDetails);
+    code: string;
+    cause?: unknown;
+}
+
+export class DecodeError extends TwapError {}
+
+export class ValidationError extends TwapError {
+    /** Account field that failed validation */
+    field?: string;
+}
+
+export class InsufficientDataError extends TwapError {}
+
+export class DataQualityError extends TwapError {
+    findings: Finding[];
+}
+
+export class TickRangeError extends TwapError {}
+
+export class ConfigError extends TwapError {}
+
+export class RpcError extends TwapError {
+    /** JSON-RPC error code */
+    rpcCode?: number;
+    /** HTTP status of the response */
+    statusCode?: number;
+    address?: string;
+}
+
+export function withContext<E extends Error>(error: E, context: string): E extends TwapError ? E : TwapError;
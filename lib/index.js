@@ -0,0 +1,214 @@
+// Library entry point
+// Side-effect free: requiring it reads no files and prints nothing. The typical flow is
+// parseAccount() for both accounts, computeTwap() for the full analysis, or observe() /
+// calculateWindowTWAPs() and analyzeRisk() for the individual steps.
+
+const {
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_PRICE_X64,
+    MAX_SQRT_PRICE_X64,
+    Q64,
+    DEFAULT_PRICE_PRECISION,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+    floorDiv,
+    formatRatio,
+    sqrtPriceX64ToPrice,
+    sqrtPriceX64ToPriceFloat,
+    tickToPrice,
+    tickToPriceFloat
+} = require('./tick_math');
+const {
+    TwapError,
+    DecodeError,
+    ValidationError,
+    InsufficientDataError,
+    DataQualityError,
+    TickRangeError,
+    ConfigError,
+    RpcError,
+    withContext
+} = require('./errors');
+const {
+    ACCOUNT_LAYOUTS,
+    getDiscriminator,
+    getAccountSize,
+    identifyAccount,
+    decodeAccount,
+    encodeAccount,
+    normalizeAccountJson,
+    parseAccountData
+} = require('./account_decoder');
+const { OBSERVATION_NUM, readObservationRing, getWorstSeverity } = require('./observation_buffer');
+const { getTickCumulativeAt, observe, calculateWindowTWAPs } = require('./observe');
+const {
+    computeTwap,
+    checkSqrtPriceConsistency,
+    validatePoolState,
+    validateObservationState,
+    formatDuration,
+    silentLogger
+} = require('./twap');
+const { analyzeRisk, calculateConfidence, getRecommendations } = require('./risk');
+const {
+    RISK_LEVELS,
+    RULES,
+    PROFILES,
+    DEFAULT_CONFIDENCE,
+    DEFAULT_RECOMMENDATIONS,
+    loadRuleConfig,
+    resolveRules,
+    evaluateRules
+} = require('./risk_rules');
+const { computeTickStats, formatTickStats, getIntervalTicks, DEFAULT_OUTLIER_Z_SCORE } = require('./tick_analytics');
+const {
+    DEFAULT_COST_DEVIATION_PERCENT,
+    DEFAULT_COST_WINDOW_SECONDS,
+    DEFAULT_HOLD_FRACTIONS,
+    estimateManipulationCost
+} = require('./manipulation_cost');
+const { REWARD_STATES, computePoolMetrics, compareSnapshots } = require('./pool_metrics');
+const { BUILTIN_TOKENS, loadTokenRegistry, getTokenSymbol, resolveMint, resolvePricePair } = require('./token_registry');
+const {
+    RESULT_SCHEMA_VERSION,
+    OUTPUT_FORMATS,
+    buildResultDocument,
+    bigIntReplacer,
+    csvEscape,
+    formatResult
+} = require('./output_formats');
+const { encodeBase58, decodeBase58 } = require('./base58');
+const {
+    DEFAULT_BACKTEST_SEED,
+    DEFAULT_BACKTEST_RUNS,
+    DEFAULT_DETECT_LEVEL,
+    DEFAULT_VOLATILITY_PERCENT,
+    SCENARIOS,
+    createRandom,
+    simulateRun,
+    buildSnapshot,
+    runBacktest,
+    formatBacktestReport
+} = require('./backtest');
+
+// Any supported input form (raw bytes, base64, getAccountInfo JSON, IDL-style or flattened
+// JSON) to the IDL-style {field: {type, data}} shape the calculations take
+function parseAccount(input, accountName) {
+    return parseAccountData(input, accountName);
+}
+
+// An already parsed JSON object (IDL-style or flattened) to the IDL-style shape
+function normalizeAccount(json, accountName) {
+    return normalizeAccountJson(json, accountName);
+}
+
+module.exports = {
+    // Parse / normalize
+    parseAccount,
+    normalizeAccount,
+    decodeAccount,
+    encodeAccount,
+    identifyAccount,
+    getDiscriminator,
+    getAccountSize,
+    ACCOUNT_LAYOUTS,
+    validatePoolState,
+    validateObservationState,
+    readObservationRing,
+    getWorstSeverity,
+    OBSERVATION_NUM,
+
+    // Observe
+    observe,
+    getTickCumulativeAt,
+    calculateWindowTWAPs,
+
+    // TWAP
+    computeTwap,
+    checkSqrtPriceConsistency,
+    silentLogger,
+
+    // Risk
+    analyzeRisk,
+    calculateConfidence,
+    getRecommendations,
+    evaluateRules,
+    resolveRules,
+    loadRuleConfig,
+    RISK_LEVELS,
+    RULES,
+    PROFILES,
+    DEFAULT_CONFIDENCE,
+    DEFAULT_RECOMMENDATIONS,
+    computeTickStats,
+    formatTickStats,
+    getIntervalTicks,
+    DEFAULT_OUTLIER_Z_SCORE,
+    estimateManipulationCost,
+    DEFAULT_COST_DEVIATION_PERCENT,
+    DEFAULT_COST_WINDOW_SECONDS,
+    DEFAULT_HOLD_FRACTIONS,
+
+    // Pool metrics
+    computePoolMetrics,
+    compareSnapshots,
+    REWARD_STATES,
+
+    // Backtest
+    runBacktest,
+    formatBacktestReport,
+    simulateRun,
+    buildSnapshot,
+    createRandom,
+    SCENARIOS,
+    DEFAULT_BACKTEST_SEED,
+    DEFAULT_BACKTEST_RUNS,
+    DEFAULT_DETECT_LEVEL,
+    DEFAULT_VOLATILITY_PERCENT,
+
+    // Tick math
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_PRICE_X64,
+    MAX_SQRT_PRICE_X64,
+    Q64,
+    DEFAULT_PRICE_PRECISION,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+    floorDiv,
+    formatRatio,
+    sqrtPriceX64ToPrice,
+    sqrtPriceX64ToPriceFloat,
+    tickToPrice,
+    tickToPriceFloat,
+
+    // Tokens
+    BUILTIN_TOKENS,
+    loadTokenRegistry,
+    getTokenSymbol,
+    resolveMint,
+    resolvePricePair,
+    encodeBase58,
+    decodeBase58,
+
+    // Output
+    RESULT_SCHEMA_VERSION,
+    OUTPUT_FORMATS,
+    buildResultDocument,
+    bigIntReplacer,
+    csvEscape,
+    formatResult,
+    formatDuration,
+
+    // Errors
+    TwapError,
+    DecodeError,
+    ValidationError,
+    InsufficientDataError,
+    DataQualityError,
+    TickRangeError,
+    ConfigError,
+    RpcError,
+    withContext
+};
@@ -0,0 +1,96 @@
+// ES module entry point, re-exporting the CommonJS library (see index.js)
+
+import lib from './index.js';
+
+export const {
+    parseAccount,
+    normalizeAccount,
+    decodeAccount,
+    encodeAccount,
+    identifyAccount,
+    getDiscriminator,
+    getAccountSize,
+    ACCOUNT_LAYOUTS,
+    validatePoolState,
+    validateObservationState,
+    readObservationRing,
+    getWorstSeverity,
+    OBSERVATION_NUM,
+    observe,
+    getTickCumulativeAt,
+    calculateWindowTWAPs,
+    computeTwap,
+    checkSqrtPriceConsistency,
+    silentLogger,
+    analyzeRisk,
+    calculateConfidence,
+    getRecommendations,
+    evaluateRules,
+    resolveRules,
+    loadRuleConfig,
+    RISK_LEVELS,
+    RULES,
+    PROFILES,
+    DEFAULT_CONFIDENCE,
+    DEFAULT_RECOMMENDATIONS,
+    computeTickStats,
+    formatTickStats,
+    getIntervalTicks,
+    DEFAULT_OUTLIER_Z_SCORE,
+    estimateManipulationCost,
+    DEFAULT_COST_DEVIATION_PERCENT,
+    DEFAULT_COST_WINDOW_SECONDS,
+    DEFAULT_HOLD_FRACTIONS,
+    computePoolMetrics,
+    compareSnapshots,
+    REWARD_STATES,
+    runBacktest,
+    formatBacktestReport,
+    simulateRun,
+    buildSnapshot,
+    createRandom,
+    SCENARIOS,
+    DEFAULT_BACKTEST_SEED,
+    DEFAULT_BACKTEST_RUNS,
+    DEFAULT_DETECT_LEVEL,
+    DEFAULT_VOLATILITY_PERCENT,
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_PRICE_X64,
+    MAX_SQRT_PRICE_X64,
+    Q64,
+    DEFAULT_PRICE_PRECISION,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+    floorDiv,
+    formatRatio,
+    sqrtPriceX64ToPrice,
+    sqrtPriceX64ToPriceFloat,
+    tickToPrice,
+    tickToPriceFloat,
+    BUILTIN_TOKENS,
+    loadTokenRegistry,
+    getTokenSymbol,
+    resolveMint,
+    resolvePricePair,
+    encodeBase58,
+    decodeBase58,
+    RESULT_SCHEMA_VERSION,
+    OUTPUT_FORMATS,
+    buildResultDocument,
+    bigIntReplacer,
+    csvEscape,
+    formatResult,
+    formatDuration,
+    TwapError,
+    DecodeError,
+    ValidationError,
+    InsufficientDataError,
+    DataQualityError,
+    TickRangeError,
+    ConfigError,
+    RpcError,
+    withContext
+} = lib;
+
+export default lib;
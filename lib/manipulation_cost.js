@@ -0,0 +1,126 @@
+// Manipulation cost - capital needed to move a window TWAP, from the pool's in-range liquidity
+
+const {
+    MIN_TICK,
+    MAX_TICK,
+    Q64,
+    DEFAULT_PRICE_PRECISION,
+    formatRatio,
+    getSqrtPriceAtTick,
+    tickToPrice
+} = require('./tick_math');
+const { resolvePricePair } = require('./token_registry');
+const { ConfigError } = require('./errors');
+
+// Defaults of estimateManipulationCost: "cost to move the 5-minute TWAP by 10%"
+const DEFAULT_COST_DEVIATION_PERCENT = 10;
+const DEFAULT_COST_WINDOW_SECONDS = 300;
+// Shares of the window the pushed price is held for
+const DEFAULT_HOLD_FRACTIONS = [1, 0.5, 0.25, 0.1];
+
+function ceilDiv(numerator, denominator) {
+    return (numerator + denominator - 1n) / denominator;
+}
+
+// Token amounts that move the price between two sqrt prices at constant liquidity, rounded up
+// like get_delta_amount_0/1 in the AMM program (the trader pays at least this much)
+function getAmountDeltas(liquidity, sqrtPriceA, sqrtPriceB) {
+    const lower = sqrtPriceA < sqrtPriceB ? sqrtPriceA : sqrtPriceB;
+    const upper = sqrtPriceA < sqrtPriceB ? sqrtPriceB : sqrtPriceA;
+    return {
+        amount0: ceilDiv(liquidity * (upper - lower) * Q64, upper * lower),
+        amount1: ceilDiv(liquidity * (upper - lower), Q64)
+    };
+}
+
+// Capital needed to move the TWAP of a window by `deviationPercent` in either direction.
+// Holding the price at a target tick for a fraction f of the window moves the TWAP by
+// f × (target - current) ticks, so shorter holds need a larger push. The in-range `liquidity`
+// is assumed to stay constant over the whole move (no tick crossings) and swap fees are
+// ignored: where liquidity thins out away from the current price the real cost is lower.
+// `lossIfReverted` is what the attacker loses when arbitrage brings the price straight back;
+// holding the price against arbitrage costs more.
+// Options: deviationPercent, windowSeconds, holdFractions, precision, invert, quote, tokenRegistry.
+function estimateManipulationCost(poolState, options = {}) {
+    const deviationPercent = options.deviationPercent ?? DEFAULT_COST_DEVIATION_PERCENT;
+    const windowSeconds = options.windowSeconds ?? DEFAULT_COST_WINDOW_SECONDS;
+    const holdFractions = options.holdFractions || DEFAULT_HOLD_FRACTIONS;
+    const precision = options.precision || DEFAULT_PRICE_PRECISION;
+    
+    if (!(deviationPercent > 0 && deviationPercent < 100)) {
+        throw new ConfigError(`Target TWAP deviation must be between 0 and 100 percent, got ${deviationPercent}`);
+    }
+    
+    const liquidity = BigInt(poolState.liquidity.data);
+    const currentTick = parseInt(poolState.tick_current.data);
+    const sqrtPriceX64 = poolState.sqrt_price_x64?.data !== undefined && poolState.sqrt_price_x64?.data !== null
+        ? BigInt(poolState.sqrt_price_x64.data)
+        : getSqrtPriceAtTick(currentTick);
+    const decimals0 = parseInt(poolState.mint_decimals_0.data);
+    const decimals1 = parseInt(poolState.mint_decimals_1.data);
+    const pair = resolvePricePair(poolState, options);
+    
+    const symbols = { [pair.baseMint]: pair.baseSymbol, [pair.quoteMint]: pair.quoteSymbol };
+    const tokens = [
+        { mint: poolState.token_mint_0?.data, decimals: decimals0 },
+        { mint: poolState.token_mint_1?.data, decimals: decimals1 }
+    ];
+    const tokenAmount = (index, amountRaw) => ({
+        mint: tokens[index].mint,
+        symbol: symbols[tokens[index].mint] || `token${index}`,
+        amountRaw: amountRaw,
+        amount: formatRatio(amountRaw, 10n ** BigInt(tokens[index].decimals), precision)
+    });
+    
+    const scenarios = [];
+    for (const direction of ['up', 'down']) {
+        // Direction of the displayed price; the pool price (token0 in token1) moves the other way when inverted
+        const poolUp = (direction === 'up') !== pair.inverted;
+        const factor = direction === 'up' ? 1 + deviationPercent / 100 : 1 - deviationPercent / 100;
+        const poolTickShift = Math.abs(Math.log(factor) / Math.log(1.0001)) * (poolUp ? 1 : -1);
+        
+        holdFractions.forEach(holdFraction => {
+            const exactTarget = currentTick + poolTickShift / holdFraction;
+            const targetTick = poolUp ? Math.ceil(exactTarget) : Math.floor(exactTarget);
+            const scenario = {
+                direction: direction,
+                holdFraction: holdFraction,
+                holdSeconds: windowSeconds * holdFraction,
+                targetTick: targetTick,
+                reachable: targetTick >= MIN_TICK && targetTick <= MAX_TICK
+            };
+            
+            if (scenario.reachable) {
+                const { amount0, amount1 } = getAmountDeltas(liquidity, sqrtPriceX64, getSqrtPriceAtTick(targetTick));
+                // Pushing the pool price up buys token0 with token1, pushing it down sells token0
+                const amountIn = poolUp ? amount1 : amount0;
+                const amountOut = poolUp ? amount0 : amount1;
+                const priceX128 = sqrtPriceX64 * sqrtPriceX64;
+                const outputValue = poolUp ? amount0 * priceX128 / (Q64 * Q64) : amount1 * Q64 * Q64 / priceX128;
+                
+                scenario.targetPrice = tickToPrice(targetTick, decimals0, decimals1, precision, pair.inverted);
+                scenario.tokenIn = tokenAmount(poolUp ? 1 : 0, amountIn);
+                scenario.tokenOut = tokenAmount(poolUp ? 0 : 1, amountOut);
+                scenario.lossIfReverted = tokenAmount(poolUp ? 1 : 0, amountIn > outputValue ? amountIn - outputValue : 0n);
+            }
+            scenarios.push(scenario);
+        });
+    }
+    
+    return {
+        deviationPercent: deviationPercent,
+        windowSeconds: windowSeconds,
+        currentTick: currentTick,
+        liquidity: liquidity,
+        pair: pair,
+        scenarios: scenarios
+    };
+}
+
+module.exports = {
+    DEFAULT_COST_DEVIATION_PERCENT,
+    DEFAULT_COST_WINDOW_SECONDS,
+    DEFAULT_HOLD_FRACTIONS,
+    getAmountDeltas,
+    estimateManipulationCost
+};
@@ -0,0 +1,186 @@
+// Observation ring buffer reader
+// ObservationState stores a fixed-size circular array; `observation_index` points at the
+// most recently written slot. Walking backwards from there yields the observations from
+// newest to oldest. Anything that does not fit that picture is reported as a structured
+// data-quality finding instead of being silently dropped.
+
+const { MIN_TICK, MAX_TICK } = require('./tick_math');
+const { ValidationError, DataQualityError } = require('./errors');
+
+// OBSERVATION_NUM in the AMM program
+const OBSERVATION_NUM = 100;
+
+const SEVERITY_ORDER = ['info', 'warning', 'error'];
+
+function finding(severity, code, message, slot) {
+    const entry = { severity: severity, code: code, message: message };
+    if (slot !== undefined) entry.slot = slot;
+    return entry;
+}
+
+// Number('') and BigInt('') are both zero, which would pass a blank field off as a value
+function isBlank(value) {
+    return typeof value === 'string' && value.trim() === '';
+}
+
+// Parses one slot; returns { observation } or { empty: true } or { error }
+function parseSlot(slot, index) {
+    if (!slot || typeof slot !== 'object') {
+        return { error: `slot ${index} is not an object` };
+    }
+
+    if (!('block_timestamp' in slot)) {
+        const keys = Object.keys(slot).filter(key => key !== 'padding');
+        return { error: `slot ${index} has no block_timestamp (keys: ${keys.join(', ')})` };
+    }
+
+    const timestamp = isBlank(slot.block_timestamp) ? NaN : Number(slot.block_timestamp);
+    if (!Number.isInteger(timestamp) || timestamp < 0) {
+        return { error: `slot ${index} has an invalid block_timestamp: ${JSON.stringify(slot.block_timestamp)}` };
+    }
+
+    if (timestamp === 0) {
+        return { empty: true };
+    }
+
+    let tickCumulative;
+    try {
+        if (isBlank(slot.tick_cumulative)) throw new SyntaxError('blank tick_cumulative');
+        tickCumulative = BigInt(slot.tick_cumulative);
+    } catch {
+        return { error: `slot ${index} has an invalid tick_cumulative: ${JSON.stringify(slot.tick_cumulative)}` };
+    }
+
+    return {
+        observation: {
+            slot: index,
+            block_timestamp: timestamp,
+            tick_cumulative: tickCumulative
+        }
+    };
+}
+
+// Index of the newest slot: observation_index when usable, else the slot with the latest timestamp
+function findNewestSlot(observationState, parsed, findings) {
+    const size = parsed.length;
+    const rawIndex = observationState.observation_index?.data ?? observationState.observation_index;
+
+    if (rawIndex !== undefined && rawIndex !== null) {
+        const index = Number(rawIndex);
+        if (!Number.isInteger(index) || index < 0 || index >= size) {
+            findings.push(finding('error', 'INVALID_OBSERVATION_INDEX', `observation_index ${rawIndex} is outside the ${size}-slot buffer`));
+        } else if (parsed[index].observation) {
+            return index;
+        } else {
+            findings.push(finding('error', 'INVALID_OBSERVATION_INDEX', `observation_index ${index} points at an empty or malformed slot`, index));
+        }
+    } else {
+        findings.push(finding('info', 'MISSING_OBSERVATION_INDEX', 'No observation_index, using the slot with the latest timestamp as the newest'));
+    }
+
+    let newest = -1;
+    parsed.forEach((entry, index) => {
+        if (entry.observation && (newest === -1 || entry.observation.block_timestamp > parsed[newest].observation.block_timestamp)) {
+            newest = index;
+        }
+    });
+    return newest;
+}
+
+// Reads the observation ring buffer of an ObservationState.
+// Returns { observations (oldest first), findings, newestSlot }; with `options.strict`
+// any error-severity finding throws instead.
+function readObservationRing(observationState, options = {}) {
+    const slots = observationState.observations?.data;
+    if (!Array.isArray(slots)) {
+        throw new ValidationError('Invalid ObservationState: missing observations.data array', { field: 'observations' });
+    }
+
+    const findings = [];
+    // Archived histories (see observation_archive.js) are not bound to the on-chain size
+    if (slots.length !== OBSERVATION_NUM && observationState.source !== 'archive') {
+        findings.push(finding('info', 'UNEXPECTED_BUFFER_SIZE', `Expected ${OBSERVATION_NUM} observation slots, found ${slots.length}`));
+    }
+
+    const parsed = slots.map(parseSlot);
+    parsed.forEach((entry, index) => {
+        if (entry.error) {
+            findings.push(finding('error', 'MALFORMED_ENTRY', entry.error, index));
+        }
+    });
+
+    const newestSlot = slots.length > 0 ? findNewestSlot(observationState, parsed, findings) : -1;
+    const newestFirst = [];
+
+    if (newestSlot !== -1) {
+        let reachedEmpty = false;
+        for (let step = 0; step < slots.length; step++) {
+            const index = (newestSlot - step + slots.length) % slots.length;
+            const entry = parsed[index];
+
+            if (entry.error) continue;
+
+            if (entry.empty) {
+                // The buffer has not wrapped yet; everything older must be empty as well
+                reachedEmpty = true;
+                continue;
+            }
+
+            const observation = entry.observation;
+            if (reachedEmpty) {
+                findings.push(finding('warning', 'STALE_SLOT', `slot ${index} holds data behind an empty slot and is ignored`, index));
+                continue;
+            }
+
+            const newer = newestFirst[newestFirst.length - 1];
+            if (newer) {
+                if (observation.block_timestamp === newer.block_timestamp) {
+                    findings.push(finding('warning', 'DUPLICATE_TIMESTAMP', `slot ${index} repeats timestamp ${observation.block_timestamp} of slot ${newer.slot}`, index));
+                    continue;
+                }
+                if (observation.block_timestamp > newer.block_timestamp) {
+                    findings.push(finding('error', 'NON_MONOTONIC_TIMESTAMP', `slot ${index} (${observation.block_timestamp}) is newer than slot ${newer.slot} (${newer.block_timestamp}) although it was written before it`, index));
+                    continue;
+                }
+
+                // A cumulative step that implies an average tick outside the tick range cannot come from
+                // the program. Either side may be the corrupt one, so the slot is kept and only reported.
+                const timeDelta = newer.block_timestamp - observation.block_timestamp;
+                const impliedTick = Number(newer.tick_cumulative - observation.tick_cumulative) / timeDelta;
+                if (impliedTick < MIN_TICK || impliedTick > MAX_TICK) {
+                    findings.push(finding('error', 'CUMULATIVE_DISCONTINUITY', `tick_cumulative between slot ${index} and slot ${newer.slot} implies an average tick of ${impliedTick.toFixed(2)}`, index));
+                }
+            }
+
+            newestFirst.push(observation);
+        }
+    }
+
+    const result = {
+        observations: newestFirst.reverse(),
+        findings: findings,
+        newestSlot: newestSlot
+    };
+
+    if (options.strict) {
+        const errors = findings.filter(item => item.severity === 'error');
+        if (errors.length > 0) {
+            throw new DataQualityError(`Observation data failed quality checks (${errors.length} error${errors.length === 1 ? '' : 's'}): ${errors.map(item => item.message).join('; ')}`, { findings: findings });
+        }
+    }
+
+    return result;
+}
+
+// Highest severity among findings, or null when there are none
+function getWorstSeverity(findings) {
+    return findings.reduce((worst, item) => {
+        return worst === null || SEVERITY_ORDER.indexOf(item.severity) > SEVERITY_ORDER.indexOf(worst) ? item.severity : worst;
+    }, null);
+}
+
+module.exports = {
+    OBSERVATION_NUM,
+    readObservationRing,
+    getWorstSeverity
+};
@@ -0,0 +1,107 @@
+// observe() - tick cumulatives at arbitrary timestamps, like the on-chain observe()
+// Works on valid observations sorted by block_timestamp (see readObservationRing) and is the
+// basis of every lookback window TWAP.
+
+const { floorDiv } = require('./tick_math');
+const { InsufficientDataError } = require('./errors');
+
+// Tick cumulative at an arbitrary timestamp, same rules as the on-chain observe():
+// exact hits use the stored value, timestamps between two observations are
+// interpolated with the (truncated) average tick of that interval, and timestamps
+// after the newest observation are extrapolated with the current tick.
+// `observations` must be the valid observations sorted by block_timestamp; the result is a BigInt.
+function getTickCumulativeAt(observations, targetTime, currentTick) {
+    const oldest = observations[0];
+    const newest = observations[observations.length - 1];
+
+    if (targetTime >= newest.block_timestamp) {
+        if (targetTime === newest.block_timestamp) {
+            return BigInt(newest.tick_cumulative);
+        }
+        if (currentTick === undefined || currentTick === null) {
+            throw new InsufficientDataError(`Cannot extrapolate to ${targetTime}: current tick is unknown`);
+        }
+        return BigInt(newest.tick_cumulative) + BigInt(currentTick) * BigInt(targetTime - newest.block_timestamp);
+    }
+
+    if (targetTime < oldest.block_timestamp) {
+        throw new InsufficientDataError(`Timestamp ${targetTime} is older than the oldest observation (${oldest.block_timestamp})`);
+    }
+
+    // Binary search for the observations surrounding the target
+    let low = 0;
+    let high = observations.length - 1;
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (observations[mid].block_timestamp <= targetTime) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const before = observations[low];
+    const after = observations[high];
+
+    if (before.block_timestamp === targetTime) {
+        return BigInt(before.tick_cumulative);
+    }
+
+    const observationTimeDelta = after.block_timestamp - before.block_timestamp;
+    // BigInt division truncates, matching the program's integer arithmetic
+    const averageTick = (BigInt(after.tick_cumulative) - BigInt(before.tick_cumulative)) / BigInt(observationTimeDelta);
+    return BigInt(before.tick_cumulative) + averageTick * BigInt(targetTime - before.block_timestamp);
+}
+
+// observe(secondsAgos[]) - returns the tick cumulative for each `secondsAgo` counted back
+// from `options.time` (defaults to the newest observation timestamp).
+function observe(observations, secondsAgos, options = {}) {
+    if (observations.length === 0) {
+        throw new InsufficientDataError("Need at least 1 observation to observe tick cumulatives");
+    }
+
+    const time = options.time !== undefined ? options.time : observations[observations.length - 1].block_timestamp;
+
+    return {
+        time: time,
+        tickCumulatives: secondsAgos.map(secondsAgo => getTickCumulativeAt(observations, time - secondsAgo, options.currentTick))
+    };
+}
+
+// TWAP tick for each lookback window (in seconds) ending at `options.time`.
+// A window that cannot be served from the available history gets an `error`
+// instead of failing the whole batch.
+function calculateWindowTWAPs(observations, windows, options = {}) {
+    const time = options.time !== undefined ? options.time : observations[observations.length - 1].block_timestamp;
+
+    return windows.map(windowSeconds => {
+        const window = {
+            windowSeconds: windowSeconds,
+            startTime: time - windowSeconds,
+            endTime: time
+        };
+
+        if (!(windowSeconds > 0)) {
+            window.error = `Invalid window: ${windowSeconds}`;
+            return window;
+        }
+
+        try {
+            const { tickCumulatives } = observe(observations, [windowSeconds, 0], { time: time, currentTick: options.currentTick });
+            window.startTickCumulative = tickCumulatives[0];
+            window.endTickCumulative = tickCumulatives[1];
+            window.twapTick = Number(tickCumulatives[1] - tickCumulatives[0]) / windowSeconds;
+            window.twapTickFloor = Number(floorDiv(tickCumulatives[1] - tickCumulatives[0], BigInt(windowSeconds)));
+        } catch (error) {
+            window.error = error.message;
+        }
+
+        return window;
+    });
+}
+
+module.exports = {
+    getTickCumulativeAt,
+    observe,
+    calculateWindowTWAPs
+};
@@ -0,0 +1,164 @@
+// Output formats for TWAP results
+// Turns the object returned by computeTwap (twap.js) into a stable, versioned document
+// and serializes it as JSON, NDJSON or CSV for scripts and bots.
+
+const { ConfigError } = require('./errors');
+
+// Bump when a field is renamed or removed; adding fields keeps the version
+const RESULT_SCHEMA_VERSION = 1;
+
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'csv'];
+
+const CSV_COLUMNS = [
+    'schema_version',
+    'row_type',
+    'window_seconds',
+    'start_time',
+    'end_time',
+    'twap_tick',
+    'twap_price',
+    'twap_price_decimal',
+    'current_price',
+    'current_price_decimal',
+    'price_difference_percent',
+    'observation_count',
+    'risk_level',
+    'confidence',
+    'factors',
+    'volatility_annualized_percent',
+    'max_drawdown_percent',
+    'max_runup_percent',
+    'outlier_count',
+    'error'
+];
+
+// Cumulatives are BigInt internally; the document carries them as decimal strings
+function toDecimalString(value) {
+    return value === undefined || value === null ? value : value.toString();
+}
+
+// JSON.stringify replacer for any BigInt that is not mapped explicitly
+function bigIntReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function buildResultDocument(result) {
+    return {
+        schemaVersion: RESULT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        twap: {
+            tick: result.twapTick,
+            tickFloor: result.twapTickFloor,
+            price: result.twapPrice,
+            priceDecimal: result.twapPriceDecimal
+        },
+        currentPrice: result.currentPrice,
+        currentPriceDecimal: result.currentPriceDecimal,
+        currentPriceSource: result.currentPriceSource,
+        priceConsistency: result.priceConsistency,
+        pair: result.pair,
+        priceDifferencePercent: result.priceDifferencePercent,
+        window: {
+            startTime: result.startTime,
+            endTime: result.endTime,
+            startTickCumulative: toDecimalString(result.startTickCumulative),
+            endTickCumulative: toDecimalString(result.endTickCumulative),
+            seconds: result.endTime - result.startTime,
+            hours: result.timePeriodHours
+        },
+        observationCount: result.observationCount,
+        dataQuality: result.dataQuality,
+        stats: result.stats,
+        windows: (result.windows || []).map(window => ({
+            windowSeconds: window.windowSeconds,
+            startTime: window.startTime,
+            endTime: window.endTime,
+            startTickCumulative: toDecimalString(window.startTickCumulative),
+            endTickCumulative: toDecimalString(window.endTickCumulative),
+            twapTick: window.twapTick,
+            twapTickFloor: window.twapTickFloor,
+            twapPrice: window.twapPrice,
+            twapPriceDecimal: window.twapPriceDecimal,
+            error: window.error
+        })),
+        volume: result.volume,
+        manipulationAnalysis: result.manipulationAnalysis,
+        manipulationCost: result.manipulationCost
+    };
+}
+
+function csvEscape(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(document) {
+    const analysis = document.manipulationAnalysis;
+    const rows = [{
+        schema_version: document.schemaVersion,
+        row_type: 'full_range',
+        window_seconds: document.window.seconds,
+        start_time: document.window.startTime,
+        end_time: document.window.endTime,
+        twap_tick: document.twap.tick,
+        twap_price: document.twap.price,
+        twap_price_decimal: document.twap.priceDecimal,
+        current_price: document.currentPrice,
+        current_price_decimal: document.currentPriceDecimal,
+        price_difference_percent: document.priceDifferencePercent,
+        observation_count: document.observationCount,
+        risk_level: analysis.level,
+        confidence: analysis.confidence,
+        factors: analysis.factors.join(';'),
+        volatility_annualized_percent: document.stats?.volatility.annualizedPercent,
+        max_drawdown_percent: document.stats?.priceSwings.maxDrawdownPercent,
+        max_runup_percent: document.stats?.priceSwings.maxRunupPercent,
+        outlier_count: document.stats?.outliers.count
+    }];
+
+    document.windows.forEach(window => {
+        rows.push({
+            schema_version: document.schemaVersion,
+            row_type: 'window',
+            window_seconds: window.windowSeconds,
+            start_time: window.startTime,
+            end_time: window.endTime,
+            twap_tick: window.twapTick,
+            twap_price: window.twapPrice,
+            twap_price_decimal: window.twapPriceDecimal,
+            current_price: document.currentPrice,
+            current_price_decimal: document.currentPriceDecimal,
+            error: window.error
+        });
+    });
+
+    const lines = [CSV_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(CSV_COLUMNS.map(column => csvEscape(row[column])).join(',')));
+    return lines.join('\n');
+}
+
+// Serializes a result for a non-text format
+function formatResult(result, format) {
+    const document = buildResultDocument(result);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(document, bigIntReplacer, 2);
+        case 'ndjson':
+            return JSON.stringify(document, bigIntReplacer);
+        case 'csv':
+            return toCsv(document);
+        default:
+            throw new ConfigError(`Unsupported output format: ${format}`);
+    }
+}
+
+module.exports = {
+    RESULT_SCHEMA_VERSION,
+    OUTPUT_FORMATS,
+    buildResultDocument,
+    bigIntReplacer,
+    csvEscape,
+    formatResult
+};
@@ -0,0 +1,285 @@
+// Pool metrics - swap volume, fees and reward emissions from the PoolState counters
+// The AMM program keeps running totals of what was swapped through the pool and of the fees
+// it charged. One snapshot gives the lifetime totals; two snapshots of the same pool give the
+// volume, fees and fee APR in between, which the WASH_TRADING rule (risk_rules.js) reads.
+
+const {
+    Q64,
+    DEFAULT_PRICE_PRECISION,
+    floorDiv,
+    formatRatio
+} = require('./tick_math');
+const { getTokenSymbol, resolvePricePair } = require('./token_registry');
+const { observe } = require('./observe');
+const { ValidationError } = require('./errors');
+
+const Q128 = Q64 * Q64;
+const SECONDS_PER_DAY = 86400;
+const SECONDS_PER_YEAR = 365 * SECONDS_PER_DAY;
+
+// RewardInfo.reward_state values (RewardState in the AMM program)
+const REWARD_STATES = ['uninitialized', 'initialized', 'opening', 'ended'];
+
+function readCounter(poolState, field) {
+    const value = poolState[field]?.data;
+    if (value === undefined || value === null) {
+        throw new ValidationError(`Missing required field in PoolState: ${field}`, { field: field });
+    }
+    return BigInt(value);
+}
+
+function getPoolTokens(poolState, tokenRegistry) {
+    return [0, 1].map(index => {
+        const mint = poolState[`token_mint_${index}`]?.data;
+        return {
+            mint: mint,
+            symbol: mint ? getTokenSymbol(tokenRegistry, mint) : `token${index}`,
+            decimals: parseInt(readCounter(poolState, `mint_decimals_${index}`))
+        };
+    });
+}
+
+// { mint, symbol, amountRaw, amount } like the amounts of estimateManipulationCost; `amount`
+// is in whole tokens
+function tokenAmount(token, amountRaw, precision) {
+    return {
+        mint: token.mint,
+        symbol: token.symbol,
+        amountRaw: amountRaw,
+        amount: formatRatio(amountRaw, 10n ** BigInt(token.decimals), precision)
+    };
+}
+
+function sharePercent(part, whole) {
+    return part === null || whole === 0n ? null : Number(part) / Number(whole) * 100;
+}
+
+function readFeeCounters(poolState, index) {
+    return {
+        lp: readCounter(poolState, `total_fees_token_${index}`),
+        claimed: readCounter(poolState, `total_fees_claimed_token_${index}`),
+        protocol: readCounter(poolState, `protocol_fees_token_${index}`),
+        fund: readCounter(poolState, `fund_fees_token_${index}`)
+    };
+}
+
+// Fees of one token. `protocol` and `fund` are null when unknown (collected in between).
+function describeFees(amount, counters) {
+    const charged = counters.lp + (counters.protocol ?? 0n) + (counters.fund ?? 0n);
+    const fees = {
+        total: amount(counters.lp),
+        claimed: amount(counters.claimed)
+    };
+    if (counters.unclaimed !== undefined) fees.unclaimed = amount(counters.unclaimed);
+    return Object.assign(fees, {
+        protocol: counters.protocol === null ? null : amount(counters.protocol),
+        fund: counters.fund === null ? null : amount(counters.fund),
+        protocolSharePercent: sharePercent(counters.protocol, charged),
+        fundSharePercent: sharePercent(counters.fund, charged)
+    });
+}
+
+// Reward emissions. Amounts are in whole tokens when the reward mint is one of the pool's
+// tokens, otherwise in base units with `decimals: null`. A reward is active when it emits at
+// `time`; without a time, when it is in the opening state.
+function describeRewards(poolState, tokens, time, precision, tokenRegistry) {
+    const infos = poolState.reward_infos?.data || [];
+    return infos.map((info, index) => ({ info: info, index: index }))
+        .filter(({ info }) => Number(info.reward_state) !== 0)
+        .map(({ info, index }) => {
+            const state = REWARD_STATES[Number(info.reward_state)] || `unknown (${info.reward_state})`;
+            const poolToken = tokens.find(token => token.mint === info.token_mint);
+            const decimals = poolToken ? poolToken.decimals : null;
+            const scale = 10n ** BigInt(decimals ?? 0);
+            const amount = (numerator, denominator) => ({
+                amountRaw: numerator / denominator,
+                amount: formatRatio(numerator, denominator * scale, precision)
+            });
+            const emissionsX64 = BigInt(info.emissions_per_second_x64);
+            const openTime = Number(info.open_time);
+            const endTime = Number(info.end_time);
+            const emitting = emissionsX64 > 0n && state !== 'ended';
+            return {
+                index: index,
+                state: state,
+                mint: info.token_mint,
+                symbol: getTokenSymbol(tokenRegistry, info.token_mint),
+                decimals: decimals,
+                openTime: openTime,
+                endTime: endTime,
+                lastUpdateTime: Number(info.last_update_time),
+                active: emitting && (time === null ? state === 'opening' : openTime <= time && time < endTime),
+                emissionsPerDay: amount(emissionsX64 * BigInt(SECONDS_PER_DAY), Q64),
+                totalEmitted: amount(BigInt(info.reward_total_emissioned), 1n),
+                claimed: amount(BigInt(info.reward_claimed), 1n)
+            };
+        });
+}
+
+// Lifetime totals of one PoolState snapshot in whole tokens: swap volume in each direction,
+// fees (LP fees with the claimed and unclaimed part, pending protocol and fund fees) and reward
+// emissions. The program zeroes protocol_fees_token_* and fund_fees_token_* when they are
+// collected, so their shares here are lower bounds; compareSnapshots() gives exact shares.
+// Options: time (snapshot time for active rewards, default the latest reward update),
+// precision, tokenRegistry.
+function computePoolMetrics(poolState, options = {}) {
+    const precision = options.precision || DEFAULT_PRICE_PRECISION;
+    const tokens = getPoolTokens(poolState, options.tokenRegistry);
+    const amount = (index) => (raw) => tokenAmount(tokens[index], raw, precision);
+
+    const updates = (poolState.reward_infos?.data || []).map(info => Number(info.last_update_time)).filter(time => time > 0);
+    const time = options.time ?? (updates.length > 0 ? Math.max(...updates) : null);
+
+    return {
+        tokens: tokens,
+        time: time,
+        volume: {
+            // token0 sold for token1 (the price moves down) and token1 sold for token0
+            zeroForOne: {
+                amountIn: amount(0)(readCounter(poolState, 'swap_in_amount_token_0')),
+                amountOut: amount(1)(readCounter(poolState, 'swap_out_amount_token_1'))
+            },
+            oneForZero: {
+                amountIn: amount(1)(readCounter(poolState, 'swap_in_amount_token_1')),
+                amountOut: amount(0)(readCounter(poolState, 'swap_out_amount_token_0'))
+            }
+        },
+        fees: [0, 1].map(index => {
+            const counters = readFeeCounters(poolState, index);
+            counters.unclaimed = counters.lp - counters.claimed;
+            return describeFees(amount(index), counters);
+        }),
+        rewards: describeRewards(poolState, tokens, time, precision, options.tokenRegistry)
+    };
+}
+
+// Price change over the period between the snapshots: the TWAP of its second half against
+// the TWAP of its first half when the observations cover it, else the spot price change
+// (`percent: null` when the earlier snapshot has no price to compare with)
+function measurePriceChange(earlierSqrtPrice, laterSqrtPrice, elapsedSeconds, options) {
+    const observations = options.observations || [];
+    let reason = 'no observations';
+    if (observations.length > 0 && elapsedSeconds >= 2) {
+        const half = Math.floor(elapsedSeconds / 2);
+        try {
+            const { time, tickCumulatives } = observe(observations, [elapsedSeconds, half, 0], {
+                time: options.time,
+                currentTick: options.currentTick
+            });
+            const firstHalfTick = Number(tickCumulatives[1] - tickCumulatives[0]) / (elapsedSeconds - half);
+            const secondHalfTick = Number(tickCumulatives[2] - tickCumulatives[1]) / half;
+            return {
+                source: 'twap',
+                startTime: time - elapsedSeconds,
+                endTime: time,
+                twapTick: Number(floorDiv(tickCumulatives[2] - tickCumulatives[0], BigInt(elapsedSeconds))),
+                firstHalfTwapTick: firstHalfTick,
+                secondHalfTwapTick: secondHalfTick,
+                percent: (Math.pow(1.0001, secondHalfTick - firstHalfTick) - 1) * 100
+            };
+        } catch (error) {
+            reason = error.message;
+        }
+    }
+    if (earlierSqrtPrice === 0n) {
+        return { source: 'spot', reason: `${reason}; the earlier snapshot has no price (sqrt_price_x64 is 0)`, percent: null };
+    }
+    const ratio = Number(laterSqrtPrice * laterSqrtPrice * 1000000000000n / (earlierSqrtPrice * earlierSqrtPrice)) / 1e12;
+    return {
+        source: 'spot',
+        reason: reason,
+        percent: (ratio - 1) * 100
+    };
+}
+
+// Volume, fees and fee APR between two PoolState snapshots of the same pool taken
+// `elapsedSeconds` apart. Volume is valued in the quote token at the later spot price.
+// The fee APR is what liquidity in range over the whole period earned (fee_growth_global),
+// relative to a full-range position of the same liquidity; concentrated positions earn more
+// on their capital. `turnoverPerDay` is the volume per day relative to the value of the pool's
+// in-range liquidity as full-range reserves (2·L·√P). Options: elapsedSeconds (required),
+// observations (valid observations of the later snapshot) with time and currentTick for the
+// TWAP change, precision, invert, quote, tokenRegistry.
+function compareSnapshots(earlier, later, options = {}) {
+    const elapsedSeconds = options.elapsedSeconds;
+    if (!(elapsedSeconds > 0)) {
+        throw new ValidationError(`Time between the snapshots must be positive, got ${elapsedSeconds}`, { field: 'elapsedSeconds' });
+    }
+    ['token_mint_0', 'token_mint_1', 'observation_key'].forEach(field => {
+        if (earlier[field]?.data !== later[field]?.data) {
+            throw new ValidationError(`Snapshots are of different pools (${field} ${earlier[field]?.data} and ${later[field]?.data})`, { field: field });
+        }
+    });
+
+    const precision = options.precision || DEFAULT_PRICE_PRECISION;
+    const tokens = getPoolTokens(later, options.tokenRegistry);
+    const amount = (index) => (raw) => tokenAmount(tokens[index], raw, precision);
+    const delta = (field) => readCounter(later, field) - readCounter(earlier, field);
+
+    const swapIn0 = delta('swap_in_amount_token_0');
+    const swapIn1 = delta('swap_in_amount_token_1');
+    const swapOut0 = delta('swap_out_amount_token_0');
+    const swapOut1 = delta('swap_out_amount_token_1');
+    if (swapIn0 < 0n || swapIn1 < 0n || swapOut0 < 0n || swapOut1 < 0n) {
+        throw new ValidationError('Swap counters decrease between the snapshots; pass the earlier snapshot first');
+    }
+
+    const sqrtPrice = readCounter(later, 'sqrt_price_x64');
+    if (sqrtPrice === 0n) {
+        throw new ValidationError('The later snapshot has no price (sqrt_price_x64 is 0), cannot value the volume', { field: 'sqrt_price_x64' });
+    }
+    const liquidity = readCounter(later, 'liquidity');
+    const pair = resolvePricePair(later, options);
+    const quoteIndex = pair.inverted ? 0 : 1;
+    // Raw token1 per raw token0 is √P² / 2^128
+    const toQuote = (amount0, amount1) => pair.inverted
+        ? amount0 + amount1 * Q128 / (sqrtPrice * sqrtPrice)
+        : amount0 * sqrtPrice * sqrtPrice / Q128 + amount1;
+
+    const volumeValue = toQuote(swapIn0, swapIn1);
+    const reserveValue = pair.inverted ? 2n * liquidity * Q64 / sqrtPrice : 2n * liquidity * sqrtPrice / Q64;
+    const days = elapsedSeconds / SECONDS_PER_DAY;
+
+    // fee_growth_global_*_x64 are fees per unit of liquidity in Q64.64 and wrap around at 2^128
+    const feeGrowth0 = ((readCounter(later, 'fee_growth_global_0_x64') - readCounter(earlier, 'fee_growth_global_0_x64')) % Q128 + Q128) % Q128;
+    const feeGrowth1 = ((readCounter(later, 'fee_growth_global_1_x64') - readCounter(earlier, 'fee_growth_global_1_x64')) % Q128 + Q128) % Q128;
+    // Fees and full-range position value per unit of liquidity, both in token1 × 2^64
+    const feeValuePerLiquidity = feeGrowth0 * sqrtPrice * sqrtPrice / Q128 + feeGrowth1;
+    const periodReturn = Number(feeValuePerLiquidity) / Number(2n * sqrtPrice);
+
+    const fees = [0, 1].map(index => {
+        const earlierCounters = readFeeCounters(earlier, index);
+        const laterCounters = readFeeCounters(later, index);
+        // Protocol and fund fees drop to zero when collected; the share is unknown then
+        const counterDelta = (name) => laterCounters[name] >= earlierCounters[name] ? laterCounters[name] - earlierCounters[name] : null;
+        return describeFees(amount(index), {
+            lp: laterCounters.lp - earlierCounters.lp,
+            claimed: laterCounters.claimed - earlierCounters.claimed,
+            protocol: counterDelta('protocol'),
+            fund: counterDelta('fund')
+        });
+    });
+
+    return {
+        elapsedSeconds: elapsedSeconds,
+        pair: pair,
+        liquidity: liquidity,
+        volume: {
+            zeroForOne: { amountIn: amount(0)(swapIn0), amountOut: amount(1)(swapOut1) },
+            oneForZero: { amountIn: amount(1)(swapIn1), amountOut: amount(0)(swapOut0) },
+            total: amount(quoteIndex)(volumeValue),
+            perDay: tokenAmount(tokens[quoteIndex], BigInt(Math.round(Number(volumeValue) / days)), precision)
+        },
+        fees: fees,
+        reserveValue: amount(quoteIndex)(reserveValue),
+        turnoverPerDay: reserveValue === 0n ? 0 : Number(volumeValue) / Number(reserveValue) / days,
+        feeAprPercent: periodReturn * SECONDS_PER_YEAR / elapsedSeconds * 100,
+        priceChange: measurePriceChange(readCounter(earlier, 'sqrt_price_x64'), sqrtPrice, elapsedSeconds, options)
+    };
+}
+
+module.exports = {
+    REWARD_STATES,
+    computePoolMetrics,
+    compareSnapshots
+};
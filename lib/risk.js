@@ -0,0 +1,88 @@
+// Manipulation risk analysis - turns rule evaluations into a level, factors, a confidence
+// score and recommendations
+
+const {
+    RISK_LEVELS,
+    DEFAULT_CONFIDENCE,
+    DEFAULT_RECOMMENDATIONS,
+    resolveRules,
+    evaluateRules
+} = require('./risk_rules');
+
+// Runs the risk rules (see risk_rules.js) over one analysis:
+// { priceDiffPercent, timePeriodHours, observations, stats?, volume? } where `stats` is
+// computeTickStats() output for the observations (computed when missing) and `volume` a
+// compareSnapshots() result for the WASH_TRADING rule. `rules` is a resolved rule set from
+// resolveRules(); without it the default profile is used.
+function analyzeRisk(input, rules) {
+    const resolved = rules || resolveRules();
+    const timePeriodHours = input.timePeriodHours;
+    const evaluations = evaluateRules(resolved, {
+        priceDiffPercent: input.priceDiffPercent,
+        timePeriodHours: timePeriodHours,
+        observations: input.observations,
+        stats: input.stats,
+        volume: input.volume
+    });
+    
+    // The risk level is the most severe triggered rule; less specific rules that a triggered
+    // rule supersedes (HIGH_PRICE_DIFF under EXTREME_PRICE_DIFF, ...) are not reported as factors.
+    // Rules with `raisesFrom` only raise the level the other rules reach from those levels.
+    const reported = evaluations.filter(evaluation => evaluation.triggered && !evaluation.superseded);
+    const raisesFrom = (evaluation) => resolved.rules.find(rule => rule.id === evaluation.id).raisesFrom;
+    const raise = (level, evaluation) => {
+        return RISK_LEVELS.indexOf(evaluation.severity) > RISK_LEVELS.indexOf(level) ? evaluation.severity : level;
+    };
+    const ruleLevel = reported.filter(evaluation => !raisesFrom(evaluation)).reduce(raise, "LOW");
+    const riskLevel = reported.filter(evaluation => raisesFrom(evaluation)).reduce((level, evaluation) => {
+        return raisesFrom(evaluation).includes(ruleLevel) ? raise(level, evaluation) : level;
+    }, ruleLevel);
+    const factors = reported.map(evaluation => evaluation.id);
+    
+    const warningRule = resolved.rules.find(rule => rule.warning && factors.includes(rule.id));
+    const warning = warningRule ? warningRule.warning : null;
+    
+    // No factors found = legitimate movement
+    if (factors.length === 0) {
+        factors.push("NORMAL_MOVEMENT");
+    }
+    
+    return {
+        level: riskLevel,
+        factors: factors,
+        warning: warning,
+        confidence: calculateConfidence(factors, timePeriodHours, resolved.confidence),
+        recommendations: getRecommendations(riskLevel, factors, resolved.recommendations),
+        profile: resolved.profile,
+        rules: evaluations
+    };
+}
+
+function calculateConfidence(factors, timePeriodHours, table = DEFAULT_CONFIDENCE) {
+    let confidence = table.base;
+    
+    table.hours.forEach(step => {
+        if (timePeriodHours > step.overHours) confidence += step.add;
+    });
+    factors.forEach(factor => {
+        confidence += table.factors[factor] || 0;
+    });
+    
+    return Math.min(Math.max(confidence, 0), 100);
+}
+
+function getRecommendations(riskLevel, factors, table = DEFAULT_RECOMMENDATIONS) {
+    const recommendations = (table.levels[riskLevel] || []).slice();
+    
+    factors.forEach(factor => {
+        recommendations.push(...(table.factors[factor] || []));
+    });
+    
+    return recommendations;
+}
+
+module.exports = {
+    analyzeRisk,
+    calculateConfidence,
+    getRecommendations
+};
@@ -0,0 +1,437 @@
+// Manipulation risk rules
+// Every factor analyzeRisk (risk.js) can report is a registered rule with an id, a severity,
+// default parameters and an explanation. A rule measures one value from the analysis
+// context and compares it with its threshold; the risk level is the highest severity
+// among the triggered rules. Thresholds come from profiles (stable pairs, volatile
+// tokens, ...) and can be overridden per pool from a rules file (`--rules rules.json`).
+
+const fs = require('fs');
+const { computeTickStats } = require('./tick_analytics');
+const { ConfigError } = require('./errors');
+
+// Ordered from least to most severe
+const RISK_LEVELS = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '<': (value, threshold) => value < threshold
+};
+
+// Built-in rules, in evaluation order. `measure(context, params)` returns the value compared
+// against `params.threshold`; `applies` (optional) gates the rule on a second condition;
+// `supersedes` lists less specific rules dropped from the factors when this one triggers;
+// `raisesFrom` limits a rule to raising the level the other rules reach from these levels.
+// `requires` names an optional context field the rule is only evaluated with.
+const RULES = [
+    {
+        id: 'EXTREME_PRICE_DIFF',
+        severity: 'CRITICAL',
+        description: 'TWAP/spot price difference',
+        unit: '%',
+        operator: '>',
+        params: { threshold: 50 },
+        supersedes: ['HIGH_PRICE_DIFF', 'MODERATE_PRICE_DIFF'],
+        warning: 'Extreme price difference detected! Possible pump/dump or flash loan attack',
+        measure: (context) => context.priceDiffPercent
+    },
+    {
+        id: 'HIGH_PRICE_DIFF',
+        severity: 'HIGH',
+        description: 'TWAP/spot price difference',
+        unit: '%',
+        operator: '>',
+        params: { threshold: 30 },
+        supersedes: ['MODERATE_PRICE_DIFF'],
+        warning: 'Very high price difference - investigate for manipulation',
+        measure: (context) => context.priceDiffPercent
+    },
+    {
+        id: 'MODERATE_PRICE_DIFF',
+        severity: 'MEDIUM',
+        description: 'TWAP/spot price difference',
+        unit: '%',
+        operator: '>',
+        params: { threshold: 15 },
+        measure: (context) => context.priceDiffPercent
+    },
+    {
+        id: 'RAPID_PRICE_CHANGE',
+        severity: 'HIGH',
+        description: 'Price difference within a short observation period',
+        unit: '%',
+        operator: '>',
+        params: { threshold: 20, maxHours: 1 },
+        // As in the original analysis: only a move that the price difference rules rate LOW
+        // becomes HIGH, a MODERATE_PRICE_DIFF move stays MEDIUM
+        raisesFrom: ['LOW'],
+        warning: 'Rapid price change in short timeframe - possible manipulation',
+        measure: (context) => context.priceDiffPercent,
+        applies: (context, params) => context.timePeriodHours < params.maxHours,
+        condition: (params) => `observation period < ${params.maxHours}h`
+    },
+    {
+        id: 'TICK_SPIKE',
+        severity: 'HIGH',
+        description: 'Largest modified z-score of the interval tick changes',
+        unit: '',
+        operator: '>',
+        params: { threshold: 10 },
+        measure: (context) => context.stats.outliers.maxZScore
+    },
+    {
+        id: 'TICK_OUTLIERS',
+        severity: 'MEDIUM',
+        description: 'Share of intervals with outlying tick changes (median/MAD)',
+        unit: '',
+        operator: '>',
+        params: { threshold: 0.1 },
+        measure: (context) => context.stats.outliers.share
+    },
+    {
+        id: 'HIGH_VOLATILITY',
+        severity: 'MEDIUM',
+        description: 'Annualized realized volatility',
+        unit: '%',
+        operator: '>',
+        params: { threshold: 300 },
+        measure: (context) => context.stats.volatility.annualizedPercent
+    },
+    {
+        id: 'LARGE_PRICE_SWING',
+        severity: 'HIGH',
+        description: 'Largest drawdown or run-up within the observations',
+        unit: '%',
+        operator: '>',
+        params: { threshold: 20 },
+        measure: (context) => Math.max(context.stats.priceSwings.maxDrawdownPercent, context.stats.priceSwings.maxRunupPercent)
+    },
+    {
+        id: 'INSUFFICIENT_DATA',
+        severity: 'LOW',
+        description: 'Observation period',
+        unit: 'h',
+        operator: '<',
+        params: { threshold: 0.1 },
+        warning: 'Very short observation period - results may not be reliable',
+        measure: (context) => context.timePeriodHours
+    },
+    {
+        // Wash trading indicator: few distinct cumulative steps
+        id: 'REPETITIVE_PATTERNS',
+        severity: 'MEDIUM',
+        description: 'Share of distinct tick_cumulative steps',
+        unit: '',
+        operator: '<',
+        params: { threshold: 0.3 },
+        measure: (context) => context.stats.distinctStepShare
+    },
+    {
+        // Volume between two PoolState snapshots (compareSnapshots in pool_metrics.js) that
+        // churns the in-range liquidity many times a day without moving the TWAP
+        id: 'WASH_TRADING',
+        severity: 'MEDIUM',
+        description: 'Daily volume over the in-range liquidity value',
+        unit: '/day',
+        operator: '>',
+        params: { threshold: 5, maxPriceChangePercent: 1 },
+        requires: 'volume',
+        warning: 'High volume with a flat TWAP - possible wash trading',
+        measure: (context) => context.volume.turnoverPerDay,
+        // An unknown price change (percent null) is not a flat one
+        applies: (context, params) => context.volume.priceChange.percent !== null && Math.abs(context.volume.priceChange.percent) < params.maxPriceChangePercent,
+        condition: (params) => `TWAP change < ${params.maxPriceChangePercent}%`
+    }
+];
+
+const RULES_BY_ID = new Map(RULES.map(rule => [rule.id, rule]));
+
+// Built-in threshold profiles; each maps rule id -> overrides ({ enabled, severity, ...params })
+const PROFILES = {
+    default: {
+        description: 'Original thresholds, suited to liquid majors',
+        rules: {}
+    },
+    stable: {
+        description: 'Pegged pairs (stablecoins, LST/SOL) where small deviations already matter',
+        rules: {
+            EXTREME_PRICE_DIFF: { threshold: 5 },
+            HIGH_PRICE_DIFF: { threshold: 2 },
+            MODERATE_PRICE_DIFF: { threshold: 0.5 },
+            RAPID_PRICE_CHANGE: { threshold: 1 },
+            HIGH_VOLATILITY: { threshold: 20 },
+            LARGE_PRICE_SWING: { threshold: 2 },
+            // Pegged prices rarely move, so repeated cumulative steps and a flat TWAP are expected
+            REPETITIVE_PATTERNS: { threshold: 0.1 },
+            WASH_TRADING: { threshold: 20, maxPriceChangePercent: 0.1 }
+        }
+    },
+    volatile: {
+        description: 'Memecoins and thin pools with large legitimate swings',
+        rules: {
+            EXTREME_PRICE_DIFF: { threshold: 100 },
+            HIGH_PRICE_DIFF: { threshold: 60 },
+            MODERATE_PRICE_DIFF: { threshold: 30 },
+            RAPID_PRICE_CHANGE: { threshold: 40 },
+            TICK_SPIKE: { threshold: 25 },
+            HIGH_VOLATILITY: { threshold: 1000 },
+            LARGE_PRICE_SWING: { threshold: 50 },
+            WASH_TRADING: { threshold: 10, maxPriceChangePercent: 5 }
+        }
+    }
+};
+
+const DEFAULT_CONFIDENCE = {
+    base: 50,
+    // Added once the observation period exceeds `overHours`
+    hours: [
+        { overHours: 1, add: 20 },
+        { overHours: 6, add: 15 }
+    ],
+    factors: {
+        NORMAL_MOVEMENT: 15,
+        EXTREME_PRICE_DIFF: 25,
+        INSUFFICIENT_DATA: -30
+    }
+};
+
+const DEFAULT_RECOMMENDATIONS = {
+    levels: {
+        CRITICAL: [
+            "🚨 DO NOT TRADE - High manipulation risk",
+            "📊 Wait for market stabilization",
+            "🔍 Investigate recent transactions"
+        ],
+        HIGH: [
+            "⚠️ Trade with extreme caution",
+            "📈 Use smaller position sizes",
+            "⏰ Wait for longer observation period"
+        ],
+        MEDIUM: [
+            "⚡ Consider market volatility",
+            "📊 Cross-check with other indicators"
+        ],
+        LOW: [
+            "✅ Normal market conditions",
+            "📈 Safe to trade with normal risk management"
+        ]
+    },
+    factors: {
+        INSUFFICIENT_DATA: ["⏱️ Collect more historical data"]
+    }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Checks one { ruleId: overrides } map; `where` names its place in the rules file
+function validateRuleOverrides(overrides, where) {
+    if (!isPlainObject(overrides)) {
+        throw new ConfigError(`${where} must be an object of rule overrides`);
+    }
+    for (const [id, override] of Object.entries(overrides)) {
+        const rule = RULES_BY_ID.get(id);
+        if (!rule) {
+            throw new ConfigError(`${where}: unknown rule ${id} (known rules: ${RULES.map(item => item.id).join(', ')})`);
+        }
+        if (!isPlainObject(override)) throw new ConfigError(`${where}.${id} must be an object`);
+        for (const [key, value] of Object.entries(override)) {
+            if (key === 'enabled') {
+                if (typeof value !== 'boolean') throw new ConfigError(`${where}.${id}.enabled must be true or false`);
+            } else if (key === 'severity') {
+                if (!RISK_LEVELS.includes(value)) throw new ConfigError(`${where}.${id}.severity must be one of ${RISK_LEVELS.join(', ')}`);
+            } else if (!(key in rule.params)) {
+                throw new ConfigError(`${where}.${id}: unknown parameter ${key} (expected ${Object.keys(rule.params).join(', ')})`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new ConfigError(`${where}.${id}.${key} must be a number`);
+            }
+        }
+    }
+}
+
+// Checks the `confidence` and `recommendations` tables of a rules file against the shapes of
+// DEFAULT_CONFIDENCE and DEFAULT_RECOMMENDATIONS
+function validateTables(config) {
+    const { confidence, recommendations } = config;
+    if (confidence !== undefined) {
+        if (!isPlainObject(confidence)) throw new ConfigError('confidence must be an object');
+        if (confidence.base !== undefined && !Number.isFinite(confidence.base)) {
+            throw new ConfigError('confidence.base must be a number');
+        }
+        if (confidence.hours !== undefined && !(Array.isArray(confidence.hours) &&
+            confidence.hours.every(step => isPlainObject(step) && Number.isFinite(step.overHours) && Number.isFinite(step.add)))) {
+            throw new ConfigError('confidence.hours must be an array of { overHours, add } numbers');
+        }
+        if (confidence.factors !== undefined && !(isPlainObject(confidence.factors) && Object.values(confidence.factors).every(Number.isFinite))) {
+            throw new ConfigError('confidence.factors must map factors to numbers');
+        }
+    }
+    if (recommendations !== undefined) {
+        if (!isPlainObject(recommendations)) throw new ConfigError('recommendations must be an object');
+        for (const key of ['levels', 'factors']) {
+            const table = recommendations[key];
+            if (table !== undefined && !(isPlainObject(table) && Object.values(table).every(isStringList))) {
+                throw new ConfigError(`recommendations.${key} must map ${key} to arrays of strings`);
+            }
+        }
+    }
+}
+
+// Reads and validates a rules file:
+// { profile, rules, profiles: { name: { extends, rules } }, pools: { poolId: profile | { profile, rules } },
+//   confidence, recommendations }
+function loadRuleConfig(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Error loading rules file ${filePath}: ${error.message}`, { cause: error });
+    }
+
+    if (!isPlainObject(config)) {
+        throw new ConfigError(`Rules file ${filePath} must contain an object`);
+    }
+    for (const key of ['profiles', 'pools']) {
+        if (config[key] !== undefined && !isPlainObject(config[key])) throw new ConfigError(`${key} must be an object`);
+    }
+
+    const profileNames = new Set(Object.keys(PROFILES).concat(Object.keys(config.profiles || {})));
+    const checkProfile = (name, where) => {
+        if (!profileNames.has(name)) {
+            throw new ConfigError(`${where}: unknown profile ${name} (known profiles: ${Array.from(profileNames).join(', ')})`);
+        }
+    };
+
+    if (config.profile) checkProfile(config.profile, 'profile');
+    if (config.rules) validateRuleOverrides(config.rules, 'rules');
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+        if (!isPlainObject(profile)) throw new ConfigError(`profiles.${name} must be an object`);
+        if (profile.extends) checkProfile(profile.extends, `profiles.${name}.extends`);
+        validateRuleOverrides(profile.rules || {}, `profiles.${name}.rules`);
+    }
+    for (const [poolId, entry] of Object.entries(config.pools || {})) {
+        const poolEntry = typeof entry === 'string' ? { profile: entry } : entry;
+        if (!isPlainObject(poolEntry)) throw new ConfigError(`pools.${poolId} must be a profile name or an object`);
+        if (poolEntry.profile) checkProfile(poolEntry.profile, `pools.${poolId}.profile`);
+        if (poolEntry.rules) validateRuleOverrides(poolEntry.rules, `pools.${poolId}.rules`);
+    }
+    validateTables(config);
+
+    return config;
+}
+
+// Flattens a profile chain into a list of override maps, base first
+function collectProfileOverrides(name, customProfiles, seen = new Set()) {
+    if (seen.has(name)) {
+        throw new ConfigError(`Profile ${name} extends itself`);
+    }
+    seen.add(name);
+
+    const profile = customProfiles[name] || PROFILES[name];
+    if (!profile) {
+        throw new ConfigError(`Unknown risk profile: ${name} (known profiles: ${Object.keys(PROFILES).concat(Object.keys(customProfiles)).join(', ')})`);
+    }
+    const parent = customProfiles[name] ? collectProfileOverrides(profile.extends || 'default', customProfiles, seen) : [];
+    return parent.concat([profile.rules || {}]);
+}
+
+// Effective rule set for one analysis. Precedence, lowest first: built-in defaults, profile
+// (options.profile, else the pool's entry, else config.profile), config.rules, the pool's rules.
+// Returns { profile, rules: [{ ...rule, enabled, severity, params }], confidence, recommendations }.
+function resolveRules(config = {}, options = {}) {
+    const poolEntry = options.poolId && config.pools ? config.pools[options.poolId] : undefined;
+    const pool = typeof poolEntry === 'string' ? { profile: poolEntry } : (poolEntry || {});
+    const profile = options.profile || pool.profile || config.profile || 'default';
+
+    const overrideMaps = collectProfileOverrides(profile, config.profiles || {})
+        .concat([config.rules || {}, pool.rules || {}]);
+
+    const rules = RULES.map(rule => {
+        const resolved = Object.assign({}, rule, { enabled: true, params: Object.assign({}, rule.params) });
+        overrideMaps.forEach(overrides => {
+            const override = overrides[rule.id];
+            if (!override) return;
+            for (const [key, value] of Object.entries(override)) {
+                if (key === 'enabled' || key === 'severity') {
+                    resolved[key] = value;
+                } else {
+                    resolved.params[key] = value;
+                }
+            }
+        });
+        return resolved;
+    });
+
+    return {
+        profile: profile,
+        rules: rules,
+        // Each table is merged on its own, so a file setting only `hours` keeps the factor scores
+        confidence: {
+            base: config.confidence?.base ?? DEFAULT_CONFIDENCE.base,
+            hours: config.confidence?.hours || DEFAULT_CONFIDENCE.hours,
+            factors: Object.assign({}, DEFAULT_CONFIDENCE.factors, config.confidence?.factors)
+        },
+        recommendations: {
+            levels: Object.assign({}, DEFAULT_RECOMMENDATIONS.levels, config.recommendations?.levels),
+            factors: Object.assign({}, DEFAULT_RECOMMENDATIONS.factors, config.recommendations?.factors)
+        }
+    };
+}
+
+function formatMeasure(value, unit) {
+    if (!Number.isFinite(value)) return String(value);
+    return `${Number(value.toFixed(4))}${unit}`;
+}
+
+// Runs every enabled rule against the context ({ priceDiffPercent, timePeriodHours, observations,
+// stats, volume? }); `stats` (see tick_analytics.js) is computed from the observations when
+// missing. Rules that require a context field the context lacks are skipped.
+// Returns one evaluation per evaluated rule:
+// { id, severity, triggered, superseded, value, operator, threshold, explanation }.
+function evaluateRules(resolved, context) {
+    const fullContext = Object.assign({}, context);
+    if (!fullContext.stats && fullContext.observations) fullContext.stats = computeTickStats(context.observations);
+
+    const evaluated = resolved.rules.filter(rule => rule.enabled && (!rule.requires || fullContext[rule.requires]));
+    const evaluations = evaluated.map(rule => {
+        const value = rule.measure(fullContext, rule.params);
+        const applies = rule.applies ? rule.applies(fullContext, rule.params) : true;
+        const triggered = applies && OPERATORS[rule.operator](value, rule.params.threshold);
+
+        let explanation = `${rule.description}: ${formatMeasure(value, rule.unit)} (threshold ${rule.operator} ${formatMeasure(rule.params.threshold, rule.unit)}`;
+        if (rule.condition) explanation += `, only when ${rule.condition(rule.params)}`;
+        explanation += ')';
+
+        return {
+            id: rule.id,
+            severity: rule.severity,
+            triggered: triggered,
+            superseded: false,
+            value: value,
+            operator: rule.operator,
+            threshold: rule.params.threshold,
+            explanation: explanation
+        };
+    });
+
+    const superseded = new Set();
+    evaluations.forEach(evaluation => {
+        const rule = RULES_BY_ID.get(evaluation.id);
+        if (evaluation.triggered && rule.supersedes) rule.supersedes.forEach(id => superseded.add(id));
+    });
+    evaluations.forEach(evaluation => {
+        evaluation.superseded = evaluation.triggered && superseded.has(evaluation.id);
+    });
+
+    return evaluations;
+}
+
+module.exports = {
+    RISK_LEVELS,
+    RULES,
+    PROFILES,
+    DEFAULT_CONFIDENCE,
+    DEFAULT_RECOMMENDATIONS,
+    loadRuleConfig,
+    resolveRules,
+    evaluateRules
+};
@@ -0,0 +1,218 @@
+// Tick analytics - statistics on the per-interval average tick series
+// Consecutive observations give the exact average tick of the interval between them
+// ((cumulative_b - cumulative_a) / (t_b - t_a)). The series is the basis for realized
+// volatility, robust outlier detection, drawdown/run-up and a time-weighted histogram.
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+const LN_TICK_BASE = Math.log(1.0001);
+
+// Modified z-score above which an interval counts as an outlier (Iglewicz & Hoaglin)
+const DEFAULT_OUTLIER_Z_SCORE = 3.5;
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 0.6745;
+// Same for the mean absolute deviation, used when more than half of the changes are equal
+const MEAN_AD_SCALE = 0.7979;
+const DEFAULT_HISTOGRAM_BUCKETS = 20;
+
+// Average tick of every interval between consecutive observations (sorted, oldest first)
+function getIntervalTicks(observations) {
+    const intervals = [];
+    for (let i = 1; i < observations.length; i++) {
+        const seconds = observations[i].block_timestamp - observations[i-1].block_timestamp;
+        if (seconds <= 0) continue;
+        const tickDiff = BigInt(observations[i].tick_cumulative) - BigInt(observations[i-1].tick_cumulative);
+        intervals.push({
+            startTime: observations[i-1].block_timestamp,
+            endTime: observations[i].block_timestamp,
+            seconds: seconds,
+            tick: Number(tickDiff) / seconds
+        });
+    }
+    return intervals;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Realized volatility of log prices between consecutive intervals. Squared log returns are summed
+// and divided by the elapsed time between interval midpoints, then scaled to a year.
+function realizedVolatility(intervals) {
+    let sumSquares = 0;
+    let elapsed = 0;
+    for (let i = 1; i < intervals.length; i++) {
+        const logReturn = (intervals[i].tick - intervals[i-1].tick) * LN_TICK_BASE;
+        sumSquares += logReturn * logReturn;
+        elapsed += (intervals[i].seconds + intervals[i-1].seconds) / 2;
+    }
+
+    const variancePerSecond = elapsed > 0 ? sumSquares / elapsed : 0;
+    return {
+        sampleCount: Math.max(intervals.length - 1, 0),
+        annualizedPercent: Math.sqrt(variancePerSecond * SECONDS_PER_YEAR) * 100
+    };
+}
+
+// Median/MAD outliers among the tick changes between consecutive intervals
+function detectOutliers(intervals, zThreshold = DEFAULT_OUTLIER_Z_SCORE) {
+    const changes = [];
+    for (let i = 1; i < intervals.length; i++) {
+        changes.push(intervals[i].tick - intervals[i-1].tick);
+    }
+
+    const center = median(changes);
+    const deviations = changes.map(change => Math.abs(change - center));
+    const mad = median(deviations);
+    const meanDeviation = deviations.length > 0 ? deviations.reduce((a, b) => a + b, 0) / deviations.length : 0;
+
+    // With MAD = 0 the mean absolute deviation keeps the score finite; a flat series has no outliers
+    const zScore = (change) => {
+        if (mad > 0) return MAD_SCALE * (change - center) / mad;
+        if (meanDeviation > 0) return MEAN_AD_SCALE * (change - center) / meanDeviation;
+        return 0;
+    };
+
+    const scored = changes.map((change, index) => ({
+        startTime: intervals[index + 1].startTime,
+        endTime: intervals[index + 1].endTime,
+        tick: intervals[index + 1].tick,
+        change: change,
+        zScore: zScore(change)
+    }));
+    const outliers = scored.filter(item => Math.abs(item.zScore) > zThreshold);
+
+    return {
+        zThreshold: zThreshold,
+        medianChange: center,
+        mad: mad,
+        maxZScore: scored.reduce((max, item) => Math.max(max, Math.abs(item.zScore)), 0),
+        count: outliers.length,
+        share: changes.length > 0 ? outliers.length / changes.length : 0,
+        intervals: outliers
+    };
+}
+
+// Largest peak-to-trough fall and trough-to-peak rise of the price, in percent
+function drawdownAndRunup(intervals, inverted) {
+    const direction = inverted ? -1 : 1;
+    let peak = null;
+    let trough = null;
+    const result = { maxDrawdownPercent: 0, maxRunupPercent: 0, drawdown: null, runup: null };
+
+    intervals.forEach(interval => {
+        const tick = interval.tick * direction;
+        if (peak === null || tick > peak.tick) peak = { time: interval.endTime, tick: tick };
+        if (trough === null || tick < trough.tick) trough = { time: interval.endTime, tick: tick };
+
+        const drawdown = (1 - Math.pow(1.0001, tick - peak.tick)) * 100;
+        if (drawdown > result.maxDrawdownPercent) {
+            result.maxDrawdownPercent = drawdown;
+            result.drawdown = { fromTime: peak.time, toTime: interval.endTime };
+        }
+        const runup = (Math.pow(1.0001, tick - trough.tick) - 1) * 100;
+        if (runup > result.maxRunupPercent) {
+            result.maxRunupPercent = runup;
+            result.runup = { fromTime: trough.time, toTime: interval.endTime };
+        }
+    });
+
+    return result;
+}
+
+// Seconds spent in each tick bucket; `bucketWidth` defaults to a width giving at most 20 buckets
+function tickHistogram(intervals, bucketWidth) {
+    if (intervals.length === 0) {
+        return { bucketWidth: bucketWidth || 1, buckets: [] };
+    }
+
+    const ticks = intervals.map(interval => Math.floor(interval.tick));
+    const minTick = Math.min(...ticks);
+    const maxTick = Math.max(...ticks);
+    const width = bucketWidth || Math.max(1, Math.ceil((maxTick - minTick + 1) / DEFAULT_HISTOGRAM_BUCKETS));
+    const firstLower = Math.floor(minTick / width) * width;
+
+    const buckets = new Map();
+    let totalSeconds = 0;
+    intervals.forEach((interval, index) => {
+        const tickLower = firstLower + Math.floor((ticks[index] - firstLower) / width) * width;
+        buckets.set(tickLower, (buckets.get(tickLower) || 0) + interval.seconds);
+        totalSeconds += interval.seconds;
+    });
+
+    return {
+        bucketWidth: width,
+        buckets: Array.from(buckets.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([tickLower, seconds]) => ({
+                tickLower: tickLower,
+                tickUpper: tickLower + width,
+                seconds: seconds,
+                share: seconds / totalSeconds
+            }))
+    };
+}
+
+// Share of distinct tick_cumulative steps among all steps (a wash trading indicator)
+function distinctStepShare(observations) {
+    const steps = new Set();
+    for (let i = 1; i < observations.length; i++) {
+        steps.add(BigInt(observations[i].tick_cumulative) - BigInt(observations[i-1].tick_cumulative));
+    }
+    return observations.length > 1 ? steps.size / (observations.length - 1) : 1;
+}
+
+// Full statistics for sorted observations. Options: inverted (drawdown/run-up of the inverted
+// price), outlierZScore, bucketWidth.
+function computeTickStats(observations, options = {}) {
+    const intervals = getIntervalTicks(observations);
+    const totalSeconds = intervals.reduce((sum, interval) => sum + interval.seconds, 0);
+    const weightedTick = intervals.reduce((sum, interval) => sum + interval.tick * interval.seconds, 0);
+
+    return {
+        intervalCount: intervals.length,
+        totalSeconds: totalSeconds,
+        meanTick: totalSeconds > 0 ? weightedTick / totalSeconds : null,
+        minTick: intervals.length > 0 ? Math.min(...intervals.map(interval => interval.tick)) : null,
+        maxTick: intervals.length > 0 ? Math.max(...intervals.map(interval => interval.tick)) : null,
+        volatility: realizedVolatility(intervals),
+        outliers: detectOutliers(intervals, options.outlierZScore),
+        priceSwings: drawdownAndRunup(intervals, options.inverted),
+        histogram: tickHistogram(intervals, options.bucketWidth),
+        distinctStepShare: distinctStepShare(observations)
+    };
+}
+
+// Human-readable summary lines of computeTickStats() output; `pairLabel` names the price orientation
+function formatTickStats(stats, pairLabel) {
+    const lines = [
+        `Intervals: ${stats.intervalCount} over ${stats.totalSeconds}s, mean tick ${stats.meanTick?.toFixed(2)} (min ${stats.minTick?.toFixed(2)}, max ${stats.maxTick?.toFixed(2)})`,
+        `Realized volatility: ${stats.volatility.annualizedPercent.toFixed(2)}% annualized (${stats.volatility.sampleCount} returns)`,
+        `Outliers (|z| > ${stats.outliers.zThreshold}): ${stats.outliers.count} of ${Math.max(stats.intervalCount - 1, 0)} tick changes, max |z| ${stats.outliers.maxZScore.toFixed(2)}`
+    ];
+    stats.outliers.intervals.forEach(item => {
+        lines.push(`  ⚠️  ${item.startTime} → ${item.endTime}: tick ${item.tick.toFixed(2)} (change ${item.change.toFixed(2)}, z ${item.zScore.toFixed(2)})`);
+    });
+    lines.push(`Max drawdown: ${stats.priceSwings.maxDrawdownPercent.toFixed(4)}%, max run-up: ${stats.priceSwings.maxRunupPercent.toFixed(4)}% (${pairLabel})`);
+    lines.push(`Distinct cumulative steps: ${(stats.distinctStepShare * 100).toFixed(1)}%`);
+    lines.push(`Time-weighted tick histogram (bucket width ${stats.histogram.bucketWidth}):`);
+    stats.histogram.buckets.forEach(bucket => {
+        const bar = '█'.repeat(Math.round(bucket.share * 40));
+        lines.push(`  [${bucket.tickLower}, ${bucket.tickUpper}) ${bar} ${(bucket.share * 100).toFixed(1)}%`);
+    });
+    return lines;
+}
+
+module.exports = {
+    DEFAULT_OUTLIER_Z_SCORE,
+    getIntervalTicks,
+    realizedVolatility,
+    detectOutliers,
+    drawdownAndRunup,
+    tickHistogram,
+    distinctStepShare,
+    computeTickStats,
+    formatTickStats
+};
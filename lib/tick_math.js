@@ -0,0 +1,194 @@
+// Exact tick math for Raydium CLMM pools
+// Integer port of the AMM program's tick_math.rs: sqrt prices are Q64.64 fixed point
+// values held in BigInt, so results match the chain bit for bit.
+
+const { TwapError, TickRangeError } = require('./errors');
+
+const MIN_TICK = -443636;
+const MAX_TICK = 443636;
+const MIN_SQRT_PRICE_X64 = 4295048016n;
+const MAX_SQRT_PRICE_X64 = 79226673521066979257578248091n;
+
+const Q64 = 1n << 64n;
+const Q128 = 1n << 128n;
+const U128_MAX = Q128 - 1n;
+
+// Significant digits used for decimal price strings
+const DEFAULT_PRICE_PRECISION = 20;
+
+// 2^64 / sqrt(1.0001)^(2^i) for i = 1..18, truncated (bit 0 is the initial ratio)
+const SQRT_RATIO_MULTIPLIERS = [
+    [0x2, 0xfff97272373d4000n],
+    [0x4, 0xfff2e50f5f657000n],
+    [0x8, 0xffe5caca7e10f000n],
+    [0x10, 0xffcb9843d60f7000n],
+    [0x20, 0xff973b41fa98e800n],
+    [0x40, 0xff2ea16466c9b000n],
+    [0x80, 0xfe5dee046a9a3800n],
+    [0x100, 0xfcbe86c7900bb000n],
+    [0x200, 0xf987a7253ac65800n],
+    [0x400, 0xf3392b0822bb6000n],
+    [0x800, 0xe7159475a2caf000n],
+    [0x1000, 0xd097f3bdfd2f2000n],
+    [0x2000, 0xa9f746462d9f8000n],
+    [0x4000, 0x70d869a156f31c00n],
+    [0x8000, 0x31be135f97ed3200n],
+    [0x10000, 0x9aa508b5b85a500n],
+    [0x20000, 0x5d6af8dedc582cn],
+    [0x40000, 0x2216e584f5fan]
+];
+
+// sqrt(1.0001^tick) * 2^64, as computed by get_sqrt_price_at_tick
+function getSqrtPriceAtTick(tick) {
+    if (!Number.isInteger(tick)) {
+        throw new TickRangeError(`Tick must be an integer: ${tick}`);
+    }
+
+    const absTick = Math.abs(tick);
+    if (absTick > MAX_TICK) {
+        throw new TickRangeError(`Tick ${tick} is outside [${MIN_TICK}, ${MAX_TICK}]`);
+    }
+
+    let ratio = (absTick & 0x1) !== 0 ? 0xfffcb933bd6fb800n : Q64;
+    for (const [bit, multiplier] of SQRT_RATIO_MULTIPLIERS) {
+        if ((absTick & bit) !== 0) {
+            ratio = (ratio * multiplier) >> 64n;
+        }
+    }
+
+    if (tick > 0) {
+        ratio = U128_MAX / ratio;
+    }
+
+    return ratio;
+}
+
+// Greatest tick whose sqrt price is <= sqrtPriceX64 (get_tick_at_sqrt_price), by binary search
+function getTickAtSqrtPrice(sqrtPriceX64) {
+    const sqrtPrice = BigInt(sqrtPriceX64);
+    if (sqrtPrice < MIN_SQRT_PRICE_X64 || sqrtPrice >= MAX_SQRT_PRICE_X64) {
+        throw new TickRangeError(`Sqrt price ${sqrtPrice} is outside [${MIN_SQRT_PRICE_X64}, ${MAX_SQRT_PRICE_X64})`);
+    }
+
+    let low = MIN_TICK;
+    let high = MAX_TICK;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (getSqrtPriceAtTick(mid) <= sqrtPrice) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return low;
+}
+
+// Division rounding towards negative infinity (BigInt `/` truncates towards zero)
+function floorDiv(numerator, denominator) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder !== 0n && (remainder < 0n) !== (denominator < 0n)) {
+        return quotient - 1n;
+    }
+    return quotient;
+}
+
+function pow10(exponent) {
+    return 10n ** BigInt(exponent);
+}
+
+function scaledQuotient(numerator, denominator, scale) {
+    // Rounded half up: numerator * 10^scale / denominator
+    const scaledNumerator = scale >= 0 ? numerator * pow10(scale) : numerator;
+    const scaledDenominator = scale >= 0 ? denominator : denominator * pow10(-scale);
+    return (scaledNumerator * 2n + scaledDenominator) / (scaledDenominator * 2n);
+}
+
+// Formats numerator/denominator as a plain decimal string with the given number of
+// significant digits (no exponent notation, trailing zeros trimmed)
+function formatRatio(numerator, denominator, significantDigits = DEFAULT_PRICE_PRECISION) {
+    if (denominator === 0n) {
+        throw new TwapError('Division by zero');
+    }
+    if (numerator === 0n) {
+        return '0';
+    }
+
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const num = numerator < 0n ? -numerator : numerator;
+    const den = denominator < 0n ? -denominator : denominator;
+
+    // Pick the scale that yields exactly `significantDigits` digits before rounding
+    let scale = significantDigits - (num.toString().length - den.toString().length);
+    let quotient = scaledQuotient(num, den, scale);
+    while (quotient >= pow10(significantDigits)) {
+        scale--;
+        quotient = scaledQuotient(num, den, scale);
+    }
+    while (quotient < pow10(significantDigits - 1)) {
+        scale++;
+        quotient = scaledQuotient(num, den, scale);
+    }
+
+    const digits = quotient.toString();
+    let text;
+    if (scale <= 0) {
+        text = digits + '0'.repeat(-scale);
+    } else if (digits.length > scale) {
+        text = `${digits.slice(0, digits.length - scale)}.${digits.slice(digits.length - scale)}`;
+    } else {
+        text = `0.${'0'.repeat(scale - digits.length)}${digits}`;
+    }
+
+    if (text.includes('.')) {
+        text = text.replace(/0+$/, '').replace(/\.$/, '');
+    }
+
+    return negative ? `-${text}` : text;
+}
+
+// Price of token0 in token1 (whole tokens) from a Q64.64 sqrt price, as a decimal string.
+// With `inverted` the price of token1 in token0 is returned instead.
+function sqrtPriceX64ToPrice(sqrtPriceX64, decimals0, decimals1, precision = DEFAULT_PRICE_PRECISION, inverted = false) {
+    const sqrtPrice = BigInt(sqrtPriceX64);
+    const decimalShift = decimals0 - decimals1;
+    const numerator = sqrtPrice * sqrtPrice * (decimalShift > 0 ? pow10(decimalShift) : 1n);
+    const denominator = Q128 * (decimalShift < 0 ? pow10(-decimalShift) : 1n);
+    return inverted ? formatRatio(denominator, numerator, precision) : formatRatio(numerator, denominator, precision);
+}
+
+// Floating point convenience for sqrtPriceX64ToPrice
+function sqrtPriceX64ToPriceFloat(sqrtPriceX64, decimals0, decimals1, inverted = false) {
+    const sqrtPrice = Number(BigInt(sqrtPriceX64)) / Number(Q64);
+    const price = sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+    return inverted ? 1 / price : price;
+}
+
+// Exact price of token0 in token1 (whole tokens) at an integer tick, as a decimal string
+function tickToPrice(tick, decimals0, decimals1, precision = DEFAULT_PRICE_PRECISION, inverted = false) {
+    return sqrtPriceX64ToPrice(getSqrtPriceAtTick(tick), decimals0, decimals1, precision, inverted);
+}
+
+// Floating point convenience: 1.0001^tick scaled from base units to whole tokens
+function tickToPriceFloat(tick, decimals0, decimals1, inverted = false) {
+    const price = Math.pow(1.0001, tick) * Math.pow(10, decimals0 - decimals1);
+    return inverted ? 1 / price : price;
+}
+
+module.exports = {
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_PRICE_X64,
+    MAX_SQRT_PRICE_X64,
+    Q64,
+    DEFAULT_PRICE_PRECISION,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+    floorDiv,
+    formatRatio,
+    sqrtPriceX64ToPrice,
+    sqrtPriceX64ToPriceFloat,
+    tickToPrice,
+    tickToPriceFloat
+};
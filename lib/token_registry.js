@@ -0,0 +1,120 @@
+// Token registry - maps SPL mint addresses to human readable symbols
+// Built-in entries cover the common Solana tokens; extend them with a local JSON file
+// ({"<mint>": "SYMBOL"} or {"<mint>": {"symbol": "SYMBOL"}}) via --tokens or
+// ~/.twap-cli/tokens.json.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+const BUILTIN_TOKENS = {
+    'So11111111111111111111111111111111111111112': 'SOL',
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 'USDT',
+    '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R': 'RAY',
+    'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So': 'mSOL',
+    'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn': 'JitoSOL',
+    'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': 'BONK',
+    'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': 'JUP',
+    'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm': 'WIF'
+};
+
+const DEFAULT_USER_TOKENS_FILE = path.join(os.homedir(), '.twap-cli', 'tokens.json');
+
+function readTokensFile(filePath) {
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Cannot read token registry ${filePath}: ${error.message}`, { cause: error });
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new ConfigError(`Token registry ${filePath} must be an object mapping mints to symbols`);
+    }
+
+    const tokens = {};
+    for (const [mint, entry] of Object.entries(entries)) {
+        const symbol = typeof entry === 'string' ? entry : entry && entry.symbol;
+        if (!symbol) {
+            throw new ConfigError(`Token registry ${filePath}: entry for ${mint} has no symbol`);
+        }
+        tokens[mint] = symbol;
+    }
+    return tokens;
+}
+
+// Built-in tokens, overlaid with ~/.twap-cli/tokens.json (if present) and then `extraFile`
+function loadTokenRegistry(extraFile) {
+    const registry = Object.assign({}, BUILTIN_TOKENS);
+
+    if (fs.existsSync(DEFAULT_USER_TOKENS_FILE)) {
+        Object.assign(registry, readTokensFile(DEFAULT_USER_TOKENS_FILE));
+    }
+    if (extraFile) {
+        Object.assign(registry, readTokensFile(extraFile));
+    }
+
+    return registry;
+}
+
+// Symbol for a mint, or a shortened address when the mint is unknown
+function getTokenSymbol(registry, mint) {
+    if (!mint) return 'N/A';
+    const tokens = registry || BUILTIN_TOKENS;
+    if (tokens[mint]) return tokens[mint];
+    return mint.length > 10 ? `${mint.slice(0, 4)}…${mint.slice(-4)}` : mint;
+}
+
+// Accepts either a mint address or a symbol known to the registry
+function resolveMint(registry, mintOrSymbol) {
+    const tokens = registry || BUILTIN_TOKENS;
+    if (tokens[mintOrSymbol]) return mintOrSymbol;
+
+    const wanted = mintOrSymbol.toUpperCase();
+    const match = Object.keys(tokens).find(mint => tokens[mint].toUpperCase() === wanted);
+    return match || mintOrSymbol;
+}
+
+// Works out which way prices are shown. Pools price token0 in token1; `quote` selects
+// the token prices are expressed in (mint or symbol) and `invert` flips the default.
+function resolvePricePair(poolState, options = {}) {
+    const registry = options.tokenRegistry;
+    const mint0 = poolState.token_mint_0?.data;
+    const mint1 = poolState.token_mint_1?.data;
+
+    let inverted = Boolean(options.invert);
+    if (options.quote) {
+        const quoteMint = resolveMint(registry, options.quote);
+        if (quoteMint === mint0) {
+            inverted = true;
+        } else if (quoteMint === mint1) {
+            inverted = false;
+        } else {
+            throw new ConfigError(`Quote token ${options.quote} is not part of this pool (${mint0 || 'token0'} / ${mint1 || 'token1'})`);
+        }
+    }
+
+    const baseMint = inverted ? mint1 : mint0;
+    const quoteMint = inverted ? mint0 : mint1;
+    const baseSymbol = baseMint ? getTokenSymbol(registry, baseMint) : (inverted ? 'token1' : 'token0');
+    const quoteSymbol = quoteMint ? getTokenSymbol(registry, quoteMint) : (inverted ? 'token0' : 'token1');
+
+    return {
+        inverted: inverted,
+        baseMint: baseMint,
+        quoteMint: quoteMint,
+        baseSymbol: baseSymbol,
+        quoteSymbol: quoteSymbol,
+        label: `${baseSymbol}/${quoteSymbol}`
+    };
+}
+
+module.exports = {
+    BUILTIN_TOKENS,
+    DEFAULT_USER_TOKENS_FILE,
+    loadTokenRegistry,
+    getTokenSymbol,
+    resolveMint,
+    resolvePricePair
+};
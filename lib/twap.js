@@ -0,0 +1,247 @@
+// TWAP calculation for Solana AMM pools
+// Calculates the Time-Weighted Average Price and the manipulation analysis from decoded
+// PoolState and ObservationState accounts (see account_decoder.js for the input forms).
+
+const {
+    DEFAULT_PRICE_PRECISION,
+    floorDiv,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+    sqrtPriceX64ToPrice,
+    sqrtPriceX64ToPriceFloat,
+    tickToPrice
+} = require('./tick_math');
+const { resolvePricePair } = require('./token_registry');
+const { readObservationRing } = require('./observation_buffer');
+const { computeTickStats, formatTickStats } = require('./tick_analytics');
+const { calculateWindowTWAPs } = require('./observe');
+const { analyzeRisk } = require('./risk');
+const { ValidationError, InsufficientDataError } = require('./errors');
+
+// Calculation functions only return data; pass `{ logger: console }` to get the step-by-step trace
+const silentLogger = { log() {} };
+
+function formatDuration(seconds) {
+    if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+    if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+    if (seconds % 60 === 0) return `${seconds / 60}m`;
+    return `${seconds}s`;
+}
+
+function validatePoolState(poolState) {
+    const required = ['tick_current', 'mint_decimals_0', 'mint_decimals_1'];
+    
+    for (const field of required) {
+        if (!poolState[field] || poolState[field].data === undefined) {
+            throw new ValidationError(`Missing required field in PoolState: ${field}`, { field: field });
+        }
+    }
+    
+    return true;
+}
+
+function validateObservationState(obsState) {
+    if (!obsState.observations || !obsState.observations.data || !Array.isArray(obsState.observations.data)) {
+        throw new ValidationError('Invalid ObservationState: missing observations.data array', { field: 'observations' });
+    }
+    
+    const validObs = readObservationRing(obsState).observations;
+    if (validObs.length < 2) {
+        throw new InsufficientDataError('Need at least 2 valid observations with timestamps > 0');
+    }
+    
+    return true;
+}
+
+// Cross-checks tick_current against the tick implied by sqrt_price_x64. After a swap that
+// ends exactly on an initialized tick while moving down, the program stores tick - 1, so
+// that case is consistent too.
+function checkSqrtPriceConsistency(tickCurrent, sqrtPriceX64) {
+    const sqrtPrice = BigInt(sqrtPriceX64);
+    const tickFromSqrtPrice = getTickAtSqrtPrice(sqrtPrice);
+    const tick = parseInt(tickCurrent);
+    const consistent = tick === tickFromSqrtPrice ||
+        (tick === tickFromSqrtPrice - 1 && getSqrtPriceAtTick(tickFromSqrtPrice) === sqrtPrice);
+
+    return {
+        tickCurrent: tick,
+        tickFromSqrtPrice: tickFromSqrtPrice,
+        consistent: consistent
+    };
+}
+
+// Full analysis of one pool: TWAP over all valid observations, spot price comparison, window
+// TWAPs, tick statistics and the risk rules. Options: windows (seconds), endTime, precision,
+// strict, invert, quote, tokenRegistry, rules (resolved rule set), volume (compareSnapshots()
+// against an earlier PoolState, for the WASH_TRADING rule), logger.
+function computeTwap(poolState, observationState, options = {}) {
+    const logger = options.logger || silentLogger;
+    const currentTick = parseInt(poolState.tick_current.data);
+    const precision = options.precision || DEFAULT_PRICE_PRECISION;
+    
+    // Walk the ring buffer back from observation_index; empty, malformed or out-of-order
+    // slots are reported as findings (and refused with options.strict)
+    const ring = readObservationRing(observationState, { strict: options.strict });
+    const validObservations = ring.observations;
+    
+    if (validObservations.length < 2) {
+        throw new InsufficientDataError("Need at least 2 observations to calculate TWAP");
+    }
+    
+    logger.log(`Found ${validObservations.length} valid observations`);
+    logger.log(`Time range: ${validObservations[0].block_timestamp} to ${validObservations[validObservations.length - 1].block_timestamp}`);
+    ring.findings.forEach(item => {
+        logger.log(`${item.severity === 'error' ? '❌' : item.severity === 'warning' ? '⚠️ ' : 'ℹ️ '} Data quality [${item.code}]: ${item.message}`);
+    });
+    
+    // Calculate TWAP using tick cumulative values
+    const oldestObs = validObservations[0];
+    const newestObs = validObservations[validObservations.length - 1];
+    
+    const timeDiff = newestObs.block_timestamp - oldestObs.block_timestamp;
+    // i64 cumulatives exceed Number.MAX_SAFE_INTEGER on long-lived pools, keep them exact
+    const tickCumulativeDiff = BigInt(newestObs.tick_cumulative) - BigInt(oldestObs.tick_cumulative);
+    
+    const twapTick = Number(tickCumulativeDiff) / timeDiff;
+    // Integer TWAP tick as on-chain consumers derive it (rounded towards negative infinity)
+    const twapTickFloor = Number(floorDiv(tickCumulativeDiff, BigInt(timeDiff)));
+    
+    logger.log(`Oldest observation: timestamp=${oldestObs.block_timestamp}, tick_cumulative=${oldestObs.tick_cumulative}`);
+    logger.log(`Newest observation: timestamp=${newestObs.block_timestamp}, tick_cumulative=${newestObs.tick_cumulative}`);
+    logger.log(`Time difference: ${timeDiff} seconds (${(timeDiff / 3600).toFixed(2)} hours)`);
+    logger.log(`Tick cumulative difference: ${tickCumulativeDiff}`);
+    logger.log(`TWAP tick: ${twapTick.toFixed(6)} (floor ${twapTickFloor})`);
+    
+    // Convert tick to price
+    // Price = 1.0001^tick (for token0/token1)
+    const price = Math.pow(1.0001, twapTick);
+    
+    // Adjust for decimal differences
+    // The raw price is token1 base units per token0 base unit, so whole-token prices scale by 10^(decimals0 - decimals1)
+    const decimals0 = parseInt(poolState.mint_decimals_0.data);
+    const decimals1 = parseInt(poolState.mint_decimals_1.data);
+    const decimalAdjustment = Math.pow(10, decimals0 - decimals1);
+    
+    const adjustedPrice = price * decimalAdjustment;
+    
+    // Prices are shown as token0 in token1 unless --invert / --quote flips the pair
+    const pair = resolvePricePair(poolState, options);
+    const twapPrice = pair.inverted ? 1 / adjustedPrice : adjustedPrice;
+    const twapPriceDecimal = tickToPrice(twapTickFloor, decimals0, decimals1, precision, pair.inverted);
+    
+    logger.log(`\n=== TWAP RESULTS ===`);
+    logger.log(`TWAP Tick: ${twapTick.toFixed(6)}`);
+    logger.log(`Raw Price: ${price.toFixed(12)}`);
+    logger.log(`Decimal adjustment factor: ${decimalAdjustment} (decimals0=${decimals0}, decimals1=${decimals1})`);
+    logger.log(`Adjusted TWAP Price (${pair.label}): ${twapPrice.toFixed(8)}`);
+    logger.log(`Exact TWAP Price (tick ${twapTickFloor}): ${twapPriceDecimal}`);
+    
+    // Current price for comparison, from sqrt_price_x64 when the pool state carries it
+    const sqrtPriceX64 = poolState.sqrt_price_x64?.data;
+    let currentPoolPrice, currentPriceDecimal;
+    let priceConsistency = null;
+    if (sqrtPriceX64 !== undefined && sqrtPriceX64 !== null) {
+        currentPoolPrice = sqrtPriceX64ToPriceFloat(sqrtPriceX64, decimals0, decimals1);
+        currentPriceDecimal = sqrtPriceX64ToPrice(sqrtPriceX64, decimals0, decimals1, precision, pair.inverted);
+        priceConsistency = checkSqrtPriceConsistency(currentTick, sqrtPriceX64);
+        if (!priceConsistency.consistent) {
+            logger.log(`⚠️  sqrt_price_x64 implies tick ${priceConsistency.tickFromSqrtPrice} but tick_current is ${currentTick}`);
+        }
+    } else {
+        currentPoolPrice = Math.pow(1.0001, currentTick) * decimalAdjustment;
+        currentPriceDecimal = tickToPrice(currentTick, decimals0, decimals1, precision, pair.inverted);
+    }
+    const currentPrice = pair.inverted ? 1 / currentPoolPrice : currentPoolPrice;
+    logger.log(`Current Price (for comparison): ${currentPrice.toFixed(8)} (exact: ${currentPriceDecimal})`);
+    // Differences are measured in pool orientation so the analysis does not depend on --invert
+    logger.log(`Price difference: ${((adjustedPrice - currentPoolPrice) / currentPoolPrice * 100).toFixed(4)}%`);
+    
+    // TWAP/spot difference the price rules are evaluated on
+    const priceDiffPercent = Math.abs((adjustedPrice - currentPoolPrice) / currentPoolPrice * 100);
+    
+    // Lookback windows ending at options.endTime (defaults to the newest observation)
+    let windows = [];
+    if (options.windows && options.windows.length > 0) {
+        windows = calculateWindowTWAPs(validObservations, options.windows, {
+            time: options.endTime,
+            currentTick: currentTick
+        });
+
+        logger.log(`\n=== WINDOW TWAPs ===`);
+        windows.forEach(window => {
+            if (window.error) {
+                logger.log(`${formatDuration(window.windowSeconds)}: ⚠️  ${window.error}`);
+                return;
+            }
+            const windowPoolPrice = Math.pow(1.0001, window.twapTick) * decimalAdjustment;
+            window.twapPrice = pair.inverted ? 1 / windowPoolPrice : windowPoolPrice;
+            window.twapPriceDecimal = tickToPrice(window.twapTickFloor, decimals0, decimals1, precision, pair.inverted);
+            logger.log(`${formatDuration(window.windowSeconds)} (${window.startTime} → ${window.endTime}): TWAP tick ${window.twapTick.toFixed(6)}, price ${window.twapPrice.toFixed(8)} (exact: ${window.twapPriceDecimal})`);
+        });
+    }
+    
+    // Statistics of the per-interval average ticks, drawdown/run-up in the displayed orientation;
+    // the risk rules reuse them
+    const stats = computeTickStats(validObservations, { inverted: pair.inverted });
+    const manipulationRisk = analyzeRisk({
+        priceDiffPercent: priceDiffPercent,
+        timePeriodHours: timeDiff / 3600,
+        observations: validObservations,
+        stats: stats,
+        volume: options.volume
+    }, options.rules);
+    logger.log(`\n=== TICK STATISTICS ===`);
+    formatTickStats(stats, pair.label).forEach(line => logger.log(line));
+    
+    logger.log(`\n=== MANIPULATION ANALYSIS ===`);
+    logger.log(`Price difference: ${priceDiffPercent.toFixed(4)}%`);
+    logger.log(`Manipulation risk: ${manipulationRisk.level}`);
+    logger.log(`Confidence: ${manipulationRisk.confidence}%`);
+    logger.log(`Risk factors: ${manipulationRisk.factors.join(', ')}`);
+    logger.log(`Rules (${manipulationRisk.profile} profile):`);
+    manipulationRisk.rules.forEach(rule => {
+        logger.log(`  ${rule.triggered ? (rule.superseded ? '➖' : '🚩') : '✅'} ${rule.id} [${rule.severity}] ${rule.explanation}`);
+    });
+    if (manipulationRisk.warning) {
+        logger.log(`⚠️  WARNING: ${manipulationRisk.warning}`);
+    }
+    
+    logger.log(`\n=== RECOMMENDATIONS ===`);
+    manipulationRisk.recommendations.forEach(rec => logger.log(rec));
+
+    return {
+        twapTick: twapTick,
+        twapTickFloor: twapTickFloor,
+        twapPrice: twapPrice,
+        twapPriceDecimal: twapPriceDecimal,
+        currentPrice: currentPrice,
+        currentPriceDecimal: currentPriceDecimal,
+        currentPriceSource: priceConsistency ? 'sqrt_price_x64' : 'tick_current',
+        priceConsistency: priceConsistency,
+        pair: pair,
+        startTime: oldestObs.block_timestamp,
+        endTime: newestObs.block_timestamp,
+        startTickCumulative: BigInt(oldestObs.tick_cumulative),
+        endTickCumulative: BigInt(newestObs.tick_cumulative),
+        timePeriodHours: timeDiff / 3600,
+        observationCount: validObservations.length,
+        priceDifferencePercent: priceDiffPercent,
+        dataQuality: {
+            newestSlot: ring.newestSlot,
+            findings: ring.findings
+        },
+        stats: stats,
+        windows: windows,
+        volume: options.volume,
+        manipulationAnalysis: manipulationRisk
+    };
+}
+
+module.exports = {
+    computeTwap,
+    checkSqrtPriceConsistency,
+    validatePoolState,
+    validateObservationState,
+    formatDuration,
+    silentLogger
+};
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+// Local JSON-RPC stand-in for a Solana node
+// Serves fixture accounts over getAccountInfo / getMultipleAccounts so the RPC provider
+// can be exercised without network access.
+// Usage: node mock_rpc_server.js --pool <address>=<pool file> --observation <address>=<obs file> [--port 8899]
+
+const http = require('http');
+const fs = require('fs');
+const { encodeAccount, parseAccount, RpcError } = require('./lib');
+
+// Account payload in the shape getAccountInfo returns with encoding "base64"
+function toAccountInfo(data) {
+    return {
+        data: [data.toString('base64'), 'base64'],
+        executable: false,
+        lamports: 1000000000,
+        owner: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+        rentEpoch: 0,
+        space: data.length
+    };
+}
+
+// `accounts` maps address -> raw account Buffer. Resolves to { url, port, requests, close() }.
+function startMockRpcServer({ accounts, port = 0, host = '127.0.0.1', slot = 1 }) {
+    const requests = [];
+
+    const handle = (request) => {
+        requests.push(request);
+        const params = request.params || [];
+
+        switch (request.method) {
+            case 'getAccountInfo': {
+                const data = accounts[params[0]];
+                return { context: { slot: slot }, value: data ? toAccountInfo(data) : null };
+            }
+            case 'getMultipleAccounts':
+                return {
+                    context: { slot: slot },
+                    value: (params[0] || []).map(address => accounts[address] ? toAccountInfo(accounts[address]) : null)
+                };
+            case 'getSlot':
+                return slot;
+            case 'getHealth':
+                return 'ok';
+            default:
+                throw new RpcError(`Method not found: ${request.method}`, { rpcCode: -32601 });
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+                return;
+            }
+
+            let payload;
+            try {
+                payload = { jsonrpc: '2.0', id: request.id, result: handle(request) };
+            } catch (error) {
+                payload = { jsonrpc: '2.0', id: request.id, error: { code: error.rpcCode || -32603, message: error.message } };
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            resolve({
+                url: `http://${host}:${address.port}`,
+                port: address.port,
+                requests: requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Reads a fixture file (any supported format) and re-encodes it as raw account bytes
+function loadFixtureAccount(filePath, accountName) {
+    return encodeAccount(parseAccount(fs.readFileSync(filePath), accountName), accountName);
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const accounts = {};
+    let port = 8899;
+
+    for (let i = 0; i < args.length; i++) {
+        const kind = { '--pool': 'PoolState', '--observation': 'ObservationState' }[args[i]];
+        if (kind) {
+            const [address, filePath] = (args[++i] || '').split('=');
+            accounts[address] = loadFixtureAccount(filePath, kind);
+        } else if (args[i] === '--port') {
+            port = parseInt(args[++i]);
+        } else {
+            console.error(`Unknown option: ${args[i]}`);
+            process.exit(1);
+        }
+    }
+
+    startMockRpcServer({ accounts, port }).then(server => {
+        console.log(`🧪 Mock RPC listening on ${server.url} with ${Object.keys(accounts).length} account(s)`);
+    });
+}
+
+module.exports = { startMockRpcServer, loadFixtureAccount };
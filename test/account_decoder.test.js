@@ -0,0 +1,68 @@
+// encodeAccount()/decodeAccount() round trips, the discriminator and size checks, and the
+// input forms parseAccount() detects
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseAccount,
+    encodeAccount,
+    decodeAccount,
+    identifyAccount,
+    getAccountSize,
+    getDiscriminator,
+    DecodeError
+} = require('../lib');
+const { makeObservationState, observationsFromIntervals, loadSolUsdc } = require('./helpers');
+
+test('PoolState survives an encode/decode round trip', () => {
+    const { poolState } = loadSolUsdc();
+    const data = encodeAccount(poolState, 'PoolState');
+
+    assert.equal(data.length, getAccountSize('PoolState'));
+    assert.ok(data.subarray(0, 8).equals(getDiscriminator('PoolState')));
+    assert.equal(identifyAccount(data), 'PoolState');
+    assert.deepEqual(decodeAccount(data, 'PoolState'), poolState);
+});
+
+test('ObservationState survives an encode/decode round trip with negative cumulatives', () => {
+    const observations = observationsFromIntervals([{ seconds: 15, tick: -20000 }, { seconds: 30, tick: -19990 }], { startCumulative: -(2n ** 60n) });
+    // The fixture's header fields with a fresh ring (its own has a malformed slot)
+    const obsState = loadSolUsdc().obsState;
+    const ring = makeObservationState(observations);
+    obsState.observation_index = ring.observation_index;
+    obsState.observations.data = ring.observations.data.map(slot => Object.assign(slot, { padding: ['0', '0', '0', '0'] }));
+    const decoded = decodeAccount(encodeAccount(obsState, 'ObservationState'), 'ObservationState');
+
+    assert.equal(Number(decoded.observation_index.data), 2);
+    assert.equal(decoded.pool_id.data, obsState.pool_id.data);
+    assert.deepEqual(decoded.observations.data.slice(0, 3).map(slot => [slot.block_timestamp, BigInt(slot.tick_cumulative)]), observations);
+    assert.equal(decoded.observations.data[3].block_timestamp, 0);
+});
+
+test('flattened JSON encodes like IDL-style JSON', () => {
+    const { poolState } = loadSolUsdc();
+    const flattened = Object.fromEntries(Object.entries(poolState).map(([name, field]) => [name, field.data]));
+    assert.ok(encodeAccount(flattened, 'PoolState').equals(encodeAccount(poolState, 'PoolState')));
+});
+
+test('decodeAccount checks the discriminator and the size', () => {
+    const data = encodeAccount(loadSolUsdc().poolState, 'PoolState');
+
+    assert.throws(() => decodeAccount(data, 'ObservationState'), error => error instanceof DecodeError && /is PoolState, expected ObservationState/.test(error.message));
+    assert.throws(() => decodeAccount(Buffer.alloc(data.length), 'PoolState'), /does not start with the PoolState discriminator/);
+    assert.throws(() => decodeAccount(data.subarray(0, data.length - 1), 'PoolState'), /bytes, expected/);
+    assert.throws(() => decodeAccount(data, 'TickArray'), /Unknown account type/);
+});
+
+test('parseAccount reads raw bytes, base64 and getAccountInfo responses alike', () => {
+    const { poolState } = loadSolUsdc();
+    const data = encodeAccount(poolState, 'PoolState');
+    const base64 = data.toString('base64');
+
+    assert.deepEqual(parseAccount(data, 'PoolState'), poolState);
+    assert.deepEqual(parseAccount(base64, 'PoolState'), poolState);
+    assert.deepEqual(parseAccount(JSON.stringify(base64), 'PoolState'), poolState);
+    assert.deepEqual(parseAccount(JSON.stringify({ result: { value: { data: [base64, 'base64'] } } }), 'PoolState'), poolState);
+    assert.throws(() => parseAccount('{ not json', 'PoolState'), DecodeError);
+    assert.throws(() => parseAccount('pool state?', 'PoolState'), /Unrecognized PoolState input/);
+});
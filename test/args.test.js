@@ -0,0 +1,203 @@
+// parseArguments(): commands, value checks, input combinations, .twaprc / TWAP_* layering,
+// and the help and completion output generated from the same tables
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArguments, formatHelp, getCommandOptions, COMMANDS, UsageError } = require('../cli/args');
+const { generateCompletionScript } = require('../cli/completion');
+const { ConfigError } = require('../lib');
+
+// Fresh empty cwd and home per call, so no real .twaprc is picked up
+function parse(argv, { env = {}, files = {} } = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-args-'));
+    const cwd = path.join(root, 'work');
+    const home = path.join(root, 'home');
+    fs.mkdirSync(cwd);
+    fs.mkdirSync(home);
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(root, name), content));
+    try {
+        return parseArguments(argv, { env: env, cwd: cwd, home: home });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+const FILES = ['--pool-file', 'pool.json', '--obs-file', 'obs.json'];
+
+test('without a command the options are those of analyze', () => {
+    const options = parse(FILES.concat(['--window', '5m', '--window', '1h', '--invert', '--fail-on', 'high']));
+
+    assert.equal(options.command, 'analyze');
+    assert.equal(options.poolFile, 'pool.json');
+    assert.deepEqual(options.windows, [300, 3600]);
+    assert.equal(options.invert, true);
+    assert.equal(options.failOn, 'HIGH');
+});
+
+test('commands come first and take their positionals', () => {
+    assert.equal(parse(['batch', 'pools.yaml', '--concurrency', '8']).manifest, 'pools.yaml');
+    assert.deepEqual(parse(['inspect', 'a.json', 'b.json']).files, ['a.json', 'b.json']);
+    assert.equal(parse(['completion', 'fish']).shell, 'fish');
+    assert.throws(() => parse(['batch', 'a.yaml', 'b.yaml']), /Unexpected argument: b.yaml/);
+    assert.throws(() => parse(['batch']), /batch needs <manifest>/);
+});
+
+test('unknown commands and options get a suggestion', () => {
+    assert.throws(() => parse(['wacth']), /Unknown command: wacth \(did you mean watch\?\)/);
+    assert.throws(() => parse(['--pool-fiel', 'x']), /Unknown option: --pool-fiel \(did you mean --pool-file\?\)/);
+    assert.throws(() => parse(FILES.concat(['--port', '80'])), /--port is not an option of analyze \(used by serve\)/);
+});
+
+test('an option without its value is an error, not the next option', () => {
+    assert.throws(() => parse(['--pool-file', '--obs-file', 'obs.json']), error => {
+        return error instanceof UsageError && /--pool-file needs a value/.test(error.message) && error.command === 'analyze';
+    });
+    assert.throws(() => parse(['--pool-file']), /--pool-file needs a value/);
+    // Negative numbers are values
+    assert.equal(parse(['backtest', '--pool-file', 'pool.json', '--seed', '-3']).seed, -3);
+});
+
+test('values are checked by type', () => {
+    assert.throws(() => parse(FILES.concat(['--window', '5x'])), /Invalid duration for --window: 5x/);
+    // Windows must last at least a second after rounding; offsets and intervals may be 0
+    assert.throws(() => parse(FILES.concat(['--window', '0'])), /Invalid duration for --window: 0 \(expected a positive duration/);
+    assert.throws(() => parse(FILES.concat(['--window', '0.2'])), /Invalid duration for --window: 0.2/);
+    assert.deepEqual(parse(['observe'].concat(FILES, ['--ago', '0', '--ago', '5m'])).secondsAgos, [0, 300]);
+    assert.throws(() => parse(FILES.concat(['--format', 'xml'])), /Invalid value for --format: xml/);
+    assert.throws(() => parse(FILES.concat(['--precision', '0'])), /expected an integer of at least 1/);
+    assert.throws(() => parse(FILES.concat(['--cost-deviation', '100'])), /between 0 and 100/);
+    assert.throws(() => parse(['serve', '--rpc', 'http://x', '--port', '70000']), /between 0 and 65535/);
+    assert.throws(() => parse(['completion', 'tcsh']), /Invalid shell: tcsh/);
+    assert.equal(parse(FILES.concat(['--end-time', '2025-08-14T16:29:02Z'])).endTime, 1755188942);
+    assert.equal(parse(FILES.concat(['--precision=12'])).precision, 12);
+});
+
+test('data sources must be complete and may not be mixed', () => {
+    assert.throws(() => parse(['--pool-file', 'pool.json']), /--pool-file needs --obs-file/);
+    assert.throws(() => parse(['--pool', 'abc']), /--pool needs --rpc/);
+    assert.throws(() => parse(['--rpc', 'http://x']), /--rpc needs --pool/);
+    assert.throws(() => parse(FILES.concat(['--rpc', 'http://x', '--pool', 'abc'])), /--pool-file and --rpc cannot be used together/);
+    assert.throws(() => parse(FILES.concat(['-i'])), /cannot be used together/);
+
+    // Commands with their own combinations
+    assert.equal(parse(['archive', '--obs-file', 'obs.json']).obsFile, 'obs.json');
+    assert.equal(parse(['backtest', '--pool-file', 'pool.json']).poolFile, 'pool.json');
+    assert.throws(() => parse(['watch', '--pool-json', '{}']), /--pool-json is not an option of watch/);
+    assert.throws(() => parse(FILES.concat(['--previous-pool', 'old.json'])), /--previous-pool needs --elapsed/);
+    assert.equal(parse(FILES.concat(['--previous-pool', 'old.json', '--elapsed', '1h'])).elapsedSeconds, 3600);
+});
+
+test('no data is an error, prompting needs --interactive', () => {
+    assert.throws(() => parse([]), error => error instanceof UsageError && /analyze needs pool data/.test(error.message));
+    assert.throws(() => parse(['dashboard']), /dashboard needs pool data/);
+    assert.equal(parse(['-i']).interactive, true);
+    assert.throws(() => parse(['watch']), /watch needs pool data: --pool-file \+ --obs-file or --rpc \+ --pool/);
+});
+
+test('serve needs a manifest or --rpc', () => {
+    assert.throws(() => parse(['serve']), /serve needs a manifest/);
+    assert.equal(parse(['serve', '--rpc', 'http://x']).rpc, 'http://x');
+});
+
+test('--help and help <command> skip validation', () => {
+    assert.deepEqual(parse(['--help']), { command: 'analyze', help: true, helpCommand: undefined });
+    assert.deepEqual(parse(['watch', '--bogus', '-h']), { command: 'watch', help: true, helpCommand: 'watch' });
+    assert.deepEqual(parse(['help', 'serve']), { command: 'help', help: true, helpCommand: 'serve' });
+    assert.throws(() => parse(['help', 'nope']), /Unknown command: nope/);
+    assert.equal(parse(['--version']).version, true);
+});
+
+test('--help and --version count in option position only, with or without a command', () => {
+    assert.deepEqual(parse(['analyze', '--version']), { command: 'analyze', version: true });
+    assert.deepEqual(parse(['serve', '--port', '9000', '--version']), { command: 'serve', version: true });
+    assert.equal(parse(['inspect', 'pool.json', '-h']).help, true);
+
+    // In value position they are a missing value, or the value itself
+    assert.throws(() => parse(FILES.concat(['--report', '--help'])), /--report needs a value/);
+    const options = parse(FILES.concat(['--report=--help', '--quote=--version']));
+    assert.equal(options.help, undefined);
+    assert.equal(options.version, undefined);
+    assert.equal(options.report, '--help');
+});
+
+test('.twaprc in the working directory sets defaults, with command sections', () => {
+    const files = { 'work/.twaprc': 'rpc: http://127.0.0.1:8899\nwindow: [5m, 1h]\nformat: json\nobserve:\n  format: csv\n  ago: [0, 10m]\n' };
+    const analyze = parse(['--pool', 'abc'], { files: files });
+    assert.equal(analyze.rpc, 'http://127.0.0.1:8899');
+    assert.deepEqual(analyze.windows, [300, 3600]);
+    assert.equal(analyze.format, 'json');
+
+    const observe = parse(['observe', '--pool', 'abc'], { files: files });
+    assert.equal(observe.format, 'csv');
+    assert.deepEqual(observe.secondsAgos, [0, 600]);
+    assert.equal(observe.windows, undefined);
+});
+
+test('a configured rpc endpoint does not conflict with files on the command line', () => {
+    const options = parse(FILES, { files: { 'work/.twaprc': 'rpc: http://127.0.0.1:8899\npool: abc\n' } });
+
+    assert.equal(options.poolFile, 'pool.json');
+    // The command line chose the data source, so the configured pool is dropped
+    assert.equal(options.pool, undefined);
+});
+
+test('the environment overrides the file and the command line overrides both', () => {
+    const files = { 'home/.twaprc': '{"profile": "stable", "format": "json", "strict": true}' };
+    const env = { TWAP_FORMAT: 'csv', TWAP_WINDOW: '5m,15m', TWAP_ALERT: 'ignored' };
+
+    const fromLayers = parse(FILES, { files: files, env: env });
+    assert.equal(fromLayers.profile, 'stable');
+    assert.equal(fromLayers.format, 'csv');
+    assert.deepEqual(fromLayers.windows, [300, 900]);
+    assert.equal(fromLayers.strict, true);
+
+    const fromCli = parse(FILES.concat(['--format', 'text', '--no-strict']), { files: files, env: env });
+    assert.equal(fromCli.format, 'text');
+    assert.equal(fromCli.strict, false);
+});
+
+test('config paths resolve against the config file; --config replaces the search', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-args-'));
+    try {
+        fs.writeFileSync(path.join(root, 'shared.yaml'), 'tokens: tokens.json\narchive-dir: ~/archive\n');
+        const options = parseArguments(FILES.concat(['--config', path.join(root, 'shared.yaml')]), { env: {}, cwd: root, home: '/home/user' });
+        assert.equal(options.tokensFile, path.join(root, 'tokens.json'));
+        assert.equal(options.archiveDir, path.join('/home/user', 'archive'));
+        assert.equal(options.configFile, path.join(root, 'shared.yaml'));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+    assert.throws(() => parse(FILES.concat(['--config', '/nonexistent/rc'])), /Config file not found/);
+});
+
+test('bad config files are ConfigErrors naming the file', () => {
+    assert.throws(() => parse(FILES, { files: { 'work/.twaprc': 'windw: 5m\n' } }), error => {
+        return error instanceof ConfigError && /Unknown option windw in .*\.twaprc \(did you mean window\?\)/.test(error.message);
+    });
+    assert.throws(() => parse(FILES, { files: { 'work/.twaprc': 'report: out.html\n' } }), /can only be given on the command line/);
+    assert.throws(() => parse(FILES, { files: { 'work/.twaprc': 'window: soon\n' } }), /Invalid duration for window in/);
+});
+
+test('the help of every command lists each of its options', () => {
+    for (const command of Object.keys(COMMANDS)) {
+        const help = formatHelp(command);
+        assert.match(help, new RegExp(`^Usage: twap-cli ${command}`));
+        getCommandOptions(command).forEach(name => assert.ok(help.includes(`--${name}`), `${command} help lacks --${name}`));
+    }
+    const overview = formatHelp();
+    Object.keys(COMMANDS).forEach(command => assert.ok(overview.includes(`\n  ${command} `)));
+});
+
+test('completion scripts cover every command and option', () => {
+    const bash = generateCompletionScript('bash');
+    const fish = generateCompletionScript('fish');
+    for (const command of Object.keys(COMMANDS)) {
+        assert.ok(bash.includes(`${command}) `) || bash.includes(`|${command}`), `bash lacks ${command}`);
+        assert.ok(fish.includes(`-a ${command} `), `fish lacks ${command}`);
+        getCommandOptions(command).forEach(name => assert.ok(fish.includes(`-l ${name} `)));
+    }
+    assert.match(generateCompletionScript('zsh'), /bashcompinit/);
+});
@@ -0,0 +1,40 @@
+// runBacktest(): seeded reproducibility, detections and the option checks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBacktest, ConfigError } = require('../lib');
+const { loadSolUsdc } = require('./helpers');
+
+const { poolState } = loadSolUsdc();
+
+test('the same seed gives the same report, another seed a different one', () => {
+    const options = { runs: 2, scenarios: ['baseline', 'wash'] };
+    const first = runBacktest(poolState, options);
+
+    assert.deepEqual(runBacktest(poolState, options), first);
+    assert.notDeepEqual(runBacktest(poolState, Object.assign({ seed: 2 }, options)).scenarios, first.scenarios);
+});
+
+test('a spike is detected and calm noise is not', () => {
+    const report = runBacktest(poolState, { runs: 2, scenarios: ['baseline', 'spike'] });
+    const [baseline, spike] = report.scenarios;
+
+    assert.equal(baseline.attack, false);
+    assert.equal(baseline.detectionRate, null);
+    assert.equal(baseline.falseAlarmRate, 0);
+    assert.equal(spike.detectionRate, 1);
+    assert.ok(spike.timeToDetect.maxSeconds >= spike.timeToDetect.medianSeconds);
+    assert.equal(report.summary.detectionRate, 1);
+});
+
+test('scenario parameters change the simulated attack', () => {
+    const report = runBacktest(poolState, { runs: 2, scenarios: ['spike'], params: { spike: { percent: 0.01 } } });
+    assert.equal(report.scenarios[0].params.percent, 0.01);
+    assert.equal(report.scenarios[0].detectionRate, 0);
+});
+
+test('invalid options are a ConfigError', () => {
+    assert.throws(() => runBacktest(poolState, { runs: 0 }), ConfigError);
+    assert.throws(() => runBacktest(poolState, { detectLevel: 'SEVERE' }), /Unknown detection level/);
+    assert.throws(() => runBacktest(poolState, { scenarios: ['rug'] }), ConfigError);
+});
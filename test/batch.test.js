@@ -0,0 +1,130 @@
+// Batch manifests (YAML and directories) and the ranked report of runBatch()
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadManifest, runBatch, formatBatchReport } = require('../cli/batch');
+const { ConfigError, computeTwap } = require('../lib');
+const { makePool, makeObservationState, observationsFromIntervals } = require('./helpers');
+
+// Temporary directory holding `files` ({ relative path: content }); removed after the test
+function writeFiles(t, files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-batch-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    });
+    return root;
+}
+
+test('a YAML manifest resolves paths, merges defaults and records bad entries', (t) => {
+    const root = writeFiles(t, {
+        'pools.yaml': [
+            '# pools to check',
+            'defaults:',
+            '  windows: [5m, 1h]',
+            '  profile: volatile',
+            'pools:',
+            '  - name: SOL/USDC',
+            '    pool: pools/sol.pool.json',
+            '    observation: pools/sol.obs.json',
+            '    profile: stable',
+            '  - name: remote',
+            '    rpc: http://127.0.0.1:8899',
+            '    address: 3ucNos4NbumPLZNWztqGHNFFgkHeRMBQAVemeeomsUxv',
+            '  - name: half',
+            '    rpc: http://127.0.0.1:8899',
+            '  - name: bad window',
+            '    pool: a.json',
+            '    observation: b.json',
+            '    windows: soon',
+            '  - name: zero window',
+            '    pool: a.json',
+            '    observation: b.json',
+            '    windows: ["0"]',
+            '  - name: short window',
+            '    pool: a.json',
+            '    observation: b.json',
+            '    windows: 0.2',
+            'directories:',
+            '  - snapshots'
+        ].join('\n'),
+        'snapshots/usdt_pool.json': '{}',
+        'snapshots/usdt_obs.json': '{}',
+        'snapshots/orphan_pool.json': '{}',
+        'snapshots/notes.txt': ''
+    });
+    const manifest = loadManifest(path.join(root, 'pools.yaml'));
+
+    assert.deepEqual(manifest.entries.map(entry => entry.name), ['SOL/USDC', 'remote', 'usdt']);
+    const [sol, remote, usdt] = manifest.entries;
+    assert.equal(sol.poolFile, path.join(root, 'pools/sol.pool.json'));
+    assert.deepEqual(sol.settings, { windows: [300, 3600], profile: 'stable' });
+    assert.equal(remote.rpc, 'http://127.0.0.1:8899');
+    assert.equal(remote.settings.profile, 'volatile');
+    assert.equal(usdt.obsFile, path.join(root, 'snapshots/usdt_obs.json'));
+
+    assert.deepEqual(manifest.failures.map(failure => failure.name), ['half', 'bad window', 'zero window', 'short window', 'orphan']);
+    assert.match(manifest.failures[0].error, /rpc and address must be used together/);
+    assert.match(manifest.failures[1].error, /Invalid duration in manifest: soon/);
+    assert.match(manifest.failures[2].error, /Invalid duration in manifest: 0 /);
+    assert.match(manifest.failures[3].error, /Invalid duration in manifest: 0.2 /);
+    assert.match(manifest.failures[4].error, /No matching ObservationState file/);
+});
+
+test('an unreadable manifest is a ConfigError', (t) => {
+    const root = writeFiles(t, { 'pools.json': '{ "pools": [' });
+    assert.throws(() => loadManifest(path.join(root, 'pools.json')), error => error instanceof ConfigError && /pools\.json/.test(error.message));
+    assert.throws(() => loadManifest(path.join(root, 'missing.yaml')), ConfigError);
+});
+
+test('malformed pool and directory entries are failures, non-list sections a ConfigError', (t) => {
+    const root = writeFiles(t, {
+        'entries.json': JSON.stringify({ pools: [null, 'sol.json', { name: 'ok', pool: 'a.json', observation: 'b.json' }], directories: [null, { dir: 'x' }] }),
+        'pools.json': JSON.stringify({ pools: { name: 'sol' } }),
+        'directories.yaml': 'directories: snapshots\n'
+    });
+
+    const manifest = loadManifest(path.join(root, 'entries.json'));
+    assert.deepEqual(manifest.entries.map(entry => entry.name), ['ok']);
+    assert.deepEqual(manifest.failures.map(failure => [failure.name, failure.error]), [
+        ['pool #1', 'Entry must be an object'],
+        ['pool #2', 'Entry must be an object'],
+        ['directory #1', 'Directory entry must be a path or an object with a path'],
+        ['directory #2', 'Directory entry must be a path or an object with a path']
+    ]);
+
+    assert.throws(() => loadManifest(path.join(root, 'pools.json')), error => error instanceof ConfigError && /pools\.json: pools must be a list/.test(error.message));
+    assert.throws(() => loadManifest(path.join(root, 'directories.yaml')), /directories\.yaml: directories must be a list/);
+});
+
+test('runBatch ranks by risk level and keeps failures in the report', async () => {
+    const calm = makeObservationState(observationsFromIntervals([{ seconds: 3600, tick: 0 }, { seconds: 3600, tick: 0 }]));
+    // Spot price far above a two-hour TWAP: EXTREME_PRICE_DIFF
+    const pools = {
+        calm: makePool({ tick: 10 }),
+        pumped: makePool({ tick: 10000 }),
+        moved: makePool({ tick: 2000 })
+    };
+    const manifest = {
+        entries: ['calm', 'pumped', 'moved', 'broken'].map(name => ({ name: name, source: `${name}.json` })),
+        failures: [{ name: 'orphan', source: 'snapshots', error: 'No matching ObservationState file' }]
+    };
+    const analyze = async (entry) => {
+        if (!pools[entry.name]) throw new Error(`cannot read ${entry.source}`);
+        return computeTwap(pools[entry.name], calm);
+    };
+
+    const report = await runBatch(manifest, analyze, { concurrency: 2 });
+
+    assert.deepEqual(report.pools.map(pool => [pool.rank, pool.name, pool.level]), [
+        [1, 'pumped', 'CRITICAL'],
+        [2, 'moved', 'MEDIUM'],
+        [3, 'calm', 'LOW']
+    ]);
+    assert.deepEqual(report.failures.map(failure => failure.name), ['orphan', 'broken']);
+    assert.match(formatBatchReport(report, 'csv').split('\n')[0], /^rank,name/);
+});
@@ -0,0 +1,115 @@
+// Dashboard model: keys move the window edges and recompute the TWAP and the risk rules
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDashboard, recompute, handleKey, renderDashboard, runDashboard } = require('../cli/dashboard');
+const { ConfigError, InsufficientDataError } = require('../lib');
+const { makePool, makeObservationState, observationsFromIntervals } = require('./helpers');
+
+// Ten calm minutes at tick 0, then five minutes at tick 1000
+const INTERVALS = Array.from({ length: 10 }, () => ({ seconds: 60, tick: 0 }))
+    .concat(Array.from({ length: 5 }, () => ({ seconds: 60, tick: 1000 })));
+
+function dashboard(options) {
+    return createDashboard(makePool({ tick: 1000 }), makeObservationState(observationsFromIntervals(INTERVALS)), options);
+}
+
+// Sends keys by name, e.g. press(model, 's', ']')
+function press(model, ...names) {
+    return names.map(name => handleKey(model, { name: name, sequence: name }));
+}
+
+test('the initial window covers every observation', () => {
+    const model = dashboard();
+
+    assert.deepEqual([model.start, model.end, model.activeEdge], [0, 15, 'end']);
+    assert.equal(model.selection.seconds, 900);
+    assert.ok(Math.abs(model.selection.twapTick - 1000 / 3) < 1e-9);
+    assert.ok(model.selection.priceDiffPercent > 5);
+});
+
+test('moving an edge recomputes the TWAP and the rules over the new window', () => {
+    const model = dashboard();
+    const fullRange = model.selection;
+
+    press(model, 's', ']');
+    assert.equal(model.start, 10);
+    assert.equal(model.selection.twapTick, 1000);
+    assert.equal(model.selection.observationCount, 6);
+    assert.ok(model.selection.priceDiffPercent < 1e-6);
+    assert.notDeepEqual(model.selection.analysis.factors, fullRange.analysis.factors);
+
+    press(model, 'r');
+    assert.deepEqual([model.start, model.end], [0, 15]);
+    assert.equal(model.selection.twapTick, fullRange.twapTick);
+});
+
+test('the edges keep at least one interval between them', () => {
+    const model = dashboard();
+
+    press(model, 's', 'left', '[', ']', ']', ']');
+    assert.equal(model.start, 14);
+    press(model, 'tab', 'left', 'left');
+    assert.deepEqual([model.activeEdge, model.end], ['end', 15]);
+    press(model, 'tab', '[');
+    assert.deepEqual([model.start, model.end], [4, 15]);
+    press(model, 'e', '[', '[');
+    assert.deepEqual([model.start, model.end], [4, 5]);
+    assert.equal(model.selection.seconds, 60);
+});
+
+test('enter moves the active edge to the highlighted observation', () => {
+    const model = dashboard();
+
+    press(model, 'up', 'up', 'pageup');
+    assert.equal(model.cursor.observations, 3);
+    press(model, 'home');
+    assert.equal(model.cursor.observations, 0);
+    press(model, 'down', 'down', 'down', 'return');
+    assert.equal(model.end, 3);
+    assert.equal(model.selection.twapTick, 0);
+});
+
+test('the factor panel has its own cursor over the rules', () => {
+    const model = dashboard();
+
+    press(model, 'f', 'end');
+    assert.equal(model.panel, 'factors');
+    assert.equal(model.cursor.factors, model.selection.analysis.rules.length - 1);
+    assert.equal(model.cursor.observations, 15);
+    press(model, 'o', 'down');
+    assert.equal(model.cursor.observations, 15);
+});
+
+test('i flips the price orientation and recompute() keeps the tick', () => {
+    const model = dashboard();
+    const { twapPrice, twapTick } = model.selection;
+
+    press(model, 'i');
+    assert.equal(model.inverted, true);
+    assert.ok(Math.abs(model.selection.twapPrice - 1 / twapPrice) < 1e-12 * model.selection.twapPrice);
+    assert.equal(recompute(model).twapTick, twapTick);
+});
+
+test('q, Esc and Ctrl+C quit; other keys are ignored', () => {
+    const model = dashboard();
+
+    assert.deepEqual(press(model, 'x', 'q', 'escape'), [true, false, false]);
+    assert.equal(handleKey(model, { name: 'c', ctrl: true }), false);
+    assert.equal(handleKey(model, undefined), true);
+});
+
+test('rendering fills the terminal or asks for a larger one', () => {
+    const model = dashboard();
+
+    assert.equal(renderDashboard(model, { columns: 100, rows: 30 }).length, 30);
+    assert.match(renderDashboard(model, { columns: 40, rows: 30 })[0], /Terminal too small/);
+});
+
+test('fewer than two observations or no terminal are refused', async () => {
+    const single = makeObservationState(observationsFromIntervals([]));
+    assert.throws(() => createDashboard(makePool(), single), InsufficientDataError);
+
+    const notTty = { isTTY: false };
+    await assert.rejects(runDashboard(makePool(), single, {}, { input: notTty, output: notTty }), ConfigError);
+});
@@ -0,0 +1,71 @@
+// Golden outputs for the bundled pools: the JSON result document and the CLI's text output.
+// Regenerate after an intended change with `UPDATE_GOLDEN=1 npm test` and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { computeTwap, estimateManipulationCost, buildResultDocument, bigIntReplacer } = require('../lib');
+const { ROOT, loadExample, loadSolUsdc } = require('./helpers');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+// Same options for the library and the CLI cases
+const WINDOWS = [300, 900];
+
+function compareGolden(name, actual) {
+    const filePath = path.join(GOLDEN_DIR, name);
+    if (UPDATE) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(filePath, actual);
+        return;
+    }
+    assert.ok(fs.existsSync(filePath), `missing golden file ${name}, run with UPDATE_GOLDEN=1`);
+    assert.equal(actual, fs.readFileSync(filePath, 'utf8'), `${name} differs from the golden output`);
+}
+
+// Result document without the generation timestamp
+function documentText({ poolState, obsState }) {
+    const result = computeTwap(poolState, obsState, { windows: WINDOWS });
+    result.manipulationCost = estimateManipulationCost(poolState);
+    const document = buildResultDocument(result);
+    delete document.generatedAt;
+    return JSON.stringify(document, bigIntReplacer, 2) + '\n';
+}
+
+// CLI output with an empty home directory and no TWAP_* variables, so no user token registry
+// or option defaults leak in
+function runCli(args) {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-golden-'));
+    const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('TWAP_')));
+    try {
+        return execFileSync(process.execPath, [path.join(ROOT, 'twap-cli.js')].concat(args), {
+            cwd: ROOT,
+            env: Object.assign(env, { HOME: home }),
+            encoding: 'utf8'
+        });
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+test('example pool result document', () => {
+    compareGolden('example.json', documentText(loadExample()));
+});
+
+test('SOL/USDC fixture result document', () => {
+    compareGolden('sol_usdc.json', documentText(loadSolUsdc()));
+});
+
+test('example pool CLI text output', () => {
+    const windowArgs = WINDOWS.flatMap(window => ['--window', String(window)]);
+    compareGolden('example.txt', runCli(['--pool-file', 'poolstate_example.json', '--obs-file', 'observationstate_example.json'].concat(windowArgs)));
+});
+
+test('SOL/USDC fixture CLI text output', () => {
+    const windowArgs = WINDOWS.flatMap(window => ['--window', String(window)]);
+    compareGolden('sol_usdc.txt', runCli(['--pool-file', 'fixtures/sol_usdc.pool.json', '--obs-file', 'fixtures/sol_usdc.obs.json', '--cost-deviation', '10'].concat(windowArgs)));
+});
@@ -0,0 +1,102 @@
+// Builders for the tests: IDL-style accounts from a few numbers, and the bundled fixtures
+
+const fs = require('fs');
+const path = require('path');
+const { parseAccount, OBSERVATION_NUM } = require('../lib');
+
+const ROOT = path.join(__dirname, '..');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+// PoolState with the fields the calculations read; sqrt_price_x64 only when given
+function makePool({ tick = 0, decimals0 = 9, decimals1 = 6, sqrtPriceX64, liquidity = 1000000000000n, mint0 = SOL_MINT, mint1 = USDC_MINT } = {}) {
+    const pool = {
+        tick_current: { type: 'i32', data: tick },
+        mint_decimals_0: { type: 'u8', data: decimals0 },
+        mint_decimals_1: { type: 'u8', data: decimals1 },
+        liquidity: { type: 'u128', data: liquidity.toString() },
+        token_mint_0: { type: 'pubkey', data: mint0 },
+        token_mint_1: { type: 'pubkey', data: mint1 }
+    };
+    if (sqrtPriceX64 !== undefined) {
+        pool.sqrt_price_x64 = { type: 'u128', data: sqrtPriceX64.toString() };
+    }
+    return pool;
+}
+
+// ObservationState with `slots` written from slot `start` on (wrapping), the rest empty.
+// Each slot is [block_timestamp, tick_cumulative] or a raw slot object.
+function makeObservationState(slots, { start = 0, index, size = OBSERVATION_NUM } = {}) {
+    const data = Array.from({ length: size }, () => ({ block_timestamp: 0, tick_cumulative: '0' }));
+    slots.forEach((slot, offset) => {
+        data[(start + offset) % size] = Array.isArray(slot)
+            ? { block_timestamp: slot[0], tick_cumulative: slot[1].toString() }
+            : slot;
+    });
+    return {
+        observation_index: { type: 'u16', data: index ?? (start + slots.length - 1) % size },
+        observations: { type: { array: [{ defined: { name: 'Observation' } }, size] }, data: data }
+    };
+}
+
+// [block_timestamp, tick_cumulative] pairs for consecutive intervals of constant tick:
+// intervals = [{ seconds, tick }, ...]
+function observationsFromIntervals(intervals, { startTime = 1755000000, startCumulative = 0n } = {}) {
+    const observations = [[startTime, startCumulative]];
+    let time = startTime;
+    let cumulative = BigInt(startCumulative);
+    intervals.forEach(({ seconds, tick }) => {
+        time += seconds;
+        cumulative += BigInt(tick) * BigInt(seconds);
+        observations.push([time, cumulative]);
+    });
+    return observations;
+}
+
+// computeTickStats()-shaped object where no statistical rule triggers
+function neutralStats(overrides = {}) {
+    return {
+        intervalCount: 10,
+        totalSeconds: 3600,
+        meanTick: 0,
+        minTick: 0,
+        maxTick: 0,
+        volatility: Object.assign({ sampleCount: 9, annualizedPercent: 0 }, overrides.volatility),
+        outliers: Object.assign({ zThreshold: 3.5, medianChange: 0, mad: 0, maxZScore: 0, count: 0, share: 0, intervals: [] }, overrides.outliers),
+        priceSwings: Object.assign({ maxDrawdownPercent: 0, maxRunupPercent: 0, drawdown: null, runup: null }, overrides.priceSwings),
+        histogram: { bucketWidth: 1, buckets: [] },
+        distinctStepShare: overrides.distinctStepShare ?? 1
+    };
+}
+
+function loadAccountFile(relativePath, accountName) {
+    return parseAccount(fs.readFileSync(path.join(ROOT, relativePath)), accountName);
+}
+
+function loadExample() {
+    return {
+        poolState: loadAccountFile('poolstate_example.json', 'PoolState'),
+        obsState: loadAccountFile('observationstate_example.json', 'ObservationState')
+    };
+}
+
+function loadSolUsdc() {
+    return {
+        poolState: loadAccountFile('fixtures/sol_usdc.pool.json', 'PoolState'),
+        obsState: loadAccountFile('fixtures/sol_usdc.obs.json', 'ObservationState')
+    };
+}
+
+module.exports = {
+    ROOT,
+    SOL_MINT,
+    USDC_MINT,
+    makePool,
+    makeObservationState,
+    observationsFromIntervals,
+    neutralStats,
+    loadAccountFile,
+    loadExample,
+    loadSolUsdc
+};
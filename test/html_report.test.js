@@ -0,0 +1,44 @@
+// HTML report: a self-contained document with the chart, tables and escaped pool data
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderHtmlReport } = require('../cli/html_report');
+const { computeTwap, estimateManipulationCost, readObservationRing, BUILTIN_TOKENS } = require('../lib');
+const { SOL_MINT, loadSolUsdc } = require('./helpers');
+
+const HOSTILE = '<script>alert("x")</script>';
+
+function report(options = {}) {
+    const { poolState, obsState } = loadSolUsdc();
+    const result = computeTwap(poolState, obsState, { windows: [300, 3600], tokenRegistry: options.tokenRegistry });
+    if (options.cost) result.manipulationCost = estimateManipulationCost(poolState, { tokenRegistry: options.tokenRegistry });
+    const observations = readObservationRing(obsState).observations;
+    return renderHtmlReport(result, poolState, observations, Object.assign({ generatedAt: '2025-08-14T16:29:02Z' }, options));
+}
+
+test('the report is one document with the chart, prices and rules and no scripts', () => {
+    const html = report({ poolId: 'pool-1' });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>TWAP report SOL\/USDC<\/title>/);
+    assert.match(html, /<svg [^>]*aria-label/);
+    assert.match(html, /<th>TWAP 5m<\/th>/);
+    assert.match(html, /<th>TWAP 1h<\/th>/);
+    assert.match(html, /<th>Pool<\/th><td>pool-1<\/td>/);
+    assert.match(html, /<th>TICK_SPIKE<\/th>/);
+    assert.match(html, /Generated 2025-08-14T16:29:02Z/);
+    assert.doesNotMatch(html, /<script|src="http/);
+    assert.doesNotMatch(html, /Manipulation cost/);
+});
+
+test('token symbols from the registry are escaped wherever they appear', () => {
+    const tokenRegistry = Object.assign({}, BUILTIN_TOKENS, { [SOL_MINT]: HOSTILE });
+    const html = report({ tokenRegistry: tokenRegistry, poolId: '"><img src=x>', cost: true });
+
+    assert.doesNotMatch(html, /<script>|<img/);
+    assert.match(html, /<title>TWAP report &lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;\/USDC<\/title>/);
+    assert.ok(html.includes(`<th>Token 0</th><td>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; (${SOL_MINT})</td>`));
+    assert.match(html, /<h2>Manipulation cost<\/h2>/);
+    assert.match(html, /pay [\d.]+ USDC/);
+    assert.match(html, /pay [\d.]+ &lt;script&gt;/);
+});
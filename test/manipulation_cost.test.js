@@ -0,0 +1,76 @@
+// estimateManipulationCost(): swap sizes per hold time, direction and price orientation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateManipulationCost, Q64, MAX_TICK, ConfigError } = require('../lib');
+const { getAmountDeltas } = require('../lib/manipulation_cost');
+const { makePool, SOL_MINT, USDC_MINT } = require('./helpers');
+
+// Ticks a price has to move by to change it by `percent`
+function ticksFor(percent) {
+    return Math.log(1 + percent / 100) / Math.log(1.0001);
+}
+
+test('amount deltas follow the AMM formulas and round up', () => {
+    // Price from 1 to 4: Δx = L(√b - √a)/(√a·√b) = L/2, Δy = L(√b - √a) = L
+    assert.deepEqual(getAmountDeltas(1000n, Q64, 2n * Q64), { amount0: 500n, amount1: 1000n });
+    assert.deepEqual(getAmountDeltas(1001n, 2n * Q64, Q64), { amount0: 501n, amount1: 1001n });
+});
+
+test('each hold time targets a tick that moves the TWAP by the deviation', () => {
+    const cost = estimateManipulationCost(makePool({ tick: -20000 }), { deviationPercent: 10, windowSeconds: 600 });
+
+    assert.equal(cost.scenarios.length, 8);
+    cost.scenarios.forEach(scenario => {
+        const moved = scenario.holdFraction * Math.abs(scenario.targetTick - cost.currentTick);
+        const needed = scenario.direction === 'up' ? ticksFor(10) : -ticksFor(-10);
+        assert.ok(moved >= needed && moved < needed + 1, `${scenario.direction} ${scenario.holdFraction}`);
+        assert.equal(scenario.holdSeconds, 600 * scenario.holdFraction);
+    });
+});
+
+test('shorter holds cost more, pushing up pays the quote token and down the base token', () => {
+    const cost = estimateManipulationCost(makePool({ tick: -20000 }));
+    const up = cost.scenarios.filter(scenario => scenario.direction === 'up');
+    const down = cost.scenarios.filter(scenario => scenario.direction === 'down');
+
+    assert.deepEqual(up.map(scenario => scenario.holdFraction), [1, 0.5, 0.25, 0.1]);
+    for (let i = 1; i < up.length; i++) {
+        assert.ok(up[i].tokenIn.amountRaw > up[i - 1].tokenIn.amountRaw);
+        assert.ok(down[i].tokenIn.amountRaw > down[i - 1].tokenIn.amountRaw);
+    }
+    assert.deepEqual([up[0].tokenIn.symbol, up[0].tokenOut.symbol, down[0].tokenIn.symbol], ['USDC', 'SOL', 'SOL']);
+    cost.scenarios.forEach(scenario => {
+        assert.ok(scenario.lossIfReverted.amountRaw <= scenario.tokenIn.amountRaw);
+        assert.equal(scenario.lossIfReverted.mint, scenario.tokenIn.mint);
+    });
+});
+
+test('an inverted price swaps what pushing it up or down costs', () => {
+    const pool = makePool({ tick: -20000 });
+    const plain = estimateManipulationCost(pool);
+    const inverted = estimateManipulationCost(pool, { quote: 'SOL' });
+
+    assert.equal(inverted.pair.label, 'USDC/SOL');
+    assert.equal(inverted.scenarios[0].tokenIn.mint, SOL_MINT);
+    assert.equal(inverted.scenarios[4].tokenIn.mint, USDC_MINT);
+    // Up in USDC/SOL is down in the pool's SOL/USDC
+    assert.ok(plain.scenarios[0].targetTick > plain.currentTick);
+    assert.ok(inverted.scenarios[0].targetTick < inverted.currentTick);
+});
+
+test('targets beyond the tick range are unreachable and have no amounts', () => {
+    // 10% is about 953 ticks: reachable when held for the whole window, not for half of it
+    const cost = estimateManipulationCost(makePool({ tick: MAX_TICK - 1000 }), { deviationPercent: 10 });
+    const [full, half] = cost.scenarios;
+
+    assert.equal(full.reachable, true);
+    assert.equal(half.reachable, false);
+    assert.equal(half.tokenIn, undefined);
+    assert.ok(half.targetTick > MAX_TICK);
+});
+
+test('a deviation outside (0, 100) percent is a ConfigError', () => {
+    assert.throws(() => estimateManipulationCost(makePool(), { deviationPercent: 0 }), ConfigError);
+    assert.throws(() => estimateManipulationCost(makePool(), { deviationPercent: 100 }), ConfigError);
+});
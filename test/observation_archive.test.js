@@ -0,0 +1,111 @@
+// Observation archive: merging snapshots by timestamp, continuity checks and the archive file
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getArchivePath,
+    loadArchive,
+    getArchiveVersion,
+    mergeObservations,
+    archiveSnapshot,
+    loadArchivedObservationState
+} = require('../cli/observation_archive');
+const { readObservationRing, MAX_TICK, ValidationError, DataQualityError } = require('../lib');
+const { makeObservationState, observationsFromIntervals } = require('./helpers');
+
+const POOL_ID = '3ucNos4NbumPLZNWztqGHNFFgkHeRMBQAVemeeomsUxv';
+
+// Six observations one minute apart at tick 10, as { block_timestamp, tick_cumulative }
+const HISTORY = observationsFromIntervals(Array.from({ length: 5 }, () => ({ seconds: 60, tick: 10 })))
+    .map(([time, cumulative]) => ({ block_timestamp: time, tick_cumulative: cumulative }));
+
+// ObservationState of the pool holding `observations`
+function snapshot(observations) {
+    const obsState = makeObservationState(observations.map(item => [item.block_timestamp, item.tick_cumulative]));
+    obsState.pool_id = { type: 'pubkey', data: POOL_ID };
+    return obsState;
+}
+
+function archiveDir(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-archive-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return path.join(root, 'archive');
+}
+
+test('merging keeps timestamp order, counts duplicates and leaves its inputs alone', () => {
+    const archived = [HISTORY[0], HISTORY[2], HISTORY[4]];
+    const incoming = [HISTORY[1], HISTORY[2], HISTORY[3], HISTORY[5]];
+
+    const merge = mergeObservations(archived, incoming);
+    assert.deepEqual(merge.observations, HISTORY);
+    assert.deepEqual(merge.added, [HISTORY[1], HISTORY[3], HISTORY[5]]);
+    assert.equal(merge.duplicates, 1);
+    assert.deepEqual(merge.findings, []);
+    assert.equal(archived.length, 3);
+});
+
+test('conflicting and discontinuous observations are reported, not merged', () => {
+    const conflict = { block_timestamp: HISTORY[1].block_timestamp, tick_cumulative: HISTORY[1].tick_cumulative + 1n };
+    // Implies an average tick beyond MAX_TICK since the archived observation before it
+    const jump = { block_timestamp: HISTORY[3].block_timestamp, tick_cumulative: HISTORY[2].tick_cumulative + BigInt(MAX_TICK + 1) * 60n };
+
+    const merge = mergeObservations(HISTORY.slice(0, 3), [conflict, jump]);
+    assert.deepEqual(merge.observations, HISTORY.slice(0, 3));
+    assert.deepEqual(merge.added, []);
+    assert.deepEqual(merge.findings.map(item => item.code), ['ARCHIVE_CONFLICT', 'CUMULATIVE_DISCONTINUITY']);
+});
+
+test('snapshots are appended to the archive once and read back as one history', (t) => {
+    const dir = archiveDir(t);
+    assert.equal(getArchiveVersion(dir, snapshot(HISTORY)), 'none');
+
+    const first = archiveSnapshot(dir, snapshot(HISTORY.slice(0, 4)));
+    assert.deepEqual([first.added, first.duplicates, first.total, first.oldest], [4, 0, 4, HISTORY[0].block_timestamp]);
+    const version = getArchiveVersion(dir, snapshot(HISTORY));
+
+    // The ring buffer has moved on: two observations already archived, two new
+    const second = archiveSnapshot(dir, snapshot(HISTORY.slice(2)));
+    assert.deepEqual([second.added, second.duplicates, second.total, second.newest], [2, 2, 6, HISTORY[5].block_timestamp]);
+    assert.notEqual(getArchiveVersion(dir, snapshot(HISTORY)), version);
+    assert.equal(fs.readFileSync(second.path, 'utf8').trim().split('\n').length, 6);
+
+    assert.deepEqual(loadArchive(dir, POOL_ID).observations, HISTORY);
+    const combined = loadArchivedObservationState(dir, snapshot(HISTORY.slice(4)));
+    assert.equal(combined.archivedCount, 6);
+    assert.deepEqual(readObservationRing(combined.obsState).observations.map(item => item.block_timestamp), HISTORY.map(item => item.block_timestamp));
+});
+
+test('strict archiving writes nothing when the snapshot conflicts with the archive', (t) => {
+    const dir = archiveDir(t);
+    archiveSnapshot(dir, snapshot(HISTORY.slice(0, 3)));
+    const before = fs.readFileSync(getArchivePath(dir, POOL_ID), 'utf8');
+    const conflicting = HISTORY.slice(2).map((item, index) => index === 0 ? { block_timestamp: item.block_timestamp, tick_cumulative: 5n } : item);
+
+    assert.throws(() => archiveSnapshot(dir, snapshot(conflicting), { strict: true }), error => {
+        return error instanceof DataQualityError && error.findings.some(item => item.code === 'ARCHIVE_CONFLICT');
+    });
+    assert.equal(fs.readFileSync(getArchivePath(dir, POOL_ID), 'utf8'), before);
+});
+
+test('unreadable and conflicting archive lines are findings', (t) => {
+    const dir = archiveDir(t);
+    fs.mkdirSync(dir, { recursive: true });
+    const line = (time, cumulative) => JSON.stringify({ block_timestamp: time, tick_cumulative: String(cumulative) });
+    fs.writeFileSync(getArchivePath(dir, POOL_ID), [line(100, 0), 'not json', line(0, 5), line(160, 600), line(100, 9), line(160, 600)].join('\n'));
+
+    const archive = loadArchive(dir, POOL_ID);
+    assert.deepEqual(archive.observations, [{ block_timestamp: 100, tick_cumulative: 0n }, { block_timestamp: 160, tick_cumulative: 600n }]);
+    assert.deepEqual(archive.findings.map(item => [item.code, /line (\d+)/.exec(item.message)[1]]), [
+        ['MALFORMED_ENTRY', '2'],
+        ['MALFORMED_ENTRY', '3'],
+        ['ARCHIVE_CONFLICT', '5']
+    ]);
+});
+
+test('a pool id that is not a base58 address cannot name an archive file', () => {
+    assert.throws(() => getArchivePath('/tmp/archive', '../../etc/passwd'), ValidationError);
+    assert.throws(() => archiveSnapshot('/tmp/archive', makeObservationState(HISTORY.map(item => [item.block_timestamp, item.tick_cumulative]))), /no pool_id/);
+});
@@ -0,0 +1,95 @@
+// readObservationRing() findings: every way a ring buffer can disagree with the program
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readObservationRing, getWorstSeverity, MAX_TICK, ValidationError, DataQualityError } = require('../lib');
+const { makeObservationState, observationsFromIntervals } = require('./helpers');
+
+// Four observations one minute apart at tick 10
+const observations = observationsFromIntervals([{ seconds: 60, tick: 10 }, { seconds: 60, tick: 10 }, { seconds: 60, tick: 10 }]);
+
+function codes(ring) {
+    return ring.findings.map(item => [item.code, item.slot]);
+}
+
+test('a clean buffer has no findings and is read oldest first', () => {
+    const ring = readObservationRing(makeObservationState(observations));
+
+    assert.deepEqual(ring.findings, []);
+    assert.equal(ring.newestSlot, 3);
+    assert.deepEqual(ring.observations.map(item => [item.block_timestamp, item.tick_cumulative]), observations);
+    assert.equal(getWorstSeverity(ring.findings), null);
+});
+
+test('data behind an empty slot is STALE_SLOT', () => {
+    const slots = observations.slice(0, 2).concat([[0, 0n], observations[3]]);
+    // Newest at slot 1: slot 0 is older, slot 2 empty, so slot 3 cannot be newer data
+    const ring = readObservationRing(makeObservationState(slots, { index: 1 }));
+
+    assert.equal(ring.observations.length, 2);
+    assert.deepEqual(codes(ring), [['STALE_SLOT', 3]]);
+    assert.equal(getWorstSeverity(ring.findings), 'warning');
+});
+
+test('a repeated timestamp is DUPLICATE_TIMESTAMP and the older slot is dropped', () => {
+    const slots = observations.slice(0, 3).concat([[observations[2][0], observations[2][1]]]);
+    const ring = readObservationRing(makeObservationState(slots));
+
+    assert.equal(ring.observations.length, 3);
+    assert.deepEqual(codes(ring), [['DUPLICATE_TIMESTAMP', 2]]);
+});
+
+test('a slot newer than the slot written after it is NON_MONOTONIC_TIMESTAMP', () => {
+    const slots = observations.slice();
+    slots[1] = [observations[3][0] + 60, observations[1][1]];
+    const ring = readObservationRing(makeObservationState(slots));
+
+    assert.deepEqual(codes(ring), [['NON_MONOTONIC_TIMESTAMP', 1]]);
+    assert.deepEqual(ring.observations.map(item => item.slot), [0, 2, 3]);
+    assert.equal(getWorstSeverity(ring.findings), 'error');
+});
+
+test('a cumulative step beyond the tick range is CUMULATIVE_DISCONTINUITY but kept', () => {
+    const slots = observations.slice();
+    slots[2] = [observations[2][0], observations[1][1] + BigInt(2 * MAX_TICK) * 60n];
+    const ring = readObservationRing(makeObservationState(slots));
+
+    // Both steps touching slot 2 are impossible; the older slot of each pair is reported
+    assert.deepEqual(codes(ring), [['CUMULATIVE_DISCONTINUITY', 2], ['CUMULATIVE_DISCONTINUITY', 1]]);
+    assert.equal(ring.observations.length, 4);
+});
+
+test('observation_index outside the buffer or on an empty slot falls back to the latest timestamp', () => {
+    const outside = readObservationRing(makeObservationState(observations, { index: 100 }));
+    assert.deepEqual(codes(outside), [['INVALID_OBSERVATION_INDEX', undefined]]);
+    assert.equal(outside.newestSlot, 3);
+
+    const empty = readObservationRing(makeObservationState(observations, { index: 50 }));
+    assert.deepEqual(codes(empty), [['INVALID_OBSERVATION_INDEX', 50]]);
+    assert.equal(empty.observations.length, 4);
+});
+
+test('partial exports are reported as info', () => {
+    const obs = makeObservationState(observations, { size: 10 });
+    delete obs.observation_index;
+    const ring = readObservationRing(obs);
+
+    assert.deepEqual(codes(ring).map(([code]) => code), ['UNEXPECTED_BUFFER_SIZE', 'MISSING_OBSERVATION_INDEX']);
+    assert.equal(ring.observations.length, 4);
+    assert.equal(getWorstSeverity(ring.findings), 'info');
+});
+
+test('strict refuses errors but not warnings', () => {
+    const duplicate = observations.concat([observations[3]]);
+    assert.equal(readObservationRing(makeObservationState(duplicate), { strict: true }).observations.length, 4);
+
+    const slots = observations.slice();
+    slots[1] = { timestamp: 1 };
+    assert.throws(() => readObservationRing(makeObservationState(slots), { strict: true }), error => {
+        return error instanceof DataQualityError && error.findings.some(item => item.code === 'MALFORMED_ENTRY' && item.slot === 1);
+    });
+});
+
+test('an ObservationState without an observations array is a ValidationError', () => {
+    assert.throws(() => readObservationRing({ observation_index: { data: 0 } }), ValidationError);
+});
@@ -0,0 +1,140 @@
+// computePoolMetrics() and compareSnapshots() on the SOL/USDC fixture and snapshots derived from it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computePoolMetrics, compareSnapshots, ValidationError } = require('../lib');
+const { loadSolUsdc, observationsFromIntervals } = require('./helpers');
+
+const DAY = 86400;
+
+// The fixture PoolState with `changes` ({ field: amount }) subtracted, as an earlier snapshot
+function earlierSnapshot(poolState, changes) {
+    const earlier = JSON.parse(JSON.stringify(poolState));
+    Object.entries(changes).forEach(([field, amount]) => {
+        earlier[field].data = (BigInt(earlier[field].data) - BigInt(amount)).toString();
+    });
+    return earlier;
+}
+
+test('lifetime volume and fees are in whole tokens', () => {
+    const metrics = computePoolMetrics(loadSolUsdc().poolState);
+
+    assert.deepEqual(metrics.tokens.map(token => `${token.symbol}:${token.decimals}`), ['SOL:9', 'USDC:6']);
+    assert.equal(metrics.volume.zeroForOne.amountIn.amount, '41507672.95062176');
+    assert.equal(metrics.volume.zeroForOne.amountIn.symbol, 'SOL');
+    assert.equal(metrics.volume.oneForZero.amountIn.amount, '6609195825.8389');
+
+    const [sol, usdc] = metrics.fees;
+    assert.equal(sol.total.amount, '13946.585844508');
+    assert.equal(sol.unclaimed.amountRaw, sol.total.amountRaw - sol.claimed.amountRaw);
+    assert.equal(usdc.protocol.amount, '32.524126');
+    assert.ok(usdc.protocolSharePercent > 0 && usdc.protocolSharePercent < 0.01);
+});
+
+test('rewards report emissions per day and whether they are active', () => {
+    const { poolState } = loadSolUsdc();
+    const [ray] = computePoolMetrics(poolState).rewards;
+
+    // Uninitialized slots are left out
+    assert.equal(computePoolMetrics(poolState).rewards.length, 1);
+    assert.equal(ray.symbol, 'RAY');
+    assert.equal(ray.state, 'opening');
+    assert.equal(ray.active, true);
+    // RAY is not a pool token, so its decimals are unknown and amounts stay in base units
+    assert.equal(ray.decimals, null);
+    assert.equal(ray.emissionsPerDay.amount, '142857142.85714285715');
+    assert.equal(ray.totalEmitted.amountRaw, 34969927792n);
+
+    assert.equal(computePoolMetrics(poolState, { time: ray.endTime }).rewards[0].active, false);
+    assert.equal(computePoolMetrics(poolState, { time: ray.openTime - 1 }).rewards[0].active, false);
+});
+
+test('volume, turnover and fee APR between two snapshots', () => {
+    const { poolState } = loadSolUsdc();
+    const sqrtPrice = BigInt(poolState.sqrt_price_x64.data);
+    // 0.1% of a full-range position's value in token1 fees per unit of liquidity
+    const earlier = earlierSnapshot(poolState, {
+        swap_in_amount_token_1: 5000000000000n,
+        swap_out_amount_token_0: 26000000000000n,
+        total_fees_token_1: 1000000000n,
+        protocol_fees_token_1: 120000000n,
+        fund_fees_token_1: 40000000n,
+        fee_growth_global_1_x64: 2n * sqrtPrice / 1000n
+    });
+    const comparison = compareSnapshots(earlier, poolState, { elapsedSeconds: DAY });
+
+    assert.equal(comparison.volume.oneForZero.amountIn.amount, '5000000');
+    assert.equal(comparison.volume.zeroForOne.amountIn.amount, '0');
+    assert.equal(comparison.volume.total.amount, '5000000');
+    assert.equal(comparison.volume.total.symbol, 'USDC');
+    assert.equal(comparison.volume.perDay.amountRaw, 5000000000000n);
+    assert.ok(Math.abs(comparison.feeAprPercent - 36.5) < 1e-6);
+    assert.ok(Math.abs(comparison.turnoverPerDay - 5000000 / Number(comparison.reserveValue.amount)) < 1e-9);
+
+    // 1000 USDC to LPs, 120 to the protocol, 40 to the fund
+    const usdc = comparison.fees[1];
+    assert.equal(usdc.total.amount, '1000');
+    assert.ok(Math.abs(usdc.protocolSharePercent - 120 / 1160 * 100) < 1e-9);
+    assert.ok(Math.abs(usdc.fundSharePercent - 40 / 1160 * 100) < 1e-9);
+    assert.equal(usdc.unclaimed, undefined);
+});
+
+test('collected protocol fees and wrapped fee growth between snapshots', () => {
+    const { poolState } = loadSolUsdc();
+    const earlier = earlierSnapshot(poolState, {});
+    // Collected since: the pending protocol fees were higher before
+    earlier.protocol_fees_token_0.data = '999999999999';
+    // fee_growth_global wraps around at 2^128
+    earlier.fee_growth_global_0_x64.data = ((1n << 128n) - 5n).toString();
+    poolState.fee_growth_global_0_x64.data = '5';
+
+    const comparison = compareSnapshots(earlier, poolState, { elapsedSeconds: 3600 });
+    assert.equal(comparison.fees[0].protocol, null);
+    assert.equal(comparison.fees[0].protocolSharePercent, null);
+    assert.ok(comparison.feeAprPercent > 0 && comparison.feeAprPercent < 1e-9);
+});
+
+test('the price change comes from half-period TWAPs when the observations cover the period', () => {
+    const { poolState } = loadSolUsdc();
+    const tick = parseInt(poolState.tick_current.data);
+    const toPoints = (observations) => observations.map(([time, cumulative]) => ({ block_timestamp: time, tick_cumulative: cumulative }));
+    const flat = toPoints(observationsFromIntervals([{ seconds: 1800, tick: tick + 20 }, { seconds: 1800, tick: tick - 20 }]));
+    const trending = toPoints(observationsFromIntervals([{ seconds: 1800, tick: tick - 200 }, { seconds: 1800, tick: tick }]));
+
+    const flatChange = compareSnapshots(poolState, poolState, { elapsedSeconds: 3600, observations: flat }).priceChange;
+    assert.equal(flatChange.source, 'twap');
+    assert.ok(Math.abs(flatChange.percent - (Math.pow(1.0001, -40) - 1) * 100) < 1e-9);
+
+    const trendingChange = compareSnapshots(poolState, poolState, { elapsedSeconds: 3600, observations: trending }).priceChange;
+    assert.ok(trendingChange.percent > 1.9);
+
+    // A period longer than the history falls back to the spot prices of the snapshots
+    const spot = compareSnapshots(poolState, poolState, { elapsedSeconds: 7200, observations: flat }).priceChange;
+    assert.equal(spot.source, 'spot');
+    assert.equal(spot.percent, 0);
+    assert.match(spot.reason, /older than the oldest observation/);
+});
+
+test('a snapshot without a price leaves the spot change unknown or is refused', () => {
+    const { poolState } = loadSolUsdc();
+    const unpriced = earlierSnapshot(poolState, {});
+    unpriced.sqrt_price_x64.data = '0';
+
+    const change = compareSnapshots(unpriced, poolState, { elapsedSeconds: 3600 }).priceChange;
+    assert.equal(change.source, 'spot');
+    assert.equal(change.percent, null);
+    assert.match(change.reason, /earlier snapshot has no price/);
+
+    assert.throws(() => compareSnapshots(poolState, unpriced, { elapsedSeconds: 3600 }), error => error instanceof ValidationError && error.field === 'sqrt_price_x64');
+});
+
+test('snapshots must be of one pool, in order and apart', () => {
+    const { poolState } = loadSolUsdc();
+    const other = earlierSnapshot(poolState, {});
+    other.observation_key.data = '11111111111111111111111111111111';
+    const later = earlierSnapshot(poolState, { swap_in_amount_token_0: -1n });
+
+    assert.throws(() => compareSnapshots(other, poolState, { elapsedSeconds: 60 }), error => error instanceof ValidationError && /different pools/.test(error.message));
+    assert.throws(() => compareSnapshots(later, poolState, { elapsedSeconds: 60 }), /pass the earlier snapshot first/);
+    assert.throws(() => compareSnapshots(poolState, later, { elapsedSeconds: 0 }), /must be positive/);
+});
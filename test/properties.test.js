@@ -0,0 +1,142 @@
+// Property tests over random observation histories. Each property runs RUNS seeded cases; a
+// failure message names the seed, and TWAP_TEST_SEED=<seed> replays just that case.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    computeTwap,
+    observe,
+    readObservationRing,
+    getSqrtPriceAtTick,
+    getTickAtSqrtPrice,
+    tickToPriceFloat,
+    createRandom,
+    MIN_TICK,
+    MAX_TICK
+} = require('../lib');
+const { makePool, makeObservationState, observationsFromIntervals } = require('./helpers');
+
+const RUNS = 200;
+
+function forAllSeeds(property) {
+    const seeds = process.env.TWAP_TEST_SEED ? [Number(process.env.TWAP_TEST_SEED)] : Array.from({ length: RUNS }, (_, index) => index + 1);
+    for (const seed of seeds) {
+        try {
+            property(createRandom(seed));
+        } catch (error) {
+            error.message = `seed ${seed}: ${error.message}`;
+            throw error;
+        }
+    }
+}
+
+function randomInt(random, min, max) {
+    return min + Math.floor(random.next() * (max - min + 1));
+}
+
+// 2-99 intervals of constant tick, anywhere in the tick range (mostly around a random center)
+function randomIntervals(random) {
+    const count = randomInt(random, 1, 98);
+    const center = randomInt(random, MIN_TICK + 50000, MAX_TICK - 50000);
+    const spread = random.next() < 0.1 ? 400000 : randomInt(random, 0, 5000);
+    return Array.from({ length: count }, () => ({
+        seconds: randomInt(random, 1, 600),
+        tick: Math.min(Math.max(center + randomInt(random, -spread, spread), MIN_TICK), MAX_TICK)
+    }));
+}
+
+function randomHistory(random) {
+    const intervals = randomIntervals(random);
+    const observations = observationsFromIntervals(intervals, {
+        startTime: randomInt(random, 1600000000, 1800000000),
+        startCumulative: BigInt(randomInt(random, -1e9, 1e9)) * 1000000n
+    });
+    const currentTick = intervals[intervals.length - 1].tick;
+    const obsState = makeObservationState(observations, { start: randomInt(random, 0, 99) });
+    return { intervals, observations, currentTick, obsState };
+}
+
+test('the TWAP tick lies between the smallest and largest interval tick', () => {
+    forAllSeeds(random => {
+        const { intervals, currentTick, obsState } = randomHistory(random);
+        const result = computeTwap(makePool({ tick: currentTick }), obsState);
+        const ticks = intervals.map(interval => interval.tick);
+        const min = Math.min(...ticks);
+        const max = Math.max(...ticks);
+
+        assert.ok(result.twapTick >= min - 1e-6 && result.twapTick <= max + 1e-6, `${result.twapTick} outside [${min}, ${max}]`);
+        assert.ok(result.twapTickFloor >= min && result.twapTickFloor <= max);
+        assert.ok(result.twapTickFloor <= result.twapTick && result.twapTick < result.twapTickFloor + 1);
+        assert.equal(result.stats.minTick, min);
+        assert.equal(result.stats.maxTick, max);
+    });
+});
+
+test('window TWAPs lie between the smallest and largest tick they cover', () => {
+    forAllSeeds(random => {
+        const { intervals, observations, currentTick, obsState } = randomHistory(random);
+        const span = observations[observations.length - 1][0] - observations[0][0];
+        const windows = [randomInt(random, 1, span), randomInt(random, 1, span)];
+        const result = computeTwap(makePool({ tick: currentTick }), obsState, { windows: windows });
+
+        result.windows.forEach(window => {
+            assert.equal(window.error, undefined);
+            let intervalEnd = observations[0][0];
+            const covered = intervals.filter(interval => {
+                const intervalStart = intervalEnd;
+                intervalEnd += interval.seconds;
+                return intervalEnd > window.startTime && intervalStart < window.endTime;
+            }).map(interval => interval.tick);
+            assert.ok(window.twapTick >= Math.min(...covered) - 1e-6 && window.twapTick <= Math.max(...covered) + 1e-6,
+                `window ${window.windowSeconds}s: ${window.twapTick} outside [${Math.min(...covered)}, ${Math.max(...covered)}]`);
+        });
+    });
+});
+
+test('observe() returns the stored cumulatives at observation timestamps', () => {
+    forAllSeeds(random => {
+        const { observations, obsState } = randomHistory(random);
+        const ring = readObservationRing(obsState).observations;
+        const newest = observations[observations.length - 1][0];
+        const picked = [0, randomInt(random, 0, observations.length - 1), observations.length - 1];
+        const { tickCumulatives } = observe(ring, picked.map(index => newest - observations[index][0]));
+
+        picked.forEach((index, position) => assert.equal(tickCumulatives[position], observations[index][1]));
+    });
+});
+
+test('the TWAP does not depend on where the history sits in the ring buffer', () => {
+    forAllSeeds(random => {
+        const { observations, currentTick, obsState } = randomHistory(random);
+        const reference = computeTwap(makePool({ tick: currentTick }), makeObservationState(observations));
+        const rotated = computeTwap(makePool({ tick: currentTick }), obsState);
+
+        assert.equal(rotated.twapTick, reference.twapTick);
+        assert.equal(rotated.observationCount, observations.length);
+    });
+});
+
+test('inverting the pair inverts every price and keeps the deviation', () => {
+    forAllSeeds(random => {
+        const { currentTick, obsState } = randomHistory(random);
+        const decimals = { decimals0: randomInt(random, 0, 9), decimals1: randomInt(random, 0, 9) };
+        const plain = computeTwap(makePool(Object.assign({ tick: currentTick }, decimals)), obsState);
+        const inverted = computeTwap(makePool(Object.assign({ tick: currentTick }, decimals)), obsState, { invert: true });
+
+        assert.ok(Math.abs(plain.twapPrice * inverted.twapPrice - 1) < 1e-9);
+        assert.ok(Math.abs(plain.currentPrice * inverted.currentPrice - 1) < 1e-9);
+        assert.equal(inverted.priceDifferencePercent, plain.priceDifferencePercent);
+    });
+});
+
+test('sqrt prices round-trip to their tick and grow with it', () => {
+    forAllSeeds(random => {
+        const tick = randomInt(random, MIN_TICK, MAX_TICK - 1);
+        const sqrtPrice = getSqrtPriceAtTick(tick);
+
+        assert.equal(getTickAtSqrtPrice(sqrtPrice), tick);
+        assert.equal(getTickAtSqrtPrice(getSqrtPriceAtTick(tick + 1) - 1n), tick);
+        assert.ok(getSqrtPriceAtTick(tick + 1) > sqrtPrice);
+        assert.ok(tickToPriceFloat(tick + 1, 9, 6) > tickToPriceFloat(tick, 9, 6));
+    });
+});
@@ -0,0 +1,282 @@
+// analyzeRisk() rule by rule, calculateConfidence() and getRecommendations()
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    analyzeRisk,
+    calculateConfidence,
+    getRecommendations,
+    resolveRules,
+    loadRuleConfig,
+    ConfigError,
+    DEFAULT_CONFIDENCE,
+    DEFAULT_RECOMMENDATIONS
+} = require('../lib');
+const { neutralStats } = require('./helpers');
+
+// loadRuleConfig() on `config` written to a temporary rules file
+function loadRules(config) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-rules-'));
+    const file = path.join(root, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    try {
+        return loadRuleConfig(file);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+// Calm two-hour analysis that triggers nothing unless overridden
+function analyze(overrides = {}, rules) {
+    return analyzeRisk(Object.assign({
+        priceDiffPercent: 1,
+        timePeriodHours: 2,
+        observations: [],
+        stats: neutralStats()
+    }, overrides), rules);
+}
+
+test('no triggered rule is NORMAL_MOVEMENT at LOW', () => {
+    const analysis = analyze();
+
+    assert.equal(analysis.level, 'LOW');
+    assert.deepEqual(analysis.factors, ['NORMAL_MOVEMENT']);
+    assert.equal(analysis.warning, null);
+    assert.equal(analysis.profile, 'default');
+    assert.ok(analysis.rules.every(rule => !rule.triggered));
+});
+
+test('price differences above 50% are EXTREME_PRICE_DIFF and supersede the lower tiers', () => {
+    const analysis = analyze({ priceDiffPercent: 60 });
+
+    assert.equal(analysis.level, 'CRITICAL');
+    assert.deepEqual(analysis.factors, ['EXTREME_PRICE_DIFF']);
+    assert.match(analysis.warning, /Extreme price difference/);
+    const superseded = analysis.rules.filter(rule => rule.superseded).map(rule => rule.id);
+    assert.deepEqual(superseded, ['HIGH_PRICE_DIFF', 'MODERATE_PRICE_DIFF']);
+});
+
+test('price differences above 30% are HIGH_PRICE_DIFF', () => {
+    const analysis = analyze({ priceDiffPercent: 35 });
+
+    assert.equal(analysis.level, 'HIGH');
+    assert.deepEqual(analysis.factors, ['HIGH_PRICE_DIFF']);
+    assert.match(analysis.warning, /Very high price difference/);
+});
+
+test('price differences above 15% are MODERATE_PRICE_DIFF', () => {
+    const analysis = analyze({ priceDiffPercent: 20 });
+
+    assert.equal(analysis.level, 'MEDIUM');
+    assert.deepEqual(analysis.factors, ['MODERATE_PRICE_DIFF']);
+    assert.equal(analysis.warning, null);
+});
+
+test('thresholds are exclusive', () => {
+    assert.equal(analyze({ priceDiffPercent: 15 }).level, 'LOW');
+    assert.equal(analyze({ priceDiffPercent: 30 }).level, 'MEDIUM');
+    assert.equal(analyze({ priceDiffPercent: 50 }).level, 'HIGH');
+});
+
+test('a 20% move within an hour is RAPID_PRICE_CHANGE', () => {
+    const rapid = analyze({ priceDiffPercent: 25, timePeriodHours: 0.5 });
+    // Only raises the level from LOW, so the moderate difference stays MEDIUM
+    assert.equal(rapid.level, 'MEDIUM');
+    assert.deepEqual(rapid.factors, ['MODERATE_PRICE_DIFF', 'RAPID_PRICE_CHANGE']);
+    assert.match(rapid.warning, /Rapid price change/);
+
+    const withoutModerate = resolveRules({ rules: { MODERATE_PRICE_DIFF: { enabled: false } } });
+    assert.equal(analyze({ priceDiffPercent: 25, timePeriodHours: 0.5 }, withoutModerate).level, 'HIGH');
+    assert.equal(analyze({ priceDiffPercent: 60, timePeriodHours: 0.5 }).level, 'CRITICAL');
+
+    // Same move over two hours is only moderate
+    assert.deepEqual(analyze({ priceDiffPercent: 25, timePeriodHours: 2 }).factors, ['MODERATE_PRICE_DIFF']);
+});
+
+test('a large modified z-score is TICK_SPIKE', () => {
+    const analysis = analyze({ stats: neutralStats({ outliers: { maxZScore: 12 } }) });
+    assert.equal(analysis.level, 'HIGH');
+    assert.deepEqual(analysis.factors, ['TICK_SPIKE']);
+});
+
+test('many outlying intervals are TICK_OUTLIERS', () => {
+    const analysis = analyze({ stats: neutralStats({ outliers: { share: 0.2 } }) });
+    assert.equal(analysis.level, 'MEDIUM');
+    assert.deepEqual(analysis.factors, ['TICK_OUTLIERS']);
+});
+
+test('annualized volatility above 300% is HIGH_VOLATILITY', () => {
+    const analysis = analyze({ stats: neutralStats({ volatility: { annualizedPercent: 450 } }) });
+    assert.equal(analysis.level, 'MEDIUM');
+    assert.deepEqual(analysis.factors, ['HIGH_VOLATILITY']);
+});
+
+test('a drawdown or run-up above 20% is LARGE_PRICE_SWING', () => {
+    assert.deepEqual(analyze({ stats: neutralStats({ priceSwings: { maxDrawdownPercent: 25 } }) }).factors, ['LARGE_PRICE_SWING']);
+    assert.deepEqual(analyze({ stats: neutralStats({ priceSwings: { maxRunupPercent: 25 } }) }).factors, ['LARGE_PRICE_SWING']);
+    assert.equal(analyze({ stats: neutralStats({ priceSwings: { maxRunupPercent: 25 } }) }).level, 'HIGH');
+});
+
+test('an observation period under 6 minutes is INSUFFICIENT_DATA at LOW', () => {
+    const analysis = analyze({ timePeriodHours: 0.05 });
+
+    assert.equal(analysis.level, 'LOW');
+    assert.deepEqual(analysis.factors, ['INSUFFICIENT_DATA']);
+    assert.match(analysis.warning, /Very short observation period/);
+    assert.ok(analysis.recommendations.includes('⏱️ Collect more historical data'));
+});
+
+test('few distinct cumulative steps are REPETITIVE_PATTERNS', () => {
+    const analysis = analyze({ stats: neutralStats({ distinctStepShare: 0.1 }) });
+    assert.equal(analysis.level, 'MEDIUM');
+    assert.deepEqual(analysis.factors, ['REPETITIVE_PATTERNS']);
+});
+
+test('high turnover with a flat TWAP is WASH_TRADING, evaluated only with volume data', () => {
+    const volume = (turnoverPerDay, percent) => ({ turnoverPerDay: turnoverPerDay, priceChange: { source: 'twap', percent: percent } });
+
+    const washed = analyze({ volume: volume(12, -0.2) });
+    assert.equal(washed.level, 'MEDIUM');
+    assert.deepEqual(washed.factors, ['WASH_TRADING']);
+    assert.match(washed.warning, /possible wash trading/);
+
+    // The same volume behind a trending TWAP is ordinary trading
+    assert.deepEqual(analyze({ volume: volume(12, 3) }).factors, ['NORMAL_MOVEMENT']);
+    // An unknown price change is not a flat one
+    assert.deepEqual(analyze({ volume: volume(12, null) }).factors, ['NORMAL_MOVEMENT']);
+    assert.ok(!analyze().rules.some(rule => rule.id === 'WASH_TRADING'));
+});
+
+test('the level is the most severe of several factors, and the first rule with a warning wins', () => {
+    const analysis = analyze({
+        priceDiffPercent: 20,
+        timePeriodHours: 0.05,
+        stats: neutralStats({ outliers: { maxZScore: 15 } })
+    });
+
+    assert.equal(analysis.level, 'HIGH');
+    assert.deepEqual(analysis.factors, ['MODERATE_PRICE_DIFF', 'TICK_SPIKE', 'INSUFFICIENT_DATA']);
+    assert.match(analysis.warning, /Very short observation period/);
+});
+
+test('tick statistics are computed from the observations when not given', () => {
+    const observations = [
+        { block_timestamp: 1000, tick_cumulative: 0n },
+        { block_timestamp: 4600, tick_cumulative: 360000n },
+        { block_timestamp: 8200, tick_cumulative: 720000n }
+    ];
+    const analysis = analyzeRisk({ priceDiffPercent: 1, timePeriodHours: 2, observations: observations });
+
+    // Identical steps: a single distinct cumulative step out of two
+    const rule = analysis.rules.find(item => item.id === 'REPETITIVE_PATTERNS');
+    assert.equal(rule.value, 0.5);
+    assert.equal(rule.triggered, false);
+});
+
+test('a resolved profile changes the thresholds', () => {
+    const stable = resolveRules({}, { profile: 'stable' });
+    const analysis = analyze({ priceDiffPercent: 3 }, stable);
+
+    assert.equal(analysis.profile, 'stable');
+    assert.equal(analysis.level, 'HIGH');
+    assert.deepEqual(analysis.factors, ['HIGH_PRICE_DIFF']);
+});
+
+test('disabled rules are not evaluated', () => {
+    const rules = resolveRules({ rules: { MODERATE_PRICE_DIFF: { enabled: false } } });
+    const analysis = analyze({ priceDiffPercent: 20 }, rules);
+
+    assert.equal(analysis.level, 'LOW');
+    assert.ok(!analysis.rules.some(rule => rule.id === 'MODERATE_PRICE_DIFF'));
+});
+
+test('a rules file replaces confidence and recommendation entries, not whole tables', () => {
+    const rules = resolveRules(loadRules({
+        confidence: { hours: [{ overHours: 24, add: 40 }] },
+        recommendations: { factors: { TICK_SPIKE: ['check the swaps'] } }
+    }));
+
+    assert.equal(rules.confidence.base, DEFAULT_CONFIDENCE.base);
+    assert.deepEqual(rules.confidence.hours, [{ overHours: 24, add: 40 }]);
+    assert.deepEqual(rules.confidence.factors, DEFAULT_CONFIDENCE.factors);
+    assert.deepEqual(rules.recommendations.levels, DEFAULT_RECOMMENDATIONS.levels);
+    assert.deepEqual(rules.recommendations.factors.INSUFFICIENT_DATA, DEFAULT_RECOMMENDATIONS.factors.INSUFFICIENT_DATA);
+    assert.deepEqual(rules.recommendations.factors.TICK_SPIKE, ['check the swaps']);
+});
+
+test('malformed confidence and recommendation tables are a ConfigError naming the key', () => {
+    const cases = [
+        [{ confidence: { hours: 6 } }, /confidence\.hours/],
+        [{ confidence: { hours: [{ overHours: '1', add: 5 }] } }, /confidence\.hours/],
+        [{ confidence: { base: 'high' } }, /confidence\.base/],
+        [{ confidence: { factors: { TICK_SPIKE: null } } }, /confidence\.factors/],
+        [{ recommendations: { levels: { LOW: 'trade' } } }, /recommendations\.levels/],
+        [{ recommendations: [] }, /recommendations must be an object/]
+    ];
+    for (const [config, message] of cases) {
+        assert.throws(() => loadRules(config), error => error instanceof ConfigError && message.test(error.message));
+    }
+});
+
+test('a rules file, profile, pool entry or override that is not an object is a ConfigError naming it', () => {
+    const cases = [
+        [null, /must contain an object/],
+        [[], /must contain an object/],
+        [{ profiles: { a: null } }, /profiles\.a must be an object/],
+        [{ profiles: 'volatile' }, /profiles must be an object/],
+        [{ pools: { pool1: null } }, /pools\.pool1 must be a profile name or an object/],
+        [{ pools: { pool1: 3 } }, /pools\.pool1/],
+        [{ rules: { TICK_SPIKE: null } }, /rules\.TICK_SPIKE must be an object/]
+    ];
+    for (const [config, message] of cases) {
+        assert.throws(() => loadRules(config), error => error instanceof ConfigError && message.test(error.message));
+    }
+});
+
+test('calculateConfidence starts at the base', () => {
+    assert.equal(calculateConfidence([], 0.5), DEFAULT_CONFIDENCE.base);
+});
+
+test('calculateConfidence adds the observation period steps', () => {
+    assert.equal(calculateConfidence([], 1), 50);
+    assert.equal(calculateConfidence([], 2), 70);
+    assert.equal(calculateConfidence([], 6), 70);
+    assert.equal(calculateConfidence([], 7), 85);
+});
+
+test('calculateConfidence applies the factor adjustments', () => {
+    assert.equal(calculateConfidence(['NORMAL_MOVEMENT'], 2), 85);
+    assert.equal(calculateConfidence(['EXTREME_PRICE_DIFF'], 0.5), 75);
+    assert.equal(calculateConfidence(['INSUFFICIENT_DATA'], 0.05), 20);
+    assert.equal(calculateConfidence(['TICK_SPIKE'], 0.5), 50);
+});
+
+test('calculateConfidence stays between 0 and 100', () => {
+    assert.equal(calculateConfidence(['NORMAL_MOVEMENT', 'EXTREME_PRICE_DIFF'], 10), 100);
+    const table = { base: 10, hours: [], factors: { INSUFFICIENT_DATA: -30 } };
+    assert.equal(calculateConfidence(['INSUFFICIENT_DATA'], 0, table), 0);
+});
+
+test('getRecommendations lists the level recommendations', () => {
+    for (const level of ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']) {
+        assert.deepEqual(getRecommendations(level, []), DEFAULT_RECOMMENDATIONS.levels[level]);
+    }
+});
+
+test('getRecommendations appends factor recommendations', () => {
+    assert.deepEqual(getRecommendations('LOW', ['INSUFFICIENT_DATA']), [
+        '✅ Normal market conditions',
+        '📈 Safe to trade with normal risk management',
+        '⏱️ Collect more historical data'
+    ]);
+});
+
+test('getRecommendations tolerates unknown levels and does not mutate the table', () => {
+    assert.deepEqual(getRecommendations('UNKNOWN', ['TICK_SPIKE']), []);
+    const recommendations = getRecommendations('LOW', []);
+    recommendations.push('extra');
+    assert.equal(DEFAULT_RECOMMENDATIONS.levels.LOW.length, 2);
+});
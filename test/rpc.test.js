@@ -0,0 +1,66 @@
+// The RPC client and provider against mock_rpc_server.js serving the SOL/USDC fixture
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { RpcError } = require('../lib');
+const { createRpcClient } = require('../cli/rpc_client');
+const { createRpcProvider } = require('../cli/data_providers');
+const { startMockRpcServer, loadFixtureAccount } = require('../mock_rpc_server');
+const { ROOT, loadSolUsdc } = require('./helpers');
+
+const fixtures = loadSolUsdc();
+const POOL = fixtures.obsState.pool_id.data;
+const OBSERVATION = fixtures.poolState.observation_key.data;
+
+// Serves the fixture pool and, unless `withObservation` is false, its ObservationState
+function startServer({ withObservation = true } = {}) {
+    const accounts = { [POOL]: loadFixtureAccount(path.join(ROOT, 'fixtures/sol_usdc.pool.json'), 'PoolState') };
+    if (withObservation) {
+        accounts[OBSERVATION] = loadFixtureAccount(path.join(ROOT, 'fixtures/sol_usdc.obs.json'), 'ObservationState');
+    }
+    return startMockRpcServer({ accounts: accounts });
+}
+
+test('the RPC provider fetches the pool and follows its observation_key', async (t) => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { poolState, obsState, warnings } = await createRpcProvider({ url: server.url, pool: POOL }).load();
+
+    assert.deepEqual(server.requests.map(request => [request.method, request.params[0]]), [
+        ['getAccountInfo', POOL],
+        ['getAccountInfo', OBSERVATION]
+    ]);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(poolState, fixtures.poolState);
+
+    // Slot 24 of the fixture is malformed (b_timestamp); the account bytes can only hold an
+    // empty timestamp there
+    const expected = structuredClone(fixtures.obsState);
+    const { b_timestamp: _, ...malformed } = expected.observations.data[24];
+    expected.observations.data[24] = Object.assign(malformed, { block_timestamp: 0 });
+    assert.deepEqual(obsState, expected);
+});
+
+test('a missing account becomes an RpcError', async (t) => {
+    const server = await startServer({ withObservation: false });
+    t.after(() => server.close());
+
+    const unknown = '11111111111111111111111111111111';
+    await assert.rejects(createRpcProvider({ url: server.url, pool: unknown }).load(), error => {
+        return error instanceof RpcError && error.address === unknown && /Account not found/.test(error.message);
+    });
+    await assert.rejects(createRpcProvider({ url: server.url, pool: POOL }).load(), error => {
+        return error instanceof RpcError && error.address === OBSERVATION;
+    });
+});
+
+test('a JSON-RPC error becomes an RpcError with its code', async (t) => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    await assert.rejects(createRpcClient(server.url).call('getBlock', [1]), error => {
+        return error instanceof RpcError && error.rpcCode === -32601 && /Method not found: getBlock/.test(error.message);
+    });
+});
@@ -0,0 +1,123 @@
+// The HTTP oracle service on the SOL/USDC fixture: bad requests, caching and body limits
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { computeTwap } = require('../lib');
+const { createPoolSource, createOracleServer } = require('../cli/server');
+const { ROOT, loadSolUsdc } = require('./helpers');
+
+// Server with the fixture pool as `sol-usdc`; `config` overrides the server config
+async function startServer(t, config = {}) {
+    const { poolState, obsState } = loadSolUsdc();
+    const provider = { load: async () => ({ poolState: poolState, obsState: obsState, warnings: [] }) };
+    const pools = new Map([['sol-usdc', createPoolSource('sol-usdc', provider, { refreshMs: 60000 })]]);
+
+    const server = createOracleServer(Object.assign({
+        listPools: () => Array.from(pools.values()),
+        findPool: (id) => pools.get(id) || null,
+        analyze: (pool, obs, settings) => computeTwap(pool, obs, { windows: settings.windows })
+    }, config));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Resolves to { status, headers, body (parsed JSON) }
+function request(url, { method = 'GET', body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: method, agent: false }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+            }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// POST /analyze body with the fixture accounts as exported, plus `extra` settings
+function analyzeBody(extra = {}) {
+    const readFixture = name => JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', name), 'utf8'));
+    return Object.assign({ poolState: readFixture('sol_usdc.pool.json'), observationState: readFixture('sol_usdc.obs.json') }, extra);
+}
+
+test('a malformed percent-encoding in the pool id is a 400', async (t) => {
+    const url = await startServer(t);
+    const response = await request(`${url}/pools/%E0%A4%A/twap`);
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error.message, /Malformed pool id/);
+});
+
+test('a request target that is not a URL is a 400 and the server keeps serving', async (t) => {
+    const url = await startServer(t);
+    const { port } = new URL(url);
+    // http.request() refuses such a path, so the request line is written by hand
+    const raw = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.end('GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n'));
+        const chunks = [];
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        socket.on('error', reject);
+    });
+
+    assert.match(raw, /^HTTP\/1\.1 400 /);
+    assert.match(raw, /Invalid request target: \/\/\[/);
+    assert.equal((await request(`${url}/health`)).status, 200);
+});
+
+test('malformed posted account data is a 422, not a 500', async (t) => {
+    const url = await startServer(t);
+    const post = (body) => request(`${url}/analyze`, { method: 'POST', body: JSON.stringify(body) });
+
+    const badPrice = analyzeBody();
+    badPrice.poolState.sqrt_price_x64.data = 'abc';
+    const response = await post(badPrice);
+    assert.equal(response.status, 422);
+    assert.equal(response.body.error.code, 'DECODE_ERROR');
+    assert.match(response.body.error.message, /PoolState\.sqrt_price_x64 must be an integer, got "abc"/);
+
+    const outOfRange = analyzeBody();
+    outOfRange.poolState.sqrt_price_x64.data = '1';
+    assert.deepEqual(await post(outOfRange).then(result => [result.status, result.body.error.code]), [422, 'TICK_RANGE']);
+});
+
+test('a window that rounds to zero seconds is a 400', async (t) => {
+    const url = await startServer(t);
+    const response = await request(`${url}/pools/sol-usdc/twap?window=0.2`);
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error.message, /Invalid window: 0.2/);
+    assert.equal((await request(`${url}/analyze`, { method: 'POST', body: JSON.stringify(analyzeBody({ windows: ['5m'] })) })).status, 200);
+    const posted = await request(`${url}/analyze`, { method: 'POST', body: JSON.stringify(analyzeBody({ windows: [0] })) });
+    assert.equal(posted.status, 400);
+    assert.match(posted.body.error.message, /Invalid window: 0/);
+});
+
+test('cached results are kept until the snapshot or the data version changes', async (t) => {
+    let version = 'v1';
+    const url = await startServer(t, { dataVersion: () => version });
+
+    assert.equal((await request(`${url}/pools/sol-usdc/twap`)).headers['x-cache'], 'MISS');
+    assert.equal((await request(`${url}/pools/sol-usdc/twap`)).headers['x-cache'], 'HIT');
+    // e.g. `archive` appended observations for a --use-archive pool
+    version = 'v2';
+    assert.equal((await request(`${url}/pools/sol-usdc/twap`)).headers['x-cache'], 'MISS');
+    assert.equal((await request(`${url}/pools/sol-usdc/risk`)).headers['x-cache'], 'HIT');
+});
+
+test('an oversized POST body gets a 413 response, not a reset', async (t) => {
+    const url = await startServer(t);
+    const response = await request(`${url}/analyze`, { method: 'POST', body: Buffer.alloc(6 * 1024 * 1024, 0x20) });
+
+    assert.equal(response.status, 413);
+    assert.match(response.body.error.message, /exceeds/);
+});
@@ -0,0 +1,42 @@
+// parseYaml(): the YAML subset read by manifests and config files
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYaml } = require('../cli/simple_yaml');
+const { ConfigError } = require('../lib');
+
+test('maps, lists of maps, inline lists and scalars', () => {
+    const text = [
+        'defaults:',
+        '  windows: [5m, "1h"]',
+        'pools:',
+        '  - name: a',
+        '    pool: a.json',
+        '  - name: "b\\tc"',
+        '    nested:',
+        '      - 1',
+        '      - ~',
+        '  - plain'
+    ].join('\n');
+
+    assert.deepEqual(parseYaml(text), {
+        defaults: { windows: ['5m', '1h'] },
+        pools: [{ name: 'a', pool: 'a.json' }, { name: 'b\tc', nested: [1, null] }, 'plain']
+    });
+});
+
+test('a bad escape in a double-quoted string is a ConfigError with its line', () => {
+    assert.throws(() => parseYaml('a: 1\nb: "\\q"'), error => error instanceof ConfigError && /^YAML line 2: invalid string/.test(error.message));
+    assert.throws(() => parseYaml('"\\q": 1'), /YAML line 1/);
+    assert.throws(() => parseYaml('list: ["\\q"]'), /YAML line 1/);
+});
+
+test('a long list of maps parses in full', () => {
+    const count = 20000;
+    const lines = ['pools:'];
+    for (let i = 0; i < count; i++) lines.push(`  - name: p${i}`, `    pool: p${i}.json`);
+
+    const { pools } = parseYaml(lines.join('\n'));
+    assert.equal(pools.length, count);
+    assert.deepEqual(pools[count - 1], { name: `p${count - 1}`, pool: `p${count - 1}.json` });
+});
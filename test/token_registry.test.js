@@ -0,0 +1,79 @@
+// Token registry files, mint lookups and the price orientation chosen by --quote / --invert
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTokenRegistry, getTokenSymbol, resolveMint, resolvePricePair, computeTwap, BUILTIN_TOKENS, ConfigError } = require('../lib');
+const { SOL_MINT, USDC_MINT, makePool, loadSolUsdc } = require('./helpers');
+
+// loadTokenRegistry() with `content` written to a temporary tokens file
+function loadTokens(content) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-tokens-'));
+    const file = path.join(root, 'tokens.json');
+    fs.writeFileSync(file, content);
+    try {
+        return loadTokenRegistry(file);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('a tokens file adds symbols in either entry form', () => {
+    const registry = loadTokens(JSON.stringify({ MintA111: 'AAA', MintB111: { symbol: 'BBB', name: 'Token B' } }));
+    assert.equal(registry.MintA111, 'AAA');
+    assert.equal(registry.MintB111, 'BBB');
+    assert.equal(registry.So11111111111111111111111111111111111111112, 'SOL');
+});
+
+test('a tokens file that is not a mint map is a ConfigError', () => {
+    for (const content of ['null', '[]', '"SOL"', '{ "MintA111": {} }', '{ broken']) {
+        assert.throws(() => loadTokens(content), ConfigError, content);
+    }
+});
+
+test('symbols and mints are looked up in either direction', () => {
+    assert.equal(getTokenSymbol(BUILTIN_TOKENS, USDC_MINT), 'USDC');
+    assert.equal(getTokenSymbol(null, SOL_MINT), 'SOL');
+    assert.equal(getTokenSymbol(BUILTIN_TOKENS, 'Unknown1111111111111111111111111111'), 'Unkn…1111');
+    assert.equal(getTokenSymbol(BUILTIN_TOKENS, undefined), 'N/A');
+
+    assert.equal(resolveMint(BUILTIN_TOKENS, 'usdc'), USDC_MINT);
+    assert.equal(resolveMint(BUILTIN_TOKENS, SOL_MINT), SOL_MINT);
+    assert.equal(resolveMint(BUILTIN_TOKENS, 'NOPE'), 'NOPE');
+});
+
+test('pools price token0 in token1 unless --quote or --invert says otherwise', () => {
+    const pool = makePool();
+    const pair = (options) => {
+        const resolved = resolvePricePair(pool, options);
+        return [resolved.label, resolved.inverted, resolved.baseMint];
+    };
+
+    assert.deepEqual(pair({}), ['SOL/USDC', false, SOL_MINT]);
+    assert.deepEqual(pair({ invert: true }), ['USDC/SOL', true, USDC_MINT]);
+    // --quote names the token prices are expressed in, by symbol or mint, and wins over --invert
+    assert.deepEqual(pair({ quote: 'sol' }), ['USDC/SOL', true, USDC_MINT]);
+    assert.deepEqual(pair({ quote: USDC_MINT, invert: true }), ['SOL/USDC', false, SOL_MINT]);
+    assert.deepEqual(pair({ quote: 'MINE', tokenRegistry: Object.assign({}, BUILTIN_TOKENS, { [USDC_MINT]: 'MINE' }) }).slice(0, 2), ['SOL/MINE', false]);
+    assert.throws(() => pair({ quote: 'BONK' }), error => error instanceof ConfigError && /BONK is not part of this pool/.test(error.message));
+});
+
+test('a pool without mints falls back to token0 / token1', () => {
+    const pool = makePool();
+    delete pool.token_mint_0;
+    delete pool.token_mint_1;
+    assert.equal(resolvePricePair(pool, { invert: true }).label, 'token1/token0');
+});
+
+test('--quote turns the computed prices around', () => {
+    const { poolState, obsState } = loadSolUsdc();
+    const plain = computeTwap(poolState, obsState);
+    const quoted = computeTwap(poolState, obsState, { quote: 'SOL' });
+
+    assert.equal(quoted.pair.label, 'USDC/SOL');
+    assert.ok(Math.abs(quoted.twapPrice * plain.twapPrice - 1) < 1e-9);
+    assert.ok(Math.abs(quoted.currentPrice * plain.currentPrice - 1) < 1e-9);
+    assert.equal(quoted.priceDifferencePercent.toFixed(6), plain.priceDifferencePercent.toFixed(6));
+});
@@ -0,0 +1,210 @@
+// computeTwap(), the account validators and the edge cases of the observation data
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    computeTwap,
+    validatePoolState,
+    validateObservationState,
+    readObservationRing,
+    getSqrtPriceAtTick,
+    ValidationError,
+    InsufficientDataError,
+    DataQualityError
+} = require('../lib');
+const { makePool, makeObservationState, observationsFromIntervals, loadExample, loadSolUsdc } = require('./helpers');
+
+test('validatePoolState accepts the example pool', () => {
+    assert.equal(validatePoolState(loadExample().poolState), true);
+});
+
+for (const field of ['tick_current', 'mint_decimals_0', 'mint_decimals_1']) {
+    test(`validatePoolState rejects a pool without ${field}`, () => {
+        const pool = makePool();
+        delete pool[field];
+        assert.throws(() => validatePoolState(pool), error => error instanceof ValidationError && error.field === field);
+    });
+}
+
+test('validatePoolState rejects a field without data', () => {
+    const pool = makePool();
+    pool.tick_current = { type: 'i32' };
+    assert.throws(() => validatePoolState(pool), { name: 'ValidationError', field: 'tick_current' });
+});
+
+test('validateObservationState accepts the example observations', () => {
+    assert.equal(validateObservationState(loadExample().obsState), true);
+});
+
+test('validateObservationState rejects a state without an observations array', () => {
+    assert.throws(() => validateObservationState({}), { name: 'ValidationError', field: 'observations' });
+    assert.throws(() => validateObservationState({ observations: { data: 'x' } }), ValidationError);
+});
+
+test('validateObservationState needs two valid observations', () => {
+    const obs = makeObservationState([[1755000000, 0n]]);
+    assert.throws(() => validateObservationState(obs), InsufficientDataError);
+});
+
+test('computeTwap on the consistent SOL/USDC fixture', () => {
+    const { poolState, obsState } = loadSolUsdc();
+    const result = computeTwap(poolState, obsState);
+
+    assert.equal(result.pair.label, 'SOL/USDC');
+    assert.equal(result.currentPriceSource, 'sqrt_price_x64');
+    assert.equal(result.priceConsistency.consistent, true);
+    assert.equal(result.manipulationAnalysis.level, 'LOW');
+    assert.ok(Math.abs(result.priceDifferencePercent - 0.7417) < 0.001);
+    // The malformed slot is reported and skipped, not fatal
+    assert.ok(result.dataQuality.findings.some(item => item.code === 'MALFORMED_ENTRY'));
+});
+
+test('computeTwap on the example pair reports the mismatch as CRITICAL', () => {
+    const { poolState, obsState } = loadExample();
+    const result = computeTwap(poolState, obsState);
+
+    assert.equal(result.manipulationAnalysis.level, 'CRITICAL');
+    assert.ok(result.manipulationAnalysis.factors.includes('EXTREME_PRICE_DIFF'));
+    assert.ok(result.priceDifferencePercent > 50);
+});
+
+test('computeTwap is the time-weighted mean of the interval ticks', () => {
+    const observations = observationsFromIntervals([
+        { seconds: 60, tick: 100 },
+        { seconds: 20, tick: 200 },
+        { seconds: 120, tick: 50 }
+    ]);
+    const result = computeTwap(makePool({ tick: 50 }), makeObservationState(observations));
+
+    assert.equal(result.twapTick, (60 * 100 + 20 * 200 + 120 * 50) / 200);
+    assert.equal(result.observationCount, 4);
+    assert.equal(result.endTime - result.startTime, 200);
+    assert.equal(result.startTickCumulative, 0n);
+    assert.equal(result.endTickCumulative, 16000n);
+});
+
+test('computeTwap with negative ticks floors towards negative infinity', () => {
+    const observations = observationsFromIntervals([
+        { seconds: 30, tick: -1000 },
+        { seconds: 30, tick: -1001 }
+    ], { startCumulative: -5000000n });
+    const result = computeTwap(makePool({ tick: -1001 }), makeObservationState(observations));
+
+    assert.equal(result.twapTick, -1000.5);
+    assert.equal(result.twapTickFloor, -1001);
+    assert.ok(Math.abs(result.twapPrice / (1.0001 ** -1000.5 * 1e3) - 1) < 1e-12);
+});
+
+test('computeTwap adjusts prices when token1 has more decimals than token0', () => {
+    const observations = observationsFromIntervals([{ seconds: 600, tick: 0 }]);
+    const result = computeTwap(makePool({ tick: 0, decimals0: 6, decimals1: 9 }), makeObservationState(observations));
+
+    // 1 base unit of token1 per base unit of token0 is 0.001 whole token1 per whole token0
+    assert.ok(Math.abs(result.twapPrice - 0.001) < 1e-15);
+    assert.equal(result.twapPriceDecimal, '0.001');
+    assert.equal(result.currentPriceDecimal, '0.001');
+});
+
+test('computeTwap inverts prices on request', () => {
+    const observations = observationsFromIntervals([{ seconds: 600, tick: 6932 }]);
+    const plain = computeTwap(makePool({ tick: 6932, decimals0: 6, decimals1: 6 }), makeObservationState(observations));
+    const inverted = computeTwap(makePool({ tick: 6932, decimals0: 6, decimals1: 6 }), makeObservationState(observations), { invert: true });
+
+    assert.equal(inverted.pair.label, 'USDC/SOL');
+    assert.ok(Math.abs(plain.twapPrice * inverted.twapPrice - 1) < 1e-12);
+    assert.equal(inverted.priceDifferencePercent, plain.priceDifferencePercent);
+});
+
+test('computeTwap prefers sqrt_price_x64 for the spot price', () => {
+    const observations = observationsFromIntervals([{ seconds: 600, tick: 100 }]);
+    const result = computeTwap(makePool({ tick: 100, sqrtPriceX64: getSqrtPriceAtTick(100) }), makeObservationState(observations));
+
+    assert.equal(result.currentPriceSource, 'sqrt_price_x64');
+    assert.equal(result.priceConsistency.consistent, true);
+    assert.ok(result.priceDifferencePercent < 1e-9);
+});
+
+test('computeTwap flags a tick_current that disagrees with sqrt_price_x64', () => {
+    const observations = observationsFromIntervals([{ seconds: 600, tick: 100 }]);
+    const result = computeTwap(makePool({ tick: 500, sqrtPriceX64: getSqrtPriceAtTick(100) }), makeObservationState(observations));
+
+    assert.equal(result.priceConsistency.consistent, false);
+    assert.equal(result.priceConsistency.tickFromSqrtPrice, 100);
+});
+
+test('computeTwap rejects a single observation', () => {
+    const obs = makeObservationState([[1755000000, 0n]]);
+    assert.throws(() => computeTwap(makePool(), obs), InsufficientDataError);
+});
+
+test('computeTwap rejects an empty buffer', () => {
+    assert.throws(() => computeTwap(makePool(), makeObservationState([], { index: 0 })), InsufficientDataError);
+});
+
+test('observations with zero time difference collapse into one', () => {
+    const obs = makeObservationState([[1755000000, 0n], [1755000000, 0n]]);
+    const ring = readObservationRing(obs);
+
+    assert.equal(ring.observations.length, 1);
+    assert.ok(ring.findings.some(item => item.code === 'DUPLICATE_TIMESTAMP'));
+    assert.throws(() => computeTwap(makePool(), obs), InsufficientDataError);
+});
+
+test('malformed slots are skipped and reported, and refused with strict', () => {
+    const observations = observationsFromIntervals([{ seconds: 60, tick: 10 }, { seconds: 60, tick: 20 }, { seconds: 60, tick: 30 }]);
+    const slots = observations.slice();
+    slots[1] = { b_timestamp: observations[1][0], tick_cumulative: observations[1][1].toString() };
+    const obs = makeObservationState(slots);
+
+    const result = computeTwap(makePool({ tick: 30 }), obs);
+    assert.equal(result.observationCount, 3);
+    assert.equal(result.twapTick, 20);
+    assert.deepEqual(result.dataQuality.findings.map(item => item.code), ['MALFORMED_ENTRY']);
+
+    assert.throws(() => computeTwap(makePool({ tick: 30 }), obs, { strict: true }), error => {
+        return error instanceof DataQualityError && error.findings[0].slot === 1;
+    });
+});
+
+test('slots with unparseable timestamps or cumulatives are malformed', () => {
+    const obs = makeObservationState([
+        [1755000000, 0n],
+        { block_timestamp: 'soon', tick_cumulative: '0' },
+        { block_timestamp: 1755000120, tick_cumulative: 'abc' },
+        // BigInt('') and Number('') are zero, blank strings must not pass as values
+        { block_timestamp: 1755000150, tick_cumulative: '' },
+        { block_timestamp: ' ', tick_cumulative: '0' },
+        [1755000180, 1800n]
+    ]);
+    const ring = readObservationRing(obs);
+
+    assert.equal(ring.observations.length, 2);
+    assert.deepEqual(ring.findings.map(item => [item.code, item.slot]), [1, 2, 3, 4].map(slot => ['MALFORMED_ENTRY', slot]));
+});
+
+test('a wrapped ring buffer is read from observation_index backwards', () => {
+    const observations = observationsFromIntervals(Array.from({ length: 99 }, (_, index) => ({ seconds: 15, tick: index })));
+    const straight = computeTwap(makePool({ tick: 98 }), makeObservationState(observations));
+    const wrapped = computeTwap(makePool({ tick: 98 }), makeObservationState(observations, { start: 37 }));
+
+    assert.equal(wrapped.observationCount, 100);
+    assert.equal(wrapped.twapTick, straight.twapTick);
+    assert.equal(wrapped.startTime, straight.startTime);
+});
+
+test('cumulatives beyond 2^53 stay exact', () => {
+    const observations = observationsFromIntervals([{ seconds: 15, tick: 3 }], { startCumulative: 2n ** 60n });
+    const result = computeTwap(makePool({ tick: 3 }), makeObservationState(observations));
+
+    assert.equal(result.endTickCumulative - result.startTickCumulative, 45n);
+    assert.equal(result.twapTick, 3);
+});
+
+test('window TWAPs interpolate between observations and flag windows beyond the history', () => {
+    const observations = observationsFromIntervals([{ seconds: 300, tick: 100 }, { seconds: 300, tick: 200 }]);
+    const result = computeTwap(makePool({ tick: 200 }), makeObservationState(observations), { windows: [300, 450, 900] });
+
+    assert.equal(result.windows[0].twapTick, 200);
+    assert.equal(result.windows[1].twapTick, (150 * 100 + 300 * 200) / 450);
+    assert.match(result.windows[2].error, /older than the oldest observation/);
+});
@@ -0,0 +1,149 @@
+// Watch mode: debounced level alerts, deviation thresholds and the alert sinks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWatcher, createNdjsonLogSink, createWebhookSink, createCommandSink } = require('../cli/watch');
+
+// buildSample()-shaped sample at `level` with a full-range deviation of `deviation` percent
+function sample(level, deviation = 0, windows = []) {
+    return { level: level, factors: [], deviationPercent: deviation, windows: windows };
+}
+
+// analyze() result with the fields buildSample() reads
+function result(level, twapPrice = 100, currentPrice = 100) {
+    return { endTime: 1755000000, manipulationAnalysis: { level: level, factors: [] }, twapPrice: twapPrice, currentPrice: currentPrice, windows: [] };
+}
+
+function tempDir(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-watch-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return root;
+}
+
+test('a new level is confirmed only after it holds for the debounce time', () => {
+    const watcher = createWatcher({ debounceMs: 1000 });
+    const types = (level, now) => watcher.evaluate(sample(level), now).map(alert => `${alert.type} ${alert.from}->${alert.to}`);
+
+    assert.deepEqual(types('HIGH', 0), []);
+    assert.deepEqual(types('HIGH', 999), []);
+    assert.deepEqual(types('HIGH', 1000), ['RISK_ESCALATED LOW->HIGH']);
+    assert.equal(watcher.state.confirmedLevel, 'HIGH');
+
+    // A blip back to the confirmed level restarts the wait
+    assert.deepEqual(types('LOW', 2000), []);
+    assert.deepEqual(types('HIGH', 2500), []);
+    assert.deepEqual(types('LOW', 3000), []);
+    assert.deepEqual(types('LOW', 3999), []);
+    assert.deepEqual(types('LOW', 4000), ['RISK_RECOVERED HIGH->LOW']);
+});
+
+test('without a debounce time every level change is reported at once', () => {
+    const watcher = createWatcher({});
+    assert.deepEqual(watcher.evaluate(sample('MEDIUM'), 0).map(alert => alert.type), ['RISK_ESCALATED']);
+    assert.deepEqual(watcher.evaluate(sample('MEDIUM'), 1).map(alert => alert.type), []);
+});
+
+test('the deviation threshold alerts once when crossed and once when back in range', () => {
+    const watcher = createWatcher({ maxDeviationPercent: 5 });
+    const alerts = (value, windows) => watcher.evaluate(sample('LOW', value, windows), 0);
+
+    assert.deepEqual(alerts(1), []);
+    // The largest deviation of the full range and the windows counts, in either direction
+    const crossed = alerts(1, [{ windowSeconds: 300, deviationPercent: -7 }]);
+    assert.deepEqual(crossed.map(alert => [alert.type, alert.deviationPercent, alert.thresholdPercent]), [['DEVIATION_THRESHOLD_CROSSED', 7, 5]]);
+    assert.deepEqual(alerts(6), []);
+    assert.deepEqual(alerts(5).map(alert => alert.type), ['DEVIATION_BACK_IN_RANGE']);
+});
+
+test('poll() sends alerts with recent history to every sink and reports failing sinks', async () => {
+    const levels = ['LOW', 'CRITICAL'];
+    const received = [];
+    const errors = [];
+    const watcher = createWatcher({
+        provider: { load: async () => ({ poolState: {}, obsState: {} }) },
+        analyze: () => result(levels.shift(), 100, 110),
+        historySize: 1,
+        sinks: [
+            async () => { throw new Error('receiver down'); },
+            async (alert) => received.push(alert)
+        ],
+        onError: (error) => errors.push(error.message)
+    });
+
+    assert.equal((await watcher.poll()).level, 'LOW');
+    assert.equal(received.length, 0);
+
+    await watcher.poll();
+    assert.deepEqual(received.map(alert => alert.type), ['RISK_ESCALATED']);
+    assert.deepEqual(received[0].history.map(item => item.level), ['CRITICAL']);
+    assert.equal(received[0].sample.deviationPercent, (100 - 110) / 110 * 100);
+    assert.deepEqual(errors, ['Alert sink failed: receiver down']);
+    assert.equal(watcher.history.length, 1);
+});
+
+test('a failed load is reported and polling goes on until the iterations are done', async () => {
+    let loads = 0;
+    const errors = [];
+    const watcher = createWatcher({
+        provider: { load: async () => { if (++loads === 1) throw new Error('rpc unavailable'); return { poolState: {}, obsState: {} }; } },
+        analyze: () => result('LOW'),
+        intervalMs: 1,
+        onError: (error) => errors.push(error.message)
+    });
+
+    await watcher.start(3);
+    assert.equal(watcher.state.polls, 3);
+    assert.equal(watcher.history.length, 2);
+    assert.deepEqual(errors, ['rpc unavailable']);
+});
+
+test('the log sink appends one JSON line per alert', async (t) => {
+    const file = path.join(tempDir(t), 'alerts.ndjson');
+    const sink = createNdjsonLogSink(file);
+
+    await sink({ type: 'RISK_ESCALATED', tickCumulative: 12n });
+    await sink({ type: 'RISK_RECOVERED' });
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines, [{ type: 'RISK_ESCALATED', tickCumulative: '12' }, { type: 'RISK_RECOVERED' }]);
+});
+
+test('the webhook sink posts the alert and rejects a non-2xx answer', async (t) => {
+    const bodies = [];
+    let status = 204;
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            bodies.push(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            response.writeHead(status);
+            response.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const sink = createWebhookSink(`http://127.0.0.1:${server.address().port}/hook`);
+
+    await sink({ type: 'RISK_ESCALATED' });
+    status = 500;
+    await assert.rejects(sink({ type: 'RISK_RECOVERED' }), error => error.statusCode === 500 && /HTTP 500/.test(error.message));
+    assert.deepEqual(bodies.map(body => body.type), ['RISK_ESCALATED', 'RISK_RECOVERED']);
+});
+
+test('the command sink passes the alert on stdin and in TWAP_ALERT', async (t) => {
+    const dir = tempDir(t);
+    const script = path.join(dir, 'receive.js');
+    fs.writeFileSync(script, [
+        "const fs = require('fs');",
+        "fs.writeFileSync(process.argv[2], fs.readFileSync(0, 'utf8') + '\\n' + process.env.TWAP_ALERT);"
+    ].join('\n'));
+    const output = path.join(dir, 'received.txt');
+
+    await createCommandSink(`"${process.execPath}" "${script}" "${output}"`)({ type: 'RISK_ESCALATED' });
+    assert.deepEqual(fs.readFileSync(output, 'utf8').split('\n').map(line => JSON.parse(line).type), ['RISK_ESCALATED', 'RISK_ESCALATED']);
+
+    await assert.rejects(createCommandSink(`"${process.execPath}" -e "process.exit(3)"`)({}), /alert command failed/);
+});
@@ -1,190 +1,317 @@
 #!/usr/bin/env node
 
 // TWAP CLI - Universal Time-Weighted Average Price Calculator
-// Usage: node twap-cli.js [options]
+// Usage: node twap-cli.js [command] [options], see `node twap-cli.js --help`
 // Author: Paul Koala
 
 const fs = require('fs');
 const path = require('path');
 
-// Import only the detection function, we'll implement our own TWAP calc to avoid the hardcoded data
-const { detectManipulation } = require('./twap_calculator');
-
-
-
-function parseArguments() {
-    const args = process.argv.slice(2);
-    const options = {};
-    
-    for (let i = 0; i < args.length; i++) {
-        switch (args[i]) {
-            case '--pool-file':
-                options.poolFile = args[++i];
-                break;
-            case '--obs-file':
-                options.obsFile = args[++i];
-                break;
-            case '--pool-json':
-                options.poolJson = args[++i];
-                break;
-            case '--obs-json':
-                options.obsJson = args[++i];
-                break;
-            case '--interactive':
-            case '-i':
-                options.interactive = true;
-                break;
-            default:
-                console.error(`Unknown option: ${args[i]}`);
-                process.exit(1);
-        }
+const {
+    computeTwap,
+    validatePoolState,
+    validateObservationState,
+    readObservationRing,
+    getTickCumulativeAt,
+    checkSqrtPriceConsistency,
+    estimateManipulationCost,
+    computePoolMetrics,
+    compareSnapshots,
+    loadRuleConfig,
+    resolveRules,
+    evaluateRules,
+    loadTokenRegistry,
+    getTokenSymbol,
+    resolvePricePair,
+    parseAccount,
+    floorDiv,
+    tickToPrice,
+    sqrtPriceX64ToPrice,
+    formatResult,
+    formatDuration,
+    bigIntReplacer,
+    csvEscape,
+    DEFAULT_COST_DEVIATION_PERCENT,
+    DEFAULT_COST_WINDOW_SECONDS,
+    DEFAULT_PRICE_PRECISION,
+    RESULT_SCHEMA_VERSION,
+    RISK_LEVELS,
+    InsufficientDataError,
+    ConfigError,
+    silentLogger,
+    runBacktest,
+    formatBacktestReport
+} = require('./lib');
+const { CLI_NAME, UsageError, parseArguments, formatHelp } = require('./cli/args');
+const { generateCompletionScript } = require('./cli/completion');
+const { createProviderFromOptions, createFileProvider, createRpcProvider, readAccountFile, readAnyAccountFile } = require('./cli/data_providers');
+const { loadManifest, runBatch, formatBatchReport } = require('./cli/batch');
+const { DEFAULT_ARCHIVE_DIR, archiveSnapshot, loadArchivedObservationState, getArchiveVersion } = require('./cli/observation_archive');
+const { createWatcher, createNdjsonLogSink, createWebhookSink, createCommandSink } = require('./cli/watch');
+const { renderHtmlReport } = require('./cli/html_report');
+const { runDashboard } = require('./cli/dashboard');
+const { DEFAULT_PORT, DEFAULT_HOST, DEFAULT_REFRESH_MS, createPoolSource, createOracleServer } = require('./cli/server');
+
+// Exit code used when the risk level reaches the --fail-on threshold
+const EXIT_RISK_THRESHOLD = 2;
+
+// Handler of each command in cli/args.js; `analyze` runs when no command is given
+const COMMAND_HANDLERS = {
+    analyze: runAnalyze,
+    observe: runObserve,
+    inspect: runInspect,
+    dashboard: runAnalyze,
+    watch: runWatch,
+    archive: runArchive,
+    batch: runBatchCommand,
+    serve: runServe,
+    backtest: runBacktestCommand,
+    completion: async (options) => console.log(generateCompletionScript(options.shell))
+};
+
+// Windows monitored by `watch` when no --window is given
+const DEFAULT_WATCH_WINDOWS = [300, 900, 3600];
+
+// Offsets `observe` reads when no --ago is given
+const DEFAULT_OBSERVE_SECONDS_AGO = [0, 300, 900, 3600];
+
+// Pool addresses `serve --rpc` fetches on demand (base58 pubkeys)
+const POOL_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Arrays up to this length are printed in full by `inspect`, longer ones as a count
+const INSPECT_MAX_ARRAY_ITEMS = 8;
+
+
+function printHeader() {
+    console.log('='.repeat(60));
+    console.log('🚀 TWAP CALCULATOR CLI - Solana AMM Pool Analysis');
+    console.log('='.repeat(60));
+}
+
+function printPoolInfo(poolState, tokenRegistry) {
+    console.log('\n📊 POOL INFORMATION:');
+    if (poolState.token_mint_0?.data && poolState.token_mint_1?.data) {
+        console.log(`Pair: ${getTokenSymbol(tokenRegistry, poolState.token_mint_0.data)}/${getTokenSymbol(tokenRegistry, poolState.token_mint_1.data)}`);
     }
+    console.log(`Token 0 Decimals: ${poolState.mint_decimals_0?.data ?? 'N/A'}`);
+    console.log(`Token 1 Decimals: ${poolState.mint_decimals_1?.data ?? 'N/A'}`);
+    console.log(`Current Tick: ${poolState.tick_current?.data ?? 'N/A'}`);
+    console.log(`Sqrt Price X64: ${poolState.sqrt_price_x64?.data ?? 'N/A'}`);
+    console.log(`Liquidity: ${poolState.liquidity?.data ?? 'N/A'}`);
     
-    return options;
+    if (poolState.token_mint_0?.data && poolState.token_mint_1?.data) {
+        console.log(`Token 0: ${getTokenSymbol(tokenRegistry, poolState.token_mint_0.data)} (${poolState.token_mint_0.data})`);
+        console.log(`Token 1: ${getTokenSymbol(tokenRegistry, poolState.token_mint_1.data)} (${poolState.token_mint_1.data})`);
+    }
+}
+
+function printManipulationCost(cost) {
+    console.log(`\n💰 MANIPULATION COST (move the ${formatDuration(cost.windowSeconds)} TWAP of ${cost.pair.label} by ${cost.deviationPercent}%):`);
+    console.log(`In-range liquidity ${cost.liquidity}, assumed constant; swap fees and arbitrage during the hold not included`);
+    cost.scenarios.forEach(scenario => {
+        const hold = `${scenario.direction === 'up' ? '⬆️ ' : '⬇️ '} hold ${(scenario.holdFraction * 100).toFixed(0)}% (${formatDuration(scenario.holdSeconds)})`;
+        if (!scenario.reachable) {
+            console.log(`${hold}: target tick ${scenario.targetTick} is outside the tick range`);
+            return;
+        }
+        console.log(`${hold}: push to tick ${scenario.targetTick} (price ${scenario.targetPrice}), pay ${scenario.tokenIn.amount} ${scenario.tokenIn.symbol}, receive ${scenario.tokenOut.amount} ${scenario.tokenOut.symbol}, lose ${scenario.lossIfReverted.amount} ${scenario.lossIfReverted.symbol} if reverted`);
+    });
+}
+
+function formatAmount(amount) {
+    return `${amount.amount} ${amount.symbol}`;
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp * 1000).toISOString();
 }
 
-function loadFromFile(filePath) {
+function formatSwapVolume(volume) {
+    return `${formatAmount(volume.zeroForOne.amountIn)} for ${formatAmount(volume.zeroForOne.amountOut)}, ` +
+        `${formatAmount(volume.oneForZero.amountIn)} for ${formatAmount(volume.oneForZero.amountOut)}`;
+}
+
+// "0.23 SOL (0.0016% of fees), 32.5 USDC" for the protocol or fund fees of both tokens
+function formatFeeShares(fees, kind) {
+    return fees.map(fee => {
+        if (fee[kind] === null) return `collected (${fee.total.symbol})`;
+        const share = fee[`${kind}SharePercent`];
+        return `${formatAmount(fee[kind])}${share !== null ? ` (${share}% of fees)` : ''}`;
+    }).join(', ');
+}
+
+function printRuleEvaluations(evaluations) {
+    evaluations.forEach(rule => {
+        console.log(`  ${rule.triggered ? (rule.superseded ? '➖' : '🚩') : '✅'} ${rule.id} [${rule.severity}] ${rule.explanation}`);
+    });
+}
+
+// Lifetime volume, fees and rewards of a PoolState for `inspect`
+function printPoolMetrics(metrics) {
+    console.log(`  ↳ Swapped ${formatSwapVolume(metrics.volume)}`);
+    console.log(`  ↳ LP fees ${metrics.fees.map(fee => `${formatAmount(fee.total)} (${fee.unclaimed.amount} unclaimed)`).join(', ')}`);
+    console.log(`  ↳ Uncollected protocol fees ${formatFeeShares(metrics.fees, 'protocol')}; fund fees ${formatFeeShares(metrics.fees, 'fund')}`);
+    metrics.rewards.forEach(reward => {
+        const unit = reward.decimals === null ? `${reward.symbol} base units` : reward.symbol;
+        console.log(`  ↳ Reward ${reward.index} ${reward.active ? '(active)' : `(${reward.state})`}: ${reward.emissionsPerDay.amount} ${unit} per day ` +
+            `from ${formatTimestamp(reward.openTime)} to ${formatTimestamp(reward.endTime)}, ${reward.totalEmitted.amount} emitted, ${reward.claimed.amount} claimed`);
+    });
+}
+
+// Volume, fees and fee APR between two PoolState snapshots (`inspect`, `analyze --previous-pool`)
+function printSnapshotComparison(comparison) {
+    const between = comparison.earlier ? `: ${comparison.earlier} → ${comparison.later}` : '';
+    console.log(`\n📈 BETWEEN SNAPSHOTS (${formatDuration(comparison.elapsedSeconds)} apart${between}):`);
+    console.log(`Swapped ${formatSwapVolume(comparison.volume)}`);
+    console.log(`Volume ${formatAmount(comparison.volume.total)}, ${formatAmount(comparison.volume.perDay)} per day at the current price`);
+    console.log(`LP fees ${comparison.fees.map(fee => formatAmount(fee.total)).join(', ')}; protocol fees ${formatFeeShares(comparison.fees, 'protocol')}; fund fees ${formatFeeShares(comparison.fees, 'fund')}`);
+    console.log(`Fee APR ${comparison.feeAprPercent.toFixed(2)}% for liquidity in range throughout (full-range equivalent)`);
+    console.log(`Turnover ${comparison.turnoverPerDay.toFixed(2)}× the in-range liquidity (${formatAmount(comparison.reserveValue)}) per day`);
+    const change = comparison.priceChange;
+    if (change.source === 'twap') {
+        console.log(`TWAP change ${change.percent.toFixed(4)}% (first half tick ${change.firstHalfTwapTick.toFixed(2)}, second half ${change.secondHalfTwapTick.toFixed(2)})`);
+    } else {
+        console.log(`Spot price change ${change.percent === null ? 'unknown' : `${change.percent.toFixed(4)}%`} (no TWAP over the period: ${change.reason})`);
+    }
+    if (comparison.rules) printRuleEvaluations(comparison.rules);
+}
+
+async function main() {
+    let options;
     try {
-        if (!fs.existsSync(filePath)) {
-            throw new Error(`File not found: ${filePath}`);
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error(`Run "${CLI_NAME}${error.command ? ` ${error.command}` : ''} --help" for usage.`);
         }
-        
-        const content = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(content);
+        process.exit(1);
+    }
+    
+    if (options.help) {
+        console.log(formatHelp(options.helpCommand));
+        return;
+    }
+    if (options.version) {
+        console.log(`${CLI_NAME} ${require('./package.json').version}`);
+        return;
+    }
+    
+    try {
+        await COMMAND_HANDLERS[options.command](options);
     } catch (error) {
-        console.error(`❌ Error loading file ${filePath}: ${error.message}`);
+        console.error(`❌ Fatal error: ${error.message}`);
         process.exit(1);
     }
 }
 
-function validatePoolState(poolState) {
-    const required = ['tick_current', 'mint_decimals_0', 'mint_decimals_1'];
+// Both accounts from the data source in the options, merged with the archive for
+// --use-archive. Provider and archive warnings go to stderr.
+async function loadPoolData(options, log) {
+    const provider = createProviderFromOptions(options);
+    if (provider.label) log(provider.label);
+    const loaded = await provider.load();
+    const warnings = loaded.warnings;
+    let obsState = loaded.obsState;
     
-    for (const field of required) {
-        if (!poolState[field] || poolState[field].data === undefined) {
-            throw new Error(`Missing required field in PoolState: ${field}`);
-        }
+    if (options.useArchive) {
+        const archived = withArchive(obsState, options);
+        log(`🗄️  Using archive: ${archived.archivedCount} archived observation(s) merged with the snapshot`);
+        obsState = archived.obsState;
+        warnings.push(...archived.findings.map(item => `${item.code}: ${item.message}`));
     }
-    
-    return true;
+    warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+    return { provider: provider, poolState: loaded.poolState, obsState: obsState };
 }
 
-function validateObservationState(obsState) {
-    if (!obsState.observations || !obsState.observations.data || !Array.isArray(obsState.observations.data)) {
-        throw new Error('Invalid ObservationState: missing observations.data array');
+// `analyze` (the default) and `dashboard`: one pool's TWAP, windows and risk analysis
+async function runAnalyze(options) {
+    const format = options.format || 'text';
+    const isText = format === 'text';
+    // Progress messages are only part of the human-readable output
+    const log = isText ? console.log : () => {};
+    
+    if (isText) printHeader();
+    
+    const { provider, poolState, obsState } = await loadPoolData(options, log);
+    const rules = resolveRulesFor(options, obsState);
+    
+    // Validate data
+    log('✅ Validating data...');
+    validatePoolState(poolState);
+    validateObservationState(obsState);
+    
+    const tokenRegistry = loadTokenRegistry(options.tokensFile);
+    
+    // `dashboard`, and interactive mode on a terminal, explore the data instead of printing one analysis
+    if (options.command === 'dashboard' || (provider.interactive && isText && process.stdin.isTTY && process.stdout.isTTY)) {
+        await runDashboard(poolState, obsState, {
+            invert: options.invert,
+            quote: options.quote,
+            strict: options.strict,
+            tokenRegistry: tokenRegistry,
+            rules: rules,
+            poolId: options.pool
+        });
+        return;
     }
     
-    const validObs = obsState.observations.data.filter(obs => obs.block_timestamp > 0);
-    if (validObs.length < 2) {
-        throw new Error('Need at least 2 valid observations with timestamps > 0');
+    // Print pool info
+    if (isText) printPoolInfo(poolState, tokenRegistry);
+    
+    // Activity since an earlier snapshot of the pool, for the WASH_TRADING rule
+    let volume;
+    if (options.previousPoolFile) {
+        volume = compareSnapshots(readAccountFile(options.previousPoolFile, 'PoolState'), poolState, {
+            elapsedSeconds: options.elapsedSeconds,
+            observations: readObservationRing(obsState).observations,
+            currentTick: parseInt(poolState.tick_current.data),
+            precision: options.precision,
+            invert: options.invert,
+            quote: options.quote,
+            tokenRegistry: tokenRegistry
+        });
+        if (isText) printSnapshotComparison(volume);
     }
     
-    return true;
-}
-
-async function promptForData() {
-    const readline = require('readline');
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
+    // Calculate TWAP with our existing function
+    log('\n🧮 Calculating TWAP...');
+    const result = computeTwap(poolState, obsState, {
+        windows: options.windows,
+        endTime: options.endTime,
+        precision: options.precision,
+        strict: options.strict,
+        invert: options.invert,
+        quote: options.quote,
+        tokenRegistry: tokenRegistry,
+        rules: rules,
+        volume: volume,
+        logger: isText ? console : silentLogger
     });
     
-    return new Promise((resolve) => {
-        console.log('📝 Interactive mode - please provide data:');
-        console.log('You can paste JSON data or provide file paths');
-        
-        rl.question('🏊 PoolState (JSON or file path): ', (poolInput) => {
-            rl.question('📊 ObservationState (JSON or file path): ', (obsInput) => {
-                rl.close();
-                
-                let poolState, obsState;
-                
-                try {
-                    // Try to parse as JSON first, then as file path
-                    try {
-                        poolState = JSON.parse(poolInput);
-                    } catch {
-                        poolState = loadFromFile(poolInput);
-                    }
-                    
-                    try {
-                        obsState = JSON.parse(obsInput);
-                    } catch {
-                        obsState = loadFromFile(obsInput);
-                    }
-                    
-                    resolve({ poolState, obsState });
-                } catch (error) {
-                    console.error(`❌ Error parsing input: ${error.message}`);
-                    process.exit(1);
-                }
-            });
+    // Manipulation cost estimate, when asked for with --cost-deviation / --cost-window
+    if (options.costDeviation !== undefined || options.costWindow !== undefined) {
+        result.manipulationCost = estimateManipulationCost(poolState, {
+            deviationPercent: options.costDeviation ?? DEFAULT_COST_DEVIATION_PERCENT,
+            windowSeconds: options.costWindow ?? DEFAULT_COST_WINDOW_SECONDS,
+            precision: options.precision,
+            invert: options.invert,
+            quote: options.quote,
+            tokenRegistry: tokenRegistry
         });
-    });
-}
-
-function printHeader() {
-    console.log('='.repeat(60));
-    console.log('🚀 TWAP CALCULATOR CLI - Solana AMM Pool Analysis');
-    console.log('='.repeat(60));
-}
-
-function printPoolInfo(poolState) {
-    console.log('\n📊 POOL INFORMATION:');
-    console.log(`Token 0 Decimals: ${poolState.mint_decimals_0?.data || 'N/A'}`);
-    console.log(`Token 1 Decimals: ${poolState.mint_decimals_1?.data || 'N/A'}`);
-    console.log(`Current Tick: ${poolState.tick_current?.data || 'N/A'}`);
-    console.log(`Liquidity: ${poolState.liquidity?.data || 'N/A'}`);
+        if (isText) printManipulationCost(result.manipulationCost);
+    }
     
-    if (poolState.token_mint_0?.data && poolState.token_mint_1?.data) {
-        console.log(`Token 0 Mint: ${poolState.token_mint_0.data}`);
-        console.log(`Token 1 Mint: ${poolState.token_mint_1.data}`);
+    if (options.report) {
+        const observations = readObservationRing(obsState).observations;
+        fs.writeFileSync(options.report, renderHtmlReport(result, poolState, observations, {
+            tokenRegistry: tokenRegistry,
+            poolId: options.pool || obsState.pool_id?.data
+        }));
+        log(`📄 Report written to ${options.report}`);
     }
-}
-
-async function main() {
-    try {
-        const options = parseArguments();
-        
-        printHeader();
-        
-        let poolState, obsState;
-        
-        // Determine how to get the data
-        if (options.poolFile && options.obsFile) {
-            console.log('📁 Loading data from files...');
-            poolState = loadFromFile(options.poolFile);
-            obsState = loadFromFile(options.obsFile);
-        } else if (options.poolJson && options.obsJson) {
-            console.log('📝 Parsing JSON data...');
-            try {
-                poolState = JSON.parse(options.poolJson);
-                obsState = JSON.parse(options.obsJson);
-            } catch (error) {
-                console.error(`❌ Error parsing JSON: ${error.message}`);
-                process.exit(1);
-            }
-        } else if (options.interactive || Object.keys(options).length === 0) {
-            const data = await promptForData();
-            poolState = data.poolState;
-            obsState = data.obsState;
-        } else {
-            console.error('❌ Please provide both pool and observation data');
-            process.exit(1);
-        }
-        
-        // Validate data
-        console.log('✅ Validating data...');
-        validatePoolState(poolState);
-        validateObservationState(obsState);
-        
-        // Print pool info
-        printPoolInfo(poolState);
-        
-        // Calculate TWAP with our existing function
-        console.log('\n🧮 Calculating TWAP...');
-        const result = calculateTWAPCLI(poolState, obsState);
-        
+    
+    if (isText) {
         // Print summary
         console.log('\n' + '='.repeat(60));
         console.log('📈 ANALYSIS COMPLETE');
@@ -196,97 +323,583 @@ async function main() {
         if (result.manipulationAnalysis.level !== 'LOW') {
             console.log(`⚠️  Action required: Check manipulation analysis above`);
         }
-        
-    } catch (error) {
-        console.error(`❌ Fatal error: ${error.message}`);
-        process.exit(1);
+    } else {
+        console.log(formatResult(result, format));
+    }
+    
+    if (options.failOn && RISK_LEVELS.indexOf(result.manipulationAnalysis.level) >= RISK_LEVELS.indexOf(options.failOn)) {
+        if (isText) console.log(`⛔ Risk level ${result.manipulationAnalysis.level} reaches --fail-on ${options.failOn}`);
+        process.exitCode = EXIT_RISK_THRESHOLD;
+    }
+}
+
+// `observe`: tick cumulatives --ago seconds before the end time, like the on-chain observe(),
+// with the TWAP tick and price from each of them to the end time
+async function runObserve(options) {
+    const format = options.format || 'text';
+    const isText = format === 'text';
+    if (isText) printHeader();
+    const { poolState, obsState } = await loadPoolData(options, () => {});
+    validatePoolState(poolState);
+    validateObservationState(obsState);
+    
+    const ring = readObservationRing(obsState, { strict: options.strict });
+    ring.findings.forEach(item => console.error(`⚠️  ${item.code}: ${item.message}`));
+    const observations = ring.observations;
+    const currentTick = parseInt(poolState.tick_current.data);
+    const decimals0 = parseInt(poolState.mint_decimals_0.data);
+    const decimals1 = parseInt(poolState.mint_decimals_1.data);
+    const precision = options.precision || DEFAULT_PRICE_PRECISION;
+    const pair = resolvePricePair(poolState, {
+        invert: options.invert,
+        quote: options.quote,
+        tokenRegistry: loadTokenRegistry(options.tokensFile)
+    });
+    
+    const time = options.endTime ?? observations[observations.length - 1].block_timestamp;
+    const endCumulative = getTickCumulativeAt(observations, time, currentTick);
+    // Offsets beyond the history get an error instead of failing the others
+    const points = (options.secondsAgos || DEFAULT_OBSERVE_SECONDS_AGO).map(secondsAgo => {
+        const point = { secondsAgo: secondsAgo, timestamp: time - secondsAgo };
+        try {
+            point.tickCumulative = getTickCumulativeAt(observations, point.timestamp, currentTick);
+            if (secondsAgo > 0) {
+                point.twapTick = Number(floorDiv(endCumulative - point.tickCumulative, BigInt(secondsAgo)));
+                point.twapPrice = tickToPrice(point.twapTick, decimals0, decimals1, precision, pair.inverted);
+            }
+        } catch (error) {
+            if (!(error instanceof InsufficientDataError)) throw error;
+            point.error = error.message;
+        }
+        return point;
+    });
+    
+    if (format === 'json') {
+        console.log(JSON.stringify({
+            schemaVersion: RESULT_SCHEMA_VERSION,
+            generatedAt: new Date().toISOString(),
+            pair: pair.label,
+            time: time,
+            currentTick: currentTick,
+            observations: points
+        }, bigIntReplacer, 2));
+    } else if (format === 'ndjson') {
+        points.forEach(point => console.log(JSON.stringify(Object.assign({ pair: pair.label, time: time }, point), bigIntReplacer)));
+    } else if (format === 'csv') {
+        const columns = ['secondsAgo', 'timestamp', 'tickCumulative', 'twapTick', 'twapPrice', 'error'];
+        console.log(['pair', 'time'].concat(columns).join(','));
+        points.forEach(point => console.log([pair.label, time].concat(columns.map(column => point[column])).map(csvEscape).join(',')));
+    } else {
+        console.log(`\n🔭 OBSERVE ${pair.label} at ${time} (${new Date(time * 1000).toISOString()}), current tick ${currentTick}`);
+        console.log(`${'Seconds ago'.padStart(12)}  ${'Timestamp'.padEnd(10)}  ${'Tick cumulative'.padStart(22)}  ${'TWAP tick'.padStart(9)}  TWAP price (${pair.label})`);
+        points.forEach(point => {
+            if (point.error) {
+                console.log(`${String(point.secondsAgo).padStart(12)}  ${String(point.timestamp).padEnd(10)}  ❌ ${point.error}`);
+                return;
+            }
+            const twapTick = point.twapTick !== undefined ? String(point.twapTick) : '-';
+            console.log(`${String(point.secondsAgo).padStart(12)}  ${String(point.timestamp).padEnd(10)}  ${String(point.tickCumulative).padStart(22)}  ${twapTick.padStart(9)}  ${point.twapPrice ?? '-'}`);
+        });
     }
 }
 
-// Modified TWAP calculation for CLI (without hardcoded data)
-function calculateTWAPCLI(poolState, observationState) {
-    const observations = observationState.observations.data;
-    const currentTick = poolState.tick_current.data;
+// Type of a layout field for `inspect`: "u64", "[u8; 7]", "RewardInfo"
+function formatFieldType(type) {
+    if (typeof type === 'string') return type;
+    if (type?.array) return `[${formatFieldType(type.array[0])}; ${type.array[1]}]`;
+    if (type?.defined) return type.defined.name || type.defined;
+    return '?';
+}
+
+// Field value for `inspect` text output; long arrays and arrays of structs as a count
+function formatFieldValue(data) {
+    if (Array.isArray(data)) {
+        const nested = data.some(item => item !== null && typeof item === 'object');
+        return nested || data.length > INSPECT_MAX_ARRAY_ITEMS ? `[${data.length} entries]` : `[${data.join(', ')}]`;
+    }
+    if (data !== null && typeof data === 'object') return JSON.stringify(data, bigIntReplacer);
+    return String(data);
+}
+
+// Derived facts about a decoded account: pair, spot price and tick consistency for a
+// PoolState, the ring buffer contents and data-quality findings for an ObservationState
+function summarizeAccount(accountName, account, options) {
+    if (accountName === 'ObservationState') {
+        const ring = readObservationRing(account);
+        const observations = ring.observations;
+        const summary = {
+            poolId: account.pool_id?.data ?? null,
+            observationIndex: account.observation_index?.data ?? null,
+            slots: account.observations.data.length,
+            validObservations: observations.length,
+            newestSlot: ring.newestSlot ?? null,
+            oldestTimestamp: observations.length > 0 ? observations[0].block_timestamp : null,
+            newestTimestamp: observations.length > 0 ? observations[observations.length - 1].block_timestamp : null,
+            findings: ring.findings
+        };
+        summary.spanSeconds = observations.length > 1 ? summary.newestTimestamp - summary.oldestTimestamp : 0;
+        return summary;
+    }
     
-    // Filter out observations with timestamp 0 (empty slots)
-    const validObservations = observations.filter(obs => obs.block_timestamp > 0);
+    const summary = {};
+    const mint0 = account.token_mint_0?.data;
+    const mint1 = account.token_mint_1?.data;
+    if (mint0 && mint1) {
+        summary.pair = `${getTokenSymbol(options.tokenRegistry, mint0)}/${getTokenSymbol(options.tokenRegistry, mint1)}`;
+    }
+    const sqrtPriceX64 = account.sqrt_price_x64?.data;
+    const hasDecimals = account.mint_decimals_0?.data !== undefined && account.mint_decimals_1?.data !== undefined;
+    if (sqrtPriceX64 !== undefined && hasDecimals) {
+        summary.spotPrice = sqrtPriceX64ToPrice(sqrtPriceX64, parseInt(account.mint_decimals_0.data), parseInt(account.mint_decimals_1.data), DEFAULT_PRICE_PRECISION, false);
+    }
+    if (sqrtPriceX64 !== undefined && account.tick_current?.data !== undefined) {
+        summary.priceConsistency = checkSqrtPriceConsistency(account.tick_current.data, sqrtPriceX64);
+    }
+    if (account.observation_key?.data) summary.observationKey = account.observation_key.data;
+    if (account.swap_in_amount_token_0?.data !== undefined) {
+        summary.metrics = computePoolMetrics(account, { tokenRegistry: options.tokenRegistry });
+    }
+    return summary;
+}
+
+function printAccountSummary(accountName, summary) {
+    if (accountName === 'ObservationState') {
+        const span = summary.spanSeconds > 0 ? `, spanning ${(summary.spanSeconds / 3600).toFixed(2)} hours` : '';
+        const newest = summary.newestTimestamp !== null ? `, newest at ${summary.newestTimestamp} in slot ${summary.newestSlot}` : '';
+        console.log(`  ↳ ${summary.validObservations} valid observation(s) in ${summary.slots} slots${newest}${span}`);
+        if (summary.poolId) console.log(`  ↳ Pool ${summary.poolId}`);
+        summary.findings.forEach(item => {
+            console.log(`  ${item.severity === 'error' ? '❌' : item.severity === 'warning' ? '⚠️ ' : 'ℹ️ '} ${item.code}: ${item.message}`);
+        });
+        return;
+    }
+    if (summary.pair) console.log(`  ↳ Pair ${summary.pair}${summary.spotPrice ? `, spot price ${summary.spotPrice} (from sqrt_price_x64)` : ''}`);
+    if (summary.priceConsistency) {
+        const consistency = summary.priceConsistency;
+        console.log(consistency.consistent
+            ? `  ↳ tick_current ${consistency.tickCurrent} matches sqrt_price_x64`
+            : `  ↳ ⚠️  tick_current ${consistency.tickCurrent} does not match sqrt_price_x64 (tick ${consistency.tickFromSqrtPrice})`);
+    }
+    if (summary.observationKey) console.log(`  ↳ Observations in ${summary.observationKey}`);
+    if (summary.metrics) printPoolMetrics(summary.metrics);
+}
+
+// Volume and fee APR between the earliest and the latest PoolState given to `inspect`, ordered
+// by their swap counters, which only grow. Without --elapsed the newest observations of the
+// ObservationStates date the snapshots: every swap writes both.
+function compareInspectedSnapshots(accounts, options, tokenRegistry) {
+    const swapped = (item) => BigInt(item.account.swap_in_amount_token_0.data) + BigInt(item.account.swap_in_amount_token_1.data);
+    const pools = accounts.filter(item => item.accountName === 'PoolState' && item.account.swap_in_amount_token_0?.data !== undefined)
+        .sort((a, b) => (swapped(a) < swapped(b) ? -1 : swapped(a) > swapped(b) ? 1 : 0));
+    if (pools.length < 2) return null;
     
-    // Sort observations by timestamp
-    validObservations.sort((a, b) => a.block_timestamp - b.block_timestamp);
+    const histories = accounts.filter(item => item.accountName === 'ObservationState')
+        .map(item => ({ account: item.account, observations: readObservationRing(item.account).observations }))
+        .filter(history => history.observations.length > 0)
+        .sort((a, b) => a.observations[a.observations.length - 1].block_timestamp - b.observations[b.observations.length - 1].block_timestamp);
+    const newestTime = (history) => history.observations[history.observations.length - 1].block_timestamp;
     
-    console.log(`Found ${validObservations.length} valid observations`);
-    console.log(`Time range: ${validObservations[0].block_timestamp} to ${validObservations[validObservations.length - 1].block_timestamp}`);
+    let elapsedSeconds = options.elapsedSeconds;
+    if (elapsedSeconds === undefined) {
+        if (histories.length < 2) {
+            throw new ConfigError('Comparing PoolState snapshots needs --elapsed or an ObservationState taken with each of them');
+        }
+        elapsedSeconds = newestTime(histories[histories.length - 1]) - newestTime(histories[0]);
+    }
     
-    if (validObservations.length < 2) {
-        throw new Error("Need at least 2 observations to calculate TWAP");
+    const earlier = pools[0];
+    const later = pools[pools.length - 1];
+    const latestHistory = histories[histories.length - 1];
+    const comparison = Object.assign({ earlier: earlier.source, later: later.source }, compareSnapshots(earlier.account, later.account, {
+        elapsedSeconds: elapsedSeconds,
+        observations: latestHistory?.observations,
+        currentTick: parseInt(later.account.tick_current.data),
+        tokenRegistry: tokenRegistry
+    }));
+    
+    // Only the rules that read the comparison; the others need a TWAP analysis
+    const rules = resolveRulesFor(options, latestHistory?.account || {});
+    comparison.rules = evaluateRules(Object.assign({}, rules, { rules: rules.rules.filter(rule => rule.requires === 'volume') }), { volume: comparison });
+    return comparison;
+}
+
+// `inspect`: every decoded field of the given accounts, with a summary of each
+async function runInspect(options) {
+    const format = options.format || 'text';
+    const accounts = [];
+    const add = (source, accountName, account) => accounts.push({ source: source, accountName: accountName, account: account });
+    
+    (options.files || []).forEach(file => {
+        const { accountName, account } = readAnyAccountFile(file);
+        add(file, accountName, account);
+    });
+    if (options.poolFile) add(options.poolFile, 'PoolState', readAccountFile(options.poolFile, 'PoolState'));
+    if (options.obsFile) add(options.obsFile, 'ObservationState', readAccountFile(options.obsFile, 'ObservationState'));
+    if (options.poolJson) add('--pool-json', 'PoolState', parseAccount(options.poolJson, 'PoolState'));
+    if (options.obsJson) add('--obs-json', 'ObservationState', parseAccount(options.obsJson, 'ObservationState'));
+    if (options.pool) {
+        const loaded = await createRpcProvider({ url: options.rpc, pool: options.pool }).load();
+        loaded.warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+        add(options.pool, 'PoolState', loaded.poolState);
+        add(loaded.poolState.observation_key.data, 'ObservationState', loaded.obsState);
     }
     
-    // Calculate TWAP using tick cumulative values
-    const oldestObs = validObservations[0];
-    const newestObs = validObservations[validObservations.length - 1];
+    const tokenRegistry = loadTokenRegistry(options.tokensFile);
+    const documents = accounts.map(({ source, accountName, account }) => {
+        if (options.strict && accountName === 'ObservationState') readObservationRing(account, { strict: true });
+        return {
+            source: source,
+            account: accountName,
+            fields: Object.fromEntries(Object.entries(account).map(([name, field]) => [name, field?.data])),
+            types: Object.fromEntries(Object.entries(account).map(([name, field]) => [name, formatFieldType(field?.type)])),
+            summary: summarizeAccount(accountName, account, { tokenRegistry: tokenRegistry })
+        };
+    });
+    const comparison = compareInspectedSnapshots(accounts, options, tokenRegistry);
     
-    const timeDiff = newestObs.block_timestamp - oldestObs.block_timestamp;
-    const tickCumulativeDiff = parseInt(newestObs.tick_cumulative) - parseInt(oldestObs.tick_cumulative);
+    if (format === 'json') {
+        console.log(JSON.stringify({
+            schemaVersion: RESULT_SCHEMA_VERSION,
+            generatedAt: new Date().toISOString(),
+            accounts: documents.map(({ types, ...document }) => document),
+            comparison: comparison || undefined
+        }, bigIntReplacer, 2));
+    } else if (format === 'ndjson') {
+        documents.forEach(({ types, ...document }) => console.log(JSON.stringify(document, bigIntReplacer)));
+        if (comparison) console.log(JSON.stringify({ comparison: comparison }, bigIntReplacer));
+    } else if (format === 'csv') {
+        console.log('source,account,field,value');
+        const printRow = (source, accountName, name, value) => {
+            const text = value !== null && typeof value === 'object' ? JSON.stringify(value, bigIntReplacer) : value;
+            console.log([source, accountName, name, text].map(csvEscape).join(','));
+        };
+        documents.forEach(document => {
+            const rows = Object.entries(document.fields).concat(Object.entries(document.summary).map(([name, value]) => [`summary.${name}`, value]));
+            rows.forEach(([name, value]) => printRow(document.source, document.account, name, value));
+        });
+        if (comparison) {
+            const { earlier, later, ...fields } = comparison;
+            Object.entries(fields).forEach(([name, value]) => printRow(`${earlier} → ${later}`, 'comparison', name, value));
+        }
+    } else {
+        documents.forEach(document => {
+            console.log(`\n🔍 ${document.source}: ${document.account}`);
+            const names = Object.keys(document.fields);
+            const nameWidth = Math.max(...names.map(name => name.length));
+            const typeWidth = Math.max(...names.map(name => document.types[name].length));
+            names.forEach(name => {
+                console.log(`  ${name.padEnd(nameWidth)}  ${document.types[name].padEnd(typeWidth)}  ${formatFieldValue(document.fields[name])}`);
+            });
+            printAccountSummary(document.account, document.summary);
+        });
+        if (comparison) printSnapshotComparison(comparison);
+    }
+}
+
+// Risk rules for the pool behind `obsState`: --rules file, its per-pool entries and --profile
+function resolveRulesFor(options, obsState) {
+    const config = options.rulesFile ? loadRuleConfig(options.rulesFile) : {};
+    return resolveRules(config, {
+        poolId: options.pool || obsState.pool_id?.data,
+        profile: options.profile
+    });
+}
+
+// `batch`: analyze every pool of a manifest and print the ranked report. Failing pools are
+// listed in the report; they set exit code 1 unless --fail-on already set 2.
+async function runBatchCommand(options) {
+    if (!options.manifest) {
+        throw new Error('batch needs a manifest file or directory: twap-cli batch <manifest>');
+    }
+    const format = options.format || 'text';
+    const manifest = loadManifest(options.manifest);
+    const tokenRegistry = loadTokenRegistry(options.tokensFile);
     
-    const twapTick = tickCumulativeDiff / timeDiff;
+    const analyze = async (entry) => {
+        // Manifest settings override the command-line options for their pool
+        const entryOptions = Object.assign({}, options, entry.settings, { pool: entry.address });
+        const provider = entry.rpc
+            ? createRpcProvider({ url: entry.rpc, pool: entry.address })
+            : createFileProvider({ poolFile: entry.poolFile, obsFile: entry.obsFile });
+        const { poolState, obsState } = await provider.load();
+        
+        validatePoolState(poolState);
+        validateObservationState(obsState);
+        return computeTwap(poolState, obsState, {
+            windows: entryOptions.windows,
+            endTime: entryOptions.endTime,
+            precision: entryOptions.precision,
+            strict: entryOptions.strict,
+            invert: entryOptions.invert,
+            quote: entryOptions.quote,
+            tokenRegistry: tokenRegistry,
+            rules: resolveRulesFor(entryOptions, obsState)
+        });
+    };
     
-    console.log(`Oldest observation: timestamp=${oldestObs.block_timestamp}, tick_cumulative=${oldestObs.tick_cumulative}`);
-    console.log(`Newest observation: timestamp=${newestObs.block_timestamp}, tick_cumulative=${newestObs.tick_cumulative}`);
-    console.log(`Time difference: ${timeDiff} seconds (${(timeDiff / 3600).toFixed(2)} hours)`);
-    console.log(`Tick cumulative difference: ${tickCumulativeDiff}`);
-    console.log(`TWAP tick: ${twapTick.toFixed(6)}`);
+    const report = await runBatch(manifest, analyze, { concurrency: options.concurrency });
+    console.log(formatBatchReport(report, format));
     
-    // Convert tick to price
-    const price = Math.pow(1.0001, twapTick);
+    if (report.failures.length > 0) {
+        process.exitCode = 1;
+    }
+    const highest = report.summary.highestLevel;
+    if (options.failOn && highest && RISK_LEVELS.indexOf(highest) >= RISK_LEVELS.indexOf(options.failOn)) {
+        if (format === 'text') console.log(`⛔ Risk level ${highest} reaches --fail-on ${options.failOn}`);
+        process.exitCode = EXIT_RISK_THRESHOLD;
+    }
+}
+
+// `serve`: HTTP API over the manifest's pools and, with --rpc, any pool address. Runs until
+// SIGINT / SIGTERM.
+async function runServe(options) {
+    if (!options.manifest && !options.rpc) {
+        throw new Error('serve needs a manifest file or directory and/or --rpc: twap-cli serve [<manifest>] [--rpc <url>]');
+    }
+    const isText = (options.format || 'text') === 'text';
+    const refreshMs = options.intervalSeconds !== undefined ? options.intervalSeconds * 1000 : DEFAULT_REFRESH_MS;
+    const tokenRegistry = loadTokenRegistry(options.tokensFile);
     
-    // Adjust for decimal differences
-    const decimals0 = poolState.mint_decimals_0.data;
-    const decimals1 = poolState.mint_decimals_1.data;
-    const decimalAdjustment = Math.pow(10, decimals1 - decimals0);
+    const pools = new Map();
+    if (options.manifest) {
+        const manifest = loadManifest(options.manifest);
+        manifest.failures.forEach(failure => console.error(`⚠️  ${failure.name}: ${failure.error}`));
+        manifest.entries.forEach(entry => {
+            const provider = entry.rpc
+                ? createRpcProvider({ url: entry.rpc, pool: entry.address })
+                : createFileProvider({ poolFile: entry.poolFile, obsFile: entry.obsFile });
+            pools.set(entry.name, createPoolSource(entry.name, provider, {
+                source: entry.source,
+                settings: Object.assign({}, entry.settings, { pool: entry.address }),
+                refreshMs: refreshMs
+            }));
+        });
+    }
     
-    const adjustedPrice = price * decimalAdjustment;
+    // Addresses outside the manifest are added on first request when --rpc is given, and
+    // dropped again when they cannot be loaded
+    const findPool = (id) => {
+        if (!pools.has(id) && options.rpc && POOL_ADDRESS_PATTERN.test(id)) {
+            const source = createPoolSource(id, createRpcProvider({ url: options.rpc, pool: id }), {
+                source: `${options.rpc} ${id}`,
+                settings: { pool: id },
+                refreshMs: refreshMs
+            });
+            pools.set(id, Object.assign({}, source, {
+                load: () => source.load().catch(error => {
+                    pools.delete(id);
+                    throw error;
+                })
+            }));
+        }
+        return pools.get(id) || null;
+    };
     
-    console.log(`\n=== TWAP RESULTS ===`);
-    console.log(`TWAP Tick: ${twapTick.toFixed(6)}`);
-    console.log(`Raw Price: ${price.toFixed(12)}`);
-    console.log(`Decimal adjustment factor: ${decimalAdjustment} (decimals0=${decimals0}, decimals1=${decimals1})`);
-    console.log(`Adjusted TWAP Price: ${adjustedPrice.toFixed(8)}`);
+    // Manifest settings and the request's settings override the command-line options
+    const analyze = (poolState, obsState, settings) => {
+        const entryOptions = Object.assign({}, options, settings);
+        validatePoolState(poolState);
+        validateObservationState(obsState);
+        if (entryOptions.useArchive) obsState = withArchive(obsState, entryOptions).obsState;
+        return computeTwap(poolState, obsState, {
+            windows: entryOptions.windows,
+            precision: entryOptions.precision,
+            strict: entryOptions.strict,
+            invert: entryOptions.invert,
+            quote: entryOptions.quote,
+            tokenRegistry: tokenRegistry,
+            rules: resolveRulesFor(entryOptions, obsState)
+        });
+    };
     
-    // Current price for comparison
-    const currentPrice = Math.pow(1.0001, currentTick) * decimalAdjustment;
-    console.log(`Current Price (for comparison): ${currentPrice.toFixed(8)}`);
-    console.log(`Price difference: ${((adjustedPrice - currentPrice) / currentPrice * 100).toFixed(4)}%`);
+    // With --use-archive the results also depend on the archive, which `archive` may extend
+    // between two snapshots of the pool
+    const dataVersion = (obsState, settings) => {
+        const entryOptions = Object.assign({}, options, settings);
+        return entryOptions.useArchive ? getArchiveVersion(entryOptions.archiveDir || DEFAULT_ARCHIVE_DIR, obsState) : '';
+    };
+    
+    const server = createOracleServer({
+        listPools: () => Array.from(pools.values()),
+        findPool: findPool,
+        analyze: analyze,
+        dataVersion: dataVersion,
+        onRequest: isText
+            ? (entry) => console.log(`${new Date().toISOString()} ${entry.method} ${entry.path} ${entry.status} ${entry.ms}ms${entry.cache ? ` (cache ${entry.cache.toLowerCase()})` : ''}`)
+            : null
+    });
     
-    // Manipulation detection
-    const priceDiffPercent = Math.abs((adjustedPrice - currentPrice) / currentPrice * 100);
-    const manipulationRisk = detectManipulation(priceDiffPercent, timeDiff / 3600, validObservations);
+    const host = options.host || DEFAULT_HOST;
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port ?? DEFAULT_PORT, host, resolve);
+    });
+    const address = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
     
-    console.log(`\n=== MANIPULATION ANALYSIS ===`);
-    console.log(`Price difference: ${priceDiffPercent.toFixed(4)}%`);
-    console.log(`Manipulation risk: ${manipulationRisk.level}`);
-    console.log(`Confidence: ${manipulationRisk.confidence}%`);
-    console.log(`Risk factors: ${manipulationRisk.factors.join(', ')}`);
-    if (manipulationRisk.warning) {
-        console.log(`⚠️  WARNING: ${manipulationRisk.warning}`);
+    if (isText) {
+        printHeader();
+        console.log(`🛰️  Serving ${pools.size} pool(s) on ${address}${options.rpc ? `, any pool address via ${options.rpc}` : ''}`);
+        console.log(`🔄 Data sources re-read ${refreshMs > 0 ? `at most every ${formatDuration(refreshMs / 1000)}` : 'on every request'}, Ctrl+C to stop`);
+    } else {
+        console.log(JSON.stringify({ event: 'listening', address: address, pools: Array.from(pools.keys()) }));
     }
     
-    console.log(`\n=== RECOMMENDATIONS ===`);
-    manipulationRisk.recommendations.forEach(rec => console.log(rec));
+    await new Promise(resolve => {
+        const shutdown = () => {
+            server.close(resolve);
+            server.closeAllConnections();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+}
 
-    return {
-        twapTick: twapTick,
-        twapPrice: adjustedPrice,
-        currentPrice: currentPrice,
-        timePeriodHours: timeDiff / 3600,
-        observationCount: validObservations.length,
-        priceDifferencePercent: priceDiffPercent,
-        manipulationAnalysis: manipulationRisk
+// `backtest`: synthetic attack scenarios for the pool, scored against the risk rules
+async function runBacktestCommand(options) {
+    const format = options.format || 'text';
+    // Only the PoolState seeds the simulation, so a lone --pool-file is enough
+    const poolState = options.poolFile && !options.obsFile
+        ? readAccountFile(options.poolFile, 'PoolState')
+        : (await createProviderFromOptions(options).load()).poolState;
+    validatePoolState(poolState);
+    
+    const report = runBacktest(poolState, {
+        seed: options.seed,
+        runs: options.runs,
+        scenarios: options.scenarios,
+        detectLevel: options.detectLevel,
+        volatilityPercent: options.volatility,
+        rules: resolveRules(options.rulesFile ? loadRuleConfig(options.rulesFile) : {}, {
+            poolId: options.pool,
+            profile: options.profile
+        })
+    });
+    console.log(formatBacktestReport(report, format));
+}
+
+// Swaps a snapshot for its pool's archived history (snapshot merged in)
+function withArchive(obsState, options) {
+    return loadArchivedObservationState(options.archiveDir || DEFAULT_ARCHIVE_DIR, obsState);
+}
+
+// `archive`: merge the current ObservationState snapshot into the local archive,
+// once or every --interval
+async function runArchive(options) {
+    const isText = (options.format || 'text') === 'text';
+    const archiveDir = options.archiveDir || DEFAULT_ARCHIVE_DIR;
+    // Only the ObservationState is archived, so a lone --obs-file is enough
+    const loadSnapshot = options.obsFile && !options.poolFile
+        ? async () => readAccountFile(options.obsFile, 'ObservationState')
+        : async () => (await createProviderFromOptions(options).load()).obsState;
+    
+    const archiveOnce = async () => {
+        const summary = archiveSnapshot(archiveDir, await loadSnapshot(), { strict: options.strict });
+        if (isText) {
+            const span = summary.total > 1 ? `, spanning ${((summary.newest - summary.oldest) / 3600).toFixed(2)} hours` : '';
+            console.log(`🗄️  ${summary.poolId}: ${summary.added} new observation(s), ${summary.duplicates} already archived, ${summary.total} total${span}`);
+            summary.findings.forEach(item => console.error(`⚠️  ${item.code}: ${item.message}`));
+        } else {
+            console.log(JSON.stringify(summary));
+        }
     };
+    
+    if (isText) console.log(`🗄️  Archive directory: ${archiveDir}`);
+    
+    if (!options.intervalSeconds) {
+        await archiveOnce();
+        return;
+    }
+    
+    let stopped = false;
+    let timer = null;
+    let wake = null;
+    process.once('SIGINT', () => {
+        stopped = true;
+        clearTimeout(timer);
+        if (wake) wake();
+    });
+    for (let count = 1; !stopped; count++) {
+        try {
+            await archiveOnce();
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+        }
+        if (options.iterations && count >= options.iterations) break;
+        await new Promise(resolve => {
+            wake = resolve;
+            timer = setTimeout(resolve, options.intervalSeconds * 1000);
+        });
+    }
+}
+
+// `watch`: poll the data source and report risk level / deviation changes
+async function runWatch(options) {
+    const isText = (options.format || 'text') === 'text';
+    if (!(options.poolFile && options.obsFile) && !(options.rpc && options.pool)) {
+        throw new Error('watch needs --pool-file/--obs-file or --rpc/--pool');
+    }
+    
+    const provider = createProviderFromOptions(options);
+    const tokenRegistry = loadTokenRegistry(options.tokensFile);
+    const windows = options.windows || DEFAULT_WATCH_WINDOWS;
+    const intervalSeconds = options.intervalSeconds || 30;
+    
+    const sinks = [async (alert) => {
+        if (isText) {
+            const change = alert.from ? `${alert.from} → ${alert.to}` : `${alert.deviationPercent.toFixed(4)}% vs ${alert.thresholdPercent}%`;
+            console.log(`🚨 ${alert.sample.time} ${alert.type}: ${change} (factors: ${alert.sample.factors.join(', ')})`);
+        } else {
+            console.log(JSON.stringify(alert, bigIntReplacer));
+        }
+    }];
+    if (options.alertLog) sinks.push(createNdjsonLogSink(options.alertLog));
+    if (options.webhook) sinks.push(createWebhookSink(options.webhook));
+    if (options.onAlert) sinks.push(createCommandSink(options.onAlert));
+    
+    const watcher = createWatcher({
+        provider: provider,
+        analyze: (poolState, obsState) => {
+            validatePoolState(poolState);
+            if (options.useArchive) obsState = withArchive(obsState, options).obsState;
+            return computeTwap(poolState, obsState, {
+                windows: windows,
+                precision: options.precision,
+                strict: options.strict,
+                invert: options.invert,
+                quote: options.quote,
+                tokenRegistry: tokenRegistry,
+                rules: resolveRulesFor(options, obsState)
+            });
+        },
+        intervalMs: intervalSeconds * 1000,
+        debounceMs: (options.debounceSeconds || 0) * 1000,
+        maxDeviationPercent: options.maxDeviation,
+        historySize: options.historySize,
+        sinks: sinks,
+        onSample: (sample) => {
+            if (!isText) return;
+            const windowText = sample.windows.map(window => `${formatDuration(window.windowSeconds)} Δ ${window.deviationPercent.toFixed(2)}%`).join(' | ');
+            console.log(`[${sample.time}] ${sample.level.padEnd(8)} TWAP ${sample.twapPrice.toFixed(8)} spot ${sample.currentPrice.toFixed(8)} Δ ${sample.deviationPercent.toFixed(2)}%${windowText ? ' | ' + windowText : ''}`);
+        },
+        onError: (error) => console.error(`❌ ${error.message}`)
+    });
+    
+    if (isText) {
+        printHeader();
+        console.log(`👀 Watching every ${formatDuration(intervalSeconds)} (windows: ${windows.map(formatDuration).join(', ')}), Ctrl+C to stop`);
+    }
+    
+    process.once('SIGINT', () => watcher.stop());
+    await watcher.start(options.iterations);
+    
+    if (isText && watcher.history.length > 0) {
+        const deviations = watcher.history.map(sample => Math.abs(sample.deviationPercent));
+        console.log(`\n📜 ${watcher.history.length} sample(s) in history, TWAP/spot deviation min ${Math.min(...deviations).toFixed(2)}% max ${Math.max(...deviations).toFixed(2)}%, final level ${watcher.state.confirmedLevel}`);
+    }
 }
 
+
 // Run the CLI
 if (require.main === module) {
     main().catch(console.error);
 }
-
-module.exports = { calculateTWAPCLI, validatePoolState, validateObservationState };